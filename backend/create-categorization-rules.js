@@ -0,0 +1,65 @@
+// ============================================
+// CREATE CATEGORIZATION RULES TABLE
+// File: create-categorization-rules.js
+// Run: node create-categorization-rules.js
+// Purpose: User-defined rules ("description contains UBER → Transport")
+//          that fill in category, tags and type / payment method
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function createCategorizationRulesTable() {
+  try {
+    console.log('📝 Creating categorization_rules table (if missing)...');
+
+    // Conditions: pattern (contains / regex on the description), amount range
+    // and account; every condition that is set must match.
+    // Actions: category, tags (by name), transaction type, payment method.
+    // Lower priority runs first; for each action the first matching rule wins.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categorization_rules (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 100,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        match_type VARCHAR(10) NOT NULL DEFAULT 'contains' CHECK (match_type IN ('contains', 'regex')),
+        pattern VARCHAR(200),
+        amount_min NUMERIC(15, 2),
+        amount_max NUMERIC(15, 2),
+        account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+        set_category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+        set_tags TEXT[] NOT NULL DEFAULT '{}',
+        set_transaction_type VARCHAR(10) CHECK (set_transaction_type IN ('income', 'expense')),
+        set_payment_method VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (amount_min IS NULL OR amount_max IS NULL OR amount_min <= amount_max)
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_categorization_rules_user ON categorization_rules(user_id, priority);
+    `);
+
+    console.log('✅ categorization_rules table ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createCategorizationRulesTable();
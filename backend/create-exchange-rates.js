@@ -0,0 +1,57 @@
+// ============================================
+// CREATE EXCHANGE RATES TABLE
+// File: create-exchange-rates.js
+// Run: node create-exchange-rates.js
+// Purpose: Dated exchange rates per user (manual or CSV import) and
+//          the user's base currency for converted reports
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function createExchangeRatesTable() {
+  try {
+    console.log('📝 Creating exchange_rates table (if missing)...');
+
+    // 1 from_currency = rate to_currency, valid from rate_date until the next rate
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        from_currency VARCHAR(3) NOT NULL,
+        to_currency VARCHAR(3) NOT NULL,
+        rate NUMERIC(18, 8) NOT NULL,
+        rate_date DATE NOT NULL,
+        source VARCHAR(10) NOT NULL DEFAULT 'manual',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_exchange_rate UNIQUE (user_id, from_currency, to_currency, rate_date),
+        CONSTRAINT chk_exchange_rate_positive CHECK (rate > 0),
+        CONSTRAINT chk_exchange_rate_pair CHECK (from_currency <> to_currency)
+      );
+    `);
+
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3);
+    `);
+
+    console.log('✅ exchange_rates table ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createExchangeRatesTable();
@@ -0,0 +1,97 @@
+// ============================================
+// CREATE IMPORT BATCHES TABLE
+// File: create-import-batches.js
+// Run: node create-import-batches.js
+// Purpose: One record per file import (file name, row counts, errors),
+//          with the transactions, accounts and categories it created
+//          linked to it so the whole import can be rolled back, and the
+//          previous values of transactions it merged rows into
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function createImportBatchesTable() {
+  try {
+    console.log('📝 Creating import_batches table (if missing)...');
+
+    // status: processing while the rows are written, then completed / failed;
+    // rolled_back once everything it created has been deleted
+    // errors: ["Row 4: Invalid amount ..."]
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS import_batches (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        file_name VARCHAR(255) NOT NULL,
+        file_format VARCHAR(20),
+        status VARCHAR(20) NOT NULL DEFAULT 'processing'
+          CHECK (status IN ('processing', 'completed', 'failed', 'rolled_back')),
+        total_rows INTEGER NOT NULL DEFAULT 0,
+        imported_rows INTEGER NOT NULL DEFAULT 0,
+        skipped_rows INTEGER NOT NULL DEFAULT 0,
+        merged_rows INTEGER NOT NULL DEFAULT 0,
+        failed_rows INTEGER NOT NULL DEFAULT 0,
+        errors JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        rolled_back_at TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_import_batches_user
+        ON import_batches(user_id, created_at DESC);
+    `);
+
+    console.log('📝 Linking transactions, accounts and categories to their batch...');
+
+    for (const table of ['transactions', 'accounts', 'categories']) {
+      await pool.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS import_batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL;
+      `);
+    }
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transactions_import_batch
+        ON transactions(import_batch_id)
+        WHERE import_batch_id IS NOT NULL;
+    `);
+
+    console.log('📝 Creating import_batch_merges table (if missing)...');
+
+    // Existing transactions a batch merged rows into, as they were before
+    // the first merge, so rollback can restore them
+    // previous: { mode, transaction_type, payment_method, category_id, description, external_id }
+    // added_tag_ids: tags the merge added (removed again on rollback)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS import_batch_merges (
+        import_batch_id INTEGER NOT NULL REFERENCES import_batches(id) ON DELETE CASCADE,
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        previous JSONB NOT NULL,
+        added_tag_ids INTEGER[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (import_batch_id, transaction_id)
+      );
+    `);
+
+    console.log('✅ import_batches table ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createImportBatchesTable();
@@ -0,0 +1,53 @@
+// ============================================
+// CREATE IMPORT PROFILES TABLE
+// File: create-import-profiles.js
+// Run: node create-import-profiles.js
+// Purpose: Named column mappings ("HDFC savings export") saved per user
+//          and reused for the next upload of the same kind of file
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function createImportProfilesTable() {
+  try {
+    console.log('📝 Creating import_profiles table (if missing)...');
+
+    // mapping: { field: column header } as in utils/importMapping.js
+    // account_id: account used when the file has no account column
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS import_profiles (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        mapping JSONB NOT NULL,
+        sign_convention VARCHAR(20) NOT NULL DEFAULT 'unsigned'
+          CHECK (sign_convention IN ('unsigned', 'negative_is_expense', 'positive_is_expense')),
+        date_format VARCHAR(10) NOT NULL DEFAULT 'auto',
+        account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name)
+      );
+    `);
+
+    console.log('✅ import_profiles table ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createImportProfilesTable();
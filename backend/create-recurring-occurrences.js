@@ -0,0 +1,58 @@
+// ============================================
+// CREATE RECURRING OCCURRENCES TABLE
+// File: create-recurring-occurrences.js
+// Run: node create-recurring-occurrences.js
+// Purpose: Ledger of posted/skipped occurrences per recurring template
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function createRecurringOccurrencesTable() {
+  try {
+    console.log('📝 Creating recurring_occurrences table (if missing)...');
+
+    // UNIQUE (recurring_id, due_date) is what makes execution idempotent
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recurring_occurrences (
+        id SERIAL PRIMARY KEY,
+        recurring_id INTEGER NOT NULL REFERENCES recurring_transactions(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        due_date DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'posted',
+        transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+        amount NUMERIC(15, 2),
+        posted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT uq_recurring_occurrence UNIQUE (recurring_id, due_date)
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_recurring_occurrences_user_id ON recurring_occurrences(user_id);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_recurring_occurrences_transaction_id ON recurring_occurrences(transaction_id);
+    `);
+
+    console.log('✅ recurring_occurrences table ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createRecurringOccurrencesTable();
@@ -0,0 +1,58 @@
+// ============================================
+// CREATE RECURRING RUNS TABLE
+// File: create-recurring-runs.js
+// Run: node create-recurring-runs.js
+// Purpose: Per-run summary of the recurring transaction generator
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function createRecurringRunsTable() {
+  try {
+    console.log('📝 Creating recurring_runs table (if missing)...');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recurring_runs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        triggered_by VARCHAR(20) NOT NULL DEFAULT 'cron',
+        run_date DATE NOT NULL,
+        status VARCHAR(30) NOT NULL DEFAULT 'running',
+        templates_processed INTEGER NOT NULL DEFAULT 0,
+        transactions_created INTEGER NOT NULL DEFAULT 0,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        details JSONB,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_recurring_runs_started_at ON recurring_runs(started_at);
+    `);
+
+    await pool.query(`
+      ALTER TABLE recurring_transactions ADD COLUMN IF NOT EXISTS last_executed_at TIMESTAMP;
+    `);
+
+    console.log('✅ recurring_runs table ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createRecurringRunsTable();
@@ -0,0 +1,49 @@
+// ============================================
+// CREATE TRANSACTION ATTACHMENTS TABLE
+// File: create-transaction-attachments.js
+// Run: node create-transaction-attachments.js
+// Purpose: Link uploaded receipts (uploads table) to transactions;
+//          a receipt can cover several transactions
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function createTransactionAttachmentsTable() {
+  try {
+    console.log('📝 Creating transaction_attachments table (if missing)...');
+
+    // Deleting the transaction or the upload removes the link
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transaction_attachments (
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        upload_id INTEGER NOT NULL REFERENCES uploads(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (transaction_id, upload_id)
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transaction_attachments_upload ON transaction_attachments(upload_id);
+    `);
+
+    console.log('✅ transaction_attachments table ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createTransactionAttachmentsTable();
@@ -0,0 +1,54 @@
+// ============================================
+// CREATE TRANSACTION SPLITS TABLE
+// File: create-transaction-splits.js
+// Run: node create-transaction-splits.js
+// Purpose: Split lines (category, amount, note) of a transaction whose
+//          spend is spread over several categories
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function createTransactionSplitsTable() {
+  try {
+    console.log('📝 Creating transaction_splits table (if missing)...');
+
+    // Lines of one transaction always sum to transactions.amount (checked by the API)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transaction_splits (
+        id SERIAL PRIMARY KEY,
+        transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+        amount NUMERIC(15, 2) NOT NULL,
+        note TEXT,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT chk_split_amount_positive CHECK (amount > 0)
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction ON transaction_splits(transaction_id);
+    `);
+
+    console.log('✅ transaction_splits table ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createTransactionSplitsTable();
@@ -0,0 +1,74 @@
+// ============================================
+// CREATE TRANSFERS TABLE
+// File: create-transfers.js
+// Run: node create-transfers.js
+// Purpose: Money moved between two of a user's accounts, stored as a
+//          linked pair of 'Transfer' transactions (out leg + in leg)
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function createTransfersTable() {
+  try {
+    console.log('📝 Creating transfers table (if missing)...');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS transfers (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        from_account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        to_account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        from_amount NUMERIC(15, 2) NOT NULL,
+        from_currency VARCHAR(3) NOT NULL,
+        to_amount NUMERIC(15, 2) NOT NULL,
+        to_currency VARCHAR(3) NOT NULL,
+        exchange_rate NUMERIC(18, 8) NOT NULL DEFAULT 1,
+        transfer_date DATE NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT chk_transfer_accounts CHECK (from_account_id <> to_account_id)
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transfers_user_date ON transfers(user_id, transfer_date);
+    `);
+
+    // Each leg is a normal transaction (mode = 'Transfer') linked to its transfer
+    await pool.query(`
+      ALTER TABLE transactions
+        ADD COLUMN IF NOT EXISTS transfer_id INTEGER REFERENCES transfers(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS transfer_direction VARCHAR(3);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transactions_transfer ON transactions(transfer_id) WHERE transfer_id IS NOT NULL;
+    `);
+
+    // Transfer legs have no category
+    await pool.query(`
+      ALTER TABLE transactions ALTER COLUMN category_id DROP NOT NULL;
+    `);
+
+    console.log('✅ transfers table ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createTransfersTable();
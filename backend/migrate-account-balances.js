@@ -0,0 +1,47 @@
+// ============================================
+// MIGRATE ACCOUNTS - OPENING BALANCES
+// File: migrate-account-balances.js
+// Run: node migrate-account-balances.js
+// Purpose: Opening balance + date so account balances can be computed
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateAccountBalances() {
+  try {
+    console.log('📝 Adding opening balance columns to accounts...');
+
+    // opening_balance is the balance AT opening_balance_date;
+    // transactions dated before it are not counted again
+    await pool.query(`
+      ALTER TABLE accounts
+        ADD COLUMN IF NOT EXISTS opening_balance NUMERIC(15, 2) NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS opening_balance_date DATE;
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transactions_account_date
+        ON transactions(account_id, transaction_date);
+    `);
+
+    console.log('✅ accounts opening balance columns ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateAccountBalances();
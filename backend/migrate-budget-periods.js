@@ -0,0 +1,67 @@
+// ============================================
+// MIGRATE - BUDGET PERIODS
+// File: migrate-budget-periods.js
+// Run: node migrate-budget-periods.js
+// Purpose: Budgets per week / month / quarter / year / custom days, and a
+//          per-user month start day (e.g. 25 for salary on the 25th).
+//          Existing budgets stay monthly from the 1st.
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateBudgetPeriods() {
+  try {
+    console.log('📝 Adding period columns to budget_limits...');
+
+    // period_start_day: weekday 1-7 (Monday = 1) for weekly budgets, day of
+    // the month 1-28 otherwise; NULL = the user's budget_month_start_day.
+    // period_start_month: first month of the quarter / year cycle.
+    // custom: periods of custom_period_days days from custom_anchor_date.
+    await pool.query(`
+      ALTER TABLE budget_limits
+        ADD COLUMN IF NOT EXISTS period_type VARCHAR(20) NOT NULL DEFAULT 'monthly'
+          CHECK (period_type IN ('weekly', 'monthly', 'quarterly', 'yearly', 'custom')),
+        ADD COLUMN IF NOT EXISTS period_start_day INTEGER
+          CHECK (period_start_day BETWEEN 1 AND 28),
+        ADD COLUMN IF NOT EXISTS period_start_month INTEGER NOT NULL DEFAULT 1
+          CHECK (period_start_month BETWEEN 1 AND 12),
+        ADD COLUMN IF NOT EXISTS custom_anchor_date DATE,
+        ADD COLUMN IF NOT EXISTS custom_period_days INTEGER
+          CHECK (custom_period_days BETWEEN 1 AND 366);
+    `);
+
+    await pool.query(`
+      ALTER TABLE budget_limits DROP CONSTRAINT IF EXISTS budget_limits_custom_period_check;
+      ALTER TABLE budget_limits ADD CONSTRAINT budget_limits_custom_period_check
+        CHECK (period_type <> 'custom' OR (custom_anchor_date IS NOT NULL AND custom_period_days IS NOT NULL));
+    `);
+
+    console.log('📝 Adding budget_month_start_day to users...');
+
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS budget_month_start_day INTEGER NOT NULL DEFAULT 1
+          CHECK (budget_month_start_day BETWEEN 1 AND 28);
+    `);
+
+    console.log('✅ Budget periods ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateBudgetPeriods();
@@ -0,0 +1,69 @@
+// ============================================
+// MIGRATE - BUDGET ROLLOVER
+// File: migrate-budget-rollover.js
+// Run: node migrate-budget-rollover.js (after migrate-budget-periods.js)
+// Purpose: Opt-in rollover of unspent / overspent amounts into the next
+//          period, and a history of limit changes so any past period can
+//          be recomputed with the limit it had at the time
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateBudgetRollover() {
+  try {
+    console.log('📝 Adding rollover columns to budget_limits...');
+
+    // rollover_since: first day of the period the carry starts from
+    await pool.query(`
+      ALTER TABLE budget_limits
+        ADD COLUMN IF NOT EXISTS rollover_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS rollover_mode VARCHAR(20) NOT NULL DEFAULT 'both'
+          CHECK (rollover_mode IN ('both', 'unspent', 'overspent')),
+        ADD COLUMN IF NOT EXISTS rollover_since DATE;
+    `);
+
+    console.log('📝 Creating budget_limit_history table...');
+
+    // One row per limit change, effective from the start of the period
+    // it was made in
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS budget_limit_history (
+        id SERIAL PRIMARY KEY,
+        budget_limit_id INTEGER NOT NULL REFERENCES budget_limits(id) ON DELETE CASCADE,
+        monthly_limit NUMERIC(15, 2) NOT NULL,
+        effective_from DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (budget_limit_id, effective_from)
+      );
+    `);
+
+    // Existing budgets start with their current limit
+    const seeded = await pool.query(`
+      INSERT INTO budget_limit_history (budget_limit_id, monthly_limit, effective_from)
+      SELECT bl.id, bl.monthly_limit, bl.created_at::date
+      FROM budget_limits bl
+      WHERE NOT EXISTS (SELECT 1 FROM budget_limit_history h WHERE h.budget_limit_id = bl.id)
+    `);
+    console.log(`✅ Seeded limit history for ${seeded.rowCount} budget(s)`);
+
+    console.log('✅ Budget rollover ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateBudgetRollover();
@@ -0,0 +1,46 @@
+// ============================================
+// MIGRATE CATEGORIES - PARENT/CHILD HIERARCHY
+// File: migrate-category-hierarchy.js
+// Run: node migrate-category-hierarchy.js
+// Purpose: Nested categories (Food > Groceries, Food > Dining) so
+//          budgets, breakdowns and exports can roll spending up
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateCategoryHierarchy() {
+  try {
+    console.log('📝 Adding parent_id to categories...');
+
+    // NULL = top-level category. Deleting a parent re-attaches its children
+    // to the grandparent in the API; SET NULL is the fallback for direct deletes
+    await pool.query(`
+      ALTER TABLE categories
+        ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL;
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id) WHERE parent_id IS NOT NULL;
+    `);
+
+    console.log('✅ categories.parent_id ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateCategoryHierarchy();
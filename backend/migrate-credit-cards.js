@@ -0,0 +1,51 @@
+// ============================================
+// MIGRATE ACCOUNTS - CREDIT CARDS
+// File: migrate-credit-cards.js
+// Run: node migrate-credit-cards.js (after create-transfers.js)
+// Purpose: Account types, credit card limits and statement cycles
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateCreditCards() {
+  try {
+    console.log('📝 Adding credit card columns to accounts...');
+
+    // account_type: bank | cash | credit_card
+    await pool.query(`
+      ALTER TABLE accounts
+        ADD COLUMN IF NOT EXISTS account_type VARCHAR(20) NOT NULL DEFAULT 'bank',
+        ADD COLUMN IF NOT EXISTS credit_limit NUMERIC(15, 2),
+        ADD COLUMN IF NOT EXISTS statement_day SMALLINT CHECK (statement_day BETWEEN 1 AND 31),
+        ADD COLUMN IF NOT EXISTS payment_due_day SMALLINT CHECK (payment_due_day BETWEEN 1 AND 31),
+        ADD COLUMN IF NOT EXISTS min_payment_percent NUMERIC(5, 2),
+        ADD COLUMN IF NOT EXISTS min_payment_amount NUMERIC(15, 2);
+    `);
+
+    // kind: transfer | card_payment
+    await pool.query(`
+      ALTER TABLE transfers
+        ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'transfer';
+    `);
+
+    console.log('✅ credit card columns ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateCreditCards();
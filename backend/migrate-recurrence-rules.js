@@ -0,0 +1,40 @@
+// ============================================
+// MIGRATE RECURRING TRANSACTIONS - RECURRENCE RULES
+// File: migrate-recurrence-rules.js
+// Run: node migrate-recurrence-rules.js
+// Purpose: RRULE-style schedules (e.g. last business day of the month)
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateRecurrenceRules() {
+  try {
+    console.log('📝 Adding recurrence_rule to recurring_transactions...');
+
+    // NULL = use the legacy frequency column (Daily ... Annual)
+    await pool.query(`
+      ALTER TABLE recurring_transactions
+        ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+    `);
+
+    console.log('✅ recurring_transactions.recurrence_rule ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateRecurrenceRules();
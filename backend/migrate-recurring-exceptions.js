@@ -0,0 +1,47 @@
+// ============================================
+// MIGRATE RECURRING OCCURRENCES - EXCEPTIONS
+// File: migrate-recurring-exceptions.js
+// Run: node migrate-recurring-exceptions.js (after create-recurring-occurrences.js)
+// Purpose: Skip / postpone / override single recurring occurrences
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateRecurringExceptions() {
+  try {
+    console.log('📝 Adding exception columns to recurring_occurrences...');
+
+    // status values: posted | skipped | postponed | pending (override set, not yet posted)
+    await pool.query(`
+      ALTER TABLE recurring_occurrences
+        ADD COLUMN IF NOT EXISTS postponed_to DATE,
+        ADD COLUMN IF NOT EXISTS override_amount NUMERIC(15, 2),
+        ADD COLUMN IF NOT EXISTS note TEXT;
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_recurring_occurrences_postponed
+        ON recurring_occurrences(postponed_to) WHERE status = 'postponed';
+    `);
+
+    console.log('✅ recurring_occurrences exception columns ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateRecurringExceptions();
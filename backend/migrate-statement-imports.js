@@ -0,0 +1,64 @@
+// ============================================
+// MIGRATE - BANK STATEMENT IMPORTS
+// File: migrate-statement-imports.js
+// Run: node migrate-statement-imports.js
+// Purpose: Keep the bank's transaction id (OFX FITID, CAMT AcctSvcrRef) on
+//          imported transactions so a statement cannot be imported twice,
+//          and remember which PFMS account each statement account goes to
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateStatementImports() {
+  try {
+    console.log('📝 Adding external_id to transactions...');
+
+    await pool.query(`
+      ALTER TABLE transactions
+        ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+    `);
+
+    // Bank ids are only unique within the account they came from
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_account_external_id
+        ON transactions(account_id, external_id)
+        WHERE external_id IS NOT NULL;
+    `);
+
+    console.log('📝 Creating statement_accounts table (if missing)...');
+
+    // external_ref: statement account key from utils/statements.js
+    // ("ofx:<bank id>:<account number>", "camt:<IBAN>", "qif:<name>")
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS statement_accounts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        external_ref VARCHAR(255) NOT NULL,
+        account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, external_ref)
+      );
+    `);
+
+    console.log('✅ Statement imports ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateStatementImports();
@@ -0,0 +1,110 @@
+// ============================================
+// MIGRATE TRANSACTIONS - TYPE + PAYMENT METHOD
+// File: migrate-transaction-types.js
+// Run: node migrate-transaction-types.js
+// Purpose: Split the overloaded `mode` (Income / Expense / Credit Card /
+//          Debit Card / Cash Payment / Transfer) into transaction_type
+//          (income / expense / transfer) and payment_method
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+// Same mapping as LEGACY_MODES in utils/transactionTypes.js;
+// unknown modes are treated as expenses paid by an 'other' method
+const TYPE_SQL = `CASE LOWER(TRIM(mode))
+                    WHEN 'income' THEN 'income'
+                    WHEN 'transfer' THEN 'transfer'
+                    ELSE 'expense' END`;
+
+const METHOD_SQL = `CASE LOWER(TRIM(mode))
+                      WHEN 'income' THEN NULL
+                      WHEN 'transfer' THEN NULL
+                      WHEN 'expense' THEN NULL
+                      WHEN 'credit card' THEN 'credit_card'
+                      WHEN 'debit card' THEN 'debit_card'
+                      WHEN 'cash payment' THEN 'cash'
+                      ELSE 'other' END`;
+
+const TYPE_CHECK = `CHECK (transaction_type IN ('income', 'expense', 'transfer'))`;
+const METHOD_CHECK = `CHECK (payment_method IS NULL OR payment_method IN
+                       ('cash', 'debit_card', 'credit_card', 'bank_transfer', 'upi', 'cheque', 'other'))`;
+
+async function migrateTable(table, withPaymentMethod) {
+  console.log(`📝 Adding transaction_type${withPaymentMethod ? ' / payment_method' : ''} to ${table}...`);
+
+  await pool.query(`
+    ALTER TABLE ${table}
+      ADD COLUMN IF NOT EXISTS transaction_type VARCHAR(10);
+  `);
+  if (withPaymentMethod) {
+    await pool.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS payment_method VARCHAR(20);
+    `);
+  }
+
+  const unknown = await pool.query(`
+    SELECT mode, COUNT(*)::int as count FROM ${table}
+    WHERE transaction_type IS NULL
+    AND LOWER(TRIM(COALESCE(mode, ''))) NOT IN ('income', 'transfer', 'expense', 'credit card', 'debit card', 'cash payment')
+    GROUP BY mode
+  `);
+  unknown.rows.forEach(row => {
+    console.log(`⚠️ ${table}: ${row.count} row(s) with mode "${row.mode}" mapped to expense${withPaymentMethod ? ' / other' : ''}`);
+  });
+
+  const mapped = await pool.query(`
+    UPDATE ${table}
+    SET transaction_type = ${TYPE_SQL}
+        ${withPaymentMethod ? `, payment_method = ${METHOD_SQL}` : ''}
+    WHERE transaction_type IS NULL
+  `);
+  console.log(`✅ ${table}: ${mapped.rowCount} row(s) mapped`);
+
+  await pool.query(`
+    ALTER TABLE ${table}
+      ALTER COLUMN transaction_type SET NOT NULL;
+  `);
+
+  await pool.query(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_transaction_type_check;`);
+  await pool.query(`ALTER TABLE ${table} ADD CONSTRAINT ${table}_transaction_type_check ${TYPE_CHECK};`);
+
+  if (withPaymentMethod) {
+    await pool.query(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_payment_method_check;`);
+    await pool.query(`ALTER TABLE ${table} ADD CONSTRAINT ${table}_payment_method_check ${METHOD_CHECK};`);
+  }
+}
+
+async function migrateTransactionTypes() {
+  try {
+    await migrateTable('transactions', true);
+    await migrateTable('recurring_transactions', true);
+    // Categories only say which kind of transaction they are for
+    await migrateTable('categories', false);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_transactions_user_type_date
+        ON transactions(user_id, transaction_type, transaction_date);
+    `);
+
+    console.log('✅ transaction_type / payment_method ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateTransactionTypes();
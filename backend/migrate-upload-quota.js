@@ -0,0 +1,44 @@
+// ============================================
+// MIGRATE - UPLOAD QUOTA
+// File: migrate-upload-quota.js
+// Run: node migrate-upload-quota.js
+// Purpose: Per-user upload quota; NULL uses UPLOAD_QUOTA_MB (default 100)
+// ============================================
+
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateUploadQuota() {
+  try {
+    console.log('📝 Adding storage_quota_bytes to users...');
+
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS storage_quota_bytes BIGINT
+          CHECK (storage_quota_bytes IS NULL OR storage_quota_bytes >= 0);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_uploads_user ON uploads(user_id);
+    `);
+
+    console.log('✅ Upload quota ready');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateUploadQuota();
@@ -0,0 +1,77 @@
+// ============================================
+// MIGRATE - UPLOAD STORAGE
+// File: migrate-upload-storage.js
+// Run: node migrate-upload-storage.js
+// Purpose: Add content hash / storage columns to uploads and copy files
+//          uploaded before them (still under uploads/ on this disk) into
+//          the configured STORAGE_DRIVER
+// ============================================
+
+const fs = require('fs');
+const { Pool } = require('pg');
+require('dotenv').config();
+const { storeContent, DEFAULT_DRIVER } = require('./utils/storage');
+
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 5432,
+  ssl: { rejectUnauthorized: false }  // ← IMPORTANT for Render
+});
+
+async function migrateUploadStorage() {
+  try {
+    console.log('📝 Adding storage columns to uploads...');
+
+    // storage_key: where the content is in storage_driver (see utils/storage.js);
+    // NULL for old rows that only have a local file_path
+    await pool.query(`
+      ALTER TABLE uploads
+        ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS storage_key VARCHAR(255);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_uploads_user_hash ON uploads(user_id, content_hash);
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_uploads_storage_key ON uploads(storage_driver, storage_key);
+    `);
+
+    console.log(`📝 Moving old uploads into '${DEFAULT_DRIVER}' storage...`);
+
+    const legacy = await pool.query(
+      'SELECT id, file_path, mime_type FROM uploads WHERE storage_key IS NULL ORDER BY id'
+    );
+
+    let moved = 0;
+    let missing = 0;
+    for (const upload of legacy.rows) {
+      if (!upload.file_path || !fs.existsSync(upload.file_path)) {
+        missing++;
+        continue;
+      }
+
+      const stored = await storeContent(fs.readFileSync(upload.file_path), { contentType: upload.mime_type });
+      await pool.query(
+        'UPDATE uploads SET content_hash = $1, storage_driver = $2, storage_key = $3, file_path = $3 WHERE id = $4',
+        [stored.hash, stored.driver, stored.key, upload.id]
+      );
+      fs.unlinkSync(upload.file_path);
+      moved++;
+    }
+
+    console.log(`✅ Upload storage ready (${moved} moved, ${missing} without a file on this disk)`);
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+migrateUploadStorage();
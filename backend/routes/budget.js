@@ -2,24 +2,64 @@
 // ✅ COMPLETE BUDGET.JS - TRULY COMBINED VERSION
 // File: src/backend/routes/budget.js
 // Database: PostgreSQL
-// Fixed: Dec 6, 2025 - NOW PROPERLY COMBINES BY NAME
-// ✅ UPDATED: Joins by category NAME (not ID)
-// ✅ FIXED: Groups Grocery (Expense) + Grocery (Credit Card) together
+// Fixed: Dec 6, 2025
+// ✅ Spending covers the budget's category and its subcategories
+//    (Food = Food > Groceries + Food > Dining), see utils/budgetStatus.js
+// ✅ Same-path duplicates still combine: Grocery (Expense) + Grocery (Credit Card)
 // ============================================
 
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
 const { authMiddleware } = require('../middleware/auth');
+const { normalizeCurrency } = require('../utils/currency');
+const { categoryPathsCte } = require('../utils/categories');
+const { today, toDateString } = require('../utils/recurrence');
+const { MAX_START_DAY, parseBudgetPeriodInput, parseRolloverInput, rolloverSince, parsePeriodQuery } = require('../utils/budgetPeriods');
+const { getMonthStartDay, recordLimitChange, getBudgetStatus, getBudgetHistory } = require('../utils/budgetStatus');
 
 console.log('✅ Budget routes loaded');
 
+// Most periods GET /:id/history returns at once
+const MAX_HISTORY_PERIODS = 120;
+
+// ✅ Period and rollover settings of a budget (plus the period its
+//    spending covers, on status rows)
+function periodFields(budget) {
+    return {
+        period_type: budget.period_type,
+        period_start_day: budget.period_start_day,
+        period_start_month: budget.period_start_month,
+        custom_anchor_date: toDateString(budget.custom_anchor_date),
+        custom_period_days: budget.custom_period_days,
+        rollover_enabled: budget.rollover_enabled,
+        rollover_mode: budget.rollover_mode,
+        rollover_since: toDateString(budget.rollover_since),
+        period: budget.period
+    };
+}
+
+// ✅ Limit, rollover and spending of a status row. available = base_limit
+//    + rollover_in; percentage_used is against available
+function amountFields(budget) {
+    return {
+        base_limit: budget.base_limit,
+        rollover_in: budget.rollover_in,
+        available: budget.available,
+        spent: budget.spent,
+        remaining: budget.remaining,
+        rollover_out: budget.rollover_out
+    };
+}
+
 // ============================================
 // SET BUDGET LIMIT (POST /api/budget/limits)
 // Frontend: fetch(`${BUDGET_API_URL}/limits`, {...})
 // ============================================
 
 router.post('/limits', authMiddleware, async (req, res) => {
+    let client;
+    
     try {
         console.log('📥 POST /api/budget/limits - Setting budget limit');
         console.log('User ID:', req.user.id);
@@ -36,6 +76,14 @@ router.post('/limits', authMiddleware, async (req, res) => {
             });
         }
         
+        const currencyCode = normalizeCurrency(currency);
+        if (!currencyCode) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid currency code: ${currency}`
+            });
+        }
+        
         // ✅ Get category name first
         const catQuery = `SELECT name FROM categories WHERE id = $1 AND user_id = $2`;
         const catResult = await db.query(catQuery, [parseInt(categoryId), userId]);
@@ -49,29 +97,86 @@ router.post('/limits', authMiddleware, async (req, res) => {
         
         const categoryName = catResult.rows[0].name;
         
+        // ✅ Setting a limit again updates the existing budget
+        const existingResult = await db.query(
+            'SELECT * FROM budget_limits WHERE user_id = $1 AND category_id = $2 AND currency = $3',
+            [userId, parseInt(categoryId), currencyCode]
+        );
+        const existing = existingResult.rows[0] || {};
+        
+        // ✅ Period: weekly / monthly (default) / quarterly / yearly / custom;
+        // fields left out keep the existing budget's period
+        const { period, error: periodError } = parseBudgetPeriodInput(req.body, existing);
+        if (periodError) {
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
+        }
+        
+        // ✅ Rollover: opt-in, carries what was left / overspent forward
+        const { rollover, since, error: rolloverError } = parseRolloverInput(req.body, existing);
+        if (rolloverError) {
+            return res.status(400).json({
+                success: false,
+                message: rolloverError
+            });
+        }
+        
+        const monthStartDay = await getMonthStartDay(db, userId);
+        const carryFrom = rolloverSince(existing, { ...period, ...rollover }, { today: today(), monthStartDay, since });
+        
+        client = await db.connect();
+        await client.query('BEGIN');
+        
         // ✅ FIXED: PostgreSQL ON CONFLICT syntax with proper parameters
         const query = `
             INSERT INTO budget_limits 
-            (user_id, category_id, currency, monthly_limit, alert_threshold)
-            VALUES ($1, $2, $3, $4, $5)
+            (user_id, category_id, currency, monthly_limit, alert_threshold,
+             period_type, period_start_day, period_start_month, custom_anchor_date, custom_period_days,
+             rollover_enabled, rollover_mode, rollover_since)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
             ON CONFLICT (user_id, category_id, currency) 
             DO UPDATE SET 
                 monthly_limit = $4,
                 alert_threshold = $5,
+                period_type = $6,
+                period_start_day = $7,
+                period_start_month = $8,
+                custom_anchor_date = $9,
+                custom_period_days = $10,
+                rollover_enabled = $11,
+                rollover_mode = $12,
+                rollover_since = $13,
                 updated_at = NOW()
-            RETURNING id
+            RETURNING *
         `;
         
-        const result = await db.query(query, [
+        const result = await client.query(query, [
             userId,
             parseInt(categoryId),
-            currency,
+            currencyCode,
             parseFloat(monthlyLimit),
-            parseInt(alertThreshold)
+            parseInt(alertThreshold),
+            period.period_type,
+            period.period_start_day,
+            period.period_start_month,
+            period.custom_anchor_date,
+            period.custom_period_days,
+            rollover.rollover_enabled,
+            rollover.rollover_mode,
+            carryFrom
         ]);
         
         const budgetLimit = result.rows[0];
         
+        // ✅ Keep past periods on the limit they had
+        if (!existing.id || parseFloat(existing.monthly_limit) !== parseFloat(budgetLimit.monthly_limit)) {
+            await recordLimitChange(client, budgetLimit, monthStartDay);
+        }
+        
+        await client.query('COMMIT');
+        
         console.log('✅ Budget limit set:', budgetLimit?.id);
         console.log('💡 Category name:', categoryName);
         
@@ -82,19 +187,25 @@ router.post('/limits', authMiddleware, async (req, res) => {
         });
         
     } catch (error) {
+        if (client) await client.query('ROLLBACK');
         console.error('❌ Error setting budget limit:', error.message);
         res.status(500).json({
             success: false,
             message: 'Error setting budget limit',
             error: error.message
         });
+    } finally {
+        if (client) client.release();
     }
 });
 
 // ============================================
-// GET BUDGET STATUS (GET /api/budget/status)
+// GET BUDGET STATUS (GET /api/budget/status?period=&date=)
 // Frontend: fetch(`${BUDGET_API_URL}/status`, {...})
-// ✅ FIXED: JOINS BY CATEGORY NAME (combines all with same name)
+// ✅ Spending rolls up subcategories (by category path)
+// ✅ Each budget's own period (week / month / quarter / year / custom):
+//    date picks the period containing it (default today), period moves
+//    from there (previous, next, -2 ...)
 // ============================================
 
 router.get('/status', authMiddleware, async (req, res) => {
@@ -103,53 +214,19 @@ router.get('/status', authMiddleware, async (req, res) => {
         
         const userId = req.user.id;
         
-        // ✅ FIXED: Query JOINS by category NAME (not ID)
-        // This combines ALL transactions with same category name
-        // E.g., Grocery (Expense) + Grocery (Credit Card) = ONE group
-        const query = `
-            SELECT 
-                bl.id,
-                bl.user_id,
-                bl.category_id,
-                bl.currency,
-                bl.monthly_limit,
-                bl.alert_threshold,
-                c.name as category_name,
-                -- ✅ SUM all transactions with SAME CATEGORY NAME (any mode, any ID)
-                COALESCE(SUM(CASE 
-                    WHEN tc.name = c.name AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment') 
-                    THEN t.amount 
-                    ELSE 0 
-                END), 0) as current_spending,
-                ROUND((COALESCE(SUM(CASE 
-                    WHEN tc.name = c.name AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment') 
-                    THEN t.amount 
-                    ELSE 0 
-                END), 0)::NUMERIC / bl.monthly_limit::NUMERIC) * 100, 2) as percentage_used
-            FROM budget_limits bl
-            LEFT JOIN categories c ON bl.category_id = c.id
-            LEFT JOIN transactions t ON (
-                -- ✅ FIXED: JOIN by category NAME (not ID)
-                -- This matches ALL categories with same name
-                t.user_id = bl.user_id 
-                AND t.currency = bl.currency
-                AND EXTRACT(YEAR FROM t.transaction_date) = EXTRACT(YEAR FROM CURRENT_DATE)
-                AND EXTRACT(MONTH FROM t.transaction_date) = EXTRACT(MONTH FROM CURRENT_DATE)
-                AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment')
-            )
-            LEFT JOIN categories tc ON t.category_id = tc.id
-            WHERE bl.user_id = $1
-            GROUP BY bl.id, bl.user_id, bl.category_id, bl.currency, bl.monthly_limit, bl.alert_threshold, c.name
-            ORDER BY bl.created_at DESC
-        `;
-        
-        const result = await db.query(query, [userId]);
+        const periodQuery = parsePeriodQuery(req.query, today());
+        if (periodQuery.error) {
+            return res.status(400).json({
+                success: false,
+                message: periodQuery.error
+            });
+        }
         
-        const budgets = result.rows;
+        // ✅ Spending covers the category and everything under it
+        const budgets = await getBudgetStatus(db, userId, periodQuery);
         
         console.log('✅ Found:', budgets.length, 'budget limits');
-        console.log('📝 COMBINED by Category NAME: All transactions with same name grouped');
-        console.log('💡 Example: Grocery (Expense) + Grocery (Credit Card) = ONE total');
+        console.log('📝 Spending rolled up by category path (subcategories included)');
         
         if (!budgets || budgets.length === 0) {
             console.log('⚠️ No budgets set for this user');
@@ -157,7 +234,9 @@ router.get('/status', authMiddleware, async (req, res) => {
                 success: true,
                 budget_status: [],
                 budgetstatus: [],
-                alerts: []
+                alerts: [],
+                date: periodQuery.date,
+                offset: periodQuery.offset
             });
         }
         
@@ -167,10 +246,11 @@ router.get('/status', authMiddleware, async (req, res) => {
             .map(b => ({
                 budgetId: b.id,
                 categoryName: b.category_name,
-                message: `⚠️ ${b.category_name}: ${b.percentage_used}% of budget used (${b.currency} ${parseFloat(b.current_spending).toFixed(2)} / ${parseFloat(b.monthly_limit).toFixed(2)}) - Combined: ALL modes with same category name`,
+                message: `⚠️ ${b.category_name}: ${b.percentage_used}% of budget used (${b.currency} ${parseFloat(b.current_spending).toFixed(2)} / ${b.available.toFixed(2)}, ${b.period.label}) - Includes subcategories`,
                 alertType: parseFloat(b.percentage_used) >= 100 ? 'Critical' : 'Warning',
                 percentageUsed: b.percentage_used,
                 threshold: b.alert_threshold,
+                period: b.period,
                 combinedSpending: true
             }));
         
@@ -190,19 +270,23 @@ router.get('/status', authMiddleware, async (req, res) => {
             current_spending: parseFloat(b.current_spending),
             percentageused: parseFloat(b.percentage_used),
             percentage_used: parseFloat(b.percentage_used),
+            ...amountFields(b),
+            ...periodFields(b),
             combinedSpending: true,
-            note: 'Combined spending from ALL modes with same category name'
+            note: 'Spending from the category and its subcategories, all payment methods'
         }));
         
         console.log('✅ Budget status response prepared');
-        console.log('🎯 Budgets:', mappedBudgets.map(b => `${b.category_name}: ${b.current_spending}/${b.monthly_limit}`));
+        console.log('🎯 Budgets:', mappedBudgets.map(b => `${b.category_name}: ${b.current_spending}/${b.available} (${b.period.label})`));
         
         res.json({
             success: true,
             budget_status: mappedBudgets,
             budgetstatus: mappedBudgets,
             alerts: alerts,
-            note: 'All transactions grouped by category NAME - All modes combined (Expense, Credit Card, Debit Card, Cash Payment)'
+            date: periodQuery.date,
+            offset: periodQuery.offset,
+            note: 'Spending rolled up by category path - all payment methods combined'
         });
         
     } catch (error) {
@@ -228,25 +312,30 @@ router.get('/categories', authMiddleware, async (req, res) => {
 
         console.log('📤 GET /api/budget/categories - Fetching for user:', userId);
 
-        // ✅ FIXED: Get all Expense/Credit Card categories
+        // ✅ FIXED: Get all expense categories (any payment method)
         // Return one category per unique ID
         const query = `
+            WITH RECURSIVE ${categoryPathsCte('$1')}
             SELECT 
-                id,
-                name,
-                mode,
-                user_id
+                c.id,
+                c.name,
+                c.mode,
+                c.transaction_type,
+                c.user_id,
+                c.parent_id,
+                COALESCE(cp.full_name, c.name) as full_name
             FROM categories c
+            LEFT JOIN category_paths cp ON cp.id = c.id
             WHERE c.user_id = $1
-            AND c.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment')
-            ORDER BY name ASC
+            AND c.transaction_type = 'expense'
+            ORDER BY full_name ASC
         `;
 
         const result = await db.query(query, [userId]);
         const categories = result.rows;
 
         console.log('✅ Found:', categories.length, 'categories');
-        console.log('💡 All spending modes: Expense + Credit Card + Debit Card + Cash Payment');
+        console.log('💡 All expense transactions count, whatever the payment method');
 
         if (!categories || categories.length === 0) {
             console.log('⚠️ No categories found for budget tracking');
@@ -254,8 +343,8 @@ router.get('/categories', authMiddleware, async (req, res) => {
                 success: true,
                 categories: [],
                 total: 0,
-                message: 'Please create Expense or Credit Card categories first',
-                note: 'Categories with expense/credit card modes will be available for budget tracking'
+                message: 'Please create expense categories first',
+                note: 'Expense categories will be available for budget tracking'
             });
         }
 
@@ -263,15 +352,17 @@ router.get('/categories', authMiddleware, async (req, res) => {
         const mappedCategories = categories.map(cat => ({
             id: cat.id,
             name: cat.name,
-            displayName: cat.name,
-            mode: cat.mode
+            displayName: cat.full_name,
+            parent_id: cat.parent_id,
+            mode: cat.mode,
+            transaction_type: cat.transaction_type
         }));
 
         res.json({
             success: true,
             categories: mappedCategories,
             total: mappedCategories.length,
-            note: 'Set budget for ANY category - will combine all transactions with same name',
+            note: 'Set budget for ANY category - its subcategories count towards it',
             combinedTracking: true
         });
 
@@ -286,9 +377,149 @@ router.get('/categories', authMiddleware, async (req, res) => {
 });
 
 // ============================================
-// GET BUDGET BY ID (GET /api/budget/:id)
+// GET BUDGET ALERTS (GET /api/budget/alerts?period=&date=)
+// Frontend: fetch(`${BUDGET_API_URL}/alerts`, {...})
+// ✅ Spending rolls up subcategories (by category path)
+// ✅ Same periods as /status; declared before /:id so it is reachable
+// ============================================
+
+router.get('/alerts', authMiddleware, async (req, res) => {
+    try {
+        console.log('🔔 GET /api/budget/alerts - Fetching for user:', req.user.id);
+        
+        const userId = req.user.id;
+        
+        const periodQuery = parsePeriodQuery(req.query, today());
+        if (periodQuery.error) {
+            return res.status(400).json({
+                success: false,
+                message: periodQuery.error
+            });
+        }
+        
+        const budgets = (await getBudgetStatus(db, userId, periodQuery))
+            .sort((a, b) => b.percentage_used - a.percentage_used);
+        
+        // Generate detailed alerts based on COMBINED spending
+        const alerts = budgets.map(b => {
+            const percentUsed = parseFloat(b.percentage_used);
+            const threshold = parseFloat(b.alert_threshold);
+            const isAlert = percentUsed >= threshold;
+            const isCritical = percentUsed >= 100;
+            
+            return {
+                budgetId: b.id,
+                categoryName: b.category_name,
+                currency: b.currency,
+                monthlyLimit: parseFloat(b.monthly_limit),
+                baseLimit: b.base_limit,
+                rolloverIn: b.rollover_in,
+                available: b.available,
+                currentSpending: parseFloat(b.current_spending),
+                percentageUsed: percentUsed,
+                threshold: threshold,
+                hasAlert: isAlert,
+                alertType: isCritical ? 'Critical' : (isAlert ? 'Warning' : 'OK'),
+                message: isAlert 
+                    ? `⚠️ ${b.category_name}: ${percentUsed}% of budget used (${b.currency} ${parseFloat(b.current_spending).toFixed(2)} / ${b.available.toFixed(2)}, ${b.period.label}) - Includes subcategories`
+                    : `✅ ${b.category_name}: ${percentUsed}% of budget used (${b.period.label}) - Includes subcategories`,
+                remainingBudget: Math.max(0, b.remaining),
+                period: b.period,
+                combinedSpending: true,
+                note: 'Spending from the category and its subcategories - all modes included'
+            };
+        });
+        
+        console.log('✅ Found:', alerts.length, 'budgets');
+        console.log('💡 All budgets roll up their subcategories');
+        
+        res.json({
+            success: true,
+            alerts: alerts,
+            summary: {
+                total: alerts.length,
+                warnings: alerts.filter(a => a.alertType === 'Warning').length,
+                critical: alerts.filter(a => a.alertType === 'Critical').length,
+                ok: alerts.filter(a => a.alertType === 'OK').length
+            },
+            date: periodQuery.date,
+            offset: periodQuery.offset,
+            note: 'Budgets rolled up by category path - all payment methods combined'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error fetching alerts:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching alerts',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// BUDGET SETTINGS (GET/PUT /api/budget/settings)
+// monthStartDay: day (1-28) months start on for monthly, quarterly and
+// yearly budgets without their own start day, e.g. 25 for salary on the 25th
+// ============================================
+
+router.get('/settings', authMiddleware, async (req, res) => {
+    try {
+        const monthStartDay = await getMonthStartDay(db, req.user.id);
+        
+        res.json({
+            success: true,
+            settings: { monthStartDay }
+        });
+        
+    } catch (error) {
+        console.error('❌ Error fetching budget settings:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching budget settings',
+            error: error.message
+        });
+    }
+});
+
+router.put('/settings', authMiddleware, async (req, res) => {
+    try {
+        const monthStartDay = parseInt(req.body.monthStartDay);
+        
+        console.log('📝 PUT /api/budget/settings - Month start day:', monthStartDay);
+        
+        if (isNaN(monthStartDay) || monthStartDay < 1 || monthStartDay > MAX_START_DAY) {
+            return res.status(400).json({
+                success: false,
+                message: `monthStartDay must be between 1 and ${MAX_START_DAY}`
+            });
+        }
+        
+        await db.query(
+            'UPDATE users SET budget_month_start_day = $1 WHERE id = $2',
+            [monthStartDay, req.user.id]
+        );
+        
+        res.json({
+            success: true,
+            message: 'Budget settings saved',
+            settings: { monthStartDay }
+        });
+        
+    } catch (error) {
+        console.error('❌ Error saving budget settings:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving budget settings',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// GET BUDGET BY ID (GET /api/budget/:id?period=&date=)
 // Frontend: fetch(`${BUDGET_API_URL}/${id}`, {...})
-// ✅ FIXED: Joins by category NAME
+// ✅ Spending rolls up subcategories (by category path)
 // ============================================
 
 router.get('/:id', authMiddleware, async (req, res) => {
@@ -298,47 +529,15 @@ router.get('/:id', authMiddleware, async (req, res) => {
         
         console.log('📤 GET /api/budget/:id - Fetching:', id);
         
-        // ✅ FIXED: Query joins by category NAME
-        const query = `
-            SELECT 
-                bl.id,
-                bl.user_id,
-                bl.category_id,
-                bl.currency,
-                bl.monthly_limit,
-                bl.alert_threshold,
-                c.name as category_name,
-                -- ✅ COMBINED spending by category NAME
-                COALESCE(SUM(CASE 
-                    WHEN tc.name = c.name AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment') 
-                    THEN t.amount 
-                    ELSE 0 
-                END), 0) as current_spending,
-                ROUND((COALESCE(SUM(CASE 
-                    WHEN tc.name = c.name AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment') 
-                    THEN t.amount 
-                    ELSE 0 
-                END), 0)::NUMERIC / bl.monthly_limit::NUMERIC) * 100, 2) as percentage_used,
-                bl.created_at,
-                bl.updated_at
-            FROM budget_limits bl
-            LEFT JOIN categories c ON bl.category_id = c.id
-            LEFT JOIN transactions t ON (
-                -- ✅ FIXED: JOIN by category NAME
-                t.user_id = bl.user_id 
-                AND t.currency = bl.currency
-                AND EXTRACT(YEAR FROM t.transaction_date) = EXTRACT(YEAR FROM CURRENT_DATE)
-                AND EXTRACT(MONTH FROM t.transaction_date) = EXTRACT(MONTH FROM CURRENT_DATE)
-                AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment')
-            )
-            LEFT JOIN categories tc ON t.category_id = tc.id
-            WHERE bl.id = $1 AND bl.user_id = $2
-            GROUP BY bl.id, bl.user_id, bl.category_id, bl.currency, bl.monthly_limit, bl.alert_threshold, c.name
-        `;
-        
-        const result = await db.query(query, [parseInt(id), userId]);
+        const periodQuery = parsePeriodQuery(req.query, today());
+        if (periodQuery.error) {
+            return res.status(400).json({
+                success: false,
+                message: periodQuery.error
+            });
+        }
         
-        const budgets = result.rows;
+        const budgets = await getBudgetStatus(db, userId, { ...periodQuery, budgetId: parseInt(id) || 0 });
         
         if (!budgets || budgets.length === 0) {
             console.log('❌ Budget not found:', id);
@@ -351,7 +550,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
         const budget = budgets[0];
         
         console.log('✅ Budget retrieved:', budget.id);
-        console.log('💡 Spending:', budget.current_spending, '- grouped by category NAME');
+        console.log('💡 Spending:', budget.current_spending, '- rolled up by category path');
         
         res.json({
             success: true,
@@ -364,10 +563,12 @@ router.get('/:id', authMiddleware, async (req, res) => {
                 alert_threshold: parseFloat(budget.alert_threshold),
                 current_spending: parseFloat(budget.current_spending),
                 percentage_used: parseFloat(budget.percentage_used),
+                ...amountFields(budget),
+                ...periodFields(budget),
                 created_at: budget.created_at,
                 updated_at: budget.updated_at,
                 combinedSpending: true,
-                note: 'Spending combined from all modes with same category name'
+                note: 'Spending from the category and its subcategories, all payment methods'
             }
         });
         
@@ -381,12 +582,75 @@ router.get('/:id', authMiddleware, async (req, res) => {
     }
 });
 
+// ============================================
+// BUDGET HISTORY (GET /api/budget/:id/history?periods=12&period=&date=)
+// Frontend: fetch(`${BUDGET_API_URL}/${id}/history`, {...})
+// ✅ Past periods recomputed from transactions and the limit each period
+//    had (budget_limit_history), rollover carried period to period
+// ============================================
+
+router.get('/:id/history', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+        
+        console.log('📤 GET /api/budget/:id/history - Fetching:', id);
+        
+        const periodQuery = parsePeriodQuery(req.query, today());
+        if (periodQuery.error) {
+            return res.status(400).json({
+                success: false,
+                message: periodQuery.error
+            });
+        }
+        
+        const count = Math.min(Math.max(parseInt(req.query.periods) || 12, 1), MAX_HISTORY_PERIODS);
+        const history = await getBudgetHistory(db, userId, parseInt(id) || 0, { ...periodQuery, count });
+        
+        if (!history) {
+            console.log('❌ Budget not found:', id);
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found'
+            });
+        }
+        
+        const { budget, periods } = history;
+        
+        console.log('✅ Budget history:', periods.length, 'periods');
+        
+        res.json({
+            success: true,
+            budget: {
+                id: budget.id,
+                category_id: budget.category_id,
+                category_name: budget.category_name,
+                currency: budget.currency,
+                monthly_limit: parseFloat(budget.monthly_limit),
+                alert_threshold: parseFloat(budget.alert_threshold),
+                ...periodFields(budget)
+            },
+            periods: periods
+        });
+        
+    } catch (error) {
+        console.error('❌ Error fetching budget history:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching budget history',
+            error: error.message
+        });
+    }
+});
+
 // ============================================
 // UPDATE BUDGET LIMIT (PUT /api/budget/:id)
 // Frontend: fetch(`${BUDGET_API_URL}/${id}`, {method: 'PUT', ...})
 // ============================================
 
 router.put('/:id', authMiddleware, async (req, res) => {
+    let client;
+    
     try {
         const { id } = req.params;
         const { monthlyLimit, alertThreshold } = req.body;
@@ -402,32 +666,79 @@ router.put('/:id', authMiddleware, async (req, res) => {
             });
         }
         
+        // ✅ Period and rollover fields left out keep their current value
+        const currentResult = await db.query(
+            'SELECT * FROM budget_limits WHERE id = $1 AND user_id = $2',
+            [parseInt(id) || 0, userId]
+        );
+        
+        if (currentResult.rows.length === 0) {
+            console.log('❌ Budget not found:', id);
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found'
+            });
+        }
+        
+        const current = currentResult.rows[0];
+        
+        const { period, error: periodError } = parseBudgetPeriodInput(req.body, current);
+        if (periodError) {
+            return res.status(400).json({
+                success: false,
+                message: periodError
+            });
+        }
+        
+        const { rollover, since, error: rolloverError } = parseRolloverInput(req.body, current);
+        if (rolloverError) {
+            return res.status(400).json({
+                success: false,
+                message: rolloverError
+            });
+        }
+        
+        const monthStartDay = await getMonthStartDay(db, userId);
+        const carryFrom = rolloverSince(current, { ...period, ...rollover }, { today: today(), monthStartDay, since });
+        
+        client = await db.connect();
+        await client.query('BEGIN');
+        
         // ✅ FIXED: PostgreSQL parameter syntax
         const query = `
             UPDATE budget_limits 
-            SET monthly_limit = $1, alert_threshold = $2, updated_at = NOW()
-            WHERE id = $3 AND user_id = $4
-            RETURNING id, category_id, currency, monthly_limit, alert_threshold
+            SET monthly_limit = $1, alert_threshold = $2,
+                period_type = $3, period_start_day = $4, period_start_month = $5,
+                custom_anchor_date = $6, custom_period_days = $7,
+                rollover_enabled = $8, rollover_mode = $9, rollover_since = $10,
+                updated_at = NOW()
+            WHERE id = $11 AND user_id = $12
+            RETURNING *
         `;
         
-        const result = await db.query(query, [
+        const result = await client.query(query, [
             parseFloat(monthlyLimit),
             parseInt(alertThreshold),
-            parseInt(id),
+            period.period_type,
+            period.period_start_day,
+            period.period_start_month,
+            period.custom_anchor_date,
+            period.custom_period_days,
+            rollover.rollover_enabled,
+            rollover.rollover_mode,
+            carryFrom,
+            current.id,
             userId
         ]);
         
-        const budgets = result.rows;
+        const budget = result.rows[0];
         
-        if (!budgets || budgets.length === 0) {
-            console.log('❌ Budget not found:', id);
-            return res.status(404).json({
-                success: false,
-                message: 'Budget not found'
-            });
+        // ✅ Keep past periods on the limit they had
+        if (parseFloat(current.monthly_limit) !== parseFloat(budget.monthly_limit)) {
+            await recordLimitChange(client, budget, monthStartDay);
         }
         
-        const budget = budgets[0];
+        await client.query('COMMIT');
         
         console.log('✅ Budget updated:', budget.id);
         
@@ -439,17 +750,21 @@ router.put('/:id', authMiddleware, async (req, res) => {
                 category_id: budget.category_id,
                 currency: budget.currency,
                 monthly_limit: parseFloat(budget.monthly_limit),
-                alert_threshold: parseFloat(budget.alert_threshold)
+                alert_threshold: parseFloat(budget.alert_threshold),
+                ...periodFields(budget)
             }
         });
         
     } catch (error) {
+        if (client) await client.query('ROLLBACK');
         console.error('❌ Error updating budget:', error.message);
         res.status(500).json({
             success: false,
             message: 'Error updating budget',
             error: error.message
         });
+    } finally {
+        if (client) client.release();
     }
 });
 
@@ -500,108 +815,4 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     }
 });
 
-// ============================================
-// GET BUDGET ALERTS (GET /api/budget/alerts)
-// Frontend: fetch(`${BUDGET_API_URL}/alerts`, {...})
-// ✅ FIXED: Joins by category NAME
-// ============================================
-
-router.get('/alerts', authMiddleware, async (req, res) => {
-    try {
-        console.log('🔔 GET /api/budget/alerts - Fetching for user:', req.user.id);
-        
-        const userId = req.user.id;
-        
-        // ✅ FIXED: Query joins by category NAME
-        const query = `
-            SELECT 
-                bl.id,
-                bl.user_id,
-                bl.category_id,
-                bl.currency,
-                bl.monthly_limit,
-                bl.alert_threshold,
-                c.name as category_name,
-                -- ✅ COMBINED spending by category NAME
-                COALESCE(SUM(CASE 
-                    WHEN tc.name = c.name AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment') 
-                    THEN t.amount 
-                    ELSE 0 
-                END), 0) as current_spending,
-                ROUND((COALESCE(SUM(CASE 
-                    WHEN tc.name = c.name AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment') 
-                    THEN t.amount 
-                    ELSE 0 
-                END), 0)::NUMERIC / bl.monthly_limit::NUMERIC) * 100, 2) as percentage_used
-            FROM budget_limits bl
-            LEFT JOIN categories c ON bl.category_id = c.id
-            LEFT JOIN transactions t ON (
-                -- ✅ FIXED: JOIN by category NAME
-                t.user_id = bl.user_id 
-                AND t.currency = bl.currency
-                AND EXTRACT(YEAR FROM t.transaction_date) = EXTRACT(YEAR FROM CURRENT_DATE)
-                AND EXTRACT(MONTH FROM t.transaction_date) = EXTRACT(MONTH FROM CURRENT_DATE)
-                AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment')
-            )
-            LEFT JOIN categories tc ON t.category_id = tc.id
-            WHERE bl.user_id = $1
-            GROUP BY bl.id, bl.user_id, bl.category_id, bl.currency, bl.monthly_limit, bl.alert_threshold, c.name
-            ORDER BY percentage_used DESC
-        `;
-        
-        const result = await db.query(query, [userId]);
-        
-        const budgets = result.rows;
-        
-        // Generate detailed alerts based on COMBINED spending
-        const alerts = budgets.map(b => {
-            const percentUsed = parseFloat(b.percentage_used);
-            const threshold = parseFloat(b.alert_threshold);
-            const isAlert = percentUsed >= threshold;
-            const isCritical = percentUsed >= 100;
-            
-            return {
-                budgetId: b.id,
-                categoryName: b.category_name,
-                currency: b.currency,
-                monthlyLimit: parseFloat(b.monthly_limit),
-                currentSpending: parseFloat(b.current_spending),
-                percentageUsed: percentUsed,
-                threshold: threshold,
-                hasAlert: isAlert,
-                alertType: isCritical ? 'Critical' : (isAlert ? 'Warning' : 'OK'),
-                message: isAlert 
-                    ? `⚠️ ${b.category_name}: ${percentUsed}% of budget used (${b.currency} ${parseFloat(b.current_spending).toFixed(2)} / ${parseFloat(b.monthly_limit).toFixed(2)}) - Combined all modes`
-                    : `✅ ${b.category_name}: ${percentUsed}% of budget used - Combined all modes`,
-                remainingBudget: Math.max(0, parseFloat(b.monthly_limit) - parseFloat(b.current_spending)),
-                combinedSpending: true,
-                note: 'Combined spending by category NAME - all modes included'
-            };
-        });
-        
-        console.log('✅ Found:', alerts.length, 'budgets');
-        console.log('💡 All budgets combine transactions by category name');
-        
-        res.json({
-            success: true,
-            alerts: alerts,
-            summary: {
-                total: alerts.length,
-                warnings: alerts.filter(a => a.alertType === 'Warning').length,
-                critical: alerts.filter(a => a.alertType === 'Critical').length,
-                ok: alerts.filter(a => a.alertType === 'OK').length
-            },
-            note: 'Budgets grouped by category NAME - all modes combined (Expense, Credit Card, Debit Card, Cash Payment)'
-        });
-        
-    } catch (error) {
-        console.error('❌ Error fetching alerts:', error.message);
-        res.status(500).json({
-            success: false,
-            message: 'Error fetching alerts',
-            error: error.message
-        });
-    }
-});
-
 module.exports = router;
\ No newline at end of file
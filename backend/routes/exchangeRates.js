@@ -0,0 +1,439 @@
+// ============================================
+// EXCHANGE RATES ROUTES
+// File: src/backend/routes/exchangeRates.js
+// Database: PostgreSQL
+// Dated exchange rates (manual entry or CSV import) and the user's base
+// currency. Reports convert with ?convert_to=<code>|base
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const multer = require('multer');
+const XLSX = require('xlsx');
+const fs = require('fs');
+const { authMiddleware } = require('../middleware/auth');
+const { toDateString, today } = require('../utils/recurrence');
+const { normalizeCurrency, currencySymbol } = require('../utils/currency');
+const { getRate } = require('../utils/exchangeRates');
+
+console.log('✅ Exchange rate routes loaded');
+
+const upload = multer({
+    dest: 'uploads/',
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'text/csv' ||
+            file.mimetype === 'application/vnd.ms-excel' ||
+            file.originalname.toLowerCase().endsWith('.csv')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files allowed'));
+        }
+    }
+});
+
+
+// ✅ Validate one rate (manual entry or CSV row)
+function parseRateInput({ from, to, rate, date }) {
+    const fromCurrency = normalizeCurrency(from);
+    const toCurrency = normalizeCurrency(to);
+    const rateValue = parseFloat(rate);
+    const rateDate = toDateString(date);
+
+    if (!fromCurrency || !toCurrency) {
+        return { error: `Invalid currency pair: ${from} -> ${to}` };
+    }
+    if (fromCurrency === toCurrency) {
+        return { error: 'From and to currency must differ' };
+    }
+    if (!rateValue || rateValue <= 0) {
+        return { error: `Invalid rate: ${rate}` };
+    }
+    if (!rateDate) {
+        return { error: `Invalid date: ${date}` };
+    }
+
+    return { rate: { fromCurrency, toCurrency, rate: rateValue, rateDate } };
+}
+
+
+// One rate per pair and day: a newer entry replaces the old one
+const UPSERT_RATE = `
+    INSERT INTO exchange_rates (user_id, from_currency, to_currency, rate, rate_date, source)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (user_id, from_currency, to_currency, rate_date)
+    DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = NOW()
+    RETURNING *, (xmax = 0) as inserted
+`;
+
+// ============================================
+// GET BASE CURRENCY (GET /api/exchange-rates/base-currency)
+// ============================================
+
+router.get('/base-currency', authMiddleware, async (req, res) => {
+    try {
+        const result = await db.query('SELECT base_currency FROM users WHERE id = $1', [req.user.id]);
+        const baseCurrency = result.rows[0] ? result.rows[0].base_currency : null;
+
+        res.json({
+            success: true,
+            baseCurrency,
+            symbol: currencySymbol(baseCurrency)
+        });
+    } catch (error) {
+        console.error('❌ Error fetching base currency:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching base currency',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// SET BASE CURRENCY (PUT /api/exchange-rates/base-currency)
+// Body: { baseCurrency } (null clears it)
+// ============================================
+
+router.put('/base-currency', authMiddleware, async (req, res) => {
+    try {
+        console.log('📝 PUT /api/exchange-rates/base-currency - User:', req.user.id);
+
+        const { baseCurrency } = req.body;
+        let currencyCode = null;
+
+        if (baseCurrency) {
+            currencyCode = normalizeCurrency(baseCurrency);
+            if (!currencyCode) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid currency code: ${baseCurrency}`
+                });
+            }
+        }
+
+        await db.query('UPDATE users SET base_currency = $1 WHERE id = $2', [currencyCode, req.user.id]);
+
+        res.json({
+            success: true,
+            message: currencyCode ? `Base currency set to ${currencyCode}` : 'Base currency cleared',
+            baseCurrency: currencyCode
+        });
+    } catch (error) {
+        console.error('❌ Error setting base currency:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error setting base currency',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// CONVERT AN AMOUNT (GET /api/exchange-rates/convert?amount&from&to&date)
+// Uses the rate valid on `date` (default today)
+// ============================================
+
+router.get('/convert', authMiddleware, async (req, res) => {
+    try {
+        const from = normalizeCurrency(req.query.from);
+        const to = normalizeCurrency(req.query.to);
+        const amount = parseFloat(req.query.amount);
+        const date = req.query.date ? toDateString(req.query.date) : today();
+
+        if (!from || !to || isNaN(amount) || !date) {
+            return res.status(400).json({
+                success: false,
+                message: 'amount, from, to (ISO codes) and an optional valid date are required'
+            });
+        }
+
+        const rate = await getRate(db, req.user.id, from, to, date);
+        if (rate === null) {
+            return res.status(404).json({
+                success: false,
+                message: `No exchange rate for ${from} -> ${to}`
+            });
+        }
+
+        res.json({
+            success: true,
+            from,
+            to,
+            date,
+            rate,
+            amount,
+            converted: Math.round(amount * rate * 100) / 100
+        });
+    } catch (error) {
+        console.error('❌ Error converting amount:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error converting amount',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// IMPORT RATES FROM CSV (POST /api/exchange-rates/import)
+// Columns: date, from, to, rate (header names are case-insensitive;
+// from_currency / to_currency / rate_date also accepted)
+// ============================================
+
+router.post('/import', authMiddleware, upload.single('file'), async (req, res) => {
+    let client;
+
+    try {
+        console.log('📥 POST /api/exchange-rates/import - User:', req.user.id);
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+
+        // raw: keep CSV cells as text so dates and rates are not reinterpreted
+        const workbook = XLSX.readFile(req.file.path, { raw: true });
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+        fs.unlinkSync(req.file.path);
+
+        if (rows.length === 0) {
+            return res.status(400).json({ success: false, message: 'CSV file is empty' });
+        }
+
+        const column = (row, ...names) => {
+            const key = Object.keys(row).find(k => names.includes(k.trim().toLowerCase()));
+            return key ? String(row[key]).trim() : '';
+        };
+
+        const errors = [];
+        let inserted = 0;
+        let updated = 0;
+
+        client = await db.connect();
+        await client.query('BEGIN');
+
+        for (let i = 0; i < rows.length; i++) {
+            const parsed = parseRateInput({
+                date: column(rows[i], 'date', 'rate_date'),
+                from: column(rows[i], 'from', 'from_currency'),
+                to: column(rows[i], 'to', 'to_currency'),
+                rate: column(rows[i], 'rate')
+            });
+
+            if (parsed.error) {
+                errors.push({ row: i + 2, error: parsed.error });
+                continue;
+            }
+
+            const { fromCurrency, toCurrency, rate, rateDate } = parsed.rate;
+            const result = await client.query(UPSERT_RATE, [req.user.id, fromCurrency, toCurrency, rate, rateDate, 'csv']);
+            if (result.rows[0].inserted) {
+                inserted++;
+            } else {
+                updated++;
+            }
+        }
+
+        await client.query('COMMIT');
+
+        console.log(`✅ Rates imported: ${inserted} new, ${updated} updated, ${errors.length} rejected`);
+
+        res.json({
+            success: true,
+            message: `Imported ${inserted + updated} rates`,
+            inserted,
+            updated,
+            errors
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK');
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+        console.error('❌ Error importing exchange rates:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error importing exchange rates',
+            error: error.message
+        });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// ============================================
+// LIST RATES (GET /api/exchange-rates?from&to)
+// ============================================
+
+router.get('/', authMiddleware, async (req, res) => {
+    try {
+        const params = [req.user.id];
+        let query = 'SELECT * FROM exchange_rates WHERE user_id = $1';
+
+        if (req.query.from) {
+            params.push(normalizeCurrency(req.query.from));
+            query += ` AND from_currency = $${params.length}`;
+        }
+        if (req.query.to) {
+            params.push(normalizeCurrency(req.query.to));
+            query += ` AND to_currency = $${params.length}`;
+        }
+
+        query += ' ORDER BY from_currency, to_currency, rate_date DESC';
+
+        const result = await db.query(query, params);
+
+        res.json({
+            success: true,
+            rates: result.rows.map(row => ({
+                ...row,
+                rate: parseFloat(row.rate),
+                rate_date: toDateString(row.rate_date)
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching exchange rates:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching exchange rates',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// ADD RATE (POST /api/exchange-rates)
+// Body: { fromCurrency, toCurrency, rate, rateDate }
+// 1 fromCurrency = rate toCurrency from rateDate onwards
+// ============================================
+
+router.post('/', authMiddleware, async (req, res) => {
+    try {
+        console.log('📥 POST /api/exchange-rates - User:', req.user.id);
+
+        const parsed = parseRateInput({
+            from: req.body.fromCurrency,
+            to: req.body.toCurrency,
+            rate: req.body.rate,
+            date: req.body.rateDate || today()
+        });
+
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const { fromCurrency, toCurrency, rate, rateDate } = parsed.rate;
+        const result = await db.query(UPSERT_RATE, [req.user.id, fromCurrency, toCurrency, rate, rateDate, 'manual']);
+        const { inserted, ...saved } = result.rows[0];
+
+        res.status(inserted ? 201 : 200).json({
+            success: true,
+            message: inserted ? 'Exchange rate added' : 'Exchange rate updated',
+            rate: { ...saved, rate: parseFloat(saved.rate), rate_date: toDateString(saved.rate_date) }
+        });
+    } catch (error) {
+        console.error('❌ Error saving exchange rate:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving exchange rate',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// UPDATE RATE (PUT /api/exchange-rates/:id)
+// ============================================
+
+router.put('/:id', authMiddleware, async (req, res) => {
+    try {
+        const rateId = parseInt(req.params.id);
+        if (!rateId) {
+            return res.status(400).json({ success: false, message: 'Invalid exchange rate id' });
+        }
+
+        const existing = await db.query(
+            'SELECT * FROM exchange_rates WHERE id = $1 AND user_id = $2',
+            [rateId, req.user.id]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Exchange rate not found' });
+        }
+
+        const current = existing.rows[0];
+        const parsed = parseRateInput({
+            from: req.body.fromCurrency || current.from_currency,
+            to: req.body.toCurrency || current.to_currency,
+            rate: req.body.rate !== undefined ? req.body.rate : current.rate,
+            date: req.body.rateDate || current.rate_date
+        });
+
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const { fromCurrency, toCurrency, rate, rateDate } = parsed.rate;
+        const result = await db.query(
+            `UPDATE exchange_rates
+             SET from_currency = $1, to_currency = $2, rate = $3, rate_date = $4,
+                 source = 'manual', updated_at = NOW()
+             WHERE id = $5 AND user_id = $6
+             RETURNING *`,
+            [fromCurrency, toCurrency, rate, rateDate, rateId, req.user.id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Exchange rate updated',
+            rate: { ...result.rows[0], rate: parseFloat(result.rows[0].rate), rate_date: toDateString(result.rows[0].rate_date) }
+        });
+    } catch (error) {
+        // unique (pair, date) clash with another row
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                message: 'A rate for this currency pair and date already exists'
+            });
+        }
+        console.error('❌ Error updating exchange rate:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating exchange rate',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// DELETE RATE (DELETE /api/exchange-rates/:id)
+// ============================================
+
+router.delete('/:id', authMiddleware, async (req, res) => {
+    try {
+        const rateId = parseInt(req.params.id);
+        if (!rateId) {
+            return res.status(400).json({ success: false, message: 'Invalid exchange rate id' });
+        }
+
+        const result = await db.query(
+            'DELETE FROM exchange_rates WHERE id = $1 AND user_id = $2 RETURNING id',
+            [rateId, req.user.id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, message: 'Exchange rate not found' });
+        }
+
+        res.json({ success: true, message: 'Exchange rate deleted' });
+    } catch (error) {
+        console.error('❌ Error deleting exchange rate:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting exchange rate',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -10,12 +10,17 @@ const router = express.Router();
 const ExcelJS = require('exceljs');
 const db = require('../config/db');
 const { authMiddleware } = require('../middleware/auth');
+const { categoryLinesSql } = require('../utils/splits');
+const { categoryPathsCte, rollupIdSql, parseLevel } = require('../utils/categories');
+const { getBudgetStatus } = require('../utils/budgetStatus');
+const { toDateString } = require('../utils/recurrence');
 
 console.log('✅ Export routes loaded');
 
 
 // ============================================
-// EXPORT ALL DATA TO EXCEL (GET /api/export/excel)
+// EXPORT ALL DATA TO EXCEL (GET /api/export/excel?level=)
+// ?level=1 shows each transaction under its top-level category
 // ============================================
 
 router.get('/excel', authMiddleware, async (req, res) => {
@@ -23,26 +28,36 @@ router.get('/excel', authMiddleware, async (req, res) => {
         console.log('📥 GET /api/export/excel - Exporting data for user:', req.user.id);
         
         const userId = req.user.id;
+        const level = parseLevel(req.query.level);
         
         // ✅ FIXED: PostgreSQL syntax - use TO_CHAR for date formatting
         const transactionsQuery = `
+            WITH RECURSIVE ${categoryPathsCte('$1')}
             SELECT 
                 t.id,
                 TO_CHAR(t.transaction_date, 'DD-MM-YYYY') as date,
                 ac.name as account_name,
-                c.name as category_name,
+                rp.name as category_name,
+                cp.full_name as category_path,
                 t.description,
-                t.amount,
+                line.amount,
+                t.amount as transaction_amount,
+                line.note as split_note,
                 t.currency,
-                t.mode
+                t.mode,
+                t.transaction_type,
+                t.payment_method
             FROM transactions t
             LEFT JOIN accounts ac ON t.account_id = ac.id
-            LEFT JOIN categories c ON t.category_id = c.id
+            -- ✅ One row per split line (unsplit transactions give one row)
+            ${categoryLinesSql('t')}
+            LEFT JOIN category_paths cp ON cp.id = line.category_id
+            LEFT JOIN category_paths rp ON rp.id = ${rollupIdSql('cp', '$2::int')}
             WHERE t.user_id = $1
-            ORDER BY t.transaction_date DESC
+            ORDER BY t.transaction_date DESC, t.id
         `;
         
-        const transactionsResult = await db.query(transactionsQuery, [userId]);
+        const transactionsResult = await db.query(transactionsQuery, [userId, level]);
         // ✅ FIXED: Extract rows array from result
         const transactions = transactionsResult.rows;
         console.log('✅ Fetched transactions:', transactions.length);
@@ -54,6 +69,7 @@ router.get('/excel', authMiddleware, async (req, res) => {
                 c.name as category_name,
                 bl.currency,
                 bl.monthly_limit,
+                bl.period_type,
                 bl.alert_threshold,
                 TO_CHAR(bl.created_at, 'DD-MM-YYYY') as created_date
             FROM budget_limits bl
@@ -76,7 +92,10 @@ router.get('/excel', authMiddleware, async (req, res) => {
                 rt.amount,
                 rt.currency,
                 rt.frequency,
+                rt.recurrence_rule,
                 rt.mode,
+                rt.transaction_type,
+                rt.payment_method,
                 TO_CHAR(rt.start_date, 'DD-MM-YYYY') as start_date,
                 TO_CHAR(rt.end_date, 'DD-MM-YYYY') as end_date
             FROM recurring_transactions rt
@@ -90,6 +109,30 @@ router.get('/excel', authMiddleware, async (req, res) => {
         const recurring = recurringResult.rows;
         console.log('✅ Fetched recurring transactions:', recurring.length);
         
+        // ✅ Spending rolled up to every level: each line counts towards its
+        // category and all of its parents (Food = Food > Groceries + Food > Dining)
+        const categoryTotalsQuery = `
+            WITH RECURSIVE ${categoryPathsCte('$1')}
+            SELECT 
+                ap.full_name as category_path,
+                ap.depth as level,
+                t.currency,
+                SUM(line.amount) as total_amount,
+                COUNT(DISTINCT t.id) as transaction_count
+            FROM transactions t
+            ${categoryLinesSql('t')}
+            JOIN category_paths cp ON cp.id = line.category_id
+            JOIN category_paths ap ON ap.id = ANY(cp.path)
+            WHERE t.user_id = $1
+            AND t.transaction_type = 'expense'
+            GROUP BY ap.full_name, ap.depth, t.currency
+            ORDER BY t.currency, ap.full_name
+        `;
+        
+        const categoryTotalsResult = await db.query(categoryTotalsQuery, [userId]);
+        const categoryTotals = categoryTotalsResult.rows;
+        console.log('✅ Fetched category totals:', categoryTotals.length);
+        
         // ✅ Create Excel workbook
         const workbook = new ExcelJS.Workbook();
         
@@ -102,10 +145,15 @@ router.get('/excel', authMiddleware, async (req, res) => {
             { header: 'Date', key: 'date', width: 15 },
             { header: 'Account', key: 'account_name', width: 15 },
             { header: 'Category', key: 'category_name', width: 15 },
+            { header: 'Category Path', key: 'category_path', width: 25 },
             { header: 'Description', key: 'description', width: 30 },
             { header: 'Amount', key: 'amount', width: 12 },
+            { header: 'Transaction Total', key: 'transaction_amount', width: 16 },
+            { header: 'Split Note', key: 'split_note', width: 20 },
             { header: 'Currency', key: 'currency', width: 10 },
-            { header: 'Mode', key: 'mode', width: 10 }
+            { header: 'Mode', key: 'mode', width: 10 },
+            { header: 'Type', key: 'transaction_type', width: 10 },
+            { header: 'Payment Method', key: 'payment_method', width: 16 }
         ];
         
         // ✅ Add header styling
@@ -119,6 +167,7 @@ router.get('/excel', authMiddleware, async (req, res) => {
         
         // ✅ Format amount column as currency
         txnSheet.getColumn('amount').numFmt = '#,##0.00';
+        txnSheet.getColumn('transaction_amount').numFmt = '#,##0.00';
         
         console.log('✅ Transactions sheet created');
         
@@ -130,7 +179,8 @@ router.get('/excel', authMiddleware, async (req, res) => {
             { header: 'ID', key: 'id', width: 8 },
             { header: 'Category', key: 'category_name', width: 20 },
             { header: 'Currency', key: 'currency', width: 10 },
-            { header: 'Monthly Limit', key: 'monthly_limit', width: 15 },
+            { header: 'Limit', key: 'monthly_limit', width: 15 },
+            { header: 'Period', key: 'period_type', width: 12 },
             { header: 'Alert Threshold (%)', key: 'alert_threshold', width: 18 },
             { header: 'Created Date', key: 'created_date', width: 15 }
         ];
@@ -161,7 +211,10 @@ router.get('/excel', authMiddleware, async (req, res) => {
             { header: 'Amount', key: 'amount', width: 12 },
             { header: 'Currency', key: 'currency', width: 10 },
             { header: 'Frequency', key: 'frequency', width: 12 },
+            { header: 'Rule', key: 'recurrence_rule', width: 30 },
             { header: 'Mode', key: 'mode', width: 10 },
+            { header: 'Type', key: 'transaction_type', width: 10 },
+            { header: 'Payment Method', key: 'payment_method', width: 16 },
             { header: 'Start Date', key: 'start_date', width: 15 },
             { header: 'End Date', key: 'end_date', width: 15 }
         ];
@@ -181,7 +234,34 @@ router.get('/excel', authMiddleware, async (req, res) => {
         console.log('✅ Recurring Transactions sheet created');
         
         // ============================================
-        // SHEET 4: SUMMARY
+        // SHEET 4: CATEGORY TOTALS (ALL LEVELS)
+        // ============================================
+        const categorySheet = workbook.addWorksheet('Category Totals');
+        categorySheet.columns = [
+            { header: 'Category', key: 'category_path', width: 30 },
+            { header: 'Level', key: 'level', width: 8 },
+            { header: 'Currency', key: 'currency', width: 10 },
+            { header: 'Total Spent', key: 'total_amount', width: 15 },
+            { header: 'Transactions', key: 'transaction_count', width: 14 }
+        ];
+        
+        categorySheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        categorySheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF9C27B0' } };
+        
+        categoryTotals.forEach(c => {
+            categorySheet.addRow({
+                ...c,
+                total_amount: parseFloat(c.total_amount) || 0,
+                transaction_count: parseInt(c.transaction_count)
+            });
+        });
+        
+        categorySheet.getColumn('total_amount').numFmt = '#,##0.00';
+        
+        console.log('✅ Category Totals sheet created');
+        
+        // ============================================
+        // SHEET 5: SUMMARY
         // ============================================
         const summarySheet = workbook.addWorksheet('Summary');
         summarySheet.columns = [
@@ -194,15 +274,16 @@ router.get('/excel', authMiddleware, async (req, res) => {
         summarySheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFF9800' } };
         
         // ✅ Calculate totals - handle empty arrays and parse floats safely
-        const totalTransactions = transactions.length;
+        // Split transactions span several rows
+        const totalTransactions = new Set(transactions.map(t => t.id)).size;
         
         const totalExpense = transactions
-            .filter(t => t.mode === 'Expense')
+            .filter(t => t.transaction_type === 'expense')
             .reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0)
             .toFixed(2);
         
         const totalIncome = transactions
-            .filter(t => t.mode === 'Income')
+            .filter(t => t.transaction_type === 'income')
             .reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0)
             .toFixed(2);
         
@@ -249,7 +330,7 @@ router.get('/excel', authMiddleware, async (req, res) => {
 
 
 // ============================================
-// EXPORT TRANSACTIONS TO EXCEL (GET /api/export/transactions)
+// EXPORT TRANSACTIONS TO EXCEL (GET /api/export/transactions?level=)
 // ============================================
 
 router.get('/transactions', authMiddleware, async (req, res) => {
@@ -257,26 +338,36 @@ router.get('/transactions', authMiddleware, async (req, res) => {
         console.log('📥 GET /api/export/transactions - Exporting transactions for user:', req.user.id);
         
         const userId = req.user.id;
+        const level = parseLevel(req.query.level);
         
         // ✅ FIXED: PostgreSQL syntax
         const query = `
+            WITH RECURSIVE ${categoryPathsCte('$1')}
             SELECT 
                 t.id,
                 TO_CHAR(t.transaction_date, 'DD-MM-YYYY') as date,
                 ac.name as account_name,
-                c.name as category_name,
+                rp.name as category_name,
+                cp.full_name as category_path,
                 t.description,
-                t.amount,
+                line.amount,
+                t.amount as transaction_amount,
+                line.note as split_note,
                 t.currency,
-                t.mode
+                t.mode,
+                t.transaction_type,
+                t.payment_method
             FROM transactions t
             LEFT JOIN accounts ac ON t.account_id = ac.id
-            LEFT JOIN categories c ON t.category_id = c.id
+            -- ✅ One row per split line (unsplit transactions give one row)
+            ${categoryLinesSql('t')}
+            LEFT JOIN category_paths cp ON cp.id = line.category_id
+            LEFT JOIN category_paths rp ON rp.id = ${rollupIdSql('cp', '$2::int')}
             WHERE t.user_id = $1
-            ORDER BY t.transaction_date DESC
+            ORDER BY t.transaction_date DESC, t.id
         `;
         
-        const result = await db.query(query, [userId]);
+        const result = await db.query(query, [userId, level]);
         // ✅ FIXED: Extract rows array from result
         const transactions = result.rows;
         
@@ -291,10 +382,15 @@ router.get('/transactions', authMiddleware, async (req, res) => {
             { header: 'Date', key: 'date', width: 15 },
             { header: 'Account', key: 'account_name', width: 15 },
             { header: 'Category', key: 'category_name', width: 15 },
+            { header: 'Category Path', key: 'category_path', width: 25 },
             { header: 'Description', key: 'description', width: 30 },
             { header: 'Amount', key: 'amount', width: 12 },
+            { header: 'Transaction Total', key: 'transaction_amount', width: 16 },
+            { header: 'Split Note', key: 'split_note', width: 20 },
             { header: 'Currency', key: 'currency', width: 10 },
-            { header: 'Mode', key: 'mode', width: 10 }
+            { header: 'Mode', key: 'mode', width: 10 },
+            { header: 'Type', key: 'transaction_type', width: 10 },
+            { header: 'Payment Method', key: 'payment_method', width: 16 }
         ];
         
         // ✅ Add header styling
@@ -308,6 +404,7 @@ router.get('/transactions', authMiddleware, async (req, res) => {
         
         // ✅ Format amount column
         sheet.getColumn('amount').numFmt = '#,##0.00';
+        sheet.getColumn('transaction_amount').numFmt = '#,##0.00';
         
         const fileName = `PFMS_Transactions_${new Date().toISOString().split('T')[0]}.xlsx`;
         
@@ -339,32 +436,9 @@ router.get('/budgets', authMiddleware, async (req, res) => {
         
         const userId = req.user.id;
         
-        // ✅ FIXED: PostgreSQL syntax with proper aggregate function
-        const query = `
-            SELECT 
-                bl.id,
-                c.name as category_name,
-                bl.currency,
-                bl.monthly_limit,
-                bl.alert_threshold,
-                COALESCE(SUM(t.amount), 0) as current_spending,
-                ROUND((COALESCE(SUM(t.amount), 0)::NUMERIC / bl.monthly_limit::NUMERIC) * 100, 2) as percentage_used,
-                TO_CHAR(bl.created_at, 'DD-MM-YYYY') as created_date
-            FROM budget_limits bl
-            LEFT JOIN categories c ON bl.category_id = c.id
-            LEFT JOIN transactions t ON t.category_id = bl.category_id 
-                AND t.user_id = bl.user_id 
-                AND t.currency = bl.currency
-                AND EXTRACT(YEAR FROM t.transaction_date) = EXTRACT(YEAR FROM CURRENT_DATE)
-                AND EXTRACT(MONTH FROM t.transaction_date) = EXTRACT(MONTH FROM CURRENT_DATE)
-                AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment')
-            WHERE bl.user_id = $1
-            GROUP BY bl.id, bl.user_id, bl.category_id, bl.currency, bl.monthly_limit, bl.alert_threshold, c.name, bl.created_at
-        `;
-        
-        const result = await db.query(query, [userId]);
-        // ✅ FIXED: Extract rows array from result
-        const budgets = result.rows;
+        // ✅ Spending in each budget's current period (week / month /
+        //    quarter / year / custom) - same figures as GET /api/budget/status
+        const budgets = await getBudgetStatus(db, userId);
         
         console.log('✅ Fetched budgets:', budgets.length);
         
@@ -376,7 +450,10 @@ router.get('/budgets', authMiddleware, async (req, res) => {
             { header: 'ID', key: 'id', width: 8 },
             { header: 'Category', key: 'category_name', width: 20 },
             { header: 'Currency', key: 'currency', width: 10 },
-            { header: 'Monthly Limit', key: 'monthly_limit', width: 15 },
+            { header: 'Limit', key: 'monthly_limit', width: 15 },
+            { header: 'Period', key: 'period_label', width: 26 },
+            { header: 'Rollover In', key: 'rollover_in', width: 14 },
+            { header: 'Available', key: 'available', width: 15 },
             { header: 'Current Spending', key: 'current_spending', width: 18 },
             { header: 'Used (%)', key: 'percentage_used', width: 12 },
             { header: 'Alert Threshold (%)', key: 'alert_threshold', width: 18 },
@@ -390,8 +467,14 @@ router.get('/budgets', authMiddleware, async (req, res) => {
         // ✅ Add data
         budgets.forEach(b => {
             sheet.addRow({
-                ...b,
-                monthly_limit: parseFloat(b.monthly_limit) || 0,
+                id: b.id,
+                category_name: b.category_name,
+                currency: b.currency,
+                period_label: `${b.period.label} (${b.period_type})`,
+                created_date: toDateString(b.created_at).split('-').reverse().join('-'),  // DD-MM-YYYY
+                monthly_limit: b.base_limit,
+                rollover_in: b.rollover_in,
+                available: b.available,
                 current_spending: parseFloat(b.current_spending) || 0,
                 percentage_used: parseFloat(b.percentage_used) || 0,
                 alert_threshold: parseFloat(b.alert_threshold) || 0
@@ -400,6 +483,8 @@ router.get('/budgets', authMiddleware, async (req, res) => {
         
         // ✅ Format currency columns
         sheet.getColumn('monthly_limit').numFmt = '#,##0.00';
+        sheet.getColumn('rollover_in').numFmt = '#,##0.00';
+        sheet.getColumn('available').numFmt = '#,##0.00';
         sheet.getColumn('current_spending').numFmt = '#,##0.00';
         sheet.getColumn('percentage_used').numFmt = '0.00"%"';
         
@@ -4,7 +4,7 @@
 // Database: PostgreSQL
 // Fixed: Dec 6, 2025
 // ✅ FIXES:
-//  1. Currency symbol handling (INR = ₹, SAR = ﷼)
+//  1. Currency symbol handling (any ISO 4217 code, see utils/currency)
 //  2. Transaction count formatting (remove leading zeros)
 //  3. Category totals calculation (proper aggregation by mode)
 // ============================================
@@ -13,20 +13,68 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
 const { authMiddleware } = require('../middleware/auth');
+const { CURRENCY_SYMBOLS, currencySymbol } = require('../utils/currency');
+const { today, parseDate, formatDate } = require('../utils/recurrence');
+const { buildForecast } = require('../utils/forecast');
+const { getAccountBalances } = require('../utils/ledger');
+const { moneySql, resolveConvertTo } = require('../utils/exchangeRates');
+const { categoryLinesSql } = require('../utils/splits');
+const { categoryPathsCte, rollupIdSql, parseLevel } = require('../utils/categories');
+const { legacyMode } = require('../utils/transactionTypes');
 
 console.log('✅ Overview routes loaded');
 
-// ============================================
-// CURRENCY SYMBOL MAP (FIXED)
-// ============================================
-const currencySymbols = {
-    'INR': '₹',
-    'SAR': '﷼',
-    'USD': '$',
-    'EUR': '€',
-    'GBP': '£',
-    'AED': 'د.إ'
-};
+// ✅ ?convert_to=<code>|base: report every amount in one currency, each
+// transaction converted at the rate valid on its date (see utils/exchangeRates).
+// Sends the 400 itself and returns null for an invalid value.
+async function readConversion(req, res) {
+    const conversion = await resolveConvertTo(db, req.user.id, req.query.convert_to);
+    if (conversion.error) {
+        res.status(400).json({ success: false, message: conversion.error });
+        return null;
+    }
+    return conversion;
+}
+
+// ✅ Transactions a converted report could not include for want of an
+// exchange rate (always 0 without ?convert_to=). Grouped queries select
+// this column; takeMissingRates() sums it and drops it from the rows.
+function missingRatesSql(money, condition = 'TRUE') {
+    return `COUNT(DISTINCT t.id) FILTER (WHERE ${condition} AND ${money.amount} IS NULL)::int as missing_rates`;
+}
+
+function takeMissingRates(rows) {
+    let missingRates = 0;
+    const cleaned = rows.map(({ missing_rates, ...row }) => {
+        missingRates += missing_rates || 0;
+        return row;
+    });
+    return { rows: cleaned, missingRates };
+}
+
+// ✅ Income/expense per tag and currency for one month ($1 user, $2 year, $3 month)
+function tagTotalsSql(money) {
+    return `
+        SELECT 
+            tg.id as tag_id,
+            tg.name as tag_name,
+            tg.color,
+            ${money.currency} as currency,
+            COALESCE(SUM(CASE WHEN t.transaction_type = 'income' THEN ${money.amount} END), 0)::float as total_income,
+            COALESCE(SUM(CASE WHEN t.transaction_type = 'expense' THEN ${money.amount} END), 0)::float as total_expense,
+            COUNT(DISTINCT t.id)::int as transaction_count,
+            ${missingRatesSql(money)}
+        FROM tags tg
+        JOIN transaction_tags tt ON tt.tag_id = tg.id
+        JOIN transactions t ON t.id = tt.transaction_id
+        WHERE tg.user_id = $1
+        AND t.transaction_type <> 'transfer'
+        AND EXTRACT(YEAR FROM t.transaction_date) = $2
+        AND EXTRACT(MONTH FROM t.transaction_date) = $3
+        GROUP BY tg.id, tg.name, tg.color, ${money.currency}
+        ORDER BY total_expense DESC, tg.name
+    `;
+}
 
 // ============================================
 // GET OVERVIEW SUMMARY DATA (FIXED)
@@ -37,31 +85,43 @@ router.get('/summary', authMiddleware, async (req, res) => {
         console.log('📊 GET /api/overview/summary - User:', req.user.id);
         
         const userId = req.user.id;
+        const conversion = await readConversion(req, res);
+        if (!conversion) return;
+        const money = moneySql(conversion.currency, 2);
         
         // ✅ FIXED: Proper PostgreSQL query
         const transactionQuery = `
             SELECT 
                 t.id,
-                t.amount,
+                ${money.amount} as amount,
                 t.mode,
-                t.currency
+                t.transaction_type,
+                ${money.currency} as currency
             FROM transactions t
             WHERE t.user_id = $1
+            AND t.transaction_type <> 'transfer'
         `;
         
-        const result = await db.query(transactionQuery, [userId]);
+        const result = await db.query(transactionQuery, [userId, ...money.params]);
         const transactions = result.rows;
         
         console.log('   Transactions fetched:', transactions.length);
         
         // ✅ Calculate totals by currency
         const summaryByCurrency = {};
+        let missingRates = 0;
         
         transactions.forEach(t => {
+            // No exchange rate known for this transaction's currency
+            if (t.amount === null) {
+                missingRates++;
+                return;
+            }
+            
             if (!summaryByCurrency[t.currency]) {
                 summaryByCurrency[t.currency] = {
                     currency: t.currency,
-                    symbol: currencySymbols[t.currency] || t.currency,
+                    symbol: currencySymbol(t.currency),
                     totalIncome: 0,
                     totalExpense: 0,
                     totalBalance: 0,
@@ -69,9 +129,9 @@ router.get('/summary', authMiddleware, async (req, res) => {
                 };
             }
             
-            if (t.mode === 'Income') {
+            if (t.transaction_type === 'income') {
                 summaryByCurrency[t.currency].totalIncome += parseFloat(t.amount);
-            } else if (t.mode === 'Expense' || t.mode === 'Credit Card' || t.mode === 'Debit Card' || t.mode === 'Cash Payment') {
+            } else if (t.transaction_type === 'expense') {
                 summaryByCurrency[t.currency].totalExpense += parseFloat(t.amount);
             }
         });
@@ -88,6 +148,8 @@ router.get('/summary', authMiddleware, async (req, res) => {
         res.json({
             success: true,
             summary: Object.values(summaryByCurrency),
+            convertedTo: conversion.currency,
+            missingRates: missingRates,
             note: 'Currency symbols properly mapped'
         });
         
@@ -123,26 +185,40 @@ router.get('/category-breakdown', authMiddleware, async (req, res) => {
             year = new Date().getFullYear();
         }
         
+        const conversion = await readConversion(req, res);
+        if (!conversion) return;
+        // ✅ ?level=1 rolls subcategories up to top-level categories (no level = as booked)
+        const level = parseLevel(req.query.level);
+        
+        // Split transactions are attributed per split line
+        const money = moneySql(conversion.currency, 5, 't', 'line.amount');
+        
         // ✅ FIXED: Proper category breakdown with correct transaction count
         const categoryQuery = `
+            WITH RECURSIVE ${categoryPathsCte('$1')}
             SELECT 
-                COALESCE(c.name, 'Uncategorized') as category_name,
-                t.currency,
-                COALESCE(SUM(t.amount), 0) as total_amount,
+                COALESCE(rp.name, 'Uncategorized') as category_name,
+                COALESCE(rp.full_name, 'Uncategorized') as category_path,
+                ${money.currency} as currency,
+                COALESCE(SUM(${money.amount}), 0) as total_amount,
                 COUNT(DISTINCT t.id) as transaction_count,
-                STRING_AGG(DISTINCT t.mode, ', ') as modes
+                STRING_AGG(DISTINCT t.mode, ', ') as modes,
+                STRING_AGG(DISTINCT t.payment_method, ', ') as payment_methods,
+                ${missingRatesSql(money)}
             FROM transactions t
-            LEFT JOIN categories c ON t.category_id = c.id
+            ${categoryLinesSql('t')}
+            LEFT JOIN category_paths cp ON cp.id = line.category_id
+            LEFT JOIN category_paths rp ON rp.id = ${rollupIdSql('cp', '$4::int')}
             WHERE t.user_id = $1
-            AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment')
+            AND t.transaction_type = 'expense'
             AND EXTRACT(YEAR FROM t.transaction_date) = $2
             AND EXTRACT(MONTH FROM t.transaction_date) = $3
-            GROUP BY COALESCE(c.name, 'Uncategorized'), t.currency
-            ORDER BY t.currency, total_amount DESC
+            GROUP BY COALESCE(rp.name, 'Uncategorized'), COALESCE(rp.full_name, 'Uncategorized'), ${money.currency}
+            ORDER BY currency, total_amount DESC
         `;
         
-        const result = await db.query(categoryQuery, [userId, year, month]);
-        const categoryData = result.rows;
+        const result = await db.query(categoryQuery, [userId, year, month, level, ...money.params]);
+        const { rows: categoryData, missingRates } = takeMissingRates(result.rows);
         
         console.log('📊 Raw category data fetched:', categoryData.length, 'records');
         console.log('📊 Sample:', categoryData.slice(0, 2).map(c => ({
@@ -158,6 +234,9 @@ router.get('/category-breakdown', authMiddleware, async (req, res) => {
                 success: true,
                 month: month,
                 year: year,
+                level: level,
+                convertedTo: conversion.currency,
+                missingRates: missingRates,
                 allCurrencies: {},
                 categories: [],
                 note: 'No transactions found for this period'
@@ -168,7 +247,7 @@ router.get('/category-breakdown', authMiddleware, async (req, res) => {
         const allCurrencies = {};
         
         categoryData.forEach(item => {
-            const currency = item.currency || 'INR';
+            const currency = item.currency;
             
             if (!allCurrencies[currency]) {
                 allCurrencies[currency] = [];
@@ -177,10 +256,11 @@ router.get('/category-breakdown', authMiddleware, async (req, res) => {
             // ✅ FIXED: Proper formatting
             allCurrencies[currency].push({
                 category_name: item.category_name || 'Uncategorized',
+                category_path: item.category_path,
                 total_amount: parseFloat(item.total_amount),
                 modes: item.modes || 'Expense',
                 transaction_count: parseInt(item.transaction_count),  // ✅ Proper integer
-                currency_symbol: currencySymbols[currency] || currency
+                currency_symbol: currencySymbol(currency)
             });
         });
         
@@ -194,7 +274,7 @@ router.get('/category-breakdown', authMiddleware, async (req, res) => {
             currencyTotals[currency] = {
                 total: total,
                 count: count,
-                symbol: currencySymbols[currency] || currency
+                symbol: currencySymbol(currency)
             };
         });
         
@@ -202,6 +282,9 @@ router.get('/category-breakdown', authMiddleware, async (req, res) => {
             success: true,
             month: month,
             year: year,
+            level: level,
+            convertedTo: conversion.currency,
+            missingRates: missingRates,
             allCurrencies: allCurrencies,
             categories: categoryData,
             currencyTotals: currencyTotals,
@@ -229,37 +312,43 @@ router.get('/monthly-trend', authMiddleware, async (req, res) => {
         
         const userId = req.user.id;
         const year = parseInt(req.query.year) || new Date().getFullYear();
+        const conversion = await readConversion(req, res);
+        if (!conversion) return;
+        const money = moneySql(conversion.currency, 3);
         
         // ✅ FIXED: Proper monthly trend query
         const trendQuery = `
             SELECT 
                 EXTRACT(MONTH FROM t.transaction_date)::int as month,
-                t.currency,
-                SUM(CASE WHEN t.mode = 'Income' THEN t.amount ELSE 0 END)::float as total_income,
-                SUM(CASE WHEN t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment') THEN t.amount ELSE 0 END)::float as total_expense,
-                COUNT(DISTINCT t.id)::int as transaction_count
+                ${money.currency} as currency,
+                COALESCE(SUM(CASE WHEN t.transaction_type = 'income' THEN ${money.amount} ELSE 0 END), 0)::float as total_income,
+                COALESCE(SUM(CASE WHEN t.transaction_type = 'expense' THEN ${money.amount} ELSE 0 END), 0)::float as total_expense,
+                COUNT(DISTINCT t.id)::int as transaction_count,
+                ${missingRatesSql(money, "t.transaction_type IN ('income', 'expense')")}
             FROM transactions t
             WHERE t.user_id = $1
             AND EXTRACT(YEAR FROM t.transaction_date) = $2
-            GROUP BY EXTRACT(MONTH FROM t.transaction_date), t.currency
-            ORDER BY EXTRACT(MONTH FROM t.transaction_date), t.currency
+            GROUP BY EXTRACT(MONTH FROM t.transaction_date), ${money.currency}
+            ORDER BY EXTRACT(MONTH FROM t.transaction_date), currency
         `;
         
-        const result = await db.query(trendQuery, [userId, year]);
-        const trendData = result.rows;
+        const result = await db.query(trendQuery, [userId, year, ...money.params]);
+        const { rows: trendData, missingRates } = takeMissingRates(result.rows);
         
         console.log('📊 Monthly trend data fetched:', trendData.length, 'records');
         
         // ✅ Add currency symbols
         const trendDataWithSymbols = trendData.map(d => ({
             ...d,
-            currency_symbol: currencySymbols[d.currency] || d.currency,
+            currency_symbol: currencySymbol(d.currency),
             transaction_count: parseInt(d.transaction_count)  // ✅ Proper integer
         }));
         
         res.json({
             success: true,
             year: year,
+            convertedTo: conversion.currency,
+            missingRates: missingRates,
             data: trendDataWithSymbols
         });
         
@@ -285,43 +374,54 @@ router.get('/top-expenses', authMiddleware, async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         const month = parseInt(req.query.month) || new Date().getMonth() + 1;
         const year = parseInt(req.query.year) || new Date().getFullYear();
+        const conversion = await readConversion(req, res);
+        if (!conversion) return;
+        const money = moneySql(conversion.currency, 5);
         
         // ✅ FIXED: Proper top expenses query
         const expenseQuery = `
             SELECT 
                 t.id,
                 t.description,
-                t.amount,
-                t.currency,
+                ${money.amount} as amount,
+                ${money.currency} as currency,
+                t.amount as original_amount,
+                t.currency as original_currency,
                 c.name as category_name,
                 t.mode,
+                t.payment_method,
                 t.transaction_date,
-                COUNT(*) OVER() as total_count
+                COUNT(*) OVER() as total_count,
+                (COUNT(*) FILTER (WHERE ${money.amount} IS NULL) OVER())::int as missing_rates
             FROM transactions t
             LEFT JOIN categories c ON t.category_id = c.id
             WHERE t.user_id = $1
-            AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment')
+            AND t.transaction_type = 'expense'
             AND EXTRACT(YEAR FROM t.transaction_date) = $2
             AND EXTRACT(MONTH FROM t.transaction_date) = $3
-            ORDER BY t.amount DESC
+            ORDER BY ${money.amount} DESC NULLS LAST
             LIMIT $4
         `;
         
-        const result = await db.query(expenseQuery, [userId, year, month, limit]);
-        const expenses = result.rows;
+        const result = await db.query(expenseQuery, [userId, year, month, limit, ...money.params]);
+        // Unconverted expenses sort last, so count them over the whole month
+        const missingRates = result.rows.length > 0 ? result.rows[0].missing_rates : 0;
+        const expenses = result.rows.map(({ missing_rates, ...row }) => row);
         
         console.log('📊 Top expenses fetched:', expenses.length, 'records');
         
         // ✅ Add currency symbols
         const expensesWithSymbols = expenses.map(e => ({
             ...e,
-            currency_symbol: currencySymbols[e.currency] || e.currency
+            currency_symbol: currencySymbol(e.currency)
         }));
         
         res.json({
             success: true,
             month: month,
             year: year,
+            convertedTo: conversion.currency,
+            missingRates: missingRates,
             expenses: expensesWithSymbols
         });
         
@@ -337,6 +437,8 @@ router.get('/top-expenses', authMiddleware, async (req, res) => {
 
 // ============================================
 // GET SPENDING BY MODE (FIXED)
+// Grouped by transaction type + payment method; `mode` is the legacy
+// label ("Credit Card") for older clients
 // ============================================
 
 router.get('/spending-by-mode', authMiddleware, async (req, res) => {
@@ -347,31 +449,39 @@ router.get('/spending-by-mode', authMiddleware, async (req, res) => {
         const month = parseInt(req.query.month) || new Date().getMonth() + 1;
         const year = parseInt(req.query.year) || new Date().getFullYear();
         
+        const conversion = await readConversion(req, res);
+        if (!conversion) return;
+        const money = moneySql(conversion.currency, 4);
+        
         // ✅ FIXED: Proper spending by mode query
         const modeQuery = `
             SELECT 
-                t.mode,
-                t.currency,
+                t.transaction_type,
+                t.payment_method,
+                ${money.currency} as currency,
                 COUNT(DISTINCT t.id)::int as transaction_count,
-                SUM(t.amount)::float as total_amount,
-                AVG(t.amount)::float as average_amount
+                COALESCE(SUM(${money.amount}), 0)::float as total_amount,
+                COALESCE(AVG(${money.amount}), 0)::float as average_amount,
+                ${missingRatesSql(money)}
             FROM transactions t
             WHERE t.user_id = $1
+            AND t.transaction_type <> 'transfer'
             AND EXTRACT(YEAR FROM t.transaction_date) = $2
             AND EXTRACT(MONTH FROM t.transaction_date) = $3
-            GROUP BY t.mode, t.currency
+            GROUP BY t.transaction_type, t.payment_method, ${money.currency}
             ORDER BY total_amount DESC
         `;
         
-        const result = await db.query(modeQuery, [userId, year, month]);
-        const modeData = result.rows;
+        const result = await db.query(modeQuery, [userId, year, month, ...money.params]);
+        const { rows: modeData, missingRates } = takeMissingRates(result.rows);
         
         console.log('📊 Spending by mode fetched:', modeData.length, 'records');
         
         // ✅ Add currency symbols and fix types
         const modeDataWithSymbols = modeData.map(m => ({
             ...m,
-            currency_symbol: currencySymbols[m.currency] || m.currency,
+            mode: legacyMode(m.transaction_type, m.payment_method),
+            currency_symbol: currencySymbol(m.currency),
             transaction_count: parseInt(m.transaction_count),  // ✅ Proper integer
             total_amount: parseFloat(m.total_amount),
             average_amount: parseFloat(m.average_amount)
@@ -381,6 +491,8 @@ router.get('/spending-by-mode', authMiddleware, async (req, res) => {
             success: true,
             month: month,
             year: year,
+            convertedTo: conversion.currency,
+            missingRates: missingRates,
             data: modeDataWithSymbols
         });
         
@@ -394,6 +506,52 @@ router.get('/spending-by-mode', authMiddleware, async (req, res) => {
     }
 });
 
+// ============================================
+// GET TAG TOTALS (GET /api/overview/tag-totals?month&year)
+// A transaction with several tags counts towards each of them
+// ============================================
+
+router.get('/tag-totals', authMiddleware, async (req, res) => {
+    try {
+        console.log('📊 GET /api/overview/tag-totals - User:', req.user.id);
+        
+        const userId = req.user.id;
+        const month = parseInt(req.query.month) || new Date().getMonth() + 1;
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+        const conversion = await readConversion(req, res);
+        if (!conversion) return;
+        const money = moneySql(conversion.currency, 4);
+        
+        const result = await db.query(tagTotalsSql(money), [userId, year, month, ...money.params]);
+        
+        console.log('📊 Tag totals fetched:', result.rows.length, 'records');
+        
+        const { rows: tagRows, missingRates } = takeMissingRates(result.rows);
+        const tagData = tagRows.map(row => ({
+            ...row,
+            net: row.total_income - row.total_expense,
+            currency_symbol: currencySymbol(row.currency)
+        }));
+        
+        res.json({
+            success: true,
+            month: month,
+            year: year,
+            convertedTo: conversion.currency,
+            missingRates: missingRates,
+            data: tagData
+        });
+        
+    } catch (error) {
+        console.error('❌ Error fetching tag totals:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching tag totals',
+            error: error.message
+        });
+    }
+});
+
 // ============================================
 // GET OVERVIEW DASHBOARD DATA (ALL IN ONE)
 // ============================================
@@ -405,6 +563,12 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
         const userId = req.user.id;
         const month = parseInt(req.query.month) || new Date().getMonth() + 1;
         const year = parseInt(req.query.year) || new Date().getFullYear();
+        const level = parseLevel(req.query.level);
+        const conversion = await readConversion(req, res);
+        if (!conversion) return;
+        
+        // Amount/currency SQL for a query whose target currency is $index
+        const moneyAt = (index, amountSql) => moneySql(conversion.currency, index, 't', amountSql);
         
         // Execute all queries in parallel
         const [
@@ -412,103 +576,147 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
             categoryResult,
             trendResult,
             expenseResult,
-            modeResult
+            modeResult,
+            tagResult
         ] = await Promise.all([
             // Summary
             db.query(
-                `SELECT t.amount, t.mode, t.currency 
+                `SELECT ${moneyAt(2).amount} as amount, t.mode, t.transaction_type, ${moneyAt(2).currency} as currency 
                  FROM transactions t 
-                 WHERE t.user_id = $1`,
-                [userId]
+                 WHERE t.user_id = $1 AND t.transaction_type <> 'transfer'`,
+                [userId, ...moneyAt(2).params]
             ),
             
             // Category breakdown
             db.query(
-                `SELECT COALESCE(c.name, 'Uncategorized') as category_name, t.currency,
-                        COALESCE(SUM(t.amount), 0)::float as total_amount, 
-                        COUNT(DISTINCT t.id)::int as transaction_count
+                `WITH RECURSIVE ${categoryPathsCte('$1')}
+                 SELECT COALESCE(rp.name, 'Uncategorized') as category_name,
+                        COALESCE(rp.full_name, 'Uncategorized') as category_path,
+                        ${moneyAt(5).currency} as currency,
+                        COALESCE(SUM(${moneyAt(5, 'line.amount').amount}), 0)::float as total_amount, 
+                        COUNT(DISTINCT t.id)::int as transaction_count,
+                        ${missingRatesSql(moneyAt(5, 'line.amount'))}
                  FROM transactions t
-                 LEFT JOIN categories c ON t.category_id = c.id
-                 WHERE t.user_id = $1 AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment')
+                 ${categoryLinesSql('t')}
+                 LEFT JOIN category_paths cp ON cp.id = line.category_id
+                 LEFT JOIN category_paths rp ON rp.id = ${rollupIdSql('cp', '$4::int')}
+                 WHERE t.user_id = $1 AND t.transaction_type = 'expense'
                  AND EXTRACT(YEAR FROM t.transaction_date) = $2
                  AND EXTRACT(MONTH FROM t.transaction_date) = $3
-                 GROUP BY COALESCE(c.name, 'Uncategorized'), t.currency`,
-                [userId, year, month]
+                 GROUP BY COALESCE(rp.name, 'Uncategorized'), COALESCE(rp.full_name, 'Uncategorized'), ${moneyAt(5).currency}`,
+                [userId, year, month, level, ...moneyAt(5).params]
             ),
             
             // Monthly trend
             db.query(
-                `SELECT EXTRACT(MONTH FROM t.transaction_date)::int as month, t.currency,
-                        SUM(CASE WHEN t.mode = 'Income' THEN t.amount ELSE 0 END)::float as total_income,
-                        SUM(CASE WHEN t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment') 
-                            THEN t.amount ELSE 0 END)::float as total_expense
+                `SELECT EXTRACT(MONTH FROM t.transaction_date)::int as month, ${moneyAt(3).currency} as currency,
+                        COALESCE(SUM(CASE WHEN t.transaction_type = 'income' THEN ${moneyAt(3).amount} ELSE 0 END), 0)::float as total_income,
+                        COALESCE(SUM(CASE WHEN t.transaction_type = 'expense' 
+                            THEN ${moneyAt(3).amount} ELSE 0 END), 0)::float as total_expense,
+                        ${missingRatesSql(moneyAt(3), "t.transaction_type IN ('income', 'expense')")}
                  FROM transactions t
                  WHERE t.user_id = $1 AND EXTRACT(YEAR FROM t.transaction_date) = $2
-                 GROUP BY EXTRACT(MONTH FROM t.transaction_date), t.currency`,
-                [userId, year]
+                 GROUP BY EXTRACT(MONTH FROM t.transaction_date), ${moneyAt(3).currency}`,
+                [userId, year, ...moneyAt(3).params]
             ),
             
             // Top expenses
             db.query(
-                `SELECT t.id, t.description, t.amount, t.currency, c.name as category_name, t.mode
+                `SELECT t.id, t.description, ${moneyAt(4).amount} as amount, ${moneyAt(4).currency} as currency,
+                        t.amount as original_amount, t.currency as original_currency, c.name as category_name, t.mode, t.payment_method,
+                        (COUNT(*) FILTER (WHERE ${moneyAt(4).amount} IS NULL) OVER())::int as missing_rates
                  FROM transactions t
                  LEFT JOIN categories c ON t.category_id = c.id
-                 WHERE t.user_id = $1 AND t.mode IN ('Expense', 'Credit Card', 'Debit Card', 'Cash Payment')
+                 WHERE t.user_id = $1 AND t.transaction_type = 'expense'
                  AND EXTRACT(YEAR FROM t.transaction_date) = $2
                  AND EXTRACT(MONTH FROM t.transaction_date) = $3
-                 ORDER BY t.amount DESC LIMIT 10`,
-                [userId, year, month]
+                 ORDER BY ${moneyAt(4).amount} DESC NULLS LAST LIMIT 10`,
+                [userId, year, month, ...moneyAt(4).params]
             ),
             
             // Spending by mode
             db.query(
-                `SELECT t.mode, t.currency, COUNT(DISTINCT t.id)::int as transaction_count, 
-                        SUM(t.amount)::float as total_amount
+                `SELECT t.transaction_type, t.payment_method, ${moneyAt(4).currency} as currency, COUNT(DISTINCT t.id)::int as transaction_count, 
+                        COALESCE(SUM(${moneyAt(4).amount}), 0)::float as total_amount,
+                        ${missingRatesSql(moneyAt(4))}
                  FROM transactions t
-                 WHERE t.user_id = $1 AND EXTRACT(YEAR FROM t.transaction_date) = $2
+                 WHERE t.user_id = $1 AND t.transaction_type <> 'transfer'
+                 AND EXTRACT(YEAR FROM t.transaction_date) = $2
                  AND EXTRACT(MONTH FROM t.transaction_date) = $3
-                 GROUP BY t.mode, t.currency`,
-                [userId, year, month]
-            )
+                 GROUP BY t.transaction_type, t.payment_method, ${moneyAt(4).currency}`,
+                [userId, year, month, ...moneyAt(4).params]
+            ),
+            
+            // Tag totals
+            db.query(tagTotalsSql(moneyAt(4)), [userId, year, month, ...moneyAt(4).params])
         ]);
         
         // ✅ Extract rows and add currency symbols
-        const summaryData = summaryResult.rows;
-        const categoryData = categoryResult.rows.map(c => ({
+        // Rows without a known exchange rate are left out when converting
+        const summaryData = summaryResult.rows.filter(row => row.amount !== null);
+        const missingRates = summaryResult.rows.length - summaryData.length;
+        const categories = takeMissingRates(categoryResult.rows);
+        const trend = takeMissingRates(trendResult.rows);
+        const modes = takeMissingRates(modeResult.rows);
+        const tags = takeMissingRates(tagResult.rows);
+        const categoryData = categories.rows.map(c => ({
             ...c,
             total_amount: parseFloat(c.total_amount),
             transaction_count: parseInt(c.transaction_count),
-            currency_symbol: currencySymbols[c.currency] || c.currency
+            currency_symbol: currencySymbol(c.currency)
         }));
-        const trendData = trendResult.rows.map(t => ({
+        const trendData = trend.rows.map(t => ({
             ...t,
             total_income: parseFloat(t.total_income),
             total_expense: parseFloat(t.total_expense),
-            currency_symbol: currencySymbols[t.currency] || t.currency
+            currency_symbol: currencySymbol(t.currency)
         }));
-        const topExpenses = expenseResult.rows.map(e => ({
+        const topExpenses = expenseResult.rows.map(({ missing_rates, ...e }) => ({
             ...e,
-            currency_symbol: currencySymbols[e.currency] || e.currency
+            currency_symbol: currencySymbol(e.currency)
         }));
-        const modeData = modeResult.rows.map(m => ({
+        const modeData = modes.rows.map(m => ({
             ...m,
+            mode: legacyMode(m.transaction_type, m.payment_method),
             total_amount: parseFloat(m.total_amount),
             transaction_count: parseInt(m.transaction_count),
-            currency_symbol: currencySymbols[m.currency] || m.currency
+            currency_symbol: currencySymbol(m.currency)
         }));
         
+        const tagData = tags.rows.map(t => ({
+            ...t,
+            currency_symbol: currencySymbol(t.currency)
+        }));
+        
+        // ✅ Symbols for every currency present in this response (any ISO 4217 code)
+        const dashboardSymbols = { ...CURRENCY_SYMBOLS };
+        new Set([...summaryData, ...categoryData, ...trendData].map(row => row.currency))
+            .forEach(code => { dashboardSymbols[code] = currencySymbol(code); });
+        
         console.log('✅ Dashboard data compiled');
         
         res.json({
             success: true,
             month: month,
             year: year,
+            level: level,
+            convertedTo: conversion.currency,
+            missingRates: missingRates,
+            // Per section, for the month / year shown
+            missingRatesBySection: {
+                categories: categories.missingRates,
+                trend: trend.missingRates,
+                topExpenses: expenseResult.rows.length > 0 ? expenseResult.rows[0].missing_rates : 0,
+                spendingByMode: modes.missingRates,
+                tagTotals: tags.missingRates
+            },
             summary: summaryData,
             categories: categoryData,
             trend: trendData,
             topExpenses: topExpenses,
             spendingByMode: modeData,
-            currencySymbols: currencySymbols,
+            tagTotals: tagData,
+            currencySymbols: dashboardSymbols,
             note: 'All currency symbols and transaction counts properly formatted'
         });
         
@@ -522,4 +730,94 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
     }
 });
 
+// ============================================
+// GET CASH-FLOW FORECAST (GET /api/overview/forecast?days=90)
+// Expands every active recurring template forward (honouring skipped,
+// postponed and overridden occurrences) and layers it on current
+// balances, per currency and per account
+// ============================================
+
+router.get('/forecast', authMiddleware, async (req, res) => {
+    try {
+        console.log('📈 GET /api/overview/forecast - User:', req.user.id);
+        
+        const userId = req.user.id;
+        const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 365);
+        const from = today();
+        const untilDate = parseDate(from);
+        untilDate.setDate(untilDate.getDate() + days);
+        const until = formatDate(untilDate);
+        
+        const [accounts, templateResult, ledgerResult] = await Promise.all([
+            // Current balances per account (opening balance + posted transactions)
+            getAccountBalances(db, userId),
+            
+            // Templates that can still produce occurrences
+            db.query(
+                `SELECT rt.*, a.name as account_name, c.name as category_name
+                 FROM recurring_transactions rt
+                 LEFT JOIN accounts a ON rt.account_id = a.id
+                 LEFT JOIN categories c ON rt.category_id = c.id
+                 WHERE rt.user_id = $1
+                 AND rt.next_due_date IS NOT NULL
+                 AND (
+                     rt.end_date IS NULL OR rt.next_due_date <= rt.end_date
+                     OR EXISTS (
+                         SELECT 1 FROM recurring_occurrences ro
+                         WHERE ro.recurring_id = rt.id AND ro.status IN ('pending', 'postponed')
+                     )
+                 )`,
+                [userId]
+            ),
+            
+            // Open ledger rows (same scope as loadOpenLedger, for all templates at once)
+            db.query(
+                `SELECT ro.*
+                 FROM recurring_occurrences ro
+                 JOIN recurring_transactions rt ON ro.recurring_id = rt.id
+                 WHERE rt.user_id = $1
+                 AND (ro.due_date >= rt.next_due_date OR ro.status IN ('pending', 'postponed'))
+                 ORDER BY ro.due_date ASC`,
+                [userId]
+            )
+        ]);
+        
+        const forecast = buildForecast({
+            balances: accounts.map(a => ({
+                account_id: a.id,
+                account_name: a.name,
+                currency: a.currency,
+                balance: a.balance
+            })),
+            templates: templateResult.rows,
+            ledgerRows: ledgerResult.rows,
+            from,
+            until
+        });
+        
+        const withSymbol = (row) => ({ ...row, currency_symbol: currencySymbol(row.currency) });
+        
+        console.log(`✅ Forecast built: ${forecast.occurrences.length} occurrences over ${days} days`);
+        
+        res.json({
+            success: true,
+            from,
+            until,
+            days,
+            currencies: forecast.currencies.map(withSymbol),
+            accounts: forecast.accounts.map(withSymbol),
+            occurrences: forecast.occurrences.map(withSymbol),
+            truncated_templates: forecast.truncated_templates
+        });
+        
+    } catch (error) {
+        console.error('❌ Error building forecast:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error building forecast',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
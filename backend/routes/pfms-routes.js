@@ -16,6 +16,22 @@ const fs = require('fs');
 
 // ✅ IMPORT auth middleware from shared location
 const { authMiddleware } = require('../middleware/auth');
+const { toDateString, today } = require('../utils/recurrence');
+const { TRANSFER_MODE, signedAmountSql, countsTowardsBalanceSql, getAccountBalances } = require('../utils/ledger');
+const { ACCOUNT_TYPES, getCardStatement } = require('../utils/creditCard');
+const { normalizeCurrency, currencySymbol } = require('../utils/currency');
+const { moneySql, getRate, resolveConvertTo } = require('../utils/exchangeRates');
+const { parseSplits, splitCategoriesOwned, saveSplits } = require('../utils/splits');
+const { normalizeTagName, splitTagList, resolveTagIds, setTransactionTags, addTransactionTags, transactionTagsSql } = require('../utils/tags');
+const { categoryPathsCte, validateParent } = require('../utils/categories');
+const { resolveTransactionType, normalizePaymentMethod, legacyMode, TRANSACTION_TYPES, PAYMENT_METHODS } = require('../utils/transactionTypes');
+const { parseRuleInput, ruleMatches, evaluateRules, loadActiveRules } = require('../utils/rules');
+const { LOW_CONFIDENCE_THRESHOLD, suggestCategories, loadSuggestionModel, createModelCache, loadCategoryNames } = require('../utils/suggestions');
+const { DUPLICATE_ACTIONS, transactionFingerprint, loadExistingFingerprints, createDuplicateTracker, duplicateActionFor } = require('../utils/duplicates');
+const { IMPORT_FIELDS, SIGN_CONVENTIONS, DATE_FORMATS, suggestMapping, parseMappingInput, applyMapping } = require('../utils/importMapping');
+const { parseIdList, attachUploads, loadTransactionAttachments, attachmentCountSql } = require('../utils/attachments');
+const { sendUpload } = require('../utils/storage');
+const { STATEMENT_EXTENSIONS, detectStatementFormat, parseStatement, statementRows, loadStatementLinks, saveStatementLink, loadExistingBankIds } = require('../utils/statements');
 
 console.log('✅ PFMS routes loaded');
 
@@ -32,6 +48,7 @@ router.get('/transactions/template', (req, res) => {
                 account_name: 'HDFC',
                 category_name: 'Salary',
                 mode: 'Income',
+                payment_method: 'bank_transfer',
                 currency: 'INR',
                 amount: 50000,
                 transaction_date: '2025-11-29',
@@ -41,6 +58,7 @@ router.get('/transactions/template', (req, res) => {
                 account_name: 'Cash',
                 category_name: 'Groceries',
                 mode: 'Expense',
+                payment_method: 'cash',
                 currency: 'INR',
                 amount: 5000,
                 transaction_date: '2025-11-29',
@@ -50,6 +68,7 @@ router.get('/transactions/template', (req, res) => {
                 account_name: 'Alrajhi',
                 category_name: 'Rent',
                 mode: 'Expense',
+                payment_method: 'bank_transfer',
                 currency: 'SAR',
                 amount: 2000,
                 transaction_date: '2025-11-29',
@@ -62,6 +81,7 @@ router.get('/transactions/template', (req, res) => {
             { wch: 18 },
             { wch: 18 },
             { wch: 15 },
+            { wch: 16 },
             { wch: 12 },
             { wch: 12 },
             { wch: 15 },
@@ -96,12 +116,14 @@ const upload = multer({
     dest: 'uploads/',
     limits: { fileSize: 10 * 1024 * 1024 },
     fileFilter: (req, file, cb) => {
+        // Statement files come with all sorts of mime types, so go by extension
         if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
             file.mimetype === 'application/vnd.ms-excel' ||
-            file.mimetype === 'text/csv') {
+            file.mimetype === 'text/csv' ||
+            STATEMENT_EXTENSIONS.includes(path.extname(file.originalname || '').toLowerCase())) {
             cb(null, true);
         } else {
-            cb(new Error('Only Excel and CSV files allowed'));
+            cb(new Error('Only Excel, CSV, OFX / QFX, QIF and CAMT.053 (XML) files allowed'));
         }
     }
 });
@@ -114,6 +136,11 @@ const upload = multer({
 
 // TRANSACTIONS ENDPOINTS
 
+// ✅ Allowed transaction_type / payment_method values (for forms and imports)
+router.get('/transaction-types', (req, res) => {
+    res.json({ success: true, transaction_types: TRANSACTION_TYPES, payment_methods: PAYMENT_METHODS });
+});
+
 router.get('/transactions', async (req, res) => {
     try {
         const userId = req.user.id;
@@ -124,20 +151,37 @@ router.get('/transactions', async (req, res) => {
             sortOrder = 'DESC',
             currency,
             mode,
+            transaction_type,
+            payment_method,
             from_date,
             to_date,
-            search
+            search,
+            tags,
+            tags_match = 'any'
         } = req.query;
 
-        const allowedSortColumns = ['transaction_date', 'amount', 'mode', 'currency'];
+        const allowedSortColumns = ['transaction_date', 'amount', 'mode', 'transaction_type', 'payment_method', 'currency'];
         const sortColumn = allowedSortColumns.includes(sortBy) ? sortBy : 'transaction_date';
         const sortDir = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
+        // ✅ Transfer legs have no category; show the other leg's account instead
+        // ✅ Split transactions carry their lines (null when not split)
+        const selectColumns = `SELECT t.*, a.name as account_name, c.name as category_name, ta.name as transfer_account_name,
+                   (SELECT json_agg(json_build_object(
+                               'id', s.id, 'category_id', s.category_id, 'category_name', sc.name,
+                               'amount', s.amount, 'note', s.note) ORDER BY s.position)
+                    FROM transaction_splits s
+                    LEFT JOIN categories sc ON s.category_id = sc.id
+                    WHERE s.transaction_id = t.id) as splits,
+                   ${transactionTagsSql('t')} as tags,
+                   ${attachmentCountSql('t')} as attachment_count`;
         let query = `
-            SELECT t.*, a.name as account_name, c.name as category_name
+            ${selectColumns}
             FROM transactions t
             JOIN accounts a ON t.account_id = a.id
-            JOIN categories c ON t.category_id = c.id
+            LEFT JOIN categories c ON t.category_id = c.id
+            LEFT JOIN transactions tl ON tl.transfer_id = t.transfer_id AND tl.id <> t.id
+            LEFT JOIN accounts ta ON tl.account_id = ta.id
             WHERE t.user_id = $1
         `;
         
@@ -154,6 +198,16 @@ router.get('/transactions', async (req, res) => {
             params.push(mode);
             paramIndex++;
         }
+        if (transaction_type) {
+            query += ` AND t.transaction_type = $${paramIndex}`;
+            params.push(String(transaction_type).toLowerCase());
+            paramIndex++;
+        }
+        if (payment_method) {
+            query += ` AND t.payment_method = $${paramIndex}`;
+            params.push(normalizePaymentMethod(payment_method) || payment_method);
+            paramIndex++;
+        }
         if (from_date) {
             query += ` AND t.transaction_date >= $${paramIndex}`;
             params.push(from_date);
@@ -170,9 +224,27 @@ router.get('/transactions', async (req, res) => {
             params.push(searchTerm, searchTerm, searchTerm);
             paramIndex += 3;
         }
+        // ✅ ?tags=Trip-Dubai-2026,Reimbursable (names or ids); tags_match=all requires every tag
+        if (tags) {
+            const { ids, names } = splitTagList(tags);
+            const tagCondition = `FROM transaction_tags tt
+                 JOIN tags tg ON tt.tag_id = tg.id
+                 WHERE tt.transaction_id = t.id
+                 AND (tg.id = ANY($${paramIndex}::int[]) OR LOWER(tg.name) = ANY($${paramIndex + 1}::text[]))`;
+
+            if (tags_match === 'all') {
+                query += ` AND (SELECT COUNT(DISTINCT tg.id) ${tagCondition}) = $${paramIndex + 2}`;
+                params.push(ids, names.map(name => name.toLowerCase()), ids.length + names.length);
+                paramIndex += 3;
+            } else {
+                query += ` AND EXISTS (SELECT 1 ${tagCondition})`;
+                params.push(ids, names.map(name => name.toLowerCase()));
+                paramIndex += 2;
+            }
+        }
 
         // Get count
-        const countQuery = query.replace('SELECT t.*, a.name as account_name, c.name as category_name', 'SELECT COUNT(*) as total');
+        const countQuery = query.replace(selectColumns, 'SELECT COUNT(*) as total');
         const countResult = await db.query(countQuery, params);
         
         const countRow = countResult.rows[0];
@@ -204,19 +276,59 @@ router.get('/transactions', async (req, res) => {
 });
 
 router.post('/transactions', async (req, res) => {
+    let client;
+
     try {
         const userId = req.user.id;
-        const { currency, account_id, mode, category_id, transaction_date, description, amount } = req.body;
+        const { currency, account_id, transaction_date, description, amount } = req.body;
+        const hasSplits = Array.isArray(req.body.splits) && req.body.splits.length > 0;
+
+        // ✅ Rules fill in what was left empty (category, type, payment method)
+        // and add their tags; send apply_rules: false to skip them
+        const matched = req.body.apply_rules === false
+            ? null
+            : evaluateRules(await loadActiveRules(db, userId), { description, amount, account_id });
+
+        // A split transaction takes its main category from the first line
+        const category_id = req.body.category_id
+            || (hasSplits ? (req.body.splits[0].categoryId || req.body.splits[0].category_id) : null)
+            || (matched ? matched.categoryId : null);
+
+        // ✅ transaction_type + payment_method, or a legacy mode ("Credit Card")
+        const explicitType = req.body.transaction_type || req.body.mode;
+        const type = resolveTransactionType({
+            transaction_type: req.body.transaction_type || (!explicitType && matched ? matched.transactionType : undefined),
+            mode: req.body.mode,
+            payment_method: req.body.payment_method || (!req.body.mode && matched ? matched.paymentMethod || undefined : undefined)
+        });
 
-        if (!currency || !account_id || !mode || !category_id || !transaction_date || !amount) {
+        if (!currency || !account_id || !type || !category_id || !transaction_date || !amount) {
             return res.status(400).json({ success: false, message: 'All fields required' });
         }
 
+        if (type.error) {
+            return res.status(400).json({ success: false, message: type.error });
+        }
+
+        if (type.transactionType === 'transfer') {
+            return res.status(400).json({ success: false, message: 'Use /transfers to move money between accounts' });
+        }
+
+        const currencyCode = normalizeCurrency(currency);
+        if (!currencyCode) {
+            return res.status(400).json({ success: false, message: `Invalid currency code: ${currency}` });
+        }
+
         const parsedAmount = parseFloat(amount);
         if (isNaN(parsedAmount) || parsedAmount <= 0) {
             return res.status(400).json({ success: false, message: 'Amount must be > 0' });
         }
 
+        const split = parseSplits(req.body.splits || [], parsedAmount);
+        if (split.error) {
+            return res.status(400).json({ success: false, message: split.error });
+        }
+
         // Verify account ownership
         const accountCheck = await db.query(
             'SELECT id FROM accounts WHERE id = $1 AND user_id = $2',
@@ -227,40 +339,82 @@ router.post('/transactions', async (req, res) => {
             return res.status(403).json({ success: false, message: 'Account not found' });
         }
 
-        const result = await db.query(
-            `INSERT INTO transactions (user_id, currency, account_id, mode, category_id, transaction_date, description, amount)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        if (!(await splitCategoriesOwned(db, userId, split.splits))) {
+            return res.status(403).json({ success: false, message: 'Split category not found' });
+        }
+
+        client = await db.connect();
+        await client.query('BEGIN');
+
+        // ✅ tags: ids and/or names; unknown names become new tags
+        const bodyTags = Array.isArray(req.body.tags) ? req.body.tags : String(req.body.tags || '').split(',').filter(Boolean);
+        const tagResult = await resolveTagIds(client, userId, [...bodyTags, ...(matched ? matched.tags : [])]);
+        if (tagResult.error) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ success: false, message: tagResult.error });
+        }
+
+        const result = await client.query(
+            `INSERT INTO transactions (user_id, currency, account_id, mode, transaction_type, payment_method, category_id, transaction_date, description, amount)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
              RETURNING id`,
-            [userId, currency, account_id, mode, category_id, transaction_date, description, parsedAmount]
+            [userId, currencyCode, account_id, type.mode, type.transactionType, type.paymentMethod, category_id, transaction_date, description, parsedAmount]
         );
 
         const transaction = result.rows[0];
+        await saveSplits(client, transaction.id, userId, split.splits);
+        await setTransactionTags(client, transaction.id, tagResult.tagIds);
+
+        await client.query('COMMIT');
 
         res.json({
             success: true,
             message: 'Transaction created successfully',
-            id: transaction?.id || null
+            id: transaction?.id || null,
+            applied_rules: matched ? matched.ruleIds : []
         });
     } catch (error) {
+        if (client) await client.query('ROLLBACK');
         console.error('❌ Error creating transaction:', error.message);
         res.status(500).json({ success: false, message: error.message });
+    } finally {
+        if (client) client.release();
     }
 });
 
 router.put('/transactions/:id', async (req, res) => {
+    let client;
+
     try {
         const userId = req.user.id;
         const { id } = req.params;
-        const { currency, account_id, mode, category_id, transaction_date, description, amount } = req.body;
+        const { currency, account_id, transaction_date, description, amount } = req.body;
+        const hasSplits = Array.isArray(req.body.splits) && req.body.splits.length > 0;
+        const category_id = req.body.category_id || (hasSplits ? (req.body.splits[0].categoryId || req.body.splits[0].category_id) : null);
+
+        const type = resolveTransactionType(req.body);
+        if (!type) {
+            return res.status(400).json({ success: false, message: 'transaction_type (or mode) required' });
+        }
+        if (type.error) {
+            return res.status(400).json({ success: false, message: type.error });
+        }
 
         const parsedAmount = parseFloat(amount);
         if (isNaN(parsedAmount) || parsedAmount <= 0) {
             return res.status(400).json({ success: false, message: 'Amount must be valid' });
         }
 
+        const currencyCode = normalizeCurrency(currency);
+        if (!currencyCode) {
+            return res.status(400).json({ success: false, message: `Invalid currency code: ${currency}` });
+        }
+
         // Verify transaction ownership
         const transactionCheck = await db.query(
-            'SELECT id FROM transactions WHERE id = $1 AND user_id = $2',
+            `SELECT t.id, t.transfer_id,
+                    (SELECT COUNT(*)::int FROM transaction_splits s WHERE s.transaction_id = t.id) as split_count
+             FROM transactions t WHERE t.id = $1 AND t.user_id = $2`,
             [id, userId]
         );
 
@@ -268,17 +422,72 @@ router.put('/transactions/:id', async (req, res) => {
             return res.status(403).json({ success: false, message: 'Transaction not found' });
         }
 
-        await db.query(
+        // ✅ Both legs of a transfer must change together
+        const transferId = transactionCheck.rows[0].transfer_id;
+        if (transferId || type.transactionType === 'transfer') {
+            return res.status(409).json({
+                success: false,
+                message: 'Transfers are edited as a whole via /transfers/:id',
+                transfer_id: transferId || null
+            });
+        }
+
+        // ✅ splits omitted: keep the existing lines, which must still add up
+        //    splits: []  : turn the split back into a single-category transaction
+        let split = null;
+        if (req.body.splits !== undefined) {
+            split = parseSplits(req.body.splits, parsedAmount);
+            if (split.error) {
+                return res.status(400).json({ success: false, message: split.error });
+            }
+            if (!(await splitCategoriesOwned(db, userId, split.splits))) {
+                return res.status(403).json({ success: false, message: 'Split category not found' });
+            }
+        } else if (transactionCheck.rows[0].split_count > 0) {
+            const existing = await db.query('SELECT amount FROM transaction_splits WHERE transaction_id = $1', [id]);
+            const linesCents = existing.rows.reduce((sum, line) => sum + Math.round(parseFloat(line.amount) * 100), 0);
+            if (linesCents !== Math.round(parsedAmount * 100)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This transaction is split; send updated splits that add up to the new amount'
+                });
+            }
+        }
+
+        client = await db.connect();
+        await client.query('BEGIN');
+
+        await client.query(
             `UPDATE transactions 
-             SET currency = $1, account_id = $2, mode = $3, category_id = $4, transaction_date = $5, description = $6, amount = $7
-             WHERE id = $8 AND user_id = $9`,
-            [currency, account_id, mode, category_id, transaction_date, description, parsedAmount, id, userId]
+             SET currency = $1, account_id = $2, mode = $3, transaction_type = $4, payment_method = $5,
+                 category_id = $6, transaction_date = $7, description = $8, amount = $9
+             WHERE id = $10 AND user_id = $11`,
+            [currencyCode, account_id, type.mode, type.transactionType, type.paymentMethod, category_id, transaction_date, description, parsedAmount, id, userId]
         );
 
+        if (split) {
+            await saveSplits(client, id, userId, split.splits);
+        }
+
+        // tags omitted: keep them; tags: [] removes all
+        if (req.body.tags !== undefined) {
+            const tagResult = await resolveTagIds(client, userId, req.body.tags);
+            if (tagResult.error) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ success: false, message: tagResult.error });
+            }
+            await setTransactionTags(client, id, tagResult.tagIds);
+        }
+
+        await client.query('COMMIT');
+
         res.json({ success: true, message: 'Transaction updated successfully' });
     } catch (error) {
+        if (client) await client.query('ROLLBACK');
         console.error('❌ Error updating transaction:', error.message);
         res.status(500).json({ success: false, message: error.message });
+    } finally {
+        if (client) client.release();
     }
 });
 
@@ -287,6 +496,17 @@ router.delete('/transactions/:id', async (req, res) => {
         const userId = req.user.id;
         const { id } = req.params;
 
+        // ✅ Deleting either leg of a transfer deletes the whole transfer
+        const legCheck = await db.query(
+            'SELECT transfer_id FROM transactions WHERE id = $1 AND user_id = $2',
+            [id, userId]
+        );
+
+        if (legCheck.rows.length > 0 && legCheck.rows[0].transfer_id) {
+            await deleteTransfer(legCheck.rows[0].transfer_id, userId);
+            return res.json({ success: true, message: 'Transfer deleted successfully', transfer_id: legCheck.rows[0].transfer_id });
+        }
+
         const result = await db.query(
             'DELETE FROM transactions WHERE id = $1 AND user_id = $2',
             [id, userId]
@@ -304,534 +524,2653 @@ router.delete('/transactions/:id', async (req, res) => {
 });
 
 
-// IMPORT ENDPOINTS
-
-router.post('/transactions/import-preview', upload.single('file'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ success: false, message: 'No file uploaded' });
-        }
-
-        const workbook = XLSX.readFile(req.file.path);
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-        const data = XLSX.utils.sheet_to_json(worksheet);
-
-        if (!data || data.length === 0) {
-            fs.unlinkSync(req.file.path);
-            return res.status(400).json({ success: false, message: 'Excel file is empty' });
-        }
-
-        const columns = Object.keys(data[0] || {});
-        const preview = data.slice(0, 10);
-
-        fs.unlinkSync(req.file.path);
+// TRANSFERS ENDPOINTS
+// A transfer is one row in `transfers` plus two transactions (transaction_type 'transfer'):
+// an 'out' leg on the source account and an 'in' leg on the destination.
+// Legs never count as income or expense; they only move account balances.
 
-        res.json({
-            success: true,
-            totalRows: data.length,
-            preview,
-            columns,
-            message: 'Preview loaded successfully'
-        });
-    } catch (error) {
-        console.error('❌ Preview error:', error.message);
-        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-        res.status(500).json({ success: false, message: error.message });
+// ✅ Work out both leg amounts; cross-currency transfers need a rate or to_amount
+function resolveTransferAmounts(fromAccount, toAccount, body) {
+    const fromAmount = parseFloat(body.amount);
+    if (isNaN(fromAmount) || fromAmount <= 0) {
+        return { error: 'Amount must be > 0' };
     }
-});
-
-// ✅ FULLY UPDATED: Import endpoint with better date parsing
-router.post('/transactions/import', upload.single('file'), async (req, res) => {
-    try {
-        const userId = req.user.id;
-
-        if (!req.file) {
-            return res.status(400).json({ success: false, message: 'No file uploaded' });
-        }
-
-        const workbook = XLSX.readFile(req.file.path);
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-        const data = XLSX.utils.sheet_to_json(worksheet, { raw: true });
-
-        if (!data || data.length === 0) {
-            fs.unlinkSync(req.file.path);
-            return res.status(400).json({ success: false, message: 'Excel file is empty' });
-        }
-
-        // ✅ IMPROVED: Better date parsing with multiple formats support
-        const parseExcelDate = (value) => {
-            if (!value) return null;
-
-            // Handle Excel numeric dates
-            if (typeof value === 'number') {
-                const date = new Date(Math.round((value - 25569) * 86400 * 1000));
-                return date.toISOString().split('T')[0];
-            }
-
-            const strVal = String(value).trim();
-
-            // Already in YYYY-MM-DD format
-            if (strVal.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                return strVal;
-            }
 
-            // DD-MM-YYYY format
-            if (strVal.match(/^\d{2}-\d{2}-\d{4}$/)) {
-                const parts = strVal.split('-');
-                return `${parts[2]}-${parts[1]}-${parts[0]}`;
-            }
-
-            // DD/MM/YYYY format
-            if (strVal.match(/^\d{2}\/\d{2}\/\d{4}$/)) {
-                const parts = strVal.split('/');
-                return `${parts[2]}-${parts[1]}-${parts[0]}`;
-            }
-
-            // ✅ MM/DD/YYYY format (Your Excel file format!)
-            if (strVal.match(/^\d{1,2}\/\d{1,2}\/\d{4}$/)) {
-                const parts = strVal.split('/');
-                const month = String(parts[0]).padStart(2, '0');
-                const day = String(parts[1]).padStart(2, '0');
-                const year = parts[2];
-                return `${year}-${month}-${day}`;
-            }
-
-            console.warn(`⚠️ Could not parse date: ${strVal}`);
-            return null;
-        };
+    if (fromAccount.currency === toAccount.currency) {
+        return { fromAmount, toAmount: fromAmount, rate: 1 };
+    }
 
-        // ✅ IMPROVED: More robust column name detection
-        const normalizeColumnNames = (obj) => {
-            const normalized = {};
-            for (const [key, value] of Object.entries(obj)) {
-                const lowerKey = key.toLowerCase().trim();
+    const toAmount = parseFloat(body.to_amount);
+    if (!isNaN(toAmount) && toAmount > 0) {
+        return { fromAmount, toAmount, rate: parseFloat((toAmount / fromAmount).toFixed(8)) };
+    }
 
-                // Account column - exact match first, then contains
-                if (lowerKey === 'account_name' || lowerKey === 'account') {
-                    normalized.account_name = value;
-                }
-                // Category column - exact match first, then contains
-                else if (lowerKey === 'category_name' || lowerKey === 'category') {
-                    normalized.category_name = value;
-                }
-                // Mode column - mode or type
-                else if (lowerKey === 'mode' || lowerKey === 'type' || lowerKey === 'transaction type') {
-                    normalized.mode = value;
-                }
-                // Currency column
-                else if (lowerKey === 'currency' || lowerKey === 'curr') {
-                    normalized.currency = value;
-                }
-                // Amount column
-                else if (lowerKey === 'amount' || lowerKey === 'amt' || lowerKey === 'value') {
-                    normalized.amount = value;
-                }
-                // Transaction Date column - exact match
-                else if (lowerKey === 'transaction_date' || lowerKey === 'date' || lowerKey === 'transaction date') {
-                    normalized.transaction_date = value;
-                }
-                // Description column
-                else if (lowerKey === 'description' || lowerKey === 'desc' || lowerKey === 'note' || lowerKey === 'remarks') {
-                    normalized.description = value;
-                }
-            }
-            return normalized;
-        };
+    const rate = parseFloat(body.exchange_rate);
+    if (!isNaN(rate) && rate > 0) {
+        return { fromAmount, toAmount: parseFloat((fromAmount * rate).toFixed(2)), rate };
+    }
 
-        const normalizeMode = (val) => {
-            if (!val) return null;
-            const lower = String(val).trim().toLowerCase();
-            if (lower === 'income') return 'Income';
-            if (lower === 'expense') return 'Expense';
-            if (lower === 'credit card' || lower === 'cc') return 'Credit Card';
-            return null;
-        };
+    return { error: `exchange_rate or to_amount required to transfer ${fromAccount.currency} to ${toAccount.currency}` };
+}
 
-        const results = { success: 0, failed: 0, errors: [] };
+// Accounts a credit card can be paid from
+const CARD_PAYER_ACCOUNT_TYPES = ['bank', 'cash'];
 
-        for (let i = 0; i < data.length; i++) {
-            try {
-                const row = normalizeColumnNames(data[i]);
+// ✅ Validate a transfer request body against the user's accounts;
+// kind 'card_payment' also needs a bank / cash payer and a credit card target
+async function buildTransfer(queryable, userId, body, kind = 'transfer') {
+    const fromAccountId = parseInt(body.from_account_id);
+    const toAccountId = parseInt(body.to_account_id);
+    const transferDate = toDateString(body.transfer_date || body.transaction_date);
 
-                // ✅ DEBUG: Log what we're processing
-                console.log(`📋 Processing Row ${i + 2}:`, {
-                    account_name: row.account_name,
-                    category_name: row.category_name,
-                    mode: row.mode,
-                    currency: row.currency,
-                    amount: row.amount,
-                    transaction_date: row.transaction_date,
-                    description: row.description
-                });
+    if (!fromAccountId || !toAccountId || !transferDate) {
+        return { error: 'from_account_id, to_account_id, amount and transfer_date required' };
+    }
+    if (fromAccountId === toAccountId) {
+        return { error: 'Choose two different accounts' };
+    }
 
-                // Validate amount
-                const amount = parseFloat(row.amount);
-                if (isNaN(amount) || amount <= 0) {
-                    throw new Error(`Invalid amount: "${row.amount}". Must be a number > 0.`);
-                }
+    const accountResult = await queryable.query(
+        'SELECT id, name, currency, account_type FROM accounts WHERE user_id = $1 AND id = ANY($2)',
+        [userId, [fromAccountId, toAccountId]]
+    );
+    const fromAccount = accountResult.rows.find(a => a.id === fromAccountId);
+    const toAccount = accountResult.rows.find(a => a.id === toAccountId);
 
-                // Validate mode
-                const mode = normalizeMode(row.mode);
-                if (!mode) {
-                    throw new Error(`Invalid mode: "${row.mode}". Use: Income, Expense, or Credit Card.`);
-                }
+    if (!fromAccount || !toAccount) {
+        return { error: 'Account not found', status: 403 };
+    }
+    if (kind === 'card_payment') {
+        if (toAccount.account_type !== 'credit_card') {
+            return { error: 'Payments can only be made to credit card accounts' };
+        }
+        if (!CARD_PAYER_ACCOUNT_TYPES.includes(fromAccount.account_type)) {
+            return { error: 'Card payments must come from a bank or cash account' };
+        }
+    }
 
-                // Validate currency
-                let currency = String(row.currency).trim().toUpperCase();
-                if (currency !== 'INR' && currency !== 'SAR') {
-                    throw new Error(`Invalid currency: "${currency}". Use INR or SAR.`);
-                }
+    const amounts = resolveTransferAmounts(fromAccount, toAccount, body);
+    if (amounts.error) {
+        return amounts;
+    }
 
-                // Validate and parse date
-                const transDate = parseExcelDate(row.transaction_date);
-                if (!transDate) {
-                    throw new Error(`Invalid date: "${row.transaction_date}". Use MM/DD/YYYY, DD/MM/YYYY, or YYYY-MM-DD.`);
-                }
+    return {
+        fromAccount,
+        toAccount,
+        transferDate,
+        description: body.description || `Transfer ${fromAccount.name} → ${toAccount.name}`,
+        ...amounts
+    };
+}
+
+// ✅ Insert or update the two legs of a transfer (inside a DB transaction)
+async function saveTransferLegs(client, transferId, userId, transfer, isNew) {
+    const legs = [
+        { direction: 'out', account: transfer.fromAccount, amount: transfer.fromAmount },
+        { direction: 'in', account: transfer.toAccount, amount: transfer.toAmount }
+    ];
+
+    for (const leg of legs) {
+        if (isNew) {
+            await client.query(
+                `INSERT INTO transactions (user_id, currency, account_id, mode, transaction_type, category_id, transaction_date, description, amount, transfer_id, transfer_direction)
+                 VALUES ($1, $2, $3, $4, 'transfer', NULL, $5, $6, $7, $8, $9)`,
+                [userId, leg.account.currency, leg.account.id, TRANSFER_MODE, transfer.transferDate, transfer.description, leg.amount, transferId, leg.direction]
+            );
+        } else {
+            await client.query(
+                `UPDATE transactions
+                 SET currency = $1, account_id = $2, transaction_date = $3, description = $4, amount = $5
+                 WHERE transfer_id = $6 AND transfer_direction = $7 AND user_id = $8`,
+                [leg.account.currency, leg.account.id, transfer.transferDate, transfer.description, leg.amount, transferId, leg.direction, userId]
+            );
+        }
+    }
+}
 
-                // Validate account and category names
-                const accountName = String(row.account_name).trim();
-                const categoryName = String(row.category_name).trim();
+// ✅ Delete a transfer and both legs atomically; returns false when not found
+async function deleteTransfer(transferId, userId) {
+    let client;
 
-                if (!accountName || !categoryName) {
-                    throw new Error('Account Name and Category Name are required.');
-                }
+    try {
+        client = await db.connect();
+        await client.query('BEGIN');
 
-                // Get or Create Account
-                let accountResult = await db.query(
-                    'SELECT id FROM accounts WHERE user_id = $1 AND name = $2 AND currency = $3',
-                    [userId, accountName, currency]
-                );
+        await client.query('DELETE FROM transactions WHERE transfer_id = $1 AND user_id = $2', [transferId, userId]);
+        const result = await client.query('DELETE FROM transfers WHERE id = $1 AND user_id = $2', [transferId, userId]);
 
-                let accountId = accountResult.rows.length > 0 ? accountResult.rows[0].id : null;
+        await client.query('COMMIT');
+        return result.rowCount > 0;
+    } catch (error) {
+        if (client) await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        if (client) client.release();
+    }
+}
+
+const TRANSFER_SELECT = `
+    SELECT tr.*, fa.name as from_account_name, ta.name as to_account_name,
+           (SELECT json_agg(json_build_object('id', t.id, 'direction', t.transfer_direction) ORDER BY t.transfer_direction DESC)
+            FROM transactions t WHERE t.transfer_id = tr.id) as legs
+    FROM transfers tr
+    JOIN accounts fa ON tr.from_account_id = fa.id
+    JOIN accounts ta ON tr.to_account_id = ta.id
+`;
+
+router.get('/transfers', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { from_date, to_date, account_id } = req.query;
 
-                if (!accountId) {
-                    console.log(`✅ Creating new account: ${accountName} (${currency})`);
-                    const res = await db.query(
-                        'INSERT INTO accounts (user_id, name, currency) VALUES ($1, $2, $3) RETURNING id',
-                        [userId, accountName, currency]
-                    );
-                    accountId = res.rows[0].id;
-                }
+        let query = `${TRANSFER_SELECT} WHERE tr.user_id = $1`;
+        const params = [userId];
 
-                // Get or Create Category
-                let categoryResult = await db.query(
-                    'SELECT id FROM categories WHERE user_id = $1 AND name = $2 AND mode = $3',
-                    [userId, categoryName, mode]
-                );
+        if (from_date) {
+            params.push(from_date);
+            query += ` AND tr.transfer_date >= $${params.length}`;
+        }
+        if (to_date) {
+            params.push(to_date);
+            query += ` AND tr.transfer_date <= $${params.length}`;
+        }
+        if (account_id) {
+            params.push(account_id);
+            query += ` AND (tr.from_account_id = $${params.length} OR tr.to_account_id = $${params.length})`;
+        }
 
-                let categoryId = categoryResult.rows.length > 0 ? categoryResult.rows[0].id : null;
+        query += ' ORDER BY tr.transfer_date DESC, tr.id DESC';
 
-                if (!categoryId) {
-                    console.log(`✅ Creating new category: ${categoryName} (${mode})`);
-                    const res = await db.query(
-                        'INSERT INTO categories (user_id, name, mode) VALUES ($1, $2, $3) RETURNING id',
-                        [userId, categoryName, mode]
-                    );
-                    categoryId = res.rows[0].id;
-                }
+        const result = await db.query(query, params);
 
-                // Insert Transaction
-                await db.query(
-                    `INSERT INTO transactions (user_id, currency, account_id, mode, category_id, transaction_date, description, amount)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-                    [userId, currency, accountId, mode, categoryId, transDate, row.description || '', amount]
-                );
+        res.json({ success: true, transfers: result.rows });
+    } catch (error) {
+        console.error('❌ Error fetching transfers:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
 
-                results.success++;
-                console.log(`✅ Row ${i + 2} imported successfully`);
+router.get('/transfers/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
 
-            } catch (error) {
-                results.failed++;
-                const errorMsg = `Row ${i + 2}: ${error.message}`;
-                results.errors.push(errorMsg);
-                console.error(`❌ ${errorMsg}`);
-            }
-        }
+        const result = await db.query(`${TRANSFER_SELECT} WHERE tr.id = $1 AND tr.user_id = $2`, [id, userId]);
 
-        // Clean up uploaded file
-        if (fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Transfer not found' });
         }
 
-        res.json({
-            success: true,
-            message: `✅ Processed ${data.length} rows. Success: ${results.success}, Failed: ${results.failed}`,
-            results
-        });
-
+        res.json({ success: true, transfer: result.rows[0] });
     } catch (error) {
-        console.error('❌ Import error:', error.message);
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
-        }
+        console.error('❌ Error fetching transfer:', error.message);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
+// ✅ Insert a transfer and both legs atomically; returns the transfer id
+async function createTransfer(userId, transfer, kind = 'transfer') {
+    let client;
 
-// ACCOUNTS ENDPOINTS
-
-router.get('/accounts', async (req, res) => {
     try {
-        const userId = req.user.id;
-        const { currency } = req.query;
-
-        let query = 'SELECT * FROM accounts WHERE user_id = $1';
-        const params = [userId];
-        let paramIndex = 2;
-
-        if (currency) {
-            query += ` AND currency = $${paramIndex}`;
-            params.push(currency);
-            paramIndex++;
-        }
+        client = await db.connect();
+        await client.query('BEGIN');
 
-        query += ' ORDER BY created_at DESC';
+        const result = await client.query(
+            `INSERT INTO transfers (user_id, from_account_id, to_account_id, from_amount, from_currency,
+                                    to_amount, to_currency, exchange_rate, transfer_date, description, kind)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING id`,
+            [userId, transfer.fromAccount.id, transfer.toAccount.id, transfer.fromAmount, transfer.fromAccount.currency,
+             transfer.toAmount, transfer.toAccount.currency, transfer.rate, transfer.transferDate, transfer.description, kind]
+        );
+        const transferId = result.rows[0].id;
 
-        const result = await db.query(query, params);
-        const accounts = result.rows;
+        await saveTransferLegs(client, transferId, userId, transfer, true);
 
-        res.json({ success: true, accounts: accounts });
+        await client.query('COMMIT');
+        return transferId;
     } catch (error) {
-        console.error('❌ Error fetching accounts:', error.message);
-        res.status(500).json({ success: false, message: error.message });
+        if (client) await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        if (client) client.release();
     }
-});
+}
 
-router.post('/accounts', async (req, res) => {
+router.post('/transfers', async (req, res) => {
     try {
         const userId = req.user.id;
-        const { name, currency } = req.body;
 
-        if (!name || !currency) {
-            return res.status(400).json({ success: false, message: 'Name and currency required' });
+        const transfer = await buildTransfer(db, userId, req.body);
+        if (transfer.error) {
+            return res.status(transfer.status || 400).json({ success: false, message: transfer.error });
         }
 
-        const result = await db.query(
-            'INSERT INTO accounts (user_id, name, currency) VALUES ($1, $2, $3) RETURNING id',
-            [userId, name, currency]
-        );
+        const transferId = await createTransfer(userId, transfer);
 
-        const account = result.rows[0];
+        console.log('✅ Transfer created:', transferId);
 
         res.json({
             success: true,
-            message: 'Account created successfully',
-            id: account?.id || null
+            message: 'Transfer created successfully',
+            id: transferId,
+            from_amount: transfer.fromAmount,
+            to_amount: transfer.toAmount,
+            exchange_rate: transfer.rate
         });
     } catch (error) {
-        console.error('❌ Error creating account:', error.message);
+        console.error('❌ Error creating transfer:', error.message);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-router.put('/accounts/:id', async (req, res) => {
+router.put('/transfers/:id', async (req, res) => {
+    let client;
+
     try {
         const userId = req.user.id;
         const { id } = req.params;
-        const { name, currency } = req.body;
 
-        await db.query(
-            'UPDATE accounts SET name = $1, currency = $2 WHERE id = $3 AND user_id = $4',
-            [name, currency, id, userId]
+        // ✅ A card payment stays a valid card payment when edited
+        const existing = await db.query(
+            'SELECT kind FROM transfers WHERE id = $1 AND user_id = $2',
+            [parseInt(id) || 0, userId]
+        );
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Transfer not found' });
+        }
+
+        const transfer = await buildTransfer(db, userId, req.body, existing.rows[0].kind);
+        if (transfer.error) {
+            return res.status(transfer.status || 400).json({ success: false, message: transfer.error });
+        }
+
+        client = await db.connect();
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE transfers
+             SET from_account_id = $1, to_account_id = $2, from_amount = $3, from_currency = $4,
+                 to_amount = $5, to_currency = $6, exchange_rate = $7, transfer_date = $8,
+                 description = $9, updated_at = NOW()
+             WHERE id = $10 AND user_id = $11`,
+            [transfer.fromAccount.id, transfer.toAccount.id, transfer.fromAmount, transfer.fromAccount.currency,
+             transfer.toAmount, transfer.toAccount.currency, transfer.rate, transfer.transferDate,
+             transfer.description, id, userId]
         );
 
-        res.json({ success: true, message: 'Account updated successfully' });
+        if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Transfer not found' });
+        }
+
+        await saveTransferLegs(client, id, userId, transfer, false);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: 'Transfer updated successfully',
+            from_amount: transfer.fromAmount,
+            to_amount: transfer.toAmount,
+            exchange_rate: transfer.rate
+        });
     } catch (error) {
-        console.error('❌ Error updating account:', error.message);
+        if (client) await client.query('ROLLBACK');
+        console.error('❌ Error updating transfer:', error.message);
         res.status(500).json({ success: false, message: error.message });
+    } finally {
+        if (client) client.release();
     }
 });
 
-router.delete('/accounts/:id', async (req, res) => {
+router.delete('/transfers/:id', async (req, res) => {
     try {
         const userId = req.user.id;
         const { id } = req.params;
 
-        const result = await db.query(
-            'DELETE FROM accounts WHERE id = $1 AND user_id = $2',
-            [id, userId]
-        );
+        const deleted = await deleteTransfer(id, userId);
 
-        if (result.rowCount === 0) {
-            return res.status(403).json({ success: false, message: 'Account not found' });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Transfer not found' });
         }
 
-        res.json({ success: true, message: 'Account deleted successfully' });
+        res.json({ success: true, message: 'Transfer deleted successfully' });
     } catch (error) {
-        console.error('❌ Error deleting account:', error.message);
+        console.error('❌ Error deleting transfer:', error.message);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 
-// CATEGORIES ENDPOINTS
+// IMPORT ENDPOINTS
+
+// ✅ IMPROVED: Better date parsing with multiple formats support
+function parseExcelDate(value) {
+    if (!value) return null;
+
+    // Handle Excel numeric dates
+    if (typeof value === 'number') {
+        const date = new Date(Math.round((value - 25569) * 86400 * 1000));
+        return date.toISOString().split('T')[0];
+    }
+
+    const strVal = String(value).trim();
+
+    // Already in YYYY-MM-DD format
+    if (strVal.match(/^\d{4}-\d{2}-\d{2}$/)) {
+        return strVal;
+    }
+
+    // DD-MM-YYYY format
+    if (strVal.match(/^\d{2}-\d{2}-\d{4}$/)) {
+        const parts = strVal.split('-');
+        return `${parts[2]}-${parts[1]}-${parts[0]}`;
+    }
+
+    // DD/MM/YYYY format
+    if (strVal.match(/^\d{2}\/\d{2}\/\d{4}$/)) {
+        const parts = strVal.split('/');
+        return `${parts[2]}-${parts[1]}-${parts[0]}`;
+    }
+
+    // ✅ MM/DD/YYYY format (Your Excel file format!)
+    if (strVal.match(/^\d{1,2}\/\d{1,2}\/\d{4}$/)) {
+        const parts = strVal.split('/');
+        const month = String(parts[0]).padStart(2, '0');
+        const day = String(parts[1]).padStart(2, '0');
+        const year = parts[2];
+        return `${year}-${month}-${day}`;
+    }
+
+    console.warn(`⚠️ Could not parse date: ${strVal}`);
+    return null;
+}
+
+// ✅ An uploaded file: a bank statement (OFX / QFX, QIF, CAMT.053) is parsed
+// directly, anything else is read as a spreadsheet
+function readImportFile(file, body) {
+    const buffer = fs.readFileSync(file.path);
+    const head = buffer.slice(0, 4096).toString('latin1');
+    const format = detectStatementFormat(file.originalname, head);
+
+    if (format) {
+        // OFX 1.x headers announce Windows-1252; everything else is UTF-8
+        const text = buffer.toString(/CHARSET:\s*(1252|ISO-8859-1)/i.test(head) ? 'latin1' : 'utf8');
+        return { statement: parseStatement(text, format, { date_format: body.date_format }) };
+    }
+
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    return { worksheet, data: XLSX.utils.sheet_to_json(worksheet, { raw: true }) };
+}
+
+// ✅ PFMS account for each statement account: the saved link, unless the
+// request maps it (statement_accounts = JSON { "<statement account>": account_id })
+async function resolveStatementLinks(userId, statement, body) {
+    const links = await loadStatementLinks(db, userId, statement.accounts.map(a => a.key));
+
+    let overrides = {};
+    try {
+        overrides = body.statement_accounts ? JSON.parse(body.statement_accounts) : {};
+    } catch (error) {
+        return { error: 'statement_accounts must be a JSON object of statement account: account_id', status: 400 };
+    }
+
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (!statement.accounts.some(a => a.key === key)) continue;
+        if (!value) {
+            delete links[key];
+            continue;
+        }
+        const account = await db.query('SELECT id, name, currency FROM accounts WHERE id = $1 AND user_id = $2', [parseInt(value), userId]);
+        if (account.rows.length === 0) {
+            return { error: 'Account not found', status: 403 };
+        }
+        links[key] = { ...account.rows[0], changed: true };
+    }
+
+    return { links };
+}
+
+// ✅ Import rows of an uploaded file (see readImportFile), plus what the
+// preview shows about how they were read: the column mapping for
+// spreadsheets, the statement accounts for bank statements.
+// Returns { rows, preview, firstRow, totalRows, info }, { mappingError, ... }
+// when the columns still need mapping, or { error, status }.
+async function loadImportRows(userId, file, body) {
+    if (file.statement) {
+        const { statement } = file;
+        if (statement.transactions.length === 0) {
+            return { error: 'No transactions found in the statement', status: 400 };
+        }
+
+        const linked = await resolveStatementLinks(userId, statement, body);
+        if (linked.error) {
+            return linked;
+        }
+
+        const rows = statementRows(statement, linked.links);
+        return {
+            rows,
+            preview: rows.slice(0, 10),
+            firstRow: 1,
+            totalRows: rows.length,
+            links: linked.links,
+            info: {
+                columns: ['transaction_date', 'description', 'account_name', 'mode', 'amount', 'currency', 'bank_transaction_id'],
+                statement: {
+                    format: statement.format,
+                    accounts: statement.accounts.map(a => ({
+                        ...a,
+                        transactions: statement.transactions.filter(t => t.account_key === a.key).length,
+                        account_id: linked.links[a.key] ? linked.links[a.key].id : null
+                    }))
+                },
+                mapping: null
+            }
+        };
+    }
+
+    const { worksheet, data } = file;
+    if (!data || data.length === 0) {
+        return { error: 'Excel file is empty', status: 400 };
+    }
+
+    // Detected columns with a suggested field each; the client confirms or
+    // overrides the mapping (or picks a saved profile) and previews again
+    const columns = sheetColumns(worksheet);
+    const detected = suggestMapping(columns).detected.map(entry => ({
+        ...entry,
+        sample: (data.find(row => row[entry.column] !== undefined && row[entry.column] !== '') || {})[entry.column] ?? null
+    }));
+    const profilesResult = await db.query('SELECT id, name, mapping FROM import_profiles WHERE user_id = $1 ORDER BY name', [userId]);
+    const matchingProfiles = profilesResult.rows
+        .filter(profile => Object.values(profile.mapping).every(column => columns.includes(column)))
+        .map(profile => ({ id: profile.id, name: profile.name }));
+
+    const info = {
+        columns,
+        detected,
+        fields: Object.keys(IMPORT_FIELDS),
+        signConventions: SIGN_CONVENTIONS,
+        dateFormats: DATE_FORMATS,
+        matchingProfiles
+    };
+    const loaded = { preview: data.slice(0, 10), firstRow: 2, totalRows: data.length, info };
+
+    const resolved = await resolveImportMapping(userId, body, columns);
+    if (resolved.status === 403) {
+        return resolved;
+    }
+    if (resolved.error) {
+        return { ...loaded, mappingError: resolved.error };
+    }
+
+    const { mapping, sign_convention, date_format, account_id } = resolved.config;
+    info.mapping = { mapping, sign_convention, date_format, account_id: account_id || null };
+    info.profile = resolved.profile ? { id: resolved.profile.id, name: resolved.profile.name } : null;
+
+    return { ...loaded, rows: data.map(raw => applyMapping(raw, resolved.config)), links: {} };
+}
+
+// ✅ Headers of the first sheet row (rows from sheet_to_json leave out empty
+// cells, so the first data row may not show every column)
+function sheetColumns(worksheet) {
+    const [header = []] = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false });
+    return header.filter(column => column !== undefined && column !== null && String(column).trim() !== '').map(String);
+}
+
+// ✅ Column mapping for an upload: the mapping sent with the request (JSON in
+// the `mapping` form field), else a saved profile (profile_id), else what the
+// headers suggest. sign_convention / date_format / account_id in the request
+// override the profile's.
+async function resolveImportMapping(userId, body, columns) {
+    let profile = null;
+    if (body.profile_id) {
+        const result = await db.query('SELECT * FROM import_profiles WHERE id = $1 AND user_id = $2', [parseInt(body.profile_id), userId]);
+        if (result.rows.length === 0) {
+            return { error: 'Import profile not found', status: 403 };
+        }
+        profile = result.rows[0];
+    }
+
+    let mapping;
+    if (body.mapping) {
+        try {
+            mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping) : body.mapping;
+        } catch (error) {
+            return { error: 'mapping must be a JSON object of field: column', status: 400 };
+        }
+    } else {
+        mapping = profile ? profile.mapping : suggestMapping(columns).mapping;
+    }
+
+    const parsed = parseMappingInput({
+        mapping,
+        sign_convention: body.sign_convention || (profile ? profile.sign_convention : undefined),
+        date_format: body.date_format || (profile ? profile.date_format : undefined)
+    }, columns);
+    if (parsed.error) {
+        return { error: parsed.error, status: 400 };
+    }
+
+    const config = parsed.config;
+    const accountId = body.account_id ? parseInt(body.account_id) : (profile ? profile.account_id : null);
+    if (accountId) {
+        const account = await db.query('SELECT id, name, currency FROM accounts WHERE id = $1 AND user_id = $2', [accountId, userId]);
+        if (account.rows.length === 0) {
+            return { error: 'Account not found', status: 403 };
+        }
+        config.account_id = accountId;
+        config.default_account_name = account.rows[0].name;
+        config.default_currency = account.rows[0].currency;
+    }
+
+    return { config, profile };
+}
+
+router.post('/transactions/import-preview', upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+
+        const userId = req.user.id;
+        const file = readImportFile(req.file, req.body);
+        fs.unlinkSync(req.file.path);
+
+        const loaded = await loadImportRows(userId, file, req.body);
+        if (loaded.error) {
+            return res.status(loaded.status).json({ success: false, message: loaded.error });
+        }
+        const { preview, firstRow } = loaded;
+
+        if (loaded.mappingError) {
+            return res.json({
+                success: true,
+                totalRows: loaded.totalRows,
+                preview,
+                firstRow,
+                ...loaded.info,
+                mapping: null,
+                mappingError: loaded.mappingError,
+                suggestions: [],
+                lowConfidenceRows: [],
+                duplicates: [],
+                message: 'Map the columns to continue'
+            });
+        }
+        const { rows } = loaded;
+
+        // ✅ Category each row would get: from the file, a rule, or learned from history.
+        // Rows with no category and no confident suggestion are flagged.
+        const rules = await loadActiveRules(db, userId);
+        const modelFor = createModelCache(db, userId);
+        const accountsResult = await db.query('SELECT id, name, currency FROM accounts WHERE user_id = $1', [userId]);
+        const accountIds = new Map(accountsResult.rows.map(a => [`${a.name}|${a.currency}`, a.id]));
+
+        // ✅ Rows already in the ledger (same bank transaction id, or same
+        // fingerprint), or repeating an earlier row of this file
+        const duplicateTracker = createDuplicateTracker(
+            await loadExistingFingerprints(db, userId, rows.map(row => parseExcelDate(row.transaction_date)))
+        );
+        const bankIds = await loadExistingBankIds(db, userId, [...new Set(rows.map(row => row.account_id).filter(Boolean))]);
+        const duplicates = [];
+
+        const rowSuggestions = [];
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            const rowNumber = i + firstRow;
+            const accountKey = `${String(row.account_name || '').trim()}|${normalizeCurrency(String(row.currency))}`;
+            const accountId = row.account_id || accountIds.get(accountKey) || null;
+
+            const transDate = parseExcelDate(row.transaction_date);
+            const amount = parseFloat(row.amount);
+            const importedId = row.bank_transaction_id && accountId ? bankIds.get(`${accountId}|${row.bank_transaction_id}`) : null;
+            if (importedId) {
+                duplicates.push({ row: rowNumber, duplicate_of: 'bank_id', transaction_id: importedId, first_row: null });
+            } else if (transDate && !isNaN(amount)) {
+                const fingerprint = transactionFingerprint({
+                    transaction_date: transDate,
+                    amount,
+                    account: accountId || accountKey,
+                    description: row.description
+                });
+                const duplicate = duplicateTracker.check(fingerprint);
+                if (duplicate) {
+                    duplicates.push({
+                        row: rowNumber,
+                        duplicate_of: duplicate.duplicate_of,
+                        transaction_id: duplicate.transaction_id || null,
+                        first_row: duplicate.row || null
+                    });
+                }
+                duplicateTracker.remember(fingerprint, rowNumber);
+            }
+
+            const suggestion = { row: rowNumber, category_id: null, category_name: null, confidence: null, source: null, alternatives: [] };
+
+            if (row.category_name && String(row.category_name).trim()) {
+                suggestion.category_name = String(row.category_name).trim();
+                suggestion.confidence = 1;
+                suggestion.source = 'file';
+            } else {
+                const matched = evaluateRules(rules, { description: row.description, amount: row.amount, account_id: accountId });
+                const type = resolveTransactionType({ mode: row.mode || (matched ? matched.transactionType : null) });
+                const transactionType = type && !type.error ? type.transactionType : null;
+
+                if (matched && matched.categoryId) {
+                    suggestion.category_id = matched.categoryId;
+                    suggestion.confidence = 1;
+                    suggestion.source = 'rule';
+                } else {
+                    const ranked = suggestCategories(await modelFor(transactionType), row.description);
+                    if (ranked.length > 0) {
+                        suggestion.category_id = ranked[0].category_id;
+                        suggestion.confidence = ranked[0].confidence;
+                        suggestion.source = 'history';
+                        suggestion.alternatives = ranked.slice(1);
+                    }
+                }
+            }
+
+            suggestion.low_confidence = suggestion.confidence === null || suggestion.confidence < LOW_CONFIDENCE_THRESHOLD;
+            rowSuggestions.push(suggestion);
+        }
+
+        const names = await loadCategoryNames(db, userId, rowSuggestions
+            .flatMap(s => [s, ...s.alternatives])
+            .filter(s => s.category_id));
+        const withName = (s) => ({ ...s, category_name: s.category_name || (names.get(s.category_id) || {}).full_name || null });
+        const suggestions = rowSuggestions.slice(0, preview.length).map(s => ({
+            ...withName(s),
+            alternatives: s.alternatives.map(withName)
+        }));
+
+        res.json({
+            success: true,
+            totalRows: loaded.totalRows,
+            preview,
+            firstRow,
+            ...loaded.info,
+            mappedPreview: rows.slice(0, preview.length).map(row => ({ ...row, transaction_date: parseExcelDate(row.transaction_date) })),
+            suggestions,
+            lowConfidenceRows: rowSuggestions.filter(s => s.low_confidence).map(s => s.row),
+            confidenceThreshold: LOW_CONFIDENCE_THRESHOLD,
+            duplicates,
+            duplicateActions: DUPLICATE_ACTIONS,
+            message: 'Preview loaded successfully'
+        });
+    } catch (error) {
+        console.error('❌ Preview error:', error.message);
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ FULLY UPDATED: Import endpoint with better date parsing
+router.post('/transactions/import', upload.single('file'), async (req, res) => {
+    let batchId = null;
+
+    try {
+        const userId = req.user.id;
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No file uploaded' });
+        }
+
+        const file = readImportFile(req.file, req.body);
+        fs.unlinkSync(req.file.path);
+
+        // ✅ Likely duplicates: skip (default), merge into the transaction they
+        // duplicate, or import anyway; duplicate_overrides = { "<row>": action }
+        const duplicateAction = req.body.duplicate_action || 'skip';
+        let duplicateOverrides = {};
+        try {
+            duplicateOverrides = req.body.duplicate_overrides ? JSON.parse(req.body.duplicate_overrides) : {};
+        } catch (error) {
+            duplicateOverrides = null;
+        }
+        if (!DUPLICATE_ACTIONS.includes(duplicateAction) || !duplicateOverrides || typeof duplicateOverrides !== 'object') {
+            return res.status(400).json({
+                success: false,
+                message: `duplicate_action must be one of: ${DUPLICATE_ACTIONS.join(', ')}; duplicate_overrides must be a JSON object`
+            });
+        }
+
+        const results = { success: 0, failed: 0, skipped: 0, merged: 0, ruleMatches: 0, suggested: 0, duplicates: [], errors: [] };
+        const rules = await loadActiveRules(db, userId);
+        const modelFor = createModelCache(db, userId);
+
+        // ✅ Same mapping / statement accounts the preview showed
+        // (mapping, profile_id, account_id, statement_accounts fields)
+        const loaded = await loadImportRows(userId, file, req.body);
+        if (loaded.error || loaded.mappingError) {
+            return res.status(loaded.status || 400).json({ success: false, message: loaded.error || loaded.mappingError });
+        }
+        const { rows, firstRow } = loaded;
+
+        // ✅ Every import is recorded as a batch; the transactions, accounts and
+        // categories it creates are linked to it so it can be rolled back
+        const batch = await db.query(
+            `INSERT INTO import_batches (user_id, file_name, file_format, total_rows)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+            [
+                userId,
+                req.file.originalname,
+                file.statement ? file.statement.format : path.extname(req.file.originalname).slice(1).toLowerCase(),
+                rows.length
+            ]
+        );
+        batchId = batch.rows[0].id;
+
+        // ✅ Statement accounts mapped in the preview are remembered for next time
+        const statementAccountIds = new Map();
+        for (const [key, link] of Object.entries(loaded.links)) {
+            if (link.changed) await saveStatementLink(db, userId, key, link.id);
+            statementAccountIds.set(key, link.id);
+        }
+
+        const duplicateTracker = createDuplicateTracker(
+            await loadExistingFingerprints(db, userId, rows.map(row => parseExcelDate(row.transaction_date)))
+        );
+        const bankIds = await loadExistingBankIds(db, userId, [...statementAccountIds.values()]);
+
+        for (let i = 0; i < rows.length; i++) {
+            const rowNumber = i + firstRow;
+            try {
+                const row = rows[i];
+
+                // ✅ DEBUG: Log what we're processing
+                console.log(`📋 Processing Row ${rowNumber}:`, {
+                    account_name: row.account_name,
+                    category_name: row.category_name,
+                    mode: row.mode,
+                    payment_method: row.payment_method,
+                    currency: row.currency,
+                    amount: row.amount,
+                    transaction_date: row.transaction_date,
+                    description: row.description
+                });
+
+                // Validate amount
+                const amount = parseFloat(row.amount);
+                if (isNaN(amount) || amount <= 0) {
+                    throw new Error(`Invalid amount: "${row.amount}". Must be a number > 0.`);
+                }
+
+                // Validate currency (any ISO 4217 code)
+                const currency = normalizeCurrency(String(row.currency));
+                if (!currency) {
+                    throw new Error(`Invalid currency: "${row.currency}". Use a 3-letter ISO 4217 code (e.g. INR, SAR, USD).`);
+                }
+
+                // Validate and parse date
+                const transDate = parseExcelDate(row.transaction_date);
+                if (!transDate) {
+                    throw new Error(`Invalid date: "${row.transaction_date}". Use MM/DD/YYYY, DD/MM/YYYY, or YYYY-MM-DD.`);
+                }
+
+                // Validate account name (category may come from a rule)
+                const accountName = row.account_name ? String(row.account_name).trim() : '';
+                const categoryName = row.category_name ? String(row.category_name).trim() : '';
+
+                if (!accountName) {
+                    throw new Error('Account Name is required.');
+                }
+
+                // Statement rows go to the account linked to their statement account
+                let accountId = row.statement_account ? statementAccountIds.get(row.statement_account) || null : null;
+
+                if (!accountId) {
+                    // Get or Create Account
+                    let accountResult = await db.query(
+                        'SELECT id FROM accounts WHERE user_id = $1 AND name = $2 AND currency = $3',
+                        [userId, accountName, currency]
+                    );
+
+                    accountId = accountResult.rows.length > 0 ? accountResult.rows[0].id : null;
+
+                    if (!accountId) {
+                        console.log(`✅ Creating new account: ${accountName} (${currency})`);
+                        const res = await db.query(
+                            'INSERT INTO accounts (user_id, name, currency, import_batch_id) VALUES ($1, $2, $3, $4) RETURNING id',
+                            [userId, accountName, currency, batchId]
+                        );
+                        accountId = res.rows[0].id;
+                    }
+
+                    if (row.statement_account) {
+                        await saveStatementLink(db, userId, row.statement_account, accountId);
+                        statementAccountIds.set(row.statement_account, accountId);
+                    }
+                }
+
+                // ✅ Bank transaction id seen before: always skipped
+                const bankId = row.bank_transaction_id ? `${accountId}|${row.bank_transaction_id}` : null;
+                if (bankId && bankIds.has(bankId)) {
+                    results.skipped++;
+                    results.duplicates.push({ row: rowNumber, duplicate_of: 'bank_id', transaction_id: bankIds.get(bankId), action: 'skipped' });
+                    console.log(`⏭️ Row ${rowNumber} skipped (bank transaction ${row.bank_transaction_id} already imported)`);
+                    continue;
+                }
+
+                // ✅ Duplicate of an existing transaction or of an earlier row?
+                const fingerprint = transactionFingerprint({
+                    transaction_date: transDate,
+                    amount,
+                    account: accountId,
+                    description: row.description
+                });
+                const duplicate = duplicateTracker.check(fingerprint);
+                const action = duplicate ? duplicateActionFor(duplicateAction, duplicateOverrides, rowNumber) : 'import';
+                const mergeInto = action === 'merge' ? duplicate.transaction_id : null;
+
+                if (action === 'skip') {
+                    duplicateTracker.remember(fingerprint, rowNumber, duplicate.transaction_id);
+                    results.skipped++;
+                    results.duplicates.push({ row: rowNumber, duplicate_of: duplicate.duplicate_of, transaction_id: duplicate.transaction_id || null, action: 'skipped' });
+                    console.log(`⏭️ Row ${rowNumber} skipped (duplicate)`);
+                    continue;
+                }
+
+                // ✅ Rules fill in an empty mode / payment method / category and add tags
+                const matched = evaluateRules(rules, { description: row.description, amount, account_id: accountId });
+                if (matched) {
+                    results.ruleMatches++;
+                }
+
+                // Validate mode / payment method
+                const type = resolveTransactionType({
+                    mode: row.mode || (matched ? matched.transactionType : null),
+                    payment_method: row.payment_method || (matched && !row.mode ? matched.paymentMethod || undefined : undefined)
+                });
+                if (!type || type.transactionType === 'transfer') {
+                    throw new Error(`Invalid mode: "${row.mode}". Use: Income, Expense, Credit Card, Debit Card or Cash Payment, or map a debit / credit column or a sign convention.`);
+                }
+                if (type.error) {
+                    throw new Error(type.error);
+                }
+                const mode = type.mode;
+
+                let categoryId = null;
+
+                if (categoryName) {
+                    // Get or Create Category
+                    let categoryResult = await db.query(
+                        'SELECT id FROM categories WHERE user_id = $1 AND name = $2 AND transaction_type = $3',
+                        [userId, categoryName, type.transactionType]
+                    );
+
+                    categoryId = categoryResult.rows.length > 0 ? categoryResult.rows[0].id : null;
+
+                    if (!categoryId) {
+                        console.log(`✅ Creating new category: ${categoryName} (${mode})`);
+                        const res = await db.query(
+                            'INSERT INTO categories (user_id, name, mode, transaction_type, import_batch_id) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+                            [userId, categoryName, mode, type.transactionType, batchId]
+                        );
+                        categoryId = res.rows[0].id;
+                    }
+                } else if (matched && matched.categoryId) {
+                    categoryId = matched.categoryId;
+                } else if (!mergeInto) {
+                    // ✅ Fall back to the category learned from history, if confident enough
+                    const [best] = suggestCategories(await modelFor(type.transactionType), row.description, 1);
+                    if (!best || best.confidence < LOW_CONFIDENCE_THRESHOLD) {
+                        throw new Error('Category Name is required (no rule or confident suggestion for this row).');
+                    }
+                    categoryId = best.category_id;
+                    results.suggested++;
+                }
+
+                if (mergeInto) {
+                    // ✅ Remember the transaction as it was, so rollback can restore it
+                    const previous = await db.query(
+                        `SELECT mode, transaction_type, payment_method, category_id, description, external_id,
+                                ARRAY(SELECT tag_id FROM transaction_tags WHERE transaction_id = t.id) as tag_ids
+                         FROM transactions t
+                         WHERE id = $1 AND user_id = $2`,
+                        [mergeInto, userId]
+                    );
+
+                    // ✅ Merge: the row's type / method / category (when it has one) win,
+                    // the description only fills a blank one; transfer legs are left alone
+                    const merged = await db.query(
+                        `UPDATE transactions
+                         SET mode = $1, transaction_type = $2, payment_method = $3,
+                             category_id = CASE WHEN EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = transactions.id)
+                                                THEN category_id ELSE COALESCE($4, category_id) END,
+                             description = CASE WHEN COALESCE(description, '') = '' THEN $5 ELSE description END,
+                             external_id = COALESCE(external_id, $8)
+                         WHERE id = $6 AND user_id = $7 AND transaction_type <> 'transfer'
+                         RETURNING id`,
+                        [mode, type.transactionType, type.paymentMethod, categoryId, row.description || '', mergeInto, userId, row.bank_transaction_id || null]
+                    );
+
+                    duplicateTracker.remember(fingerprint, rowNumber, mergeInto);
+                    if (merged.rows.length === 0) {
+                        results.skipped++;
+                        results.duplicates.push({ row: rowNumber, duplicate_of: duplicate.duplicate_of, transaction_id: mergeInto, action: 'skipped' });
+                        console.log(`⏭️ Row ${rowNumber} skipped (duplicate of a transfer)`);
+                        continue;
+                    }
+
+                    const { tag_ids: previousTagIds, ...previousValues } = previous.rows[0];
+                    let addedTagIds = [];
+                    if (matched && matched.tags.length > 0) {
+                        const tagResult = await resolveTagIds(db, userId, matched.tags);
+                        await addTransactionTags(db, mergeInto, tagResult.tagIds);
+                        addedTagIds = tagResult.tagIds.filter(tagId => !previousTagIds.includes(tagId));
+                    }
+
+                    // A later row merged into the same transaction keeps the
+                    // first previous values and adds its tags
+                    await db.query(
+                        `INSERT INTO import_batch_merges (import_batch_id, transaction_id, previous, added_tag_ids)
+                         VALUES ($1, $2, $3, $4)
+                         ON CONFLICT (import_batch_id, transaction_id)
+                         DO UPDATE SET added_tag_ids = ARRAY(
+                             SELECT DISTINCT UNNEST(import_batch_merges.added_tag_ids || EXCLUDED.added_tag_ids)
+                         )`,
+                        [batchId, mergeInto, JSON.stringify(previousValues), addedTagIds]
+                    );
+
+                    results.merged++;
+                    results.duplicates.push({ row: rowNumber, duplicate_of: duplicate.duplicate_of, transaction_id: mergeInto, action: 'merged' });
+                    console.log(`✅ Row ${rowNumber} merged into transaction ${mergeInto}`);
+                    continue;
+                }
+
+                // Insert Transaction
+                const inserted = await db.query(
+                    `INSERT INTO transactions (user_id, currency, account_id, mode, transaction_type, payment_method, category_id, transaction_date, description, amount, external_id, import_batch_id)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                     RETURNING id`,
+                    [userId, currency, accountId, mode, type.transactionType, type.paymentMethod, categoryId, transDate, row.description || '', amount, row.bank_transaction_id || null, batchId]
+                );
+                if (bankId) bankIds.set(bankId, inserted.rows[0].id);
+
+                if (matched && matched.tags.length > 0) {
+                    const tagResult = await resolveTagIds(db, userId, matched.tags);
+                    await setTransactionTags(db, inserted.rows[0].id, tagResult.tagIds);
+                }
+
+                duplicateTracker.remember(fingerprint, rowNumber, inserted.rows[0].id);
+                if (duplicate) {
+                    results.duplicates.push({ row: rowNumber, duplicate_of: duplicate.duplicate_of, transaction_id: duplicate.transaction_id || null, action: 'imported' });
+                }
+
+                results.success++;
+                console.log(`✅ Row ${rowNumber} imported successfully`);
+
+            } catch (error) {
+                results.failed++;
+                const errorMsg = `Row ${rowNumber}: ${error.message}`;
+                results.errors.push(errorMsg);
+                console.error(`❌ ${errorMsg}`);
+            }
+        }
+
+        await db.query(
+            `UPDATE import_batches
+             SET status = 'completed', imported_rows = $1, skipped_rows = $2, merged_rows = $3,
+                 failed_rows = $4, errors = $5, completed_at = NOW()
+             WHERE id = $6`,
+            [results.success, results.skipped, results.merged, results.failed, JSON.stringify(results.errors), batchId]
+        );
+
+        res.json({
+            success: true,
+            message: `✅ Processed ${rows.length} rows. Success: ${results.success}, Skipped: ${results.skipped}, Merged: ${results.merged}, Failed: ${results.failed}`,
+            batch_id: batchId,
+            results
+        });
+
+    } catch (error) {
+        console.error('❌ Import error:', error.message);
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        if (batchId) {
+            // Rows written before the failure stay linked, so the batch can still be rolled back
+            await db.query(
+                `UPDATE import_batches SET status = 'failed', errors = errors || $1, completed_at = NOW() WHERE id = $2`,
+                [JSON.stringify([error.message]), batchId]
+            ).catch(updateError => console.error('❌ Error marking import batch failed:', updateError.message));
+        }
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+
+// IMPORT BATCHES ENDPOINTS
+// Each file import is an import_batches row. Transactions, accounts and
+// categories the import created carry its import_batch_id; rolling back
+// deletes them. Transactions rows were merged into get back the values
+// saved in import_batch_merges.
+
+// A batch still 'processing' after this long was cut off (server restart
+// mid-import) and can be rolled back like a failed one
+const IMPORT_STALE_MINUTES = 30;
+
+// transaction_count: transactions still linked to the batch (0 once rolled back)
+const IMPORT_BATCH_COLUMNS = `
+    b.id, b.file_name, b.file_format, b.status, b.total_rows, b.imported_rows,
+    b.skipped_rows, b.merged_rows, b.failed_rows, jsonb_array_length(b.errors) as error_count,
+    b.created_at, b.completed_at, b.rolled_back_at,
+    (b.status = 'processing' AND b.created_at < NOW() - INTERVAL '${IMPORT_STALE_MINUTES} minutes') as stale,
+    (SELECT COUNT(*)::int FROM transactions t WHERE t.import_batch_id = b.id) as transaction_count,
+    u.name as imported_by
+`;
+
+router.get('/import-batches', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const result = await db.query(
+            `SELECT ${IMPORT_BATCH_COLUMNS}
+             FROM import_batches b
+             JOIN users u ON u.id = b.user_id
+             WHERE b.user_id = $1
+             ORDER BY b.created_at DESC, b.id DESC
+             LIMIT $2`,
+            [userId, limit]
+        );
+
+        res.json({ success: true, batches: result.rows });
+    } catch (error) {
+        console.error('❌ Error fetching import batches:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.get('/import-batches/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        const result = await db.query(
+            `SELECT ${IMPORT_BATCH_COLUMNS}, b.errors
+             FROM import_batches b
+             JOIN users u ON u.id = b.user_id
+             WHERE b.id = $1 AND b.user_id = $2`,
+            [id, userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(403).json({ success: false, message: 'Import batch not found' });
+        }
+
+        const created = await db.query(
+            `SELECT
+                (SELECT COUNT(*)::int FROM accounts WHERE import_batch_id = $1) as accounts,
+                (SELECT COUNT(*)::int FROM categories WHERE import_batch_id = $1) as categories`,
+            [id]
+        );
+
+        res.json({ success: true, batch: { ...result.rows[0], created: created.rows[0] } });
+    } catch (error) {
+        console.error('❌ Error fetching import batch:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ Roll back: restore the transactions rows were merged into, delete the
+// batch's transactions, then the accounts and categories it created that
+// nothing else uses now; the batch record is kept
+router.post('/import-batches/:id/rollback', async (req, res) => {
+    let client;
+
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        client = await db.connect();
+        await client.query('BEGIN');
+
+        const batch = await client.query(
+            `SELECT id, status, merged_rows,
+                    (status = 'processing' AND created_at < NOW() - INTERVAL '${IMPORT_STALE_MINUTES} minutes') as stale
+             FROM import_batches WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+            [id, userId]
+        );
+
+        if (batch.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ success: false, message: 'Import batch not found' });
+        }
+        if (batch.rows[0].status === 'rolled_back') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: 'Import batch already rolled back' });
+        }
+        if (batch.rows[0].status === 'processing' && !batch.rows[0].stale) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: 'Import batch is still running' });
+        }
+
+        // Batches from before import_batch_merges existed have no previous values
+        const recordedMerges = await client.query(
+            'SELECT COUNT(*)::int as count FROM import_batch_merges WHERE import_batch_id = $1',
+            [id]
+        );
+        const keptMerged = recordedMerges.rows[0].count === 0 ? batch.rows[0].merged_rows : 0;
+
+        // Previous values first, so categories only the merges used become unused;
+        // a category deleted since then is left empty
+        const restored = await client.query(
+            `UPDATE transactions t
+             SET mode = m.previous->>'mode',
+                 transaction_type = m.previous->>'transaction_type',
+                 payment_method = m.previous->>'payment_method',
+                 category_id = (SELECT c.id FROM categories c WHERE c.id = (m.previous->>'category_id')::int),
+                 description = m.previous->>'description',
+                 external_id = m.previous->>'external_id'
+             FROM import_batch_merges m
+             WHERE m.import_batch_id = $1 AND t.id = m.transaction_id AND t.user_id = $2
+             AND t.import_batch_id IS DISTINCT FROM m.import_batch_id`,
+            [id, userId]
+        );
+
+        await client.query(
+            `DELETE FROM transaction_tags tt
+             USING import_batch_merges m
+             WHERE m.import_batch_id = $1 AND tt.transaction_id = m.transaction_id
+             AND tt.tag_id = ANY(m.added_tag_ids)`,
+            [id]
+        );
+
+        const transactions = await client.query(
+            'DELETE FROM transactions WHERE import_batch_id = $1 AND user_id = $2',
+            [id, userId]
+        );
+
+        const categories = await client.query(
+            `DELETE FROM categories c
+             WHERE c.import_batch_id = $1 AND c.user_id = $2
+             AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.category_id = c.id)
+             AND NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.category_id = c.id)
+             AND NOT EXISTS (SELECT 1 FROM categories child WHERE child.parent_id = c.id)
+             AND NOT EXISTS (SELECT 1 FROM recurring_transactions r WHERE r.category_id = c.id)
+             AND NOT EXISTS (SELECT 1 FROM budget_limits bl WHERE bl.category_id = c.id)
+             AND NOT EXISTS (SELECT 1 FROM categorization_rules cr WHERE cr.set_category_id = c.id)`,
+            [id, userId]
+        );
+
+        const accounts = await client.query(
+            `DELETE FROM accounts a
+             WHERE a.import_batch_id = $1 AND a.user_id = $2
+             AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.account_id = a.id)
+             AND NOT EXISTS (SELECT 1 FROM recurring_transactions r WHERE r.account_id = a.id)
+             AND NOT EXISTS (SELECT 1 FROM categorization_rules cr WHERE cr.account_id = a.id)`,
+            [id, userId]
+        );
+
+        await client.query(
+            `UPDATE import_batches
+             SET status = 'rolled_back', rolled_back_at = NOW(), completed_at = COALESCE(completed_at, NOW())
+             WHERE id = $1`,
+            [id]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: `Import rolled back: ${transactions.rowCount} transaction(s) deleted, ${restored.rowCount} merged transaction(s) restored` +
+                (keptMerged > 0 ? `; ${keptMerged} merged row(s) were imported before merges could be undone and stay merged` : ''),
+            deleted: {
+                transactions: transactions.rowCount,
+                accounts: accounts.rowCount,
+                categories: categories.rowCount
+            },
+            restored: {
+                transactions: restored.rowCount
+            },
+            kept_merged: keptMerged
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK');
+        console.error('❌ Error rolling back import batch:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+
+// IMPORT PROFILES ENDPOINTS
+
+// ✅ Profile body → column values; { mapping, sign_convention, date_format } are
+// checked by parseMappingInput (without a file, so any column name is allowed)
+async function parseImportProfile(userId, body) {
+    const name = body.name ? String(body.name).trim() : '';
+    if (!name || name.length > 100) {
+        return { error: 'Profile name required (max 100 characters)', status: 400 };
+    }
+
+    const parsed = parseMappingInput(body);
+    if (parsed.error) {
+        return { error: parsed.error, status: 400 };
+    }
+
+    const accountId = body.account_id ? parseInt(body.account_id) : null;
+    if (accountId) {
+        const account = await db.query('SELECT id FROM accounts WHERE id = $1 AND user_id = $2', [accountId, userId]);
+        if (account.rows.length === 0) {
+            return { error: 'Account not found', status: 403 };
+        }
+    }
+
+    return { profile: { name, ...parsed.config, account_id: accountId } };
+}
+
+router.get('/import-profiles', async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const result = await db.query(
+            `SELECT p.*, a.name as account_name, a.currency as account_currency
+             FROM import_profiles p
+             LEFT JOIN accounts a ON p.account_id = a.id
+             WHERE p.user_id = $1
+             ORDER BY p.name`,
+            [userId]
+        );
+
+        res.json({ success: true, profiles: result.rows, fields: Object.keys(IMPORT_FIELDS), signConventions: SIGN_CONVENTIONS, dateFormats: DATE_FORMATS });
+    } catch (error) {
+        console.error('❌ Error fetching import profiles:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post('/import-profiles', async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const parsed = await parseImportProfile(userId, req.body);
+        if (parsed.error) {
+            return res.status(parsed.status).json({ success: false, message: parsed.error });
+        }
+
+        const p = parsed.profile;
+        const result = await db.query(
+            `INSERT INTO import_profiles (user_id, name, mapping, sign_convention, date_format, account_id)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [userId, p.name, JSON.stringify(p.mapping), p.sign_convention, p.date_format, p.account_id]
+        );
+
+        res.json({ success: true, message: 'Import profile saved', profile: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'An import profile with this name already exists' });
+        }
+        console.error('❌ Error creating import profile:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.put('/import-profiles/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        const existing = await db.query('SELECT * FROM import_profiles WHERE id = $1 AND user_id = $2', [id, userId]);
+        if (existing.rows.length === 0) {
+            return res.status(403).json({ success: false, message: 'Import profile not found' });
+        }
+
+        // Fields left out keep their value
+        const current = existing.rows[0];
+        const parsed = await parseImportProfile(userId, {
+            name: current.name,
+            mapping: current.mapping,
+            sign_convention: current.sign_convention,
+            date_format: current.date_format,
+            account_id: current.account_id,
+            ...req.body
+        });
+        if (parsed.error) {
+            return res.status(parsed.status).json({ success: false, message: parsed.error });
+        }
+
+        const p = parsed.profile;
+        const result = await db.query(
+            `UPDATE import_profiles
+             SET name = $1, mapping = $2, sign_convention = $3, date_format = $4, account_id = $5, updated_at = NOW()
+             WHERE id = $6 AND user_id = $7
+             RETURNING *`,
+            [p.name, JSON.stringify(p.mapping), p.sign_convention, p.date_format, p.account_id, id, userId]
+        );
+
+        res.json({ success: true, message: 'Import profile updated', profile: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'An import profile with this name already exists' });
+        }
+        console.error('❌ Error updating import profile:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.delete('/import-profiles/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        const result = await db.query('DELETE FROM import_profiles WHERE id = $1 AND user_id = $2', [id, userId]);
+
+        if (result.rowCount === 0) {
+            return res.status(403).json({ success: false, message: 'Import profile not found' });
+        }
+
+        res.json({ success: true, message: 'Import profile deleted' });
+    } catch (error) {
+        console.error('❌ Error deleting import profile:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+
+// ACCOUNTS ENDPOINTS
+
+// ✅ Validate optional account fields (opening balance, credit card settings)
+// Returns { error } or { fields } with only the columns that were sent
+function parseAccountFields(body) {
+    const fields = {};
+    const sent = (key) => body[key] !== undefined;
+    const blank = (key) => body[key] === null || body[key] === '';
+
+    if (sent('opening_balance') && !blank('opening_balance')) {
+        const amount = parseFloat(body.opening_balance);
+        if (isNaN(amount)) {
+            return { error: 'Opening balance must be a number' };
+        }
+        fields.opening_balance = amount;
+    }
+
+    if (sent('opening_balance_date')) {
+        const date = blank('opening_balance_date') ? null : toDateString(body.opening_balance_date);
+        if (!blank('opening_balance_date') && !date) {
+            return { error: 'Opening balance date must be YYYY-MM-DD' };
+        }
+        fields.opening_balance_date = date;
+    }
+
+    if (sent('account_type')) {
+        if (!ACCOUNT_TYPES.includes(body.account_type)) {
+            return { error: `Account type must be one of: ${ACCOUNT_TYPES.join(', ')}` };
+        }
+        fields.account_type = body.account_type;
+    }
+
+    for (const key of ['credit_limit', 'min_payment_percent', 'min_payment_amount']) {
+        if (sent(key)) {
+            const value = blank(key) ? null : parseFloat(body[key]);
+            if (value !== null && (isNaN(value) || value < 0)) {
+                return { error: `${key} must be a positive number` };
+            }
+            fields[key] = value;
+        }
+    }
+
+    for (const key of ['statement_day', 'payment_due_day']) {
+        if (sent(key)) {
+            const value = blank(key) ? null : parseInt(body[key]);
+            if (value !== null && (isNaN(value) || value < 1 || value > 31)) {
+                return { error: `${key} must be between 1 and 31` };
+            }
+            fields[key] = value;
+        }
+    }
+
+    return { fields };
+}
+
+// ✅ Card accounts need a statement cycle
+function validateCardSettings(account) {
+    if (account.account_type === 'credit_card' && (!account.statement_day || !account.payment_due_day)) {
+        return 'Credit card accounts need statement_day and payment_due_day';
+    }
+    return null;
+}
+
+router.get('/accounts', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { currency } = req.query;
+
+        // ✅ Balance = opening balance + income - expenses since the opening date
+        const accounts = await getAccountBalances(db, userId, { currency });
+
+        res.json({ success: true, accounts: accounts });
+    } catch (error) {
+        console.error('❌ Error fetching accounts:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post('/accounts', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { name, currency } = req.body;
+
+        if (!name || !currency) {
+            return res.status(400).json({ success: false, message: 'Name and currency required' });
+        }
+
+        const currencyCode = normalizeCurrency(currency);
+        if (!currencyCode) {
+            return res.status(400).json({ success: false, message: `Invalid currency code: ${currency}` });
+        }
+
+        const parsed = parseAccountFields(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const fields = { account_type: 'bank', opening_balance: 0, ...parsed.fields };
+        const cardError = validateCardSettings(fields);
+        if (cardError) {
+            return res.status(400).json({ success: false, message: cardError });
+        }
+
+        const columns = ['user_id', 'name', 'currency', ...Object.keys(fields)];
+        const values = [userId, name, currencyCode, ...Object.values(fields)];
+
+        const result = await db.query(
+            `INSERT INTO accounts (${columns.join(', ')})
+             VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`,
+            values
+        );
+
+        const account = result.rows[0];
+
+        res.json({
+            success: true,
+            message: 'Account created successfully',
+            id: account?.id || null
+        });
+    } catch (error) {
+        console.error('❌ Error creating account:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.put('/accounts/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+        const { name, currency } = req.body;
+
+        const parsed = parseAccountFields(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const existing = await db.query('SELECT * FROM accounts WHERE id = $1 AND user_id = $2', [id, userId]);
+        if (existing.rows.length === 0) {
+            return res.status(403).json({ success: false, message: 'Account not found' });
+        }
+
+        const cardError = validateCardSettings({ ...existing.rows[0], ...parsed.fields });
+        if (cardError) {
+            return res.status(400).json({ success: false, message: cardError });
+        }
+
+        const currencyCode = currency ? normalizeCurrency(currency) : existing.rows[0].currency;
+        if (!currencyCode) {
+            return res.status(400).json({ success: false, message: `Invalid currency code: ${currency}` });
+        }
+
+        // ✅ Optional fields are only changed when sent
+        const params = [name || existing.rows[0].name, currencyCode, id, userId];
+        let setClause = 'name = $1, currency = $2';
+
+        Object.entries(parsed.fields).forEach(([column, value]) => {
+            params.push(value);
+            setClause += `, ${column} = $${params.length}`;
+        });
+
+        await db.query(
+            `UPDATE accounts SET ${setClause} WHERE id = $3 AND user_id = $4`,
+            params
+        );
+
+        res.json({ success: true, message: 'Account updated successfully' });
+    } catch (error) {
+        console.error('❌ Error updating account:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ Credit card statement: closing date, statement balance, minimum due, due date
+// Query: date (YYYY-MM-DD, default today) to look at an earlier cycle
+router.get('/accounts/:id/statement', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+        const asOf = req.query.date ? toDateString(req.query.date) : today();
+
+        if (!asOf) {
+            return res.status(400).json({ success: false, message: 'Invalid date. Use YYYY-MM-DD.' });
+        }
+
+        const result = await db.query('SELECT * FROM accounts WHERE id = $1 AND user_id = $2', [id, userId]);
+        const account = result.rows[0];
+
+        if (!account) {
+            return res.status(404).json({ success: false, message: 'Account not found' });
+        }
+        if (account.account_type !== 'credit_card') {
+            return res.status(400).json({ success: false, message: 'Statements are only available for credit card accounts' });
+        }
+        const cardError = validateCardSettings(account);
+        if (cardError) {
+            return res.status(400).json({ success: false, message: cardError });
+        }
+
+        const statement = await getCardStatement(db, account, asOf);
+
+        res.json({ success: true, statement });
+    } catch (error) {
+        console.error('❌ Error fetching card statement:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ Pay a credit card from another account
+// Recorded as a transfer (kind 'card_payment'), so it reduces what is owed
+// on the card without being counted as an expense a second time.
+// Body: { from_account_id, amount (default: remaining statement due), payment_date, description, exchange_rate }
+router.post('/accounts/:id/payments', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        const cardResult = await db.query('SELECT * FROM accounts WHERE id = $1 AND user_id = $2', [id, userId]);
+        const card = cardResult.rows[0];
+
+        if (!card) {
+            return res.status(404).json({ success: false, message: 'Account not found' });
+        }
+        if (card.account_type !== 'credit_card') {
+            return res.status(400).json({ success: false, message: 'Payments can only be made to credit card accounts' });
+        }
+
+        const paymentDate = toDateString(req.body.payment_date) || today();
+        let amount = req.body.amount;
+
+        if (amount === undefined || amount === null || amount === '') {
+            const payer = await db.query(
+                'SELECT currency FROM accounts WHERE id = $1 AND user_id = $2',
+                [parseInt(req.body.from_account_id) || null, userId]
+            );
+            if (validateCardSettings(card) || !payer.rows[0] || payer.rows[0].currency !== card.currency) {
+                return res.status(400).json({ success: false, message: 'Amount required' });
+            }
+            const statement = await getCardStatement(db, card, paymentDate);
+            if (statement.remaining_due <= 0) {
+                return res.status(400).json({ success: false, message: 'Nothing due on the current statement; send an amount' });
+            }
+            amount = statement.remaining_due;
+        }
+
+        const transfer = await buildTransfer(db, userId, {
+            from_account_id: req.body.from_account_id,
+            to_account_id: card.id,
+            amount,
+            // Amount is in the paying account's currency; to_amount lets the
+            // client state the card-currency amount for cross-currency payments
+            to_amount: req.body.to_amount,
+            exchange_rate: req.body.exchange_rate,
+            transfer_date: paymentDate,
+            description: req.body.description || `Payment to ${card.name}`
+        }, 'card_payment');
+        if (transfer.error) {
+            return res.status(transfer.status || 400).json({ success: false, message: transfer.error });
+        }
+
+        const transferId = await createTransfer(userId, transfer, 'card_payment');
+
+        console.log('✅ Card payment recorded:', transferId);
+
+        res.json({
+            success: true,
+            message: 'Card payment recorded successfully',
+            transfer_id: transferId,
+            amount: transfer.fromAmount,
+            card_amount: transfer.toAmount,
+            statement: validateCardSettings(card) ? null : await getCardStatement(db, card, paymentDate)
+        });
+    } catch (error) {
+        console.error('❌ Error recording card payment:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ Account ledger: transactions with a running balance
+// Query: from_date, to_date, page, limit, sortOrder (ASC|DESC, default DESC)
+// The running balance is always computed in date order from the opening
+// balance, so it stays correct when filtering or paging
+router.get('/accounts/:id/ledger', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+        const { page = 1, limit = 50, sortOrder = 'DESC', from_date, to_date } = req.query;
+        const sortDir = String(sortOrder).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+        const [account] = await getAccountBalances(db, userId, { accountId: id });
+
+        if (!account) {
+            return res.status(404).json({ success: false, message: 'Account not found' });
+        }
+
+        let query = `
+            WITH ledger AS (
+                SELECT t.*, c.name as category_name,
+                       ${signedAmountSql('t')} as signed_amount,
+                       COALESCE(a.opening_balance, 0) + SUM(${signedAmountSql('t')})
+                           OVER (ORDER BY t.transaction_date, t.id ROWS UNBOUNDED PRECEDING) as running_balance
+                FROM transactions t
+                JOIN accounts a ON t.account_id = a.id
+                LEFT JOIN categories c ON t.category_id = c.id
+                WHERE t.account_id = $1 AND t.user_id = $2
+                AND ${countsTowardsBalanceSql('t', 'a')}
+            )
+            SELECT * FROM ledger WHERE 1 = 1
+        `;
+        const params = [account.id, userId];
+
+        if (from_date) {
+            params.push(from_date);
+            query += ` AND transaction_date >= $${params.length}`;
+        }
+        if (to_date) {
+            params.push(to_date);
+            query += ` AND transaction_date <= $${params.length}`;
+        }
+
+        const countResult = await db.query(query.replace('SELECT * FROM ledger', 'SELECT COUNT(*) as total FROM ledger'), params);
+        const total = parseInt(countResult.rows[0].total);
+
+        query += ` ORDER BY transaction_date ${sortDir}, id ${sortDir}`;
+        params.push(parseInt(limit), (parseInt(page) - 1) * parseInt(limit));
+        query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+        const result = await db.query(query, params);
+
+        res.json({
+            success: true,
+            account: {
+                id: account.id,
+                name: account.name,
+                currency: account.currency,
+                opening_balance: account.opening_balance,
+                opening_balance_date: account.opening_balance_date,
+                balance: account.balance
+            },
+            transactions: result.rows.map(row => ({
+                ...row,
+                signed_amount: parseFloat(row.signed_amount),
+                running_balance: parseFloat(parseFloat(row.running_balance).toFixed(2))
+            })),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching account ledger:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.delete('/accounts/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        const result = await db.query(
+            'DELETE FROM accounts WHERE id = $1 AND user_id = $2',
+            [id, userId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(403).json({ success: false, message: 'Account not found' });
+        }
+
+        res.json({ success: true, message: 'Account deleted successfully' });
+    } catch (error) {
+        console.error('❌ Error deleting account:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+
+// CATEGORIES ENDPOINTS
+
+router.get('/categories', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { mode, transaction_type } = req.query;
+
+        // ✅ Every category with its place in the tree (depth, full_name "Food > Groceries")
+        let query = `
+            WITH RECURSIVE ${categoryPathsCte('$1')}
+            SELECT c.*, cp.depth, cp.full_name, cp.path
+            FROM categories c
+            LEFT JOIN category_paths cp ON cp.id = c.id
+            WHERE c.user_id = $1
+        `;
+        const params = [userId];
+        let paramIndex = 2;
+
+        if (mode) {
+            query += ` AND c.mode = $${paramIndex}`;
+            params.push(mode);
+            paramIndex++;
+        }
+        if (transaction_type) {
+            query += ` AND c.transaction_type = $${paramIndex}`;
+            params.push(String(transaction_type).toLowerCase());
+            paramIndex++;
+        }
+
+        query += ' ORDER BY c.created_at DESC';
+
+        const result = await db.query(query, params);
+        const categories = result.rows;
+
+        res.json({ success: true, categories: categories });
+    } catch (error) {
+        console.error('❌ Error fetching categories:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ Likely categories for a description, learned from the user's own history
+router.get('/categories/suggest', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const description = req.query.description ? String(req.query.description).trim() : '';
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 3, 1), 10);
+
+        if (!description) {
+            return res.status(400).json({ success: false, message: 'description is required' });
+        }
+
+        let transactionType = null;
+        if (req.query.transaction_type || req.query.mode) {
+            const type = resolveTransactionType({ transaction_type: req.query.transaction_type, mode: req.query.mode });
+            if (type.error) {
+                return res.status(400).json({ success: false, message: type.error });
+            }
+            transactionType = type.transactionType;
+        }
+
+        const model = await loadSuggestionModel(db, userId, transactionType);
+        const ranked = suggestCategories(model, description, limit);
+        const names = await loadCategoryNames(db, userId, ranked);
+
+        const suggestions = ranked
+            .filter(s => names.has(s.category_id))
+            .map(s => ({ ...s, ...names.get(s.category_id) }));
+
+        res.json({
+            success: true,
+            suggestions,
+            low_confidence: suggestions.length === 0 || suggestions[0].confidence < LOW_CONFIDENCE_THRESHOLD,
+            threshold: LOW_CONFIDENCE_THRESHOLD
+        });
+    } catch (error) {
+        console.error('❌ Error suggesting categories:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post('/categories', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { name } = req.body;
+        const parentId = req.body.parent_id ? parseInt(req.body.parent_id) : null;
+        const type = resolveTransactionType({ transaction_type: req.body.transaction_type, mode: req.body.mode });
+
+        if (!name || !type) {
+            return res.status(400).json({ success: false, message: 'Name and transaction_type (or mode) required' });
+        }
+
+        if (type.error) {
+            return res.status(400).json({ success: false, message: type.error });
+        }
+
+        if (parentId) {
+            const parentError = await validateParent(db, userId, null, parentId);
+            if (parentError) {
+                return res.status(400).json({ success: false, message: parentError });
+            }
+        }
+
+        const result = await db.query(
+            'INSERT INTO categories (user_id, name, mode, transaction_type, parent_id) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+            [userId, name, type.mode, type.transactionType, parentId]
+        );
+
+        const category = result.rows[0];
+
+        res.json({
+            success: true,
+            message: 'Category created successfully',
+            id: category?.id || null
+        });
+    } catch (error) {
+        console.error('❌ Error creating category:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.put('/categories/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+        const { name } = req.body;
+        const type = resolveTransactionType({ transaction_type: req.body.transaction_type, mode: req.body.mode });
+
+        if (!name || !type) {
+            return res.status(400).json({ success: false, message: 'Name and transaction_type (or mode) required' });
+        }
+
+        if (type.error) {
+            return res.status(400).json({ success: false, message: type.error });
+        }
+
+        // parent_id omitted: keep the current parent; null moves it to the top level
+        if (req.body.parent_id !== undefined) {
+            const parentId = req.body.parent_id ? parseInt(req.body.parent_id) : null;
+
+            if (parentId) {
+                const parentError = await validateParent(db, userId, id, parentId);
+                if (parentError) {
+                    return res.status(400).json({ success: false, message: parentError });
+                }
+            }
+
+            await db.query(
+                'UPDATE categories SET parent_id = $1 WHERE id = $2 AND user_id = $3',
+                [parentId, id, userId]
+            );
+        }
+
+        await db.query(
+            'UPDATE categories SET name = $1, mode = $2, transaction_type = $3 WHERE id = $4 AND user_id = $5',
+            [name, type.mode, type.transactionType, id, userId]
+        );
+
+        res.json({ success: true, message: 'Category updated successfully' });
+    } catch (error) {
+        console.error('❌ Error updating category:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.delete('/categories/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        // ✅ Subcategories move up to the deleted category's parent
+        await db.query(
+            `UPDATE categories
+             SET parent_id = (SELECT parent_id FROM categories WHERE id = $1 AND user_id = $2)
+             WHERE parent_id = $1 AND user_id = $2`,
+            [id, userId]
+        );
+
+        const result = await db.query(
+            'DELETE FROM categories WHERE id = $1 AND user_id = $2',
+            [id, userId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(403).json({ success: false, message: 'Category not found' });
+        }
+
+        res.json({ success: true, message: 'Category deleted successfully' });
+    } catch (error) {
+        console.error('❌ Error deleting category:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
 
-router.get('/categories', async (req, res) => {
+
+// TAGS ENDPOINTS
+
+// ✅ Optional display colour (#RRGGBB)
+function parseTagColor(color) {
+    if (color === undefined || color === null || color === '') {
+        return { color: null };
+    }
+    if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
+        return { error: 'Color must look like #RRGGBB' };
+    }
+    return { color: color.toUpperCase() };
+}
+
+router.get('/tags', async (req, res) => {
     try {
         const userId = req.user.id;
-        const { mode } = req.query;
 
-        let query = 'SELECT * FROM categories WHERE user_id = $1';
-        const params = [userId];
-        let paramIndex = 2;
+        const result = await db.query(
+            `SELECT tg.*, COUNT(tt.transaction_id)::int as transaction_count
+             FROM tags tg
+             LEFT JOIN transaction_tags tt ON tt.tag_id = tg.id
+             WHERE tg.user_id = $1
+             GROUP BY tg.id
+             ORDER BY LOWER(tg.name)`,
+            [userId]
+        );
 
-        if (mode) {
-            query += ` AND mode = $${paramIndex}`;
-            params.push(mode);
-            paramIndex++;
-        }
+        res.json({ success: true, tags: result.rows });
+    } catch (error) {
+        console.error('❌ Error fetching tags:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.post('/tags', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const name = normalizeTagName(req.body.name);
+        const color = parseTagColor(req.body.color);
 
-        query += ' ORDER BY created_at DESC';
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Tag name required (max 50 characters)' });
+        }
+        if (color.error) {
+            return res.status(400).json({ success: false, message: color.error });
+        }
 
-        const result = await db.query(query, params);
-        const categories = result.rows;
+        const result = await db.query(
+            'INSERT INTO tags (user_id, name, color) VALUES ($1, $2, $3) RETURNING *',
+            [userId, name, color.color]
+        );
 
-        res.json({ success: true, categories: categories });
+        res.json({ success: true, message: 'Tag created successfully', tag: result.rows[0] });
     } catch (error) {
-        console.error('❌ Error fetching categories:', error.message);
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'A tag with this name already exists' });
+        }
+        console.error('❌ Error creating tag:', error.message);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-router.post('/categories', async (req, res) => {
+router.put('/tags/:id', async (req, res) => {
     try {
         const userId = req.user.id;
-        const { name, mode } = req.body;
+        const { id } = req.params;
 
-        if (!name || !mode) {
-            return res.status(400).json({ success: false, message: 'Name and mode required' });
+        const existing = await db.query('SELECT * FROM tags WHERE id = $1 AND user_id = $2', [id, userId]);
+        if (existing.rows.length === 0) {
+            return res.status(403).json({ success: false, message: 'Tag not found' });
+        }
+
+        const name = req.body.name !== undefined ? normalizeTagName(req.body.name) : existing.rows[0].name;
+        const color = req.body.color !== undefined ? parseTagColor(req.body.color) : { color: existing.rows[0].color };
+
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Tag name required (max 50 characters)' });
+        }
+        if (color.error) {
+            return res.status(400).json({ success: false, message: color.error });
         }
 
         const result = await db.query(
-            'INSERT INTO categories (user_id, name, mode) VALUES ($1, $2, $3) RETURNING id',
-            [userId, name, mode]
+            'UPDATE tags SET name = $1, color = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4 RETURNING *',
+            [name, color.color, id, userId]
         );
 
-        const category = result.rows[0];
+        res.json({ success: true, message: 'Tag updated successfully', tag: result.rows[0] });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'A tag with this name already exists' });
+        }
+        console.error('❌ Error updating tag:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
 
-        res.json({
-            success: true,
-            message: 'Category created successfully',
-            id: category?.id || null
-        });
+router.delete('/tags/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        // transaction_tags rows go with it (ON DELETE CASCADE)
+        const result = await db.query('DELETE FROM tags WHERE id = $1 AND user_id = $2', [id, userId]);
+
+        if (result.rowCount === 0) {
+            return res.status(403).json({ success: false, message: 'Tag not found' });
+        }
+
+        res.json({ success: true, message: 'Tag deleted successfully' });
     } catch (error) {
-        console.error('❌ Error creating category:', error.message);
+        console.error('❌ Error deleting tag:', error.message);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
-router.put('/categories/:id', async (req, res) => {
+// Replace the tags of one transaction: { tags: [ids or names] }
+router.put('/transactions/:id/tags', async (req, res) => {
+    let client;
+
     try {
         const userId = req.user.id;
         const { id } = req.params;
-        const { name, mode } = req.body;
 
-        await db.query(
-            'UPDATE categories SET name = $1, mode = $2 WHERE id = $3 AND user_id = $4',
-            [name, mode, id, userId]
+        if (!Array.isArray(req.body.tags)) {
+            return res.status(400).json({ success: false, message: 'tags must be an array' });
+        }
+
+        const transactionCheck = await db.query(
+            'SELECT id FROM transactions WHERE id = $1 AND user_id = $2',
+            [id, userId]
         );
+        if (transactionCheck.rows.length === 0) {
+            return res.status(403).json({ success: false, message: 'Transaction not found' });
+        }
 
-        res.json({ success: true, message: 'Category updated successfully' });
+        client = await db.connect();
+        await client.query('BEGIN');
+
+        const tagResult = await resolveTagIds(client, userId, req.body.tags);
+        if (tagResult.error) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ success: false, message: tagResult.error });
+        }
+        await setTransactionTags(client, id, tagResult.tagIds);
+
+        await client.query('COMMIT');
+
+        const tags = await db.query(`SELECT ${transactionTagsSql('t')} as tags FROM transactions t WHERE t.id = $1`, [id]);
+
+        res.json({ success: true, message: 'Tags updated successfully', tags: tags.rows[0].tags || [] });
     } catch (error) {
-        console.error('❌ Error updating category:', error.message);
+        if (client) await client.query('ROLLBACK');
+        console.error('❌ Error updating transaction tags:', error.message);
         res.status(500).json({ success: false, message: error.message });
+    } finally {
+        if (client) client.release();
     }
 });
 
-router.delete('/categories/:id', async (req, res) => {
+
+// ATTACHMENTS ENDPOINTS
+// Receipts are uploaded through /api/upload (optionally with transaction_ids)
+// and linked here; detaching keeps the file, deleting the upload detaches it
+// everywhere.
+
+router.get('/transactions/:id/attachments', async (req, res) => {
     try {
         const userId = req.user.id;
         const { id } = req.params;
 
+        const owned = await db.query('SELECT id FROM transactions WHERE id = $1 AND user_id = $2', [id, userId]);
+        if (owned.rows.length === 0) {
+            return res.status(403).json({ success: false, message: 'Transaction not found' });
+        }
+
+        const attachments = await loadTransactionAttachments(db, userId, id);
+        res.json({ success: true, attachments });
+    } catch (error) {
+        console.error('❌ Error fetching attachments:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ Attach uploaded receipts: { upload_ids: [..] }; also_attach_to: more
+// transactions sharing the same receipt (e.g. one bill split over two cards)
+router.post('/transactions/:id/attachments', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const transactionId = parseInt(req.params.id);
+        const uploadIds = parseIdList(req.body.upload_ids);
+        const alsoAttachTo = parseIdList(req.body.also_attach_to);
+
+        if (!transactionId || !uploadIds || uploadIds.length === 0 || !alsoAttachTo) {
+            return res.status(400).json({ success: false, message: 'upload_ids required (list of uploaded file ids)' });
+        }
+
+        const result = await attachUploads(db, userId, [...new Set([transactionId, ...alsoAttachTo])], uploadIds);
+        if (result.error) {
+            return res.status(result.status || 400).json({ success: false, message: result.error });
+        }
+
+        const attachments = await loadTransactionAttachments(db, userId, transactionId);
+        res.status(201).json({ success: true, message: 'Receipt attached', attached: result.attached, attachments });
+    } catch (error) {
+        console.error('❌ Error attaching receipt:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.get('/transactions/:id/attachments/:uploadId/download', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id, uploadId } = req.params;
+
         const result = await db.query(
-            'DELETE FROM categories WHERE id = $1 AND user_id = $2',
-            [id, userId]
+            `SELECT u.file_path, u.original_name, u.file_size, u.mime_type, u.storage_driver, u.storage_key
+             FROM transaction_attachments ax
+             JOIN transactions t ON t.id = ax.transaction_id
+             JOIN uploads u ON u.id = ax.upload_id
+             WHERE ax.transaction_id = $1 AND ax.upload_id = $2 AND t.user_id = $3 AND u.user_id = $3`,
+            [id, uploadId, userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(403).json({ success: false, message: 'Attachment not found' });
+        }
+
+        await sendUpload(res, result.rows[0]);
+    } catch (error) {
+        console.error('❌ Error downloading attachment:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ Detach only: the receipt stays in the user's files and on other transactions
+router.delete('/transactions/:id/attachments/:uploadId', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id, uploadId } = req.params;
+
+        const result = await db.query(
+            `DELETE FROM transaction_attachments ax
+             USING transactions t
+             WHERE t.id = ax.transaction_id AND ax.transaction_id = $1 AND ax.upload_id = $2 AND t.user_id = $3`,
+            [id, uploadId, userId]
         );
 
         if (result.rowCount === 0) {
-            return res.status(403).json({ success: false, message: 'Category not found' });
+            return res.status(403).json({ success: false, message: 'Attachment not found' });
         }
 
-        res.json({ success: true, message: 'Category deleted successfully' });
+        res.json({ success: true, message: 'Receipt detached' });
     } catch (error) {
-        console.error('❌ Error deleting category:', error.message);
+        console.error('❌ Error detaching receipt:', error.message);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 
-// STATISTICS ENDPOINTS
+// RULES ENDPOINTS
+
+// ✅ Rule row → body fields, so PUT can change single fields
+function ruleToInput(rule) {
+    return {
+        name: rule.name,
+        priority: rule.priority,
+        is_active: rule.is_active,
+        match_type: rule.match_type,
+        pattern: rule.pattern,
+        amount_min: rule.amount_min,
+        amount_max: rule.amount_max,
+        account_id: rule.account_id,
+        category_id: rule.set_category_id,
+        tags: rule.set_tags,
+        transaction_type: rule.set_transaction_type,
+        payment_method: rule.set_payment_method
+    };
+}
+
+// ✅ A rule may only point at the user's own account and category
+async function checkRuleReferences(userId, rule) {
+    if (rule.account_id) {
+        const account = await db.query('SELECT id FROM accounts WHERE id = $1 AND user_id = $2', [rule.account_id, userId]);
+        if (account.rows.length === 0) return 'Account not found';
+    }
+    if (rule.set_category_id) {
+        const category = await db.query('SELECT id FROM categories WHERE id = $1 AND user_id = $2', [rule.set_category_id, userId]);
+        if (category.rows.length === 0) return 'Category not found';
+    }
+    return null;
+}
+
+// ✅ Transactions rules run against (never transfer legs), newest first
+async function loadRuleCandidates(userId, { from_date, to_date }) {
+    const params = [userId];
+    let query = `
+        SELECT t.id, t.description, t.amount, t.currency, t.account_id, t.category_id,
+               t.transaction_type, t.payment_method, t.transaction_date,
+               a.name as account_name, c.name as category_name,
+               (SELECT COUNT(*)::int FROM transaction_splits s WHERE s.transaction_id = t.id) as split_count,
+               ${transactionTagsSql('t')} as tags
+        FROM transactions t
+        JOIN accounts a ON t.account_id = a.id
+        LEFT JOIN categories c ON t.category_id = c.id
+        WHERE t.user_id = $1 AND t.transaction_type <> 'transfer'
+    `;
+
+    if (from_date) {
+        params.push(from_date);
+        query += ` AND t.transaction_date >= $${params.length}`;
+    }
+    if (to_date) {
+        params.push(to_date);
+        query += ` AND t.transaction_date <= $${params.length}`;
+    }
 
-router.get('/stats', async (req, res) => {
+    query += ' ORDER BY t.transaction_date DESC, t.id DESC';
+
+    const result = await db.query(query, params);
+    return result.rows;
+}
+
+// ✅ What the matched rules would change on a transaction (empty object = nothing).
+// Split transactions keep their category; their lines decide it.
+function ruleChanges(transaction, matched) {
+    const changes = {};
+
+    if (matched.categoryId && matched.categoryId !== transaction.category_id && transaction.split_count === 0) {
+        changes.category_id = matched.categoryId;
+    }
+    if (matched.transactionType && matched.transactionType !== transaction.transaction_type) {
+        changes.transaction_type = matched.transactionType;
+    }
+    if (matched.paymentMethod && matched.paymentMethod !== transaction.payment_method) {
+        changes.payment_method = matched.paymentMethod;
+    }
+
+    const existingTags = (transaction.tags || []).map(tag => tag.name.toLowerCase());
+    const newTags = matched.tags.filter(tag => !existingTags.includes(tag.toLowerCase()));
+    if (newTags.length > 0) {
+        changes.add_tags = newTags;
+    }
+
+    return changes;
+}
+
+router.get('/rules', async (req, res) => {
     try {
         const userId = req.user.id;
 
-        // Get INR Income
-        const inrIncomeResult = await db.query(
-            `SELECT COALESCE(SUM(amount), 0)::NUMERIC as total FROM transactions 
-             WHERE user_id = $1 AND mode = 'Income' AND currency = 'INR'`,
+        const result = await db.query(
+            `SELECT r.*, c.name as category_name, a.name as account_name
+             FROM categorization_rules r
+             LEFT JOIN categories c ON r.set_category_id = c.id
+             LEFT JOIN accounts a ON r.account_id = a.id
+             WHERE r.user_id = $1
+             ORDER BY r.priority ASC, r.id ASC`,
             [userId]
         );
 
-        // Get INR Expense
-        const inrExpenseResult = await db.query(
-            `SELECT COALESCE(SUM(amount), 0)::NUMERIC as total FROM transactions 
-             WHERE user_id = $1 AND mode = 'Expense' AND currency = 'INR'`,
-            [userId]
-        );
+        res.json({ success: true, rules: result.rows });
+    } catch (error) {
+        console.error('❌ Error fetching rules:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
 
-        // Get INR Credit Card
-        const inrCreditCardResult = await db.query(
-            `SELECT COALESCE(SUM(amount), 0)::NUMERIC as total FROM transactions 
-             WHERE user_id = $1 AND mode = 'Credit Card' AND currency = 'INR'`,
-            [userId]
-        );
+router.post('/rules', async (req, res) => {
+    try {
+        const userId = req.user.id;
 
-        // Get SAR Income
-        const sarIncomeResult = await db.query(
-            `SELECT COALESCE(SUM(amount), 0)::NUMERIC as total FROM transactions 
-             WHERE user_id = $1 AND mode = 'Income' AND currency = 'SAR'`,
-            [userId]
-        );
+        const parsed = parseRuleInput(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
 
-        // Get SAR Expense
-        const sarExpenseResult = await db.query(
-            `SELECT COALESCE(SUM(amount), 0)::NUMERIC as total FROM transactions 
-             WHERE user_id = $1 AND mode = 'Expense' AND currency = 'SAR'`,
-            [userId]
+        const referenceError = await checkRuleReferences(userId, parsed.rule);
+        if (referenceError) {
+            return res.status(403).json({ success: false, message: referenceError });
+        }
+
+        const r = parsed.rule;
+        const result = await db.query(
+            `INSERT INTO categorization_rules
+             (user_id, name, priority, is_active, match_type, pattern, amount_min, amount_max, account_id,
+              set_category_id, set_tags, set_transaction_type, set_payment_method)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+             RETURNING *`,
+            [userId, r.name, r.priority, r.is_active, r.match_type, r.pattern, r.amount_min, r.amount_max, r.account_id,
+             r.set_category_id, r.set_tags, r.set_transaction_type, r.set_payment_method]
         );
 
-        // Get SAR Credit Card
-        const sarCreditCardResult = await db.query(
-            `SELECT COALESCE(SUM(amount), 0)::NUMERIC as total FROM transactions 
-             WHERE user_id = $1 AND mode = 'Credit Card' AND currency = 'SAR'`,
-            [userId]
+        res.json({ success: true, message: 'Rule created successfully', rule: result.rows[0] });
+    } catch (error) {
+        console.error('❌ Error creating rule:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.put('/rules/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        const existing = await db.query('SELECT * FROM categorization_rules WHERE id = $1 AND user_id = $2', [id, userId]);
+        if (existing.rows.length === 0) {
+            return res.status(403).json({ success: false, message: 'Rule not found' });
+        }
+
+        // Fields left out keep their value; a new type / mode drops the old payment method
+        const input = { ...ruleToInput(existing.rows[0]), ...req.body };
+        if (req.body.mode && !req.body.transaction_type) delete input.transaction_type;
+        if ((req.body.mode || req.body.transaction_type) && req.body.payment_method === undefined) delete input.payment_method;
+
+        const parsed = parseRuleInput(input);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const referenceError = await checkRuleReferences(userId, parsed.rule);
+        if (referenceError) {
+            return res.status(403).json({ success: false, message: referenceError });
+        }
+
+        const r = parsed.rule;
+        const result = await db.query(
+            `UPDATE categorization_rules
+             SET name = $1, priority = $2, is_active = $3, match_type = $4, pattern = $5, amount_min = $6, amount_max = $7,
+                 account_id = $8, set_category_id = $9, set_tags = $10, set_transaction_type = $11, set_payment_method = $12,
+                 updated_at = NOW()
+             WHERE id = $13 AND user_id = $14
+             RETURNING *`,
+            [r.name, r.priority, r.is_active, r.match_type, r.pattern, r.amount_min, r.amount_max,
+             r.account_id, r.set_category_id, r.set_tags, r.set_transaction_type, r.set_payment_method, id, userId]
         );
 
-        const inrIncome = parseFloat(inrIncomeResult.rows[0].total) || 0;
-        const inrExpense = parseFloat(inrExpenseResult.rows[0].total) || 0;
-        const inrCreditCard = parseFloat(inrCreditCardResult.rows[0].total) || 0;
-        const sarIncome = parseFloat(sarIncomeResult.rows[0].total) || 0;
-        const sarExpense = parseFloat(sarExpenseResult.rows[0].total) || 0;
-        const sarCreditCard = parseFloat(sarCreditCardResult.rows[0].total) || 0;
+        res.json({ success: true, message: 'Rule updated successfully', rule: result.rows[0] });
+    } catch (error) {
+        console.error('❌ Error updating rule:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+router.delete('/rules/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+
+        const result = await db.query('DELETE FROM categorization_rules WHERE id = $1 AND user_id = $2', [id, userId]);
+
+        if (result.rowCount === 0) {
+            return res.status(403).json({ success: false, message: 'Rule not found' });
+        }
+
+        res.json({ success: true, message: 'Rule deleted successfully' });
+    } catch (error) {
+        console.error('❌ Error deleting rule:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ Dry run of one rule against existing transactions: { rule_id } for a saved
+// rule, or the rule fields themselves to try a rule before saving it
+router.post('/rules/test', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const limit = Math.min(Math.max(parseInt(req.body.limit) || 50, 1), 200);
+        let rule;
+
+        if (req.body.rule_id) {
+            const saved = await db.query('SELECT * FROM categorization_rules WHERE id = $1 AND user_id = $2', [req.body.rule_id, userId]);
+            if (saved.rows.length === 0) {
+                return res.status(403).json({ success: false, message: 'Rule not found' });
+            }
+            rule = saved.rows[0];
+        } else {
+            const parsed = parseRuleInput({ name: 'Test rule', ...req.body });
+            if (parsed.error) {
+                return res.status(400).json({ success: false, message: parsed.error });
+            }
+            rule = { id: null, ...parsed.rule };
+        }
+
+        const candidates = await loadRuleCandidates(userId, req.body);
+        const matches = candidates
+            .filter(t => ruleMatches(rule, t))
+            .map(t => ({
+                id: t.id,
+                transaction_date: t.transaction_date,
+                description: t.description,
+                amount: parseFloat(t.amount),
+                currency: t.currency,
+                account_name: t.account_name,
+                category_name: t.category_name,
+                changes: ruleChanges(t, evaluateRules([rule], t))
+            }));
 
         res.json({
             success: true,
-            summary: {
-                inr: {
-                    income: parseFloat(inrIncome.toFixed(2)),
-                    expense: parseFloat(inrExpense.toFixed(2)),
-                    creditCard: parseFloat(inrCreditCard.toFixed(2)),
-                    balance: parseFloat((inrIncome - inrExpense).toFixed(2))
-                },
-                sar: {
-                    income: parseFloat(sarIncome.toFixed(2)),
-                    expense: parseFloat(sarExpense.toFixed(2)),
-                    creditCard: parseFloat(sarCreditCard.toFixed(2)),
-                    balance: parseFloat((sarIncome - sarExpense).toFixed(2))
+            scanned: candidates.length,
+            matched: matches.length,
+            would_change: matches.filter(m => Object.keys(m.changes).length > 0).length,
+            matches: matches.slice(0, limit)
+        });
+    } catch (error) {
+        console.error('❌ Error testing rule:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ✅ Run rules over past transactions: { rule_ids?, from_date?, to_date?, dry_run? }
+// Without rule_ids every active rule runs, in priority order
+router.post('/rules/apply', async (req, res) => {
+    let client;
+
+    try {
+        const userId = req.user.id;
+        const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+
+        let rules = await loadActiveRules(db, userId);
+        if (Array.isArray(req.body.rule_ids) && req.body.rule_ids.length > 0) {
+            const ruleIds = req.body.rule_ids.map(ruleId => parseInt(ruleId));
+            const selected = await db.query(
+                `SELECT * FROM categorization_rules
+                 WHERE user_id = $1 AND id = ANY($2::int[])
+                 ORDER BY priority ASC, id ASC`,
+                [userId, ruleIds]
+            );
+            if (selected.rows.length !== new Set(ruleIds).size) {
+                return res.status(403).json({ success: false, message: 'Rule not found' });
+            }
+            rules = selected.rows;
+        }
+
+        if (rules.length === 0) {
+            return res.status(400).json({ success: false, message: 'No rules to apply' });
+        }
+
+        const candidates = await loadRuleCandidates(userId, req.body);
+        const updates = [];
+        candidates.forEach(t => {
+            const matched = evaluateRules(rules, t);
+            if (!matched) return;
+            const changes = ruleChanges(t, matched);
+            if (Object.keys(changes).length > 0) {
+                updates.push({ transaction: t, changes, ruleIds: matched.ruleIds });
+            }
+        });
+
+        if (!dryRun && updates.length > 0) {
+            client = await db.connect();
+            await client.query('BEGIN');
+
+            const tagIdCache = {};
+            for (const { transaction, changes } of updates) {
+                const transactionType = changes.transaction_type || transaction.transaction_type;
+                const paymentMethod = changes.payment_method || transaction.payment_method;
+
+                await client.query(
+                    `UPDATE transactions
+                     SET category_id = $1, transaction_type = $2, payment_method = $3, mode = $4
+                     WHERE id = $5 AND user_id = $6`,
+                    [changes.category_id || transaction.category_id, transactionType, paymentMethod,
+                     legacyMode(transactionType, paymentMethod), transaction.id, userId]
+                );
+
+                if (changes.add_tags) {
+                    const key = changes.add_tags.join('\n').toLowerCase();
+                    if (!tagIdCache[key]) {
+                        tagIdCache[key] = (await resolveTagIds(client, userId, changes.add_tags)).tagIds;
+                    }
+                    await addTransactionTags(client, transaction.id, tagIdCache[key]);
                 }
             }
+
+            await client.query('COMMIT');
+        }
+
+        console.log(`✅ Rules ${dryRun ? 'previewed' : 'applied'}: ${updates.length} of ${candidates.length} transactions`);
+
+        res.json({
+            success: true,
+            message: dryRun
+                ? `${updates.length} transaction(s) would be updated`
+                : `${updates.length} transaction(s) updated`,
+            dry_run: dryRun,
+            scanned: candidates.length,
+            updated: updates.length,
+            changes: updates.slice(0, 200).map(u => ({
+                id: u.transaction.id,
+                description: u.transaction.description,
+                rule_ids: u.ruleIds,
+                changes: u.changes
+            }))
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK');
+        console.error('❌ Error applying rules:', error.message);
+        res.status(500).json({ success: false, message: error.message });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+
+// STATISTICS ENDPOINTS
+
+router.get('/stats', async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const conversion = await resolveConvertTo(db, userId, req.query.convert_to);
+        if (conversion.error) {
+            return res.status(400).json({ success: false, message: conversion.error });
+        }
+
+        // ✅ One grouped query for every currency the user has accounts or transactions in
+        const result = await db.query(
+            `SELECT cur.currency,
+                    COALESCE(SUM(CASE WHEN t.transaction_type = 'income' THEN t.amount ELSE 0 END), 0)::NUMERIC as income,
+                    COALESCE(SUM(CASE WHEN t.transaction_type = 'expense' AND t.payment_method IS DISTINCT FROM 'credit_card' THEN t.amount ELSE 0 END), 0)::NUMERIC as expense,
+                    COALESCE(SUM(CASE WHEN t.transaction_type = 'expense' AND t.payment_method = 'credit_card' THEN t.amount ELSE 0 END), 0)::NUMERIC as credit_card,
+                    COALESCE(SUM(CASE WHEN t.transaction_type = 'expense' THEN t.amount ELSE 0 END), 0)::NUMERIC as total_expense
+             FROM (
+                 SELECT currency FROM accounts WHERE user_id = $1
+                 UNION
+                 SELECT currency FROM transactions WHERE user_id = $1
+             ) cur
+             LEFT JOIN transactions t ON t.user_id = $1 AND t.currency = cur.currency
+             GROUP BY cur.currency
+             ORDER BY cur.currency`,
+            [userId]
+        );
+
+        const round = (value) => parseFloat((parseFloat(value) || 0).toFixed(2));
+
+        const currencies = result.rows.map(row => {
+            const income = round(row.income);
+            const expense = round(row.expense);
+
+            return {
+                currency: row.currency,
+                symbol: currencySymbol(row.currency),
+                income,
+                expense,
+                creditCard: round(row.credit_card),
+                totalExpense: round(row.total_expense),
+                balance: round(income - expense)
+            };
+        });
+
+        // ✅ summary keyed by lower-case code (summary.inr, summary.usd, ...)
+        const summary = {};
+        currencies.forEach(c => {
+            summary[c.currency.toLowerCase()] = {
+                income: c.income,
+                expense: c.expense,
+                creditCard: c.creditCard,
+                totalExpense: c.totalExpense,
+                balance: c.balance
+            };
+        });
+
+        // ✅ ?convert_to=<code>|base: totals in one currency, each transaction at
+        // the rate valid on its date; net worth at today's rates
+        let converted = null;
+        if (conversion.currency) {
+            const money = moneySql(conversion.currency, 2);
+            const convertedResult = await db.query(
+                `SELECT COALESCE(SUM(CASE WHEN t.transaction_type = 'income' THEN ${money.amount} END), 0)::NUMERIC as income,
+                        COALESCE(SUM(CASE WHEN t.transaction_type = 'expense' AND t.payment_method IS DISTINCT FROM 'credit_card' THEN ${money.amount} END), 0)::NUMERIC as expense,
+                        COALESCE(SUM(CASE WHEN t.transaction_type = 'expense' AND t.payment_method = 'credit_card' THEN ${money.amount} END), 0)::NUMERIC as credit_card,
+                        COALESCE(SUM(CASE WHEN t.transaction_type = 'expense' THEN ${money.amount} END), 0)::NUMERIC as total_expense,
+                        COUNT(*) FILTER (WHERE t.transaction_type <> 'transfer' AND ${money.amount} IS NULL)::int as missing_rates
+                 FROM transactions t
+                 WHERE t.user_id = $1`,
+                [userId, ...money.params]
+            );
+            const totals = convertedResult.rows[0];
+
+            const accounts = await getAccountBalances(db, userId);
+            const asOf = today();
+            const rates = {};
+            for (const code of new Set(accounts.map(a => a.currency))) {
+                rates[code] = await getRate(db, userId, code, conversion.currency, asOf);
+            }
+
+            let netWorth = 0;
+            const unconvertedAccounts = [];
+            accounts.forEach(account => {
+                if (rates[account.currency] === null) {
+                    unconvertedAccounts.push(account.name);
+                } else {
+                    netWorth += account.balance * rates[account.currency];
+                }
+            });
+
+            const income = round(totals.income);
+            const expense = round(totals.expense);
+
+            converted = {
+                currency: conversion.currency,
+                symbol: currencySymbol(conversion.currency),
+                income,
+                expense,
+                creditCard: round(totals.credit_card),
+                totalExpense: round(totals.total_expense),
+                balance: round(income - expense),
+                netWorth: round(netWorth),
+                missingRates: totals.missing_rates,
+                unconvertedAccounts
+            };
+        }
+
+        res.json({
+            success: true,
+            summary,
+            currencies,
+            converted
         });
     } catch (error) {
         console.error('❌ Error fetching stats:', error.message);
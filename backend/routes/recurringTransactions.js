@@ -6,12 +6,257 @@
 // ============================================
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const db = require('../config/db');
 const { authMiddleware } = require('../middleware/auth');
+const { toDateString, today, parseRule, nextDueDateFor, initialDueDate, previewOccurrences } = require('../utils/recurrence');
+const {
+    loadOpenLedger,
+    planOccurrences,
+    isScheduledDate,
+    postOccurrence,
+    runRecurringGeneration
+} = require('../utils/recurringEngine');
+const { normalizeCurrency } = require('../utils/currency');
+const { resolveTransactionType } = require('../utils/transactionTypes');
 
 console.log('✅ Recurring transactions routes loaded');
 
+// ============================================
+// CRON REQUEST VERIFICATION
+// The nightly job in server.js runs in-process; this guards the HTTP
+// route for external schedulers.
+// CRON_SECRET (env): shared secret, sent as the X-Cron-Secret header.
+// Without it, only calls from this machine are accepted.
+// ============================================
+
+const verifyCronRequest = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+
+    if (secret) {
+        const provided = req.headers['x-cron-secret'];
+        const valid = typeof provided === 'string' &&
+            provided.length === secret.length &&
+            crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(secret));
+
+        if (!valid) {
+            console.log('❌ Auto-generate rejected: invalid cron secret');
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid cron secret'
+            });
+        }
+        return next();
+    }
+
+    const remoteAddress = req.socket.remoteAddress;
+    if (['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(remoteAddress)) {
+        return next();
+    }
+
+    console.log('❌ Auto-generate rejected: non-local caller without CRON_SECRET:', remoteAddress);
+    return res.status(403).json({
+        success: false,
+        message: 'Auto-generate is only available to the scheduler'
+    });
+};
+
+// ✅ Map a recurring_runs row for API responses
+const mapRun = (row) => ({
+    id: row.id,
+    user_id: row.user_id,
+    triggered_by: row.triggered_by,
+    run_date: row.run_date,
+    status: row.status,
+    templates_processed: row.templates_processed,
+    transactions_created: row.transactions_created,
+    failed_count: row.failed_count,
+    details: row.details,
+    started_at: row.started_at,
+    finished_at: row.finished_at
+});
+
+// ✅ Non-admins only see their own templates inside global (cron) runs
+const scopeRunToUser = (run, userId) => {
+    if (run.user_id || !Array.isArray(run.details)) {
+        return run;
+    }
+
+    const details = run.details.filter(d => Number(d.user_id) === Number(userId));
+
+    return {
+        ...run,
+        templates_processed: details.length,
+        transactions_created: details.reduce((sum, d) => sum + (d.created || 0), 0),
+        failed_count: details.filter(d => d.error).length,
+        details
+    };
+};
+
+// ✅ Recurrence rule from the request body (empty → legacy frequency)
+const normalizeRuleInput = (body) => {
+    const raw = body.recurrenceRule !== undefined ? body.recurrenceRule : body.recurrence_rule;
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+        return null;
+    }
+    return String(raw).trim().toUpperCase().replace(/^RRULE:/, '');
+};
+
+// ✅ Returns an error message for an unusable rule, null when fine
+const validateRule = (rule) => {
+    if (!rule) {
+        return null;
+    }
+    try {
+        parseRule(rule);
+        return null;
+    } catch (error) {
+        return `Invalid recurrence rule: ${error.message}`;
+    }
+};
+
+
+// ============================================
+// AUTO-GENERATE DUE TRANSACTIONS - ALL USERS
+// (POST /api/recurring/process/auto-generate)
+// For external schedulers (the server.js cron runs in-process)
+// ============================================
+
+router.post('/process/auto-generate', verifyCronRequest, async (req, res) => {
+    try {
+        console.log('⏰ POST /api/recurring/process/auto-generate - Generating for all users');
+
+        const run = await runRecurringGeneration({ trigger: 'cron' });
+
+        res.json({
+            success: true,
+            message: `Generated ${run.transactions_created} transactions from ${run.templates_processed} recurring templates`,
+            run
+        });
+
+    } catch (error) {
+        console.error('❌ Error auto-generating recurring transactions:', error.message);
+        console.error('Stack:', error.stack);
+        res.status(500).json({
+            success: false,
+            message: 'Error auto-generating recurring transactions',
+            error: error.message
+        });
+    }
+});
+
+
+// ============================================
+// GENERATE DUE TRANSACTIONS - CURRENT USER
+// (POST /api/recurring/process/run)
+// ============================================
+
+router.post('/process/run', authMiddleware, async (req, res) => {
+    try {
+        console.log('⚡ POST /api/recurring/process/run - Generating for user:', req.user.id);
+
+        const run = await runRecurringGeneration({ userId: req.user.id, trigger: 'manual' });
+
+        res.json({
+            success: true,
+            message: `Generated ${run.transactions_created} transactions from ${run.templates_processed} recurring templates`,
+            run
+        });
+
+    } catch (error) {
+        console.error('❌ Error generating recurring transactions:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error generating recurring transactions',
+            error: error.message
+        });
+    }
+});
+
+
+// ============================================
+// LIST GENERATOR RUNS (GET /api/recurring/process/runs)
+// ============================================
+
+router.get('/process/runs', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        console.log('📤 GET /api/recurring/process/runs - Fetching for user:', userId);
+
+        let query = 'SELECT * FROM recurring_runs';
+        const params = [];
+
+        if (!req.user.is_admin) {
+            query += ' WHERE user_id = $1 OR user_id IS NULL';
+            params.push(userId);
+        }
+
+        query += ` ORDER BY started_at DESC LIMIT $${params.length + 1}`;
+        params.push(limit);
+
+        const result = await db.query(query, params);
+
+        const runs = result.rows
+            .map(mapRun)
+            .map(run => (req.user.is_admin ? run : scopeRunToUser(run, userId)));
+
+        res.json({
+            success: true,
+            runs,
+            count: runs.length
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching recurring runs:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching recurring runs',
+            error: error.message
+        });
+    }
+});
+
+
+// ============================================
+// GET SINGLE GENERATOR RUN (GET /api/recurring/process/runs/:runId)
+// ============================================
+
+router.get('/process/runs/:runId', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { runId } = req.params;
+
+        const result = await db.query('SELECT * FROM recurring_runs WHERE id = $1', [parseInt(runId)]);
+        const row = result.rows[0];
+
+        if (!row || (!req.user.is_admin && row.user_id && Number(row.user_id) !== Number(userId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Run not found'
+            });
+        }
+
+        const run = req.user.is_admin ? mapRun(row) : scopeRunToUser(mapRun(row), userId);
+
+        res.json({
+            success: true,
+            run
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching recurring run:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching recurring run',
+            error: error.message
+        });
+    }
+});
+
+
 // ============================================
 // CREATE RECURRING TRANSACTION (POST /api/recurring)
 // ============================================
@@ -22,7 +267,7 @@ router.post('/', authMiddleware, async (req, res) => {
         console.log('User ID:', req.user.id);
         console.log('Body:', req.body);
         
-        const { accountId, categoryId, description, amount, mode, currency, frequency, startDate, endDate } = req.body;
+        const { accountId, categoryId, description, amount, currency, frequency, startDate, endDate } = req.body;
         const userId = req.user.id;
         
         // ✅ VALIDATION
@@ -33,14 +278,36 @@ router.post('/', authMiddleware, async (req, res) => {
             });
         }
         
+        const type = readTransactionType(req.body, 'Income');
+        if (type.error) {
+            return res.status(400).json({ success: false, message: type.error });
+        }
+        
+        const recurrenceRule = normalizeRuleInput(req.body);
+        const ruleError = validateRule(recurrenceRule);
+        if (ruleError) {
+            return res.status(400).json({ success: false, message: ruleError });
+        }
+        
+        const currencyCode = currency ? normalizeCurrency(currency) : 'INR';
+        if (!currencyCode) {
+            return res.status(400).json({ success: false, message: `Invalid currency code: ${currency}` });
+        }
+        
         // ✅ Calculate next due date
-        const nextDueDate = calculateNextDueDate(startDate, frequency);
+        const nextDueDate = initialDueDate({ startDate, frequency, rule: recurrenceRule });
+        if (!nextDueDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Recurrence rule produces no dates on or after startDate'
+            });
+        }
         
         // ✅ FIXED: PostgreSQL syntax with RETURNING clause and proper parameter passing
         const insertQuery = `
             INSERT INTO recurring_transactions 
-            (user_id, account_id, category_id, description, amount, mode, currency, frequency, start_date, end_date, next_due_date, created_at)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+            (user_id, account_id, category_id, description, amount, mode, transaction_type, payment_method, currency, frequency, start_date, end_date, next_due_date, recurrence_rule, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
             RETURNING id
         `;
         
@@ -50,12 +317,15 @@ router.post('/', authMiddleware, async (req, res) => {
             parseInt(categoryId),
             description && description.trim() !== '' ? description : 'Recurring Transaction',
             parseFloat(amount),
-            mode || 'Income',
-            currency || 'INR',
-            frequency || 'Monthly',
+            type.mode,
+            type.transactionType,
+            type.paymentMethod,
+            currencyCode,
+            frequency || (recurrenceRule ? 'Custom' : 'Monthly'),
             startDate,
             endDate || null,
-            nextDueDate
+            nextDueDate,
+            recurrenceRule
         ]);
         
         // ✅ FIXED: Extract rows array from result
@@ -81,6 +351,22 @@ router.post('/', authMiddleware, async (req, res) => {
 });
 
 
+// ✅ transactionType / paymentMethod (or snake_case), falling back to the legacy mode
+function readTransactionType(body, defaultMode) {
+    const type = resolveTransactionType({
+        transaction_type: body.transactionType || body.transaction_type,
+        payment_method: body.paymentMethod !== undefined ? body.paymentMethod : body.payment_method,
+        mode: body.mode || defaultMode
+    });
+    
+    if (type && !type.error && type.transactionType === 'transfer') {
+        return { error: 'Recurring transfers are not supported; use income or expense' };
+    }
+    
+    return type;
+}
+
+
 // ============================================
 // GET ALL RECURRING TRANSACTIONS (GET /api/recurring)
 // ============================================
@@ -101,11 +387,14 @@ router.get('/', authMiddleware, async (req, res) => {
                 rt.description,
                 rt.amount,
                 rt.mode,
+                rt.transaction_type,
+                rt.payment_method,
                 rt.currency,
                 rt.frequency,
                 rt.start_date,
                 rt.end_date,
                 rt.next_due_date,
+                rt.recurrence_rule,
                 rt.created_at,
                 c.name as category_name,
                 a.name as account_name
@@ -145,8 +434,14 @@ router.get('/', authMiddleware, async (req, res) => {
             description: row.description,
             amount: parseFloat(row.amount),
             mode: row.mode,
+            transactionType: row.transaction_type,
+            transaction_type: row.transaction_type,
+            paymentMethod: row.payment_method,
+            payment_method: row.payment_method,
             currency: row.currency,
             frequency: row.frequency,
+            recurrenceRule: row.recurrence_rule,
+            recurrence_rule: row.recurrence_rule,
             startDate: row.start_date,
             start_date: row.start_date,
             endDate: row.end_date,
@@ -176,6 +471,161 @@ router.get('/', authMiddleware, async (req, res) => {
 });
 
 
+// ============================================
+// GET RECURRING TRANSACTIONS DUE TODAY (GET /api/recurring/due-today)
+// ✅ One entry per due occurrence (catch-up included), honouring
+//    skipped / postponed / overridden occurrences
+// ✅ Defined before /:id so 'due-today' is not taken as an ID
+// ============================================
+
+router.get('/due-today', authMiddleware, async (req, res) => {
+    try {
+        console.log('📅 GET /api/recurring/due-today - Fetching for user:', req.user.id);
+        
+        const userId = req.user.id;
+        const currentDate = today();
+        
+        const query = `
+            SELECT 
+                rt.*,
+                c.name as category_name,
+                a.name as account_name
+            FROM recurring_transactions rt
+            LEFT JOIN categories c ON rt.category_id = c.id
+            LEFT JOIN accounts a ON rt.account_id = a.id
+            WHERE rt.user_id = $1
+            AND (
+                (rt.next_due_date <= $2 AND (rt.end_date IS NULL OR rt.next_due_date <= rt.end_date))
+                OR EXISTS (
+                    SELECT 1 FROM recurring_occurrences ro
+                    WHERE ro.recurring_id = rt.id
+                    AND ro.status = 'postponed'
+                    AND ro.postponed_to <= $2
+                )
+            )
+            ORDER BY rt.next_due_date ASC
+        `;
+        
+        const result = await db.query(query, [userId, currentDate]);
+        
+        const dueTransactions = [];
+        
+        for (const recurring of result.rows) {
+            const ledgerRows = await loadOpenLedger(db, recurring);
+            const plan = planOccurrences(recurring, ledgerRows, currentDate);
+            
+            plan.occurrences
+                .filter(o => o.is_due)
+                .forEach(o => dueTransactions.push({
+                    id: recurring.id,
+                    recurring_id: recurring.id,
+                    account_id: recurring.account_id,
+                    account_name: recurring.account_name,
+                    category_id: recurring.category_id,
+                    category_name: recurring.category_name,
+                    description: recurring.description,
+                    amount: o.amount,
+                    template_amount: parseFloat(recurring.amount),
+                    mode: recurring.mode,
+                    transaction_type: recurring.transaction_type,
+                    payment_method: recurring.payment_method,
+                    currency: recurring.currency,
+                    frequency: recurring.frequency,
+                    start_date: recurring.start_date,
+                    end_date: recurring.end_date,
+                    next_due_date: recurring.next_due_date,
+                    due_date: o.due_date,
+                    post_date: o.post_date,
+                    status: o.status,
+                    overridden: o.overridden,
+                    note: o.note
+                }));
+        }
+        
+        dueTransactions.sort((a, b) => a.post_date.localeCompare(b.post_date));
+        
+        console.log('✅ Found:', dueTransactions.length, 'occurrences due today or earlier');
+        
+        res.json({
+            success: true,
+            due_today: dueTransactions,
+            count: dueTransactions.length
+        });
+        
+    } catch (error) {
+        console.error('❌ Error fetching due transactions:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching due transactions',
+            error: error.message
+        });
+    }
+});
+
+
+// ============================================
+// PREVIEW A SCHEDULE (GET /api/recurring/preview)
+// Query: rule (RRULE-style, e.g. FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1)
+//        or frequency, startDate, endDate, count (default 10, max 100)
+// ✅ Nothing is saved - lets the UI show the next dates before creating
+// ✅ Defined before /:id so 'preview' is not taken as an ID
+// ============================================
+
+router.get('/preview', authMiddleware, async (req, res) => {
+    try {
+        const rule = normalizeRuleInput({ recurrenceRule: req.query.rule });
+        const frequency = req.query.frequency || null;
+        const startDate = req.query.startDate ? toDateString(req.query.startDate) : today();
+        const endDate = req.query.endDate ? toDateString(req.query.endDate) : null;
+        const count = Math.min(Math.max(parseInt(req.query.count) || 10, 1), 100);
+        
+        console.log('📅 GET /api/recurring/preview -', rule || frequency, 'from', startDate);
+        
+        if (!rule && !frequency) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide a rule or a frequency'
+            });
+        }
+        
+        if (!startDate || (req.query.endDate && !endDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid startDate/endDate. Use YYYY-MM-DD.'
+            });
+        }
+        
+        const ruleError = validateRule(rule);
+        if (ruleError) {
+            return res.status(400).json({ success: false, message: ruleError });
+        }
+        
+        // ✅ Same first date the create endpoint would store
+        const firstDate = initialDueDate({ startDate, frequency, rule });
+        const dates = firstDate
+            ? previewOccurrences({ rule, frequency, startDate, from: firstDate, endDate, count })
+            : [];
+        
+        res.json({
+            success: true,
+            rule,
+            frequency,
+            start_date: startDate,
+            end_date: endDate,
+            dates
+        });
+        
+    } catch (error) {
+        console.error('❌ Error previewing schedule:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error previewing schedule',
+            error: error.message
+        });
+    }
+});
+
+
 // ============================================
 // GET SINGLE RECURRING TRANSACTION (GET /api/recurring/:id)
 // ============================================
@@ -197,11 +647,14 @@ router.get('/:id', authMiddleware, async (req, res) => {
                 rt.description,
                 rt.amount,
                 rt.mode,
+                rt.transaction_type,
+                rt.payment_method,
                 rt.currency,
                 rt.frequency,
                 rt.start_date,
                 rt.end_date,
                 rt.next_due_date,
+                rt.recurrence_rule,
                 rt.created_at,
                 c.name as category_name,
                 a.name as account_name
@@ -239,8 +692,11 @@ router.get('/:id', authMiddleware, async (req, res) => {
                 description: transaction.description,
                 amount: parseFloat(transaction.amount),
                 mode: transaction.mode,
+                transaction_type: transaction.transaction_type,
+                payment_method: transaction.payment_method,
                 currency: transaction.currency,
                 frequency: transaction.frequency,
+                recurrence_rule: transaction.recurrence_rule,
                 start_date: transaction.start_date,
                 end_date: transaction.end_date,
                 next_due_date: transaction.next_due_date,
@@ -267,29 +723,72 @@ router.put('/:id', authMiddleware, async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.id;
-        const { accountId, categoryId, description, amount, mode, currency, frequency, startDate, endDate } = req.body;
+        const { accountId, categoryId, description, amount, currency, frequency, startDate, endDate } = req.body;
         
         console.log('📝 PUT /api/recurring/:id - Updating:', id);
         
         // ✅ VALIDATION
-        if (!accountId || !categoryId || !amount) {
+        const type = readTransactionType(req.body);
+        if (!accountId || !categoryId || !amount || !type) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required fields'
             });
         }
+        if (type.error) {
+            return res.status(400).json({ success: false, message: type.error });
+        }
+        
+        const recurrenceRule = normalizeRuleInput(req.body);
+        const ruleError = validateRule(recurrenceRule);
+        if (ruleError) {
+            return res.status(400).json({ success: false, message: ruleError });
+        }
+        
+        const existingResult = await db.query(
+            'SELECT start_date, next_due_date, currency FROM recurring_transactions WHERE id = $1 AND user_id = $2',
+            [parseInt(id), userId]
+        );
+        
+        if (existingResult.rows.length === 0) {
+            console.log('❌ Recurring transaction not found:', id);
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring transaction not found'
+            });
+        }
+        
+        // ✅ Same currency check as create; left out keeps the current one
+        const currencyCode = currency ? normalizeCurrency(currency) : existingResult.rows[0].currency;
+        if (!currencyCode) {
+            return res.status(400).json({ success: false, message: `Invalid currency code: ${currency}` });
+        }
         
         // ✅ Calculate next due date
-        const nextDueDate = calculateNextDueDate(startDate || new Date().toISOString().split('T')[0], frequency);
+        // Keep the schedule position: re-anchor on the (new) start date but
+        // never jump back before the current next_due_date
+        const effectiveStart = startDate || toDateString(existingResult.rows[0].start_date) || today();
+        const currentNextDue = toDateString(existingResult.rows[0].next_due_date);
+        const nextDueDate = currentNextDue && currentNextDue > effectiveStart
+            ? initialDueDate({ startDate: effectiveStart, frequency, rule: recurrenceRule, onOrAfter: currentNextDue })
+            : initialDueDate({ startDate: effectiveStart, frequency, rule: recurrenceRule });
+        
+        if (!nextDueDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Recurrence rule produces no further dates'
+            });
+        }
         
         // ✅ FIXED: PostgreSQL parameter syntax
         const query = `
             UPDATE recurring_transactions 
             SET account_id = $1, category_id = $2, description = $3, amount = $4, 
                 mode = $5, currency = $6, frequency = $7, start_date = $8, 
-                end_date = $9, next_due_date = $10
+                end_date = $9, next_due_date = $10, recurrence_rule = $13,
+                transaction_type = $14, payment_method = $15
             WHERE id = $11 AND user_id = $12
-            RETURNING id, account_id, category_id, description, amount, mode, currency, frequency, start_date, end_date, next_due_date
+            RETURNING id, account_id, category_id, description, amount, mode, transaction_type, payment_method, currency, frequency, start_date, end_date, next_due_date, recurrence_rule
         `;
         
         const result = await db.query(query, [
@@ -297,14 +796,17 @@ router.put('/:id', authMiddleware, async (req, res) => {
             parseInt(categoryId),
             description,
             parseFloat(amount),
-            mode,
-            currency,
-            frequency,
-            startDate,
+            type.mode,
+            currencyCode,
+            frequency || (recurrenceRule ? 'Custom' : 'Monthly'),
+            effectiveStart,
             endDate || null,
             nextDueDate,
             parseInt(id),
-            userId
+            userId,
+            recurrenceRule,
+            type.transactionType,
+            type.paymentMethod
         ]);
         
         // ✅ FIXED: Extract rows array from result
@@ -332,8 +834,11 @@ router.put('/:id', authMiddleware, async (req, res) => {
                 description: transaction.description,
                 amount: parseFloat(transaction.amount),
                 mode: transaction.mode,
+                transaction_type: transaction.transaction_type,
+                payment_method: transaction.payment_method,
                 currency: transaction.currency,
                 frequency: transaction.frequency,
+                recurrence_rule: transaction.recurrence_rule,
                 start_date: transaction.start_date,
                 end_date: transaction.end_date,
                 next_due_date: transaction.next_due_date
@@ -400,59 +905,253 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 
 
 // ============================================
-// GET RECURRING TRANSACTIONS DUE TODAY (GET /api/recurring/due-today)
+// EXECUTE RECURRING TRANSACTION (POST /api/recurring/:id/execute)
+// Body (optional): { dueDate: 'YYYY-MM-DD', amount }
+//   dueDate - occurrence to post (defaults to next_due_date)
+//   amount  - amount for this occurrence only (template unchanged)
+// ✅ Idempotent: one ledger row per (template, due date), so retries
+//    and double-clicks return the already-posted occurrence
 // ============================================
 
-router.get('/due-today', authMiddleware, async (req, res) => {
+router.post('/:id/execute', authMiddleware, async (req, res) => {
+    let client;
+
     try {
-        console.log('📅 GET /api/recurring/due-today - Fetching for user:', req.user.id);
+        const { id } = req.params;
+        const userId = req.user.id;
+        const requestedDate = req.body?.dueDate || req.body?.due_date;
+        const requestedAmount = req.body?.amount !== undefined && req.body?.amount !== null && req.body?.amount !== ''
+            ? parseFloat(req.body.amount)
+            : null;
         
+        if (requestedAmount !== null && (isNaN(requestedAmount) || requestedAmount <= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Amount must be > 0'
+            });
+        }
+        
+        console.log('⚡ POST /api/recurring/:id/execute - Executing:', id, requestedDate ? `(due ${requestedDate})` : '');
+        
+        client = await db.connect();
+        await client.query('BEGIN');
+        
+        // ✅ Lock the template so concurrent executes queue up behind each other
+        const getResult = await client.query(
+            `SELECT * FROM recurring_transactions 
+             WHERE id = $1 AND user_id = $2
+             FOR UPDATE`,
+            [parseInt(id), userId]
+        );
+        const recurring = getResult.rows[0];
+        
+        if (!recurring) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring transaction not found'
+            });
+        }
+        
+        const scheduledDate = toDateString(recurring.next_due_date);
+        const endDate = recurring.end_date ? toDateString(recurring.end_date) : null;
+        const dueDate = requestedDate ? toDateString(requestedDate) : scheduledDate;
+        
+        if (!dueDate) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid dueDate. Use YYYY-MM-DD.'
+            });
+        }
+        
+        // ✅ Without an explicit date, never run ahead of the schedule -
+        //    a repeated click after the first one advanced next_due_date
+        //    must not silently post next period's occurrence
+        if (!requestedDate && dueDate > today()) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: `Next occurrence (${dueDate}) is not due yet. Pass dueDate to post it early.`,
+                next_due_date: scheduledDate
+            });
+        }
+        
+        if (endDate && dueDate > endDate) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: `Occurrence ${dueDate} is after the end date (${endDate})`
+            });
+        }
+        
+        if (requestedDate && !(await isScheduledDate(client, recurring, dueDate))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: `${dueDate} is not an upcoming occurrence of this recurring transaction`
+            });
+        }
+        
+        const { created, occurrence } = await postOccurrence(client, recurring, dueDate, { amount: requestedAmount });
+        
+        if (!created && occurrence.status !== 'posted') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: `Occurrence ${dueDate} is marked as ${occurrence.status}`,
+                occurrence
+            });
+        }
+        
+        // ✅ Advance the schedule only when the scheduled occurrence was handled
+        let nextDueDate = scheduledDate;
+        if (dueDate === scheduledDate) {
+            nextDueDate = nextDueDateFor(recurring, scheduledDate);
+            
+            await client.query(
+                `UPDATE recurring_transactions 
+                 SET next_due_date = $1, last_executed_at = NOW()
+                 WHERE id = $2`,
+                [nextDueDate, recurring.id]
+            );
+        }
+        
+        await client.query('COMMIT');
+        
+        console.log(created
+            ? `✅ Recurring transaction executed. New transaction ID: ${occurrence.transaction_id}`
+            : `ℹ️ Occurrence ${dueDate} already posted as transaction ${occurrence.transaction_id}`);
+        
+        res.json({
+            success: true,
+            message: created
+                ? 'Recurring transaction executed successfully'
+                : 'Occurrence was already executed',
+            already_executed: !created,
+            transaction_id: occurrence.transaction_id,
+            due_date: dueDate,
+            occurrence,
+            next_due_date: nextDueDate
+        });
+        
+    } catch (error) {
+        if (client) await client.query('ROLLBACK');
+        console.error('❌ Error executing recurring transaction:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error executing recurring transaction',
+            error: error.message
+        });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+
+// ============================================
+// LIST OCCURRENCES (GET /api/recurring/:id/occurrences)
+// Query: from, to (YYYY-MM-DD; to defaults to today)
+// Returns ledger rows (posted/skipped) plus open pending/postponed dates
+// ============================================
+
+router.get('/:id/occurrences', authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
         const userId = req.user.id;
-        const today = new Date().toISOString().split('T')[0];
+        const from = req.query.from ? toDateString(req.query.from) : null;
+        const to = req.query.to ? toDateString(req.query.to) : today();
         
-        // ✅ FIXED: PostgreSQL query to get due transactions
-        const query = `
-            SELECT 
-                rt.id,
-                rt.account_id,
-                rt.category_id,
-                rt.description,
-                rt.amount,
-                rt.mode,
-                rt.currency,
-                rt.frequency,
-                rt.start_date,
-                rt.end_date,
-                rt.next_due_date,
-                c.name as category_name,
-                a.name as account_name
-            FROM recurring_transactions rt
-            LEFT JOIN categories c ON rt.category_id = c.id
-            LEFT JOIN accounts a ON rt.account_id = a.id
-            WHERE rt.user_id = $1
-            AND rt.next_due_date <= $2
-            AND (rt.end_date IS NULL OR rt.end_date >= $2)
-            ORDER BY rt.next_due_date ASC
+        console.log('📤 GET /api/recurring/:id/occurrences - Fetching:', id);
+        
+        if ((req.query.from && !from) || !to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid from/to date. Use YYYY-MM-DD.'
+            });
+        }
+        
+        const templateResult = await db.query(
+            'SELECT * FROM recurring_transactions WHERE id = $1 AND user_id = $2',
+            [parseInt(id), userId]
+        );
+        const recurring = templateResult.rows[0];
+        
+        if (!recurring) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring transaction not found'
+            });
+        }
+        
+        // ✅ Recorded history (posted / skipped) from the ledger
+        let ledgerQuery = `
+            SELECT ro.*, t.transaction_date
+            FROM recurring_occurrences ro
+            LEFT JOIN transactions t ON ro.transaction_id = t.id
+            WHERE ro.recurring_id = $1
+            AND ro.status IN ('posted', 'skipped')
+            AND ro.due_date <= $2
         `;
+        const params = [recurring.id, to];
         
-        const result = await db.query(query, [userId, today]);
+        if (from) {
+            ledgerQuery += ' AND ro.due_date >= $3';
+            params.push(from);
+        }
         
-        // ✅ FIXED: Extract rows array from result
-        const dueTransactions = result.rows;
+        const ledgerResult = await db.query(ledgerQuery, params);
         
-        console.log('✅ Found:', dueTransactions.length, 'transactions due today or earlier');
+        const occurrences = ledgerResult.rows.map(row => ({
+            id: row.id,
+            due_date: toDateString(row.due_date),
+            post_date: toDateString(row.transaction_date || row.due_date),
+            status: row.status,
+            amount: row.amount !== null ? parseFloat(row.amount) : null,
+            overridden: row.override_amount !== null,
+            transaction_id: row.transaction_id,
+            posted_at: row.posted_at,
+            note: row.note
+        }));
+        
+        // ✅ Open occurrences (scheduled, overridden, postponed) from the planner
+        const currentDate = today();
+        const plan = planOccurrences(recurring, await loadOpenLedger(db, recurring), to);
+        
+        plan.occurrences
+            .filter(o => o.status !== 'posted' && o.status !== 'skipped')
+            .filter(o => !from || o.due_date >= from)
+            .forEach(o => occurrences.push({
+                id: o.occurrence_id,
+                due_date: o.due_date,
+                post_date: o.post_date,
+                status: o.status === 'postponed' ? 'postponed' : 'pending',
+                overdue: o.post_date < currentDate,
+                amount: o.amount,
+                overridden: o.overridden,
+                transaction_id: null,
+                note: o.note
+            }));
+        
+        occurrences.sort((a, b) => a.due_date.localeCompare(b.due_date));
         
         res.json({
             success: true,
-            due_today: dueTransactions,
-            count: dueTransactions.length
+            recurring_id: recurring.id,
+            occurrences,
+            summary: {
+                posted: occurrences.filter(o => o.status === 'posted').length,
+                skipped: occurrences.filter(o => o.status === 'skipped').length,
+                postponed: occurrences.filter(o => o.status === 'postponed').length,
+                pending: occurrences.filter(o => o.status === 'pending').length
+            }
         });
         
     } catch (error) {
-        console.error('❌ Error fetching due transactions:', error.message);
+        console.error('❌ Error fetching occurrences:', error.message);
         res.status(500).json({
             success: false,
-            message: 'Error fetching due transactions',
+            message: 'Error fetching occurrences',
             error: error.message
         });
     }
@@ -460,151 +1159,282 @@ router.get('/due-today', authMiddleware, async (req, res) => {
 
 
 // ============================================
-// EXECUTE RECURRING TRANSACTION (POST /api/recurring/:id/execute)
+// Helper: record a skip / postpone / override for ONE occurrence
+// Locks the template, validates the date and upserts the ledger row.
+// The template itself (amount, schedule) is never changed.
 // ============================================
 
-router.post('/:id/execute', authMiddleware, async (req, res) => {
+async function saveOccurrenceException(req, res, action, { postponeTo = null, amount = null } = {}) {
+    let client;
+
     try {
         const { id } = req.params;
         const userId = req.user.id;
+        const dueDate = toDateString(req.params.dueDate);
+        const note = req.body?.note ? String(req.body.note).trim() : null;
         
-        console.log('⚡ POST /api/recurring/:id/execute - Executing:', id);
+        console.log(`📝 ${action.toUpperCase()} occurrence ${req.params.dueDate} of recurring:`, id);
         
-        // ✅ Get recurring transaction details
-        const getQuery = `
-            SELECT * FROM recurring_transactions 
-            WHERE id = $1 AND user_id = $2
-        `;
+        if (!dueDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid occurrence date. Use YYYY-MM-DD.'
+            });
+        }
+        
+        client = await db.connect();
+        await client.query('BEGIN');
         
-        const getResult = await db.query(getQuery, [parseInt(id), userId]);
+        const getResult = await client.query(
+            `SELECT * FROM recurring_transactions 
+             WHERE id = $1 AND user_id = $2
+             FOR UPDATE`,
+            [parseInt(id), userId]
+        );
         const recurring = getResult.rows[0];
         
         if (!recurring) {
+            await client.query('ROLLBACK');
             return res.status(404).json({
                 success: false,
                 message: 'Recurring transaction not found'
             });
         }
         
-        // ✅ Create transaction from recurring template
-        const createTransactionQuery = `
-            INSERT INTO transactions 
-            (user_id, account_id, category_id, description, amount, mode, currency, transaction_date, created_at)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-            RETURNING id
-        `;
+        if (!(await isScheduledDate(client, recurring, dueDate))) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: `${dueDate} is not an upcoming occurrence of this recurring transaction`
+            });
+        }
         
-        const transactionResult = await db.query(createTransactionQuery, [
-            userId,
-            recurring.account_id,
-            recurring.category_id,
-            recurring.description,
-            recurring.amount,
-            recurring.mode,
-            recurring.currency
-        ]);
+        const existingResult = await client.query(
+            'SELECT * FROM recurring_occurrences WHERE recurring_id = $1 AND due_date = $2',
+            [recurring.id, dueDate]
+        );
+        const existing = existingResult.rows[0];
         
-        // ✅ FIXED: Extract rows array from result
-        const newTransaction = transactionResult.rows[0];
+        if (existing && existing.status === 'posted') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: `Occurrence ${dueDate} has already been posted`,
+                occurrence: existing
+            });
+        }
         
-        // ✅ Update next due date
-        const nextDueDate = calculateNextDueDate(recurring.next_due_date, recurring.frequency);
+        if (action === 'postpone' && postponeTo <= dueDate) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: 'postponeTo must be after the occurrence date'
+            });
+        }
         
-        const updateQuery = `
-            UPDATE recurring_transactions 
-            SET next_due_date = $1, last_executed_at = NOW()
-            WHERE id = $2
-        `;
+        // ✅ Work out the ledger state for this action, keeping
+        //    compatible exceptions (override + postpone can combine)
+        let fields;
+        if (action === 'skip') {
+            fields = { status: 'skipped', postponed_to: null, override_amount: null };
+        } else if (action === 'postpone') {
+            fields = {
+                status: 'postponed',
+                postponed_to: postponeTo,
+                override_amount: existing ? existing.override_amount : null
+            };
+        } else {
+            fields = {
+                status: existing && existing.status === 'postponed' ? 'postponed' : 'pending',
+                postponed_to: existing ? existing.postponed_to : null,
+                override_amount: amount
+            };
+        }
         
-        await db.query(updateQuery, [nextDueDate, parseInt(id)]);
+        const upsertResult = await client.query(
+            `INSERT INTO recurring_occurrences
+             (recurring_id, user_id, due_date, status, postponed_to, override_amount, note, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+             ON CONFLICT (recurring_id, due_date) DO UPDATE
+                SET status = EXCLUDED.status,
+                    postponed_to = EXCLUDED.postponed_to,
+                    override_amount = EXCLUDED.override_amount,
+                    note = COALESCE(EXCLUDED.note, recurring_occurrences.note)
+             RETURNING *`,
+            [recurring.id, userId, dueDate, fields.status, fields.postponed_to, fields.override_amount, note]
+        );
+        
+        // ✅ Skipping/postponing the next scheduled date moves the schedule on
+        let nextDueDate = toDateString(recurring.next_due_date);
+        if (action !== 'override' && dueDate === nextDueDate) {
+            nextDueDate = nextDueDateFor(recurring, nextDueDate);
+            await client.query(
+                'UPDATE recurring_transactions SET next_due_date = $1 WHERE id = $2',
+                [nextDueDate, recurring.id]
+            );
+        }
         
-        console.log('✅ Recurring transaction executed. New transaction ID:', newTransaction?.id);
+        await client.query('COMMIT');
+        
+        console.log(`✅ Occurrence ${dueDate} of recurring ${recurring.id} marked as ${fields.status}`);
         
         res.json({
             success: true,
-            message: 'Recurring transaction executed successfully',
-            transaction_id: newTransaction?.id,
+            message: `Occurrence ${dueDate} ${action === 'skip' ? 'skipped' : action === 'postpone' ? 'postponed to ' + postponeTo : 'amount overridden'}`,
+            occurrence: upsertResult.rows[0],
             next_due_date: nextDueDate
         });
         
     } catch (error) {
-        console.error('❌ Error executing recurring transaction:', error.message);
+        if (client) await client.query('ROLLBACK');
+        console.error(`❌ Error saving ${action} for occurrence:`, error.message);
         res.status(500).json({
             success: false,
-            message: 'Error executing recurring transaction',
+            message: `Error saving occurrence ${action}`,
             error: error.message
         });
+    } finally {
+        if (client) client.release();
+    }
+}
+
+
+// ============================================
+// SKIP ONE OCCURRENCE (POST /api/recurring/:id/occurrences/:dueDate/skip)
+// Body (optional): { note }
+// ============================================
+
+router.post('/:id/occurrences/:dueDate/skip', authMiddleware, (req, res) => {
+    return saveOccurrenceException(req, res, 'skip');
+});
+
+
+// ============================================
+// POSTPONE ONE OCCURRENCE (POST /api/recurring/:id/occurrences/:dueDate/postpone)
+// Body: { postponeTo: 'YYYY-MM-DD', note }
+// ============================================
+
+router.post('/:id/occurrences/:dueDate/postpone', authMiddleware, (req, res) => {
+    const postponeTo = toDateString(req.body?.postponeTo || req.body?.postpone_to);
+
+    if (!postponeTo) {
+        return res.status(400).json({
+            success: false,
+            message: 'Missing or invalid postponeTo (YYYY-MM-DD)'
+        });
+    }
+
+    return saveOccurrenceException(req, res, 'postpone', { postponeTo });
+});
+
+
+// ============================================
+// OVERRIDE ONE OCCURRENCE'S AMOUNT
+// (POST /api/recurring/:id/occurrences/:dueDate/override)
+// Body: { amount, note }
+// ============================================
+
+router.post('/:id/occurrences/:dueDate/override', authMiddleware, (req, res) => {
+    const amount = parseFloat(req.body?.amount);
+
+    if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Amount must be > 0'
+        });
     }
+
+    return saveOccurrenceException(req, res, 'override', { amount });
 });
 
 
 // ============================================
-// Helper function to calculate next due date
+// CLEAR AN OCCURRENCE EXCEPTION
+// (DELETE /api/recurring/:id/occurrences/:dueDate)
+// Restores the occurrence to its normal schedule and amount
 // ============================================
 
-function calculateNextDueDate(baseDate, frequency) {
+router.delete('/:id/occurrences/:dueDate', authMiddleware, async (req, res) => {
+    let client;
+
     try {
-        let date;
-        
-        // ✅ Handle different date input formats
-        if (typeof baseDate === 'string') {
-            // Handle YYYY-MM-DD format
-            if (baseDate.includes('-')) {
-                const [year, month, day] = baseDate.split('-');
-                date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-            } else {
-                date = new Date(baseDate);
-            }
-        } else if (baseDate instanceof Date) {
-            date = new Date(baseDate);
-        } else {
-            date = new Date();
-        }
-        
-        // ✅ Validate date
-        if (isNaN(date.getTime())) {
-            console.error('❌ Invalid date:', baseDate);
-            return new Date().toISOString().split('T')[0];
-        }
-        
-        // ✅ Calculate next due date based on frequency
-        switch(frequency) {
-            case 'Daily':
-                date.setDate(date.getDate() + 1);
-                break;
-            case 'Weekly':
-                date.setDate(date.getDate() + 7);
-                break;
-            case 'Bi-weekly':
-                date.setDate(date.getDate() + 14);
-                break;
-            case 'Monthly':
-                date.setMonth(date.getMonth() + 1);
-                break;
-            case 'Quarterly':
-                date.setMonth(date.getMonth() + 3);
-                break;
-            case 'Semi-annual':
-                date.setMonth(date.getMonth() + 6);
-                break;
-            case 'Annual':
-                date.setFullYear(date.getFullYear() + 1);
-                break;
-            default:
-                date.setDate(date.getDate() + 1);
-        }
-        
-        // ✅ Format as YYYY-MM-DD
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        
-        return `${year}-${month}-${day}`;
+        const { id } = req.params;
+        const userId = req.user.id;
+        const dueDate = toDateString(req.params.dueDate);
+        
+        console.log('🗑️ DELETE /api/recurring/:id/occurrences/:dueDate -', id, req.params.dueDate);
+        
+        if (!dueDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid occurrence date. Use YYYY-MM-DD.'
+            });
+        }
+        
+        client = await db.connect();
+        await client.query('BEGIN');
+        
+        const getResult = await client.query(
+            `SELECT * FROM recurring_transactions 
+             WHERE id = $1 AND user_id = $2
+             FOR UPDATE`,
+            [parseInt(id), userId]
+        );
+        const recurring = getResult.rows[0];
+        
+        if (!recurring) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring transaction not found'
+            });
+        }
+        
+        const deleteResult = await client.query(
+            `DELETE FROM recurring_occurrences
+             WHERE recurring_id = $1 AND due_date = $2 AND status <> 'posted'
+             RETURNING *`,
+            [recurring.id, dueDate]
+        );
+        
+        if (deleteResult.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: 'No skip/postpone/override recorded for this occurrence'
+            });
+        }
+        
+        // ✅ A cleared occurrence behind the schedule becomes due again
+        let nextDueDate = toDateString(recurring.next_due_date);
+        if (dueDate < nextDueDate) {
+            nextDueDate = dueDate;
+            await client.query(
+                'UPDATE recurring_transactions SET next_due_date = $1 WHERE id = $2',
+                [nextDueDate, recurring.id]
+            );
+        }
+        
+        await client.query('COMMIT');
+        
+        res.json({
+            success: true,
+            message: `Occurrence ${dueDate} restored to its normal schedule`,
+            next_due_date: nextDueDate
+        });
+        
     } catch (error) {
-        console.error('❌ Error calculating next due date:', error.message);
-        return new Date().toISOString().split('T')[0];
+        if (client) await client.query('ROLLBACK');
+        console.error('❌ Error clearing occurrence exception:', error.message);
+        res.status(500).json({
+            success: false,
+            message: 'Error clearing occurrence exception',
+            error: error.message
+        });
+    } finally {
+        if (client) client.release();
     }
-}
+});
 
 
 module.exports = router;
\ No newline at end of file
@@ -8,30 +8,27 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { authMiddleware } = require('../middleware/auth');
+const { RECEIPT_MIME_TYPES, parseIdList, transactionsOwned, attachUploads } = require('../utils/attachments');
+const {
+    DEFAULT_DRIVER,
+    hashContent,
+    storageKeyFor,
+    storeContent,
+    sendUpload,
+    lockStorageKey,
+    releaseUpload,
+    releaseUploadLocked
+} = require('../utils/storage');
+const { getStorageUsage, quotaError } = require('../utils/uploadQuota');
 
 const router = express.Router();
 
 console.log('✅ Upload routes loaded');
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-    console.log('✅ Uploads directory created:', uploadsDir);
-}
-
-// Configure multer storage
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadsDir);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, req.user.id + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
+// ✅ Files are kept in memory (10MB max) and written through utils/storage.js
+// (STORAGE_DRIVER=local or s3), so they survive a redeploy when on S3
+const storage = multer.memoryStorage();
 
 // File filter
 const fileFilter = (req, file, cb) => {
@@ -66,6 +63,9 @@ const upload = multer({
 // ============================================
 
 router.post('/upload', authMiddleware, upload.single('file'), async (req, res) => {
+    let client;
+    let stored = null;
+
     try {
         console.log('📥 POST /api/upload - Uploading file');
         console.log('User ID:', req.user.id);
@@ -80,44 +80,121 @@ router.post('/upload', authMiddleware, upload.single('file'), async (req, res) =
 
         // Save file info to database
         const db = require('../config/db');
+
+        // ✅ Optional transaction_ids ("12,13"): attach the file as a receipt right away
+        const transactionIds = parseIdList(req.body.transaction_ids);
+        let attachError = null;
+        if (!transactionIds) {
+            attachError = { status: 400, message: 'transaction_ids must be a list of transaction ids' };
+        } else if (transactionIds.length > 0 && !RECEIPT_MIME_TYPES.includes(req.file.mimetype)) {
+            attachError = { status: 400, message: 'Only images and PDFs can be attached as receipts' };
+        } else if (!(await transactionsOwned(db, req.user.id, transactionIds))) {
+            attachError = { status: 403, message: 'Transaction not found' };
+        }
+        if (attachError) {
+            return res.status(attachError.status).json({
+                success: false,
+                message: attachError.message
+            });
+        }
         
-        // ✅ FIXED: PostgreSQL syntax with RETURNING id and proper rows extraction
-        const result = await db.query(
-            `INSERT INTO uploads (user_id, filename, original_name, file_path, file_size, mime_type) 
-             VALUES ($1, $2, $3, $4, $5, $6)
-             RETURNING id`,
-            [
-                req.user.id,
-                req.file.filename,
-                req.file.originalname,
-                req.file.path,
-                req.file.size,
-                req.file.mimetype
-            ]
+        // ✅ Quota check and insert in one transaction: the user's row is locked
+        // first, so parallel uploads of one user run one after another and
+        // cannot both fit in the same remaining space
+        client = await db.connect();
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+        // ✅ The same file uploaded again by the same user reuses the existing
+        // upload (and costs no quota); content is stored once per hash
+        // (the key lock keeps a delete of the same content from removing
+        // the file before this row is committed)
+        const hash = hashContent(req.file.buffer);
+        await lockStorageKey(client, DEFAULT_DRIVER, storageKeyFor(hash));
+        const existing = await client.query(
+            `SELECT id FROM uploads
+             WHERE user_id = $1 AND content_hash = $2 AND storage_driver = $3
+             ORDER BY id LIMIT 1`,
+            [req.user.id, hash, DEFAULT_DRIVER]
         );
+        const deduplicated = existing.rows.length > 0;
+
+        let result = existing;
+        if (!deduplicated) {
+            // ✅ Per-user quota
+            const usage = await getStorageUsage(client, req.user.id);
+            const overQuota = quotaError(usage, req.file.size);
+            if (overQuota) {
+                await client.query('ROLLBACK');
+                console.log(`❌ Upload rejected for user ${req.user.id}: over quota`);
+                return res.status(413).json({
+                    success: false,
+                    code: 'QUOTA_EXCEEDED',
+                    message: overQuota,
+                    usage
+                });
+            }
+
+            stored = await storeContent(req.file.buffer, { contentType: req.file.mimetype });
+
+            // ✅ FIXED: PostgreSQL syntax with RETURNING id and proper rows extraction
+            result = await client.query(
+                `INSERT INTO uploads (user_id, filename, original_name, file_path, file_size, mime_type, content_hash, storage_driver, storage_key) 
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                 RETURNING id`,
+                [
+                    req.user.id,
+                    stored.hash + path.extname(req.file.originalname).toLowerCase(),
+                    req.file.originalname,
+                    stored.key,
+                    req.file.size,
+                    req.file.mimetype,
+                    stored.hash,
+                    stored.driver,
+                    stored.key
+                ]
+            );
+        }
 
         // ✅ FIXED: Extract rows array from result
         const uploadRecord = result.rows[0];
 
-        console.log('✅ File uploaded successfully:', uploadRecord?.id);
+        if (transactionIds.length > 0) {
+            await attachUploads(client, req.user.id, transactionIds, [uploadRecord.id]);
+        }
+
+        await client.query('COMMIT');
+
+        console.log(`✅ File uploaded successfully: ${uploadRecord?.id}${deduplicated ? ' (already uploaded)' : ''}`);
 
         res.json({
             success: true,
-            message: 'File uploaded successfully',
+            message: deduplicated ? 'File already uploaded' : 'File uploaded successfully',
+            deduplicated,
             file: {
                 id: uploadRecord?.id || null,
                 filename: req.file.originalname,
                 size: req.file.size,
-                type: req.file.mimetype
+                type: req.file.mimetype,
+                transaction_ids: transactionIds
             }
         });
     } catch (error) {
         console.error('❌ Upload error:', error.message);
+        if (client) await client.query('ROLLBACK');
+        // Don't leave the stored file behind without a row
+        if (stored && stored.stored) {
+            const db = require('../config/db');
+            await releaseUploadLocked(db, { storage_driver: stored.driver, storage_key: stored.key })
+                .catch(cleanupError => console.error('❌ Upload cleanup error:', cleanupError.message));
+        }
         res.status(500).json({
             success: false,
             message: 'Failed to upload file',
             error: error.message
         });
+    } finally {
+        if (client) client.release();
     }
 });
 
@@ -148,7 +225,8 @@ router.get('/files', authMiddleware, async (req, res) => {
 
         res.json({
             success: true,
-            files: files
+            files: files,
+            usage: await getStorageUsage(db, req.user.id)
         });
     } catch (error) {
         console.error('❌ Get files error:', error.message);
@@ -166,6 +244,8 @@ router.get('/files', authMiddleware, async (req, res) => {
 // ============================================
 
 router.delete('/files/:id', authMiddleware, async (req, res) => {
+    let client;
+
     try {
         const { id } = req.params;
         const userId = req.user.id;
@@ -174,14 +254,20 @@ router.delete('/files/:id', authMiddleware, async (req, res) => {
 
         const db = require('../config/db');
         
-        // ✅ FIXED: PostgreSQL syntax with proper rows extraction
-        const fileResult = await db.query(
-            `SELECT file_path FROM uploads 
-             WHERE id = $1 AND user_id = $2`,
+        // ✅ Row delete and file release in one transaction holding the key
+        // lock, so an upload of the same content can't reuse the file meanwhile
+        client = await db.connect();
+        await client.query('BEGIN');
+
+        const fileResult = await client.query(
+            `SELECT file_path, storage_driver, storage_key FROM uploads 
+             WHERE id = $1 AND user_id = $2
+             FOR UPDATE`,
             [id, userId]
         );
 
         if (fileResult.rows.length === 0) {
+            await client.query('ROLLBACK');
             console.log('❌ File not found:', id);
             return res.status(404).json({
                 success: false,
@@ -191,28 +277,23 @@ router.delete('/files/:id', authMiddleware, async (req, res) => {
 
         // ✅ FIXED: Extract first row from array
         const file = fileResult.rows[0];
-
-        // Delete file from filesystem
-        if (fs.existsSync(file.file_path)) {
-            fs.unlinkSync(file.file_path);
-            console.log('✅ File deleted from filesystem:', file.file_path);
+        if (file.storage_key) {
+            await lockStorageKey(client, file.storage_driver, file.storage_key);
         }
 
         // Delete from database
-        const deleteResult = await db.query(
+        await client.query(
             `DELETE FROM uploads WHERE id = $1 AND user_id = $2`,
             [id, userId]
         );
 
-        // ✅ FIXED: Check rowCount (PostgreSQL)
-        if (deleteResult.rowCount === 0) {
-            console.log('❌ Failed to delete from database:', id);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to delete file record'
-            });
+        // ✅ Stored content goes once no other upload shares it
+        if (await releaseUpload(client, file)) {
+            console.log('✅ File deleted from storage:', file.storage_key || file.file_path);
         }
 
+        await client.query('COMMIT');
+
         console.log('✅ File deleted successfully:', id);
 
         res.json({
@@ -221,11 +302,14 @@ router.delete('/files/:id', authMiddleware, async (req, res) => {
         });
     } catch (error) {
         console.error('❌ Delete file error:', error.message);
+        if (client) await client.query('ROLLBACK');
         res.status(500).json({
             success: false,
             message: 'Failed to delete file',
             error: error.message
         });
+    } finally {
+        if (client) client.release();
     }
 });
 
@@ -245,7 +329,7 @@ router.get('/download/:id', authMiddleware, async (req, res) => {
         
         // ✅ FIXED: PostgreSQL syntax with proper rows extraction
         const fileResult = await db.query(
-            `SELECT file_path, original_name FROM uploads 
+            `SELECT file_path, original_name, file_size, mime_type, storage_driver, storage_key FROM uploads 
              WHERE id = $1 AND user_id = $2`,
             [id, userId]
         );
@@ -261,24 +345,10 @@ router.get('/download/:id', authMiddleware, async (req, res) => {
         // ✅ FIXED: Extract first row from array
         const file = fileResult.rows[0];
 
-        // ✅ Verify file exists before downloading
-        if (!fs.existsSync(file.file_path)) {
-            console.log('❌ File not found on filesystem:', file.file_path);
-            return res.status(404).json({
-                success: false,
-                message: 'File not found on filesystem'
-            });
-        }
-
         console.log('✅ Downloading file:', file.original_name);
 
-        res.download(file.file_path, file.original_name, (err) => {
-            if (err) {
-                console.error('❌ Download error:', err.message);
-            } else {
-                console.log('✅ Download completed:', file.original_name);
-            }
-        });
+        // ✅ Streamed from whichever storage holds it (404 if the content is gone)
+        await sendUpload(res, file);
     } catch (error) {
         console.error('❌ Download error:', error.message);
         res.status(500).json({
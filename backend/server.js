@@ -48,6 +48,7 @@ console.log('=====================================');
 console.log('PORT:', process.env.PORT || '5000');
 console.log('CLIENT_URL:', process.env.CLIENT_URL || 'https://fairox.co.in');
 console.log('JWT_SECRET:', process.env.JWT_SECRET ? '✅ SET' : '❌ NOT SET');
+console.log('CRON_SECRET:', process.env.CRON_SECRET ? '✅ SET' : '⚠️  NOT SET (auto-generate route: localhost only)');
 console.log('=====================================\n');
 
 
@@ -96,6 +97,8 @@ try {
 
 // ✅ Import database for connection checks
 const db = require('./config/db');
+const { reconcileUploads } = require('./utils/uploadHousekeeping');
+const { runRecurringGeneration } = require('./utils/recurringEngine');
 
 
 // ✅ Import auth middleware (only for protected routes)
@@ -117,6 +120,7 @@ const recurringRoutes = require('./routes/recurringTransactions');
 const budgetRoutes = require('./routes/budget');
 const exportRouter = require('./routes/export');
 const overviewRouter = require('./routes/overview');
+const exchangeRateRoutes = require('./routes/exchangeRates');
 const adminRoutes = require('./routes/admin-routes');
 const testEmailRoutes = require('./routes/test-email');
 const advancedEmailDiag = require('./routes/advanced-email-test');
@@ -277,6 +281,7 @@ app.use('/api/recurring', recurringRoutes);
 app.use('/api/budget', budgetRoutes);
 app.use('/api/export', exportRouter);
 app.use('/api/overview', overviewRouter);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 app.use('/api', adminRoutes);
 app.use('/test-email', testEmailRoutes);
 app.use('/test-email-advanced', advancedEmailDiag);
@@ -416,33 +421,40 @@ async function initializeAdmin() {
 
 // ============================================
 // CRON JOB - Auto-generate recurring transactions
-// With proper error handling and timeout
+// Runs in-process; external schedulers can call
+// POST /api/recurring/process/auto-generate with X-Cron-Secret
+// (CRON_SECRET env var, see routes/recurringTransactions.js)
 // ============================================
 
 
 cron.schedule('0 0 * * *', async () => {
   try {
     console.log('⏰ Running cron job: Auto-generating recurring transactions...');
-    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-    
-    const response = await fetch(`${apiUrl}/api/recurring/process/auto-generate`, { 
-      method: 'POST',
-      signal: controller.signal
+    const run = await runRecurringGeneration({ trigger: 'cron' });
+    console.log(`✅ Cron job completed: ${run.transactions_created} transactions from ${run.templates_processed} recurring templates`);
+  } catch (error) {
+    console.error('❌ Cron job error:', error.message);
+  }
+});
+
+
+// ============================================
+// CRON JOB - Upload housekeeping
+// Removes stored files without an uploads row and rows without a file
+// (UPLOAD_RECONCILE_DRY_RUN=true only logs what it would remove)
+// ============================================
+
+
+cron.schedule('30 3 * * *', async () => {
+  try {
+    console.log('⏰ Running cron job: Reconciling uploads with storage...');
+    const summary = await reconcileUploads({ dryRun: process.env.UPLOAD_RECONCILE_DRY_RUN === 'true' });
+
+    summary.drivers.forEach(d => {
+      console.log(`✅ ${d.driver}: ${d.stored_files} stored, ${d.orphan_files.length} orphan file(s), ${d.orphan_rows.length} orphan row(s)`);
     });
-    
-    clearTimeout(timeoutId);
-    
-    const data = await response.json();
-    console.log('✅ Cron job completed:', data.message || 'Success');
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error('❌ Cron job timeout: Request took longer than 30 seconds');
-    } else {
-      console.error('❌ Cron job error:', error.message);
-    }
+    console.error('❌ Upload housekeeping error:', error.message);
   }
 });
 
@@ -0,0 +1,140 @@
+// ============================================
+// TRANSACTION ATTACHMENTS
+// File: utils/attachments.js
+// Purpose: Receipts (uploads rows) linked to transactions, many-to-many
+//          via transaction_attachments: one receipt can cover several
+//          transactions and a transaction can have several receipts
+// ============================================
+
+// Uploads that can be attached as a receipt
+const RECEIPT_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'application/pdf'];
+
+
+/**
+ * Parse a list of ids from a body or form field
+ * @param {Array|string|number} value - [1, 2], "1,2", "[1,2]" or 3
+ * @returns {number[]|null} Unique ids, or null when something is not an id
+ */
+function parseIdList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    let list = value;
+    if (typeof value === 'string') {
+        const text = value.trim();
+        try {
+            list = text.startsWith('[') ? JSON.parse(text) : text.split(',');
+        } catch (error) {
+            return null;
+        }
+    }
+    if (!Array.isArray(list)) {
+        list = [list];
+    }
+
+    const ids = list.map(id => String(id).trim()).filter(Boolean);
+    if (ids.some(id => !/^\d+$/.test(id))) {
+        return null;
+    }
+    return [...new Set(ids.map(id => parseInt(id)))];
+}
+
+
+/**
+ * Check that every transaction belongs to the user
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {number[]} transactionIds - transactions.id
+ * @returns {Promise<boolean>} True when all are the user's
+ */
+async function transactionsOwned(queryable, userId, transactionIds) {
+    if (transactionIds.length === 0) {
+        return true;
+    }
+
+    const result = await queryable.query(
+        'SELECT COUNT(*)::int as owned FROM transactions WHERE user_id = $1 AND id = ANY($2::int[])',
+        [userId, transactionIds]
+    );
+    return result.rows[0].owned === transactionIds.length;
+}
+
+
+/**
+ * Attach the user's receipts to the user's transactions
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner of both
+ * @param {number[]} transactionIds - transactions.id
+ * @param {number[]} uploadIds - uploads.id (images / PDFs)
+ * @returns {Promise<Object>} { attached } (new links) or { error, status }
+ */
+async function attachUploads(queryable, userId, transactionIds, uploadIds) {
+    if (!(await transactionsOwned(queryable, userId, transactionIds))) {
+        return { error: 'Transaction not found', status: 403 };
+    }
+
+    const uploads = await queryable.query(
+        'SELECT id, mime_type FROM uploads WHERE user_id = $1 AND id = ANY($2::int[])',
+        [userId, uploadIds]
+    );
+    if (uploads.rows.length !== uploadIds.length) {
+        return { error: 'Receipt not found', status: 403 };
+    }
+    if (uploads.rows.some(upload => !RECEIPT_MIME_TYPES.includes(upload.mime_type))) {
+        return { error: 'Only images and PDFs can be attached as receipts', status: 400 };
+    }
+
+    const result = await queryable.query(
+        `INSERT INTO transaction_attachments (transaction_id, upload_id)
+         SELECT tx.id, up.id
+         FROM UNNEST($1::int[]) AS tx(id)
+         CROSS JOIN UNNEST($2::int[]) AS up(id)
+         ON CONFLICT DO NOTHING`,
+        [transactionIds, uploadIds]
+    );
+
+    return { attached: result.rowCount };
+}
+
+
+/**
+ * Receipts attached to a transaction, oldest first
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {number} transactionId - transactions.id
+ * @returns {Promise<Array>} [{ id, original_name, file_size, mime_type, created_at, attached_at, transaction_count }]
+ */
+async function loadTransactionAttachments(queryable, userId, transactionId) {
+    const result = await queryable.query(
+        `SELECT u.id, u.original_name, u.file_size, u.mime_type, u.created_at, ax.created_at as attached_at,
+                (SELECT COUNT(*)::int FROM transaction_attachments other WHERE other.upload_id = u.id) as transaction_count
+         FROM transaction_attachments ax
+         JOIN uploads u ON u.id = ax.upload_id
+         JOIN transactions t ON t.id = ax.transaction_id
+         WHERE ax.transaction_id = $1 AND t.user_id = $2
+         ORDER BY ax.created_at, u.id`,
+        [transactionId, userId]
+    );
+    return result.rows;
+}
+
+
+/**
+ * SQL subquery: number of receipts attached to a transaction
+ * @param {string} alias - transactions alias (default 't')
+ * @returns {string} SQL expression
+ */
+function attachmentCountSql(alias = 't') {
+    return `(SELECT COUNT(*)::int FROM transaction_attachments ax WHERE ax.transaction_id = ${alias}.id)`;
+}
+
+
+module.exports = {
+    RECEIPT_MIME_TYPES,
+    parseIdList,
+    transactionsOwned,
+    attachUploads,
+    loadTransactionAttachments,
+    attachmentCountSql
+};
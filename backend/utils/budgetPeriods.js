@@ -0,0 +1,280 @@
+// ============================================
+// BUDGET PERIODS
+// File: utils/budgetPeriods.js
+// Purpose: Which dates a budget's limit covers: weekly, monthly,
+//          quarterly, yearly or a custom number of days, with a custom
+//          start day (e.g. months running 25th to 24th around payday)
+// ============================================
+
+const { toDateString } = require('./recurrence');
+
+const BUDGET_PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly', 'custom'];
+
+// What carries into the next period: what was left and what was overspent,
+// only what was left, or only the overspend
+const ROLLOVER_MODES = ['both', 'unspent', 'overspent'];
+
+// Months covered by the month-based periods
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Start days stop at 28 so every month has one
+const MAX_START_DAY = 28;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+// ---- UTC day helpers ----
+
+function toUtc(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatUtc(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+function mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
+
+
+/**
+ * Validate the period fields of a budget body (camelCase, as the rest of
+ * the budget API). Missing fields keep the current value.
+ * @param {Object} body - { periodType, periodStartDay, periodStartMonth, customAnchorDate, customPeriodDays }
+ * @param {Object} current - Current budget_limits row (for updates)
+ * @returns {Object} { period: { period_type, period_start_day, period_start_month,
+ *                     custom_anchor_date, custom_period_days } } or { error }
+ */
+function parseBudgetPeriodInput(body, current = {}) {
+    const pick = (camel, column) => (body[camel] !== undefined ? body[camel] : current[column]);
+
+    const periodType = pick('periodType', 'period_type') || 'monthly';
+    if (!BUDGET_PERIODS.includes(periodType)) {
+        return { error: `periodType must be one of: ${BUDGET_PERIODS.join(', ')}` };
+    }
+
+    // A different period type starts from that type's defaults
+    const sameType = !current.period_type || current.period_type === periodType;
+    const startDayInput = body.periodStartDay !== undefined ? body.periodStartDay : (sameType ? current.period_start_day : null);
+    const startMonthInput = body.periodStartMonth !== undefined ? body.periodStartMonth : (sameType ? current.period_start_month : null);
+
+    const period = {
+        period_type: periodType,
+        period_start_day: null,
+        period_start_month: 1,
+        custom_anchor_date: null,
+        custom_period_days: null
+    };
+
+    if (periodType === 'custom') {
+        const anchor = toDateString(pick('customAnchorDate', 'custom_anchor_date'));
+        const days = parseInt(pick('customPeriodDays', 'custom_period_days'));
+        if (!anchor || !days || days < 1 || days > 366) {
+            return { error: 'Custom periods need customAnchorDate (first day of a period) and customPeriodDays (1-366)' };
+        }
+        period.custom_anchor_date = anchor;
+        period.custom_period_days = days;
+        return { period };
+    }
+
+    // Weekly: ISO weekday the week starts on (1 = Monday ... 7 = Sunday);
+    // month-based: day of the month (empty = the user's month start day)
+    if (startDayInput !== null && startDayInput !== undefined && startDayInput !== '') {
+        const startDay = parseInt(startDayInput);
+        const max = periodType === 'weekly' ? 7 : MAX_START_DAY;
+        if (isNaN(startDay) || startDay < 1 || startDay > max) {
+            return { error: periodType === 'weekly'
+                ? 'periodStartDay for weekly budgets is a weekday: 1 (Monday) to 7 (Sunday)'
+                : `periodStartDay must be between 1 and ${MAX_START_DAY}` };
+        }
+        period.period_start_day = startDay;
+    }
+
+    // Quarterly / yearly: month the year starts in (4 = April financial year)
+    if (periodType === 'quarterly' || periodType === 'yearly') {
+        const startMonth = startMonthInput === null || startMonthInput === undefined || startMonthInput === ''
+            ? 1
+            : parseInt(startMonthInput);
+        if (isNaN(startMonth) || startMonth < 1 || startMonth > 12) {
+            return { error: 'periodStartMonth must be between 1 and 12' };
+        }
+        period.period_start_month = startMonth;
+    }
+
+    return { period };
+}
+
+
+/**
+ * Validate the rollover fields of a budget body. Missing fields keep the
+ * current value; rollover is off unless asked for.
+ * @param {Object} body - { rolloverEnabled, rolloverMode, rolloverSince }
+ * @param {Object} current - Current budget_limits row (for updates)
+ * @returns {Object} { rollover: { rollover_enabled, rollover_mode }, since
+ *                     (YYYY-MM-DD to carry from, or null) } or { error }
+ */
+function parseRolloverInput(body, current = {}) {
+    const enabledInput = body.rolloverEnabled !== undefined ? body.rolloverEnabled : current.rollover_enabled;
+    const enabled = enabledInput === true || enabledInput === 'true';
+    const mode = (body.rolloverMode !== undefined ? body.rolloverMode : current.rollover_mode) || 'both';
+
+    if (!ROLLOVER_MODES.includes(mode)) {
+        return { error: `rolloverMode must be one of: ${ROLLOVER_MODES.join(', ')}` };
+    }
+
+    let since = null;
+    if (body.rolloverSince) {
+        since = toDateString(body.rolloverSince);
+        if (since !== body.rolloverSince) {
+            return { error: 'rolloverSince must be YYYY-MM-DD' };
+        }
+    }
+
+    return { rollover: { rollover_enabled: enabled, rollover_mode: mode }, since };
+}
+
+
+/**
+ * First day rollover carries from (budget_limits.rollover_since). Turning
+ * rollover on, or changing the period, starts a new chain in the current
+ * period, since earlier periods no longer line up.
+ * @param {Object} current - Current budget_limits row ({} for a new budget)
+ * @param {Object} next - New period and rollover columns
+ * @param {Object} options - { today, monthStartDay, since (explicit start) }
+ * @returns {string|null} YYYY-MM-DD, or null when rollover is off
+ */
+function rolloverSince(current, next, { today, monthStartDay, since = null }) {
+    if (!next.rollover_enabled) {
+        return null;
+    }
+    if (since) {
+        return since;
+    }
+
+    const periodChanged = current.period_type !== next.period_type
+        || (current.period_start_day || null) !== (next.period_start_day || null)
+        || (current.period_start_month || 1) !== (next.period_start_month || 1)
+        || toDateString(current.custom_anchor_date) !== (next.custom_anchor_date || null)
+        || (current.custom_period_days || null) !== (next.custom_period_days || null);
+
+    if (!current.rollover_enabled || !current.rollover_since || periodChanged) {
+        return budgetPeriod(next, today, { monthStartDay }).start;
+    }
+    return toDateString(current.rollover_since);
+}
+
+
+/**
+ * Parse ?period= / ?date= for the status endpoints.
+ * date picks the period containing that day (default today); period moves
+ * from there: 'current', 'previous', 'next' or a number (-2 = two back).
+ * @param {Object} query - req.query
+ * @param {string} todayString - Today as YYYY-MM-DD
+ * @returns {Object} { date, offset } or { error }
+ */
+function parsePeriodQuery(query, todayString) {
+    let date = todayString;
+    if (query.date) {
+        // Round trip so 2026-02-30 is rejected rather than rolled over
+        date = /^\d{4}-\d{2}-\d{2}$/.test(query.date) ? toDateString(query.date) : null;
+        if (date !== query.date) {
+            return { error: 'date must be YYYY-MM-DD' };
+        }
+    }
+
+    const named = { current: 0, previous: -1, next: 1 };
+    let offset = 0;
+    if (query.period !== undefined && query.period !== '') {
+        offset = named[query.period] !== undefined ? named[query.period] : Number(query.period);
+        if (!Number.isInteger(offset) || Math.abs(offset) > 1000) {
+            return { error: 'period must be current, previous, next or a whole number of periods (e.g. -2)' };
+        }
+    }
+
+    return { date, offset };
+}
+
+
+/**
+ * The period of a budget that contains a date, moved by offset periods
+ * @param {Object} budget - budget_limits row (period_type, period_start_day, ...)
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} options - { monthStartDay (user default, 1-28), offset }
+ * @returns {Object} { type, start, end (inclusive, YYYY-MM-DD), days, label }
+ */
+function budgetPeriod(budget, date, { monthStartDay = 1, offset = 0 } = {}) {
+    const type = budget.period_type || 'monthly';
+    const day = toUtc(date);
+    let start;
+    let end;
+
+    if (type === 'weekly') {
+        const weekStart = (budget.period_start_day || 1) % 7;  // JS: 0 = Sunday
+        start = addDays(day, -mod(day.getUTCDay() - weekStart, 7) + offset * 7);
+        end = addDays(start, 6);
+    } else if (type === 'custom') {
+        const anchor = toUtc(toDateString(budget.custom_anchor_date));
+        const length = budget.custom_period_days;
+        const index = Math.floor(Math.round((day - anchor) / DAY_MS) / length) + offset;
+        start = addDays(anchor, index * length);
+        end = addDays(start, length - 1);
+    } else {
+        const months = PERIOD_MONTHS[type];
+        const startDay = budget.period_start_day || monthStartDay || 1;
+        const startMonth = (budget.period_start_month || 1) - 1;
+
+        // Month of the period start: before the start day still belongs
+        // to the previous month, then back to the period's first month
+        let month = day.getUTCMonth() - (day.getUTCDate() < startDay ? 1 : 0);
+        month -= mod(month - startMonth, months);
+        month += offset * months;
+
+        start = new Date(Date.UTC(day.getUTCFullYear(), month, startDay));
+        end = addDays(new Date(Date.UTC(day.getUTCFullYear(), month + months, startDay)), -1);
+    }
+
+    const startString = formatUtc(start);
+    const endString = formatUtc(end);
+
+    return {
+        type,
+        start: startString,
+        end: endString,
+        days: Math.round((end - start) / DAY_MS) + 1,
+        label: periodLabel(type, start, end)
+    };
+}
+
+
+// "2026-10", "2026-Q4", "2026" for calendar-aligned periods, else the range
+function periodLabel(type, start, end) {
+    const aligned = start.getUTCDate() === 1;
+    if (type === 'monthly' && aligned) {
+        return formatUtc(start).slice(0, 7);
+    }
+    if (type === 'quarterly' && aligned && start.getUTCMonth() % 3 === 0) {
+        return `${start.getUTCFullYear()}-Q${start.getUTCMonth() / 3 + 1}`;
+    }
+    if (type === 'yearly' && aligned && start.getUTCMonth() === 0) {
+        return String(start.getUTCFullYear());
+    }
+    return `${formatUtc(start)} to ${formatUtc(end)}`;
+}
+
+
+module.exports = {
+    BUDGET_PERIODS,
+    ROLLOVER_MODES,
+    MAX_START_DAY,
+    parseBudgetPeriodInput,
+    parseRolloverInput,
+    rolloverSince,
+    parsePeriodQuery,
+    budgetPeriod
+};
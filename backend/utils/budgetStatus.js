@@ -0,0 +1,325 @@
+// ============================================
+// BUDGET STATUS
+// File: utils/budgetStatus.js
+// Purpose: Spending against each budget for the period containing a date
+//          (see utils/budgetPeriods.js). Spending covers the budget's
+//          category and its subcategories (plus same-path duplicates left
+//          from per-mode categories, e.g. Grocery (Expense) and Grocery
+//          (Credit Card)); split transactions count per line. With rollover on, what was
+//          left (or overspent) carries into the next period; it is
+//          recomputed from transactions and budget_limit_history, so any
+//          past period comes out the same every time.
+// Used by: routes/budget.js, routes/export.js
+// ============================================
+
+const { categoryLinesSql } = require('./splits');
+const { categoryPathsCte } = require('./categories');
+const { today, toDateString } = require('./recurrence');
+const { budgetPeriod } = require('./budgetPeriods');
+
+// Longest rollover chain followed back (ten years of weekly periods)
+const MAX_ROLLOVER_PERIODS = 520;
+
+
+/**
+ * The user's month start day (users.budget_month_start_day)
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @returns {Promise<number>} Day 1-28
+ */
+async function getMonthStartDay(queryable, userId) {
+    const result = await queryable.query(
+        'SELECT budget_month_start_day FROM users WHERE id = $1',
+        [userId]
+    );
+    return (result.rows[0] && result.rows[0].budget_month_start_day) || 1;
+}
+
+
+/**
+ * Expense total per budget and period. A line counts when its category's
+ * path starts with the budget category's full path (Food covers
+ * Food > Dining; Food > Other does not cover Bills > Other).
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {Array} periods - [{ budget_id, start, end }]
+ * @returns {Promise<Map>} "budgetId:start" → amount
+ */
+async function getPeriodSpending(queryable, userId, periods) {
+    const spending = new Map();
+    if (periods.length === 0) {
+        return spending;
+    }
+
+    const result = await queryable.query(
+        `WITH RECURSIVE ${categoryPathsCte('$1')},
+         periods AS (
+             SELECT * FROM UNNEST($2::int[], $3::date[], $4::date[]) AS p(budget_id, period_start, period_end)
+         )
+         SELECT p.budget_id,
+                TO_CHAR(p.period_start, 'YYYY-MM-DD') as period_start,
+                COALESCE(SUM(CASE
+                    WHEN tcp.name_path[1:array_length(bcp.name_path, 1)] = bcp.name_path THEN line.amount
+                    ELSE 0
+                END), 0) as spent
+         FROM periods p
+         JOIN budget_limits bl ON bl.id = p.budget_id AND bl.user_id = $1
+         LEFT JOIN category_paths bcp ON bcp.id = bl.category_id
+         LEFT JOIN transactions t ON (
+             t.user_id = bl.user_id
+             AND t.currency = bl.currency
+             AND t.transaction_date BETWEEN p.period_start AND p.period_end
+             AND t.transaction_type = 'expense'
+         )
+         ${categoryLinesSql('t')}
+         LEFT JOIN category_paths tcp ON tcp.id = line.category_id
+         GROUP BY p.budget_id, p.period_start`,
+        [
+            userId,
+            periods.map(period => period.budget_id),
+            periods.map(period => period.start),
+            periods.map(period => period.end)
+        ]
+    );
+
+    result.rows.forEach(row => {
+        spending.set(`${row.budget_id}:${row.period_start}`, parseFloat(row.spent) || 0);
+    });
+    return spending;
+}
+
+
+/**
+ * Limit changes per budget, oldest first
+ * @param {Object} queryable - pg pool or client
+ * @param {Array} budgetIds - budget_limits ids
+ * @returns {Promise<Map>} budgetId → [{ effective_from, monthly_limit }]
+ */
+async function getLimitHistory(queryable, budgetIds) {
+    const result = await queryable.query(
+        `SELECT budget_limit_id, monthly_limit, effective_from
+         FROM budget_limit_history
+         WHERE budget_limit_id = ANY($1::int[])
+         ORDER BY budget_limit_id, effective_from`,
+        [budgetIds]
+    );
+
+    const history = new Map();
+    result.rows.forEach(row => {
+        if (!history.has(row.budget_limit_id)) history.set(row.budget_limit_id, []);
+        history.get(row.budget_limit_id).push({
+            effective_from: toDateString(row.effective_from),
+            monthly_limit: parseFloat(row.monthly_limit)
+        });
+    });
+    return history;
+}
+
+
+/**
+ * Record a budget's limit as of the period containing today (replaces an
+ * earlier change in the same period). Call after every insert / update.
+ * @param {Object} queryable - pg pool or client
+ * @param {Object} budget - budget_limits row (id, monthly_limit, period columns)
+ * @param {number} monthStartDay - User's month start day
+ */
+async function recordLimitChange(queryable, budget, monthStartDay) {
+    const effectiveFrom = budgetPeriod(budget, today(), { monthStartDay }).start;
+
+    await queryable.query(
+        `INSERT INTO budget_limit_history (budget_limit_id, monthly_limit, effective_from)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (budget_limit_id, effective_from)
+         DO UPDATE SET monthly_limit = EXCLUDED.monthly_limit, created_at = NOW()`,
+        [budget.id, budget.monthly_limit, effectiveFrom]
+    );
+}
+
+
+// Limit in effect at the start of a period: the latest change on or before
+// it, else the earliest known (periods before the budget existed)
+function limitAt(budget, history, periodStart) {
+    if (!history || history.length === 0) {
+        return parseFloat(budget.monthly_limit);
+    }
+    const applicable = history.filter(change => change.effective_from <= periodStart);
+    return (applicable.length > 0 ? applicable[applicable.length - 1] : history[0]).monthly_limit;
+}
+
+
+// What a period passes on: the whole balance, or only one side of it
+function carryOut(balance, mode) {
+    if (mode === 'unspent') return Math.max(balance, 0);
+    if (mode === 'overspent') return Math.min(balance, 0);
+    return balance;
+}
+
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+
+/**
+ * Periods to compute for a budget, oldest first, ending with the period
+ * `offset` periods from the one containing `date`. Goes back at least
+ * `count` periods, and with rollover on back to where the chain starts
+ * (the period containing rollover_since).
+ * @returns {Object} { periods: [{ type, start, end, days, label }], chainStart (YYYY-MM-DD or null) }
+ */
+function periodChain(budget, date, { monthStartDay, offset, count = 1 }) {
+    const since = toDateString(budget.rollover_since || budget.created_at) || date;
+    const chainStart = budget.rollover_enabled
+        ? budgetPeriod(budget, since, { monthStartDay }).start
+        : null;
+
+    const periods = [];
+    for (let back = 0; back < Math.max(count, MAX_ROLLOVER_PERIODS); back++) {
+        const period = budgetPeriod(budget, date, { monthStartDay, offset: offset - back });
+        const beforeChain = !chainStart || period.start < chainStart;
+        if (back >= count && beforeChain) break;
+        periods.unshift(period);
+    }
+    return { periods, chainStart };
+}
+
+
+/**
+ * Walk a budget's periods carrying the balance forward
+ * @param {Object} budget - budget_limits row
+ * @param {Object} chain - From periodChain()
+ * @param {Array} history - This budget's limit changes
+ * @param {Map} spending - From getPeriodSpending()
+ * @returns {Array} Per period: { period, base_limit, rollover_in, available,
+ *                  spent, remaining, rollover_out, percentage_used }
+ */
+function rolloverRows(budget, { periods, chainStart }, history, spending) {
+    // The first period of the chain starts from nothing
+    let carry = 0;
+    return periods.map(period => {
+        const inChain = chainStart !== null && period.start >= chainStart;
+        const baseLimit = limitAt(budget, history, period.start);
+        const rolloverIn = inChain ? carry : 0;
+        const available = round2(baseLimit + rolloverIn);
+        const spent = spending.get(`${budget.id}:${period.start}`) || 0;
+        const remaining = round2(available - spent);
+        const rolloverOut = inChain ? round2(carryOut(remaining, budget.rollover_mode)) : 0;
+
+        if (inChain) carry = rolloverOut;
+
+        let percentageUsed;
+        if (available > 0) {
+            percentageUsed = Math.round((spent / available) * 10000) / 100;
+        } else {
+            // Nothing (or less than nothing) left to spend
+            percentageUsed = spent > 0 || available < 0 ? 100 : 0;
+        }
+
+        return {
+            period: {
+                type: period.type,
+                start: period.start,
+                end: period.end,
+                days: period.days,
+                label: period.label
+            },
+            base_limit: baseLimit,
+            rollover_in: round2(rolloverIn),
+            available,
+            spent: round2(spent),
+            remaining,
+            rollover_out: rolloverOut,
+            percentage_used: percentageUsed
+        };
+    });
+}
+
+
+/**
+ * Budgets with their periods computed (shared by status and history)
+ * @returns {Promise<Array>} [{ budget, rows }] rows oldest first
+ */
+async function computeBudgets(queryable, userId, { budgetId = null, date = today(), offset = 0, count = 1 } = {}) {
+    const budgets = await queryable.query(
+        `SELECT bl.*, c.name as category_name
+         FROM budget_limits bl
+         LEFT JOIN categories c ON bl.category_id = c.id
+         WHERE bl.user_id = $1 AND ($2::int IS NULL OR bl.id = $2)
+         ORDER BY bl.created_at DESC`,
+        [userId, budgetId]
+    );
+    if (budgets.rows.length === 0) {
+        return [];
+    }
+
+    const monthStartDay = await getMonthStartDay(queryable, userId);
+    const history = await getLimitHistory(queryable, budgets.rows.map(budget => budget.id));
+    const chains = budgets.rows.map(budget => periodChain(budget, date, { monthStartDay, offset, count }));
+
+    const spending = await getPeriodSpending(queryable, userId, budgets.rows.flatMap((budget, index) =>
+        chains[index].periods.map(period => ({ budget_id: budget.id, start: period.start, end: period.end }))
+    ));
+
+    return budgets.rows.map((budget, index) => ({
+        budget,
+        rows: rolloverRows(budget, chains[index], history.get(budget.id), spending)
+    }));
+}
+
+
+/**
+ * Budgets with their period and spending in it
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {Object} options - { budgetId (only this one), date (YYYY-MM-DD,
+ *                             default today), offset (periods from date) }
+ * @returns {Promise<Array>} budget_limits rows plus category_name, period
+ *                           { type, start, end, days, label }, base_limit,
+ *                           rollover_in, available, current_spending,
+ *                           remaining, rollover_out, percentage_used
+ */
+async function getBudgetStatus(queryable, userId, options = {}) {
+    const computed = await computeBudgets(queryable, userId, { ...options, count: 1 });
+
+    return computed.map(({ budget, rows }) => {
+        const current = rows[rows.length - 1];
+        return {
+            ...budget,
+            ...current,
+            current_spending: current.spent
+        };
+    });
+}
+
+
+/**
+ * One budget's last `count` periods, each with limit, rollover and spending
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {number} budgetId - budget_limits id
+ * @param {Object} options - { date, offset, count (default 12) }
+ * @returns {Promise<Object|null>} { budget, periods (newest first) }, or null when not found
+ */
+async function getBudgetHistory(queryable, userId, budgetId, { date = today(), offset = 0, count = 12 } = {}) {
+    const computed = await computeBudgets(queryable, userId, { budgetId, date, offset, count });
+    if (computed.length === 0) {
+        return null;
+    }
+
+    const { budget, rows } = computed[0];
+    return {
+        budget,
+        periods: rows.slice(-count).reverse()
+    };
+}
+
+
+module.exports = {
+    MAX_ROLLOVER_PERIODS,
+    getMonthStartDay,
+    getPeriodSpending,
+    getLimitHistory,
+    recordLimitChange,
+    getBudgetStatus,
+    getBudgetHistory
+};
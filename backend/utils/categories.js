@@ -0,0 +1,90 @@
+// ============================================
+// CATEGORY HIERARCHY
+// File: utils/categories.js
+// Purpose: Parent/child categories (Food > Groceries) and rolling
+//          spending up to any level of the tree
+// ============================================
+
+
+/**
+ * Recursive CTE `category_paths` over one user's categories.
+ * Columns: id, name, mode, parent_id, depth (1 = top level),
+ * path (ids root → self), name_path (names root → self),
+ * full_name ("Food > Groceries").
+ * Use as `WITH RECURSIVE ${categoryPathsCte('$1')} SELECT ...`
+ * @param {string} userSql - SQL for the owner id
+ * @returns {string} CTE definition
+ */
+function categoryPathsCte(userSql) {
+    return `category_paths AS (
+        SELECT c.id, c.name, c.mode, c.parent_id, 1 as depth,
+               ARRAY[c.id] as path, ARRAY[c.name::text] as name_path, c.name::text as full_name
+        FROM categories c
+        WHERE c.user_id = ${userSql} AND c.parent_id IS NULL
+        UNION ALL
+        SELECT c.id, c.name, c.mode, c.parent_id, cp.depth + 1,
+               cp.path || c.id, cp.name_path || c.name::text, cp.full_name || ' > ' || c.name
+        FROM categories c
+        JOIN category_paths cp ON c.parent_id = cp.id
+        WHERE NOT c.id = ANY(cp.path)
+    )`;
+}
+
+
+/**
+ * SQL expression: id of the ancestor at `level` (1 = top level) of a
+ * category_paths row; categories shallower than `level` stay themselves.
+ * A NULL level means no roll-up.
+ * @param {string} pathAlias - category_paths alias
+ * @param {string} levelSql - SQL for the level (int or NULL)
+ * @returns {string} SQL expression
+ */
+function rollupIdSql(pathAlias, levelSql) {
+    return `${pathAlias}.path[LEAST(${pathAlias}.depth, COALESCE(${levelSql}, ${pathAlias}.depth))]`;
+}
+
+
+/**
+ * Parse a ?level= query value
+ * @param {string} value - Query value
+ * @returns {number|null} Level >= 1, or null for no roll-up
+ */
+function parseLevel(value) {
+    const level = parseInt(value);
+    return level >= 1 ? level : null;
+}
+
+
+/**
+ * Check a new parent for a category: it must belong to the user and
+ * must not be the category itself or one of its descendants.
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {number|null} categoryId - Category being moved (null when creating)
+ * @param {number} parentId - Proposed parent
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+async function validateParent(queryable, userId, categoryId, parentId) {
+    const result = await queryable.query(
+        `WITH RECURSIVE ${categoryPathsCte('$1')}
+         SELECT path FROM category_paths WHERE id = $2`,
+        [userId, parentId]
+    );
+
+    if (result.rows.length === 0) {
+        return 'Parent category not found';
+    }
+    if (categoryId && result.rows[0].path.map(Number).includes(Number(categoryId))) {
+        return 'A category cannot be moved under itself or one of its subcategories';
+    }
+
+    return null;
+}
+
+
+module.exports = {
+    categoryPathsCte,
+    rollupIdSql,
+    parseLevel,
+    validateParent
+};
@@ -0,0 +1,158 @@
+// ============================================
+// CREDIT CARD STATEMENTS
+// File: utils/creditCard.js
+// Purpose: Statement cycle dates, statement balance and minimum due
+//          for credit_card accounts
+// ============================================
+
+const { parseDate, formatDate, toDateString } = require('./recurrence');
+const { signedAmountSql, countsTowardsBalanceSql } = require('./ledger');
+
+const ACCOUNT_TYPES = ['bank', 'cash', 'credit_card'];
+const DEFAULT_MIN_PAYMENT_PERCENT = 5;
+
+
+// Day `day` of the month containing `year/month`, clamped to month end
+function clampedDate(year, month, day) {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, lastDay));
+}
+
+
+/**
+ * Statement cycle around a date
+ * The statement closes on `statementDay` each month (31 → month end);
+ * payment is due on the next `dueDay` after the closing date.
+ * @param {number} statementDay - 1-31
+ * @param {number} dueDay - 1-31
+ * @param {string} asOf - Reference date (YYYY-MM-DD)
+ * @returns {Object} { period_start, closing_date, due_date, next_closing_date }
+ */
+function statementDates(statementDay, dueDay, asOf) {
+    const reference = parseDate(asOf);
+    const year = reference.getFullYear();
+    const month = reference.getMonth();
+
+    // Last closing date on or before the reference date
+    let closing = clampedDate(year, month, statementDay);
+    if (closing > reference) {
+        closing = clampedDate(year, month - 1, statementDay);
+    }
+
+    const previousClosing = clampedDate(closing.getFullYear(), closing.getMonth() - 1, statementDay);
+    const periodStart = new Date(previousClosing.getFullYear(), previousClosing.getMonth(), previousClosing.getDate() + 1);
+    const nextClosing = clampedDate(closing.getFullYear(), closing.getMonth() + 1, statementDay);
+
+    let due = clampedDate(closing.getFullYear(), closing.getMonth(), dueDay);
+    if (due <= closing) {
+        due = clampedDate(closing.getFullYear(), closing.getMonth() + 1, dueDay);
+    }
+
+    return {
+        period_start: formatDate(periodStart),
+        closing_date: formatDate(closing),
+        due_date: formatDate(due),
+        next_closing_date: formatDate(nextClosing)
+    };
+}
+
+
+/**
+ * Minimum payment for a statement balance
+ * @param {number} statementBalance - Amount owed at closing (positive)
+ * @param {Object} account - accounts row (min_payment_percent, min_payment_amount)
+ * @returns {number} Minimum due
+ */
+function minimumDue(statementBalance, account) {
+    if (statementBalance <= 0) {
+        return 0;
+    }
+
+    const percent = account.min_payment_percent !== null && account.min_payment_percent !== undefined
+        ? parseFloat(account.min_payment_percent)
+        : DEFAULT_MIN_PAYMENT_PERCENT;
+    const floor = parseFloat(account.min_payment_amount) || 0;
+    const minimum = Math.max(statementBalance * percent / 100, floor);
+
+    return Math.round(Math.min(minimum, statementBalance) * 100) / 100;
+}
+
+
+/**
+ * Current statement of a credit card account.
+ * Amounts owed are positive. Payments (transfers into the card) and
+ * refunds after the closing date settle the statement.
+ * @param {Object} queryable - pg pool or client
+ * @param {Object} account - accounts row (account_type = 'credit_card')
+ * @param {string} asOf - Reference date (YYYY-MM-DD), usually today
+ * @returns {Promise<Object>} Statement summary
+ */
+async function getCardStatement(queryable, account, asOf) {
+    const dates = statementDates(account.statement_day, account.payment_due_day, asOf);
+
+    const result = await queryable.query(
+        `SELECT
+            COALESCE(SUM(CASE WHEN x.transaction_date <= $3 THEN x.signed END), 0) as through_closing,
+            COALESCE(SUM(x.signed), 0) as through_as_of,
+            COALESCE(SUM(CASE WHEN x.transaction_date >= $4 AND x.transaction_date <= $3 AND x.signed < 0 THEN -x.signed END), 0) as statement_charges,
+            COALESCE(SUM(CASE WHEN x.transaction_date > $3 AND x.signed > 0 THEN x.signed END), 0) as credits_since_closing,
+            COALESCE(SUM(CASE WHEN x.transaction_date > $3 AND x.signed < 0 THEN -x.signed END), 0) as charges_since_closing
+         FROM (
+            SELECT t.transaction_date, ${signedAmountSql('t')} as signed
+            FROM transactions t
+            JOIN accounts a ON t.account_id = a.id
+            WHERE t.account_id = $1 AND t.transaction_date <= $2
+            AND ${countsTowardsBalanceSql('t', 'a')}
+         ) x`,
+        [account.id, asOf, dates.closing_date, dates.period_start]
+    );
+    const totals = result.rows[0];
+    const opening = parseFloat(account.opening_balance) || 0;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    // Balance is negative while owed; statement figures are shown positive
+    const statementBalance = round(Math.max(0, -(opening + parseFloat(totals.through_closing))));
+    const currentOutstanding = round(Math.max(0, -(opening + parseFloat(totals.through_as_of))));
+    const paidSinceClosing = round(parseFloat(totals.credits_since_closing));
+    const minimum = minimumDue(statementBalance, account);
+    const remainingDue = round(Math.max(0, statementBalance - paidSinceClosing));
+    const creditLimit = account.credit_limit !== null ? parseFloat(account.credit_limit) : null;
+
+    let status = 'no_balance';
+    if (statementBalance > 0) {
+        if (remainingDue === 0) {
+            status = 'paid';
+        } else if (asOf > dates.due_date) {
+            status = 'overdue';
+        } else {
+            status = paidSinceClosing > 0 ? 'partially_paid' : 'due';
+        }
+    }
+
+    return {
+        account_id: account.id,
+        account_name: account.name,
+        currency: account.currency,
+        as_of: toDateString(asOf),
+        ...dates,
+        statement_charges: round(parseFloat(totals.statement_charges)),
+        statement_balance: statementBalance,
+        minimum_due: minimum,
+        paid_since_closing: paidSinceClosing,
+        remaining_due: remainingDue,
+        remaining_minimum_due: round(Math.max(0, minimum - paidSinceClosing)),
+        unbilled_charges: round(parseFloat(totals.charges_since_closing)),
+        current_outstanding: currentOutstanding,
+        credit_limit: creditLimit,
+        available_credit: creditLimit !== null ? round(creditLimit - currentOutstanding) : null,
+        status
+    };
+}
+
+
+module.exports = {
+    ACCOUNT_TYPES,
+    statementDates,
+    minimumDue,
+    getCardStatement
+};
@@ -0,0 +1,73 @@
+// ============================================
+// CURRENCY HELPERS
+// File: utils/currency.js
+// Purpose: ISO 4217 validation and display symbols for any currency
+// ============================================
+
+// Preferred symbols; everything else falls back to Intl (or the code)
+const CURRENCY_SYMBOLS = {
+    'INR': '₹',
+    'SAR': '﷼',
+    'USD': '$',
+    'EUR': '€',
+    'GBP': '£',
+    'AED': 'د.إ'
+};
+
+// Full ISO 4217 list when the runtime provides it (Node 18+)
+const ISO_CURRENCIES = typeof Intl.supportedValuesOf === 'function'
+    ? new Set(Intl.supportedValuesOf('currency'))
+    : null;
+
+
+/**
+ * Normalize a currency code ("usd " -> "USD")
+ * @param {string} code - Currency code from user input
+ * @returns {string|null} Upper-case ISO 4217 code, or null when unknown
+ */
+function normalizeCurrency(code) {
+    if (!code || typeof code !== 'string') {
+        return null;
+    }
+
+    const normalized = code.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(normalized)) {
+        return null;
+    }
+    if (ISO_CURRENCIES && !ISO_CURRENCIES.has(normalized)) {
+        return null;
+    }
+
+    return normalized;
+}
+
+
+/**
+ * Display symbol for a currency code
+ * @param {string} code - ISO 4217 code
+ * @returns {string} Symbol (e.g. ₹), or the code itself
+ */
+function currencySymbol(code) {
+    if (!code) {
+        return '';
+    }
+    if (CURRENCY_SYMBOLS[code]) {
+        return CURRENCY_SYMBOLS[code];
+    }
+
+    try {
+        const part = new Intl.NumberFormat('en', { style: 'currency', currency: code, currencyDisplay: 'narrowSymbol' })
+            .formatToParts(0)
+            .find(p => p.type === 'currency');
+        return part ? part.value : code;
+    } catch (error) {
+        return code;
+    }
+}
+
+
+module.exports = {
+    CURRENCY_SYMBOLS,
+    normalizeCurrency,
+    currencySymbol
+};
@@ -0,0 +1,145 @@
+// ============================================
+// IMPORT DUPLICATE DETECTION
+// File: utils/duplicates.js
+// Purpose: Fingerprint imported rows (date, amount, account, description)
+//          and spot rows that are already in the ledger or repeat earlier
+//          rows of the same file
+// ============================================
+
+const { toDateString } = require('./recurrence');
+
+// What to do with a likely duplicate: leave it out, fold the row into the
+// transaction it duplicates, or import it anyway
+const DUPLICATE_ACTIONS = ['skip', 'merge', 'import'];
+
+
+/**
+ * Description as compared for duplicates: case, punctuation and spacing ignored
+ * @param {string} description - Transaction description
+ * @returns {string} Normalized description
+ */
+function normalizeDescription(description) {
+    return String(description || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+
+/**
+ * Fingerprint of a transaction
+ * @param {Object} transaction - { transaction_date (YYYY-MM-DD), amount, account, description };
+ *                               account is an account id, or a name|currency key for
+ *                               accounts the import has not created yet
+ * @returns {string} Fingerprint
+ */
+function transactionFingerprint({ transaction_date, amount, account, description }) {
+    return [
+        transaction_date,
+        parseFloat(amount).toFixed(2),
+        account,
+        normalizeDescription(description)
+    ].join('|');
+}
+
+
+/**
+ * Fingerprints of the user's transactions on the given dates
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {string[]} dates - YYYY-MM-DD dates found in the file
+ * @returns {Promise<Map>} fingerprint -> [{ id, description, transaction_type }]
+ */
+async function loadExistingFingerprints(queryable, userId, dates) {
+    const fingerprints = new Map();
+    const uniqueDates = [...new Set(dates.filter(Boolean))];
+    if (uniqueDates.length === 0) {
+        return fingerprints;
+    }
+
+    const result = await queryable.query(
+        `SELECT id, transaction_date, amount, account_id, description, transaction_type
+         FROM transactions
+         WHERE user_id = $1 AND transaction_date = ANY($2::date[])
+         ORDER BY id`,
+        [userId, uniqueDates]
+    );
+
+    result.rows.forEach(row => {
+        const fingerprint = transactionFingerprint({
+            transaction_date: toDateString(row.transaction_date),
+            amount: row.amount,
+            account: row.account_id,
+            description: row.description
+        });
+        if (!fingerprints.has(fingerprint)) fingerprints.set(fingerprint, []);
+        fingerprints.get(fingerprint).push({ id: row.id, description: row.description, transaction_type: row.transaction_type });
+    });
+
+    return fingerprints;
+}
+
+
+/**
+ * Track duplicates while walking the rows of a file in order.
+ * Each existing transaction is matched by at most one row, so a file with
+ * two identical coffees against a ledger with one flags only one of them
+ * as already imported; the other is flagged as repeating the earlier row.
+ * @param {Map} existing - From loadExistingFingerprints()
+ * @returns {Object} { check(fingerprint), remember(fingerprint, row, transactionId) }
+ */
+function createDuplicateTracker(existing) {
+    const unmatched = new Map([...existing].map(([fingerprint, rows]) => [fingerprint, [...rows]]));
+    const seenInFile = new Map();
+
+    return {
+        /**
+         * @returns {Object|null} { duplicate_of: 'existing', transaction_id },
+         *                        { duplicate_of: 'file', row, transaction_id }, or null
+         */
+        check(fingerprint) {
+            const matches = unmatched.get(fingerprint);
+            if (matches && matches.length > 0) {
+                const match = matches.shift();
+                return { duplicate_of: 'existing', transaction_id: match.id };
+            }
+            if (seenInFile.has(fingerprint)) {
+                const first = seenInFile.get(fingerprint);
+                return { duplicate_of: 'file', row: first.row, transaction_id: first.transactionId };
+            }
+            return null;
+        },
+
+        remember(fingerprint, row, transactionId = null) {
+            const first = seenInFile.get(fingerprint);
+            if (!first) {
+                seenInFile.set(fingerprint, { row, transactionId });
+            } else if (!first.transactionId && transactionId) {
+                first.transactionId = transactionId;
+            }
+        }
+    };
+}
+
+
+/**
+ * Action for one duplicate row: a per-row override wins over the default
+ * @param {string} defaultAction - One of DUPLICATE_ACTIONS
+ * @param {Object} overrides - { [rowNumber]: action }
+ * @param {number} rowNumber - Spreadsheet row number
+ * @returns {string} Action
+ */
+function duplicateActionFor(defaultAction, overrides, rowNumber) {
+    const override = overrides && overrides[rowNumber];
+    return DUPLICATE_ACTIONS.includes(override) ? override : defaultAction;
+}
+
+
+module.exports = {
+    DUPLICATE_ACTIONS,
+    normalizeDescription,
+    transactionFingerprint,
+    loadExistingFingerprints,
+    createDuplicateTracker,
+    duplicateActionFor
+};
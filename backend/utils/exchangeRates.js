@@ -0,0 +1,120 @@
+// ============================================
+// EXCHANGE RATES
+// File: utils/exchangeRates.js
+// Purpose: Dated exchange-rate lookups and converting transaction
+//          amounts into a reporting currency (?convert_to=)
+// ============================================
+
+const { normalizeCurrency } = require('./currency');
+
+
+/**
+ * SQL expression: rate that turns 1 `from` into `to` on a date.
+ * Lookup order: latest direct rate on or before the date, latest inverse
+ * rate on or before the date, then (for dates before the first known
+ * rate) the earliest later direct / inverse rate. NULL when no rate exists.
+ * @param {string} userSql - SQL for the owner id
+ * @param {string} fromSql - SQL for the source currency
+ * @param {string} toSql - SQL for the target currency
+ * @param {string} dateSql - SQL for the date
+ * @returns {string} SQL expression
+ */
+function rateSql(userSql, fromSql, toSql, dateSql) {
+    const lookup = (select, from, to, dateCondition, order) => `(
+                SELECT ${select} FROM exchange_rates er
+                WHERE er.user_id = ${userSql} AND er.from_currency = ${from} AND er.to_currency = ${to}
+                AND er.rate_date ${dateCondition} ${dateSql}
+                ORDER BY er.rate_date ${order} LIMIT 1)`;
+
+    return `(CASE WHEN ${fromSql} = ${toSql} THEN 1 ELSE COALESCE(
+                ${lookup('er.rate', fromSql, toSql, '<=', 'DESC')},
+                ${lookup('1 / er.rate', toSql, fromSql, '<=', 'DESC')},
+                ${lookup('er.rate', fromSql, toSql, '>', 'ASC')},
+                ${lookup('1 / er.rate', toSql, fromSql, '>', 'ASC')}
+            ) END)`;
+}
+
+
+/**
+ * Amount / currency SQL for a transactions alias, converted when a
+ * target currency is given. The target takes query param `$paramIndex`.
+ * Converted amounts are NULL when no rate is known (SUM() skips them).
+ * @param {string|null} convertTo - Target currency, or null for native amounts
+ * @param {number} paramIndex - Position of the target currency in the params
+ * @param {string} alias - transactions alias (default 't')
+ * @param {string} amountSql - Amount to convert (default `<alias>.amount`,
+ *                             e.g. `line.amount` for split lines)
+ * @returns {Object} { amount, currency, params }
+ */
+function moneySql(convertTo, paramIndex, alias = 't', amountSql = `${alias}.amount`) {
+    if (!convertTo) {
+        return { amount: amountSql, currency: `${alias}.currency`, params: [] };
+    }
+
+    const target = `$${paramIndex}::varchar`;
+    const rate = rateSql(`${alias}.user_id`, `${alias}.currency`, target, `${alias}.transaction_date`);
+
+    return {
+        amount: `(${amountSql} * ${rate})`,
+        currency: target,
+        params: [convertTo]
+    };
+}
+
+
+/**
+ * Rate for one currency pair on a date
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner of the rates
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<number|null>} Rate, or null when none is known
+ */
+async function getRate(queryable, userId, from, to, date) {
+    const result = await queryable.query(
+        `SELECT ${rateSql('$1', '$2::varchar', '$3::varchar', '$4::date')} as rate`,
+        [userId, from, to, date]
+    );
+    const rate = result.rows[0].rate;
+
+    return rate === null ? null : parseFloat(rate);
+}
+
+
+/**
+ * Resolve a ?convert_to= value ('base' = the user's base currency)
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Current user
+ * @param {string} value - Query value
+ * @returns {Promise<Object>} { currency } (null when not converting) or { error }
+ */
+async function resolveConvertTo(queryable, userId, value) {
+    if (!value) {
+        return { currency: null };
+    }
+
+    if (String(value).toLowerCase() === 'base') {
+        const result = await queryable.query('SELECT base_currency FROM users WHERE id = $1', [userId]);
+        const base = result.rows[0] ? result.rows[0].base_currency : null;
+        if (!base) {
+            return { error: 'No base currency set. Set one with PUT /api/exchange-rates/base-currency' };
+        }
+        return { currency: base };
+    }
+
+    const currency = normalizeCurrency(value);
+    if (!currency) {
+        return { error: `Invalid convert_to currency: ${value}` };
+    }
+
+    return { currency };
+}
+
+
+module.exports = {
+    rateSql,
+    moneySql,
+    getRate,
+    resolveConvertTo
+};
@@ -0,0 +1,179 @@
+// ============================================
+// CASH-FLOW FORECAST
+// File: utils/forecast.js
+// Purpose: Project balances forward from recurring templates
+// ============================================
+
+const { planOccurrences } = require('./recurringEngine');
+const { signedAmount } = require('./ledger');
+
+
+const round = (value) => Math.round(value * 100) / 100;
+
+
+// Running balance over date-ordered events, one timeline point per date
+function projectSeries(startBalance, events) {
+    const series = {
+        current_balance: round(startBalance),
+        projected_income: 0,
+        projected_expense: 0,
+        projected_balance: startBalance,
+        lowest_balance: startBalance,
+        lowest_balance_date: null,
+        timeline: []
+    };
+
+    events.forEach(event => {
+        if (event.signed_amount > 0) {
+            series.projected_income += event.signed_amount;
+        } else {
+            series.projected_expense -= event.signed_amount;
+        }
+        series.projected_balance += event.signed_amount;
+
+        const last = series.timeline[series.timeline.length - 1];
+        if (last && last.date === event.date) {
+            last.change += event.signed_amount;
+            last.balance = series.projected_balance;
+        } else {
+            series.timeline.push({ date: event.date, change: event.signed_amount, balance: series.projected_balance });
+        }
+
+        if (series.projected_balance < series.lowest_balance) {
+            series.lowest_balance = series.projected_balance;
+            series.lowest_balance_date = event.date;
+        }
+    });
+
+    series.projected_income = round(series.projected_income);
+    series.projected_expense = round(series.projected_expense);
+    series.projected_balance = round(series.projected_balance);
+    series.lowest_balance = round(series.lowest_balance);
+    series.timeline = series.timeline.map(point => ({
+        date: point.date,
+        change: round(point.change),
+        balance: round(point.balance)
+    }));
+
+    return series;
+}
+
+
+/**
+ * Expand recurring templates between `from` and `until` and layer them on
+ * current balances. Pure function: callers load the rows.
+ *
+ * Overdue occurrences that were never posted are counted on `from`
+ * (they will be posted by the next generator run).
+ *
+ * @param {Object} options
+ * @param {Array} options.balances - { account_id, account_name, currency, balance }
+ * @param {Array} options.templates - recurring_transactions rows (+ account_name, category_name)
+ * @param {Array} options.ledgerRows - Open recurring_occurrences rows of those templates
+ * @param {string} options.from - First forecast date (YYYY-MM-DD, usually today)
+ * @param {string} options.until - Last forecast date (YYYY-MM-DD)
+ * @returns {Object} { occurrences, currencies, accounts, truncated_templates }
+ */
+function buildForecast({ balances, templates, ledgerRows, from, until }) {
+    const ledgerByTemplate = new Map();
+    ledgerRows.forEach(row => {
+        if (!ledgerByTemplate.has(row.recurring_id)) {
+            ledgerByTemplate.set(row.recurring_id, []);
+        }
+        ledgerByTemplate.get(row.recurring_id).push(row);
+    });
+
+    const occurrences = [];
+    const truncatedTemplates = [];
+
+    templates.forEach(recurring => {
+        if (!recurring.next_due_date) {
+            return;
+        }
+
+        const plan = planOccurrences(recurring, ledgerByTemplate.get(recurring.id) || [], until);
+        if (plan.truncated) {
+            truncatedTemplates.push(recurring.id);
+        }
+
+        plan.occurrences
+            .filter(o => o.status !== 'posted' && o.status !== 'skipped' && o.post_date <= until)
+            .forEach(o => occurrences.push({
+                date: o.post_date < from ? from : o.post_date,
+                due_date: o.due_date,
+                overdue: o.post_date < from,
+                status: o.status,
+                recurring_id: recurring.id,
+                description: recurring.description,
+                account_id: recurring.account_id,
+                account_name: recurring.account_name || null,
+                category_name: recurring.category_name || null,
+                mode: recurring.mode,
+                transaction_type: recurring.transaction_type,
+                payment_method: recurring.payment_method,
+                currency: recurring.currency,
+                amount: o.amount,
+                signed_amount: signedAmount(recurring.transaction_type, o.amount)
+            }));
+    });
+
+    occurrences.sort((a, b) => a.date.localeCompare(b.date) || a.recurring_id - b.recurring_id);
+
+    // ✅ Starting points: per currency and per (account, currency)
+    const currencyStart = new Map();
+    const accountStart = new Map();
+    const accountKey = (accountId, currency) => `${accountId}|${currency}`;
+
+    balances.forEach(row => {
+        const balance = parseFloat(row.balance) || 0;
+        currencyStart.set(row.currency, (currencyStart.get(row.currency) || 0) + balance);
+        accountStart.set(accountKey(row.account_id, row.currency), {
+            account_id: row.account_id,
+            account_name: row.account_name,
+            currency: row.currency,
+            balance
+        });
+    });
+
+    occurrences.forEach(o => {
+        if (!currencyStart.has(o.currency)) {
+            currencyStart.set(o.currency, 0);
+        }
+        const key = accountKey(o.account_id, o.currency);
+        if (!accountStart.has(key)) {
+            accountStart.set(key, {
+                account_id: o.account_id,
+                account_name: o.account_name,
+                currency: o.currency,
+                balance: 0
+            });
+        }
+    });
+
+    const currencies = [...currencyStart.entries()].map(([currency, balance]) => ({
+        currency,
+        ...projectSeries(balance, occurrences.filter(o => o.currency === currency))
+    }));
+
+    const accounts = [...accountStart.values()].map(account => ({
+        account_id: account.account_id,
+        account_name: account.account_name,
+        currency: account.currency,
+        ...projectSeries(
+            account.balance,
+            occurrences.filter(o => o.currency === account.currency && o.account_id === account.account_id)
+        )
+    }));
+
+    return {
+        occurrences,
+        currencies,
+        accounts,
+        truncated_templates: truncatedTemplates
+    };
+}
+
+
+module.exports = {
+    buildForecast
+};
@@ -0,0 +1,252 @@
+// ============================================
+// IMPORT COLUMN MAPPING
+// File: utils/importMapping.js
+// Purpose: Map the columns of an uploaded sheet ("Txn Date",
+//          "Withdrawal Amt.", "Deposit Amt." ...) onto PFMS fields,
+//          including split debit / credit columns and signed amounts
+// ============================================
+
+// Fields a column can be mapped to, with the headers recognised for each
+// (compared after normalizeHeader())
+const IMPORT_FIELDS = {
+    transaction_date: ['transaction date', 'date', 'txn date', 'tran date', 'value date', 'value dt', 'posting date', 'booking date'],
+    description: ['description', 'desc', 'note', 'remarks', 'narration', 'particulars', 'details', 'memo', 'payee'],
+    amount: ['amount', 'amt', 'value', 'transaction amount', 'txn amount'],
+    debit: ['debit', 'debit amount', 'withdrawal', 'withdrawal amt', 'withdrawal amount', 'withdrawals', 'dr', 'money out', 'paid out'],
+    credit: ['credit', 'credit amount', 'deposit', 'deposit amt', 'deposit amount', 'deposits', 'cr', 'money in', 'paid in'],
+    account_name: ['account name', 'account'],
+    category_name: ['category name', 'category'],
+    mode: ['mode', 'type', 'transaction type', 'dr cr', 'cr dr'],
+    payment_method: ['payment method', 'method'],
+    currency: ['currency', 'curr']
+};
+
+// How a single amount column says which way the money went:
+// unsigned - amounts are positive, the mode / type column decides
+// negative_is_expense - bank style, withdrawals are negative
+// positive_is_expense - card style, charges are positive and refunds negative
+const SIGN_CONVENTIONS = ['unsigned', 'negative_is_expense', 'positive_is_expense'];
+
+// 'auto' keeps the built-in detection of the import route
+const DATE_FORMATS = ['auto', 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+
+/**
+ * Header as compared against IMPORT_FIELDS ("Withdrawal Amt." -> "withdrawal amt")
+ * @param {string} header - Column header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+    return String(header || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+
+/**
+ * Suggested field for each column: exact header matches first, then
+ * headers that contain a known name ("Withdrawal Amt (INR)")
+ * @param {string[]} columns - Headers of the sheet
+ * @returns {Object} { mapping: { field: column }, detected: [{ column, field, match }] }
+ */
+function suggestMapping(columns) {
+    const mapping = {};
+    const detected = columns.map(column => ({ column, field: null, match: null }));
+
+    // An amount column and debit / credit columns exclude each other
+    const taken = (field) => Boolean(mapping[field]) ||
+        (field === 'amount' && Boolean(mapping.debit || mapping.credit)) ||
+        ((field === 'debit' || field === 'credit') && Boolean(mapping.amount));
+
+    const assign = (entry, field, match) => {
+        if (!entry.field && !taken(field)) {
+            mapping[field] = entry.column;
+            entry.field = field;
+            entry.match = match;
+        }
+    };
+
+    detected.forEach(entry => {
+        const header = normalizeHeader(entry.column);
+        const field = Object.keys(IMPORT_FIELDS).find(f => f === header.replace(/ /g, '_') || IMPORT_FIELDS[f].includes(header));
+        if (field) assign(entry, field, 'exact');
+    });
+
+    detected.forEach(entry => {
+        if (entry.field) return;
+        const words = ` ${normalizeHeader(entry.column)} `;
+        const field = Object.keys(IMPORT_FIELDS).find(f =>
+            !taken(f) && IMPORT_FIELDS[f].some(name => name.length > 2 && words.includes(` ${name} `))
+        );
+        if (field) assign(entry, field, 'partial');
+    });
+
+    return { mapping, detected };
+}
+
+
+/**
+ * Validate a mapping from a request body or a saved profile
+ * @param {Object} input - { mapping: { field: column }, sign_convention, date_format }
+ * @param {string[]|null} columns - Headers of the sheet, to check the mapped columns exist
+ * @returns {Object} { config } or { error }
+ */
+function parseMappingInput(input, columns = null) {
+    const mapping = {};
+    const raw = input && input.mapping ? input.mapping : {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { error: 'mapping must be an object of field: column' };
+    }
+
+    for (const [field, column] of Object.entries(raw)) {
+        if (!column) continue;
+        if (!IMPORT_FIELDS[field]) {
+            return { error: `Unknown field: ${field}. Use: ${Object.keys(IMPORT_FIELDS).join(', ')}` };
+        }
+        if (columns && !columns.includes(column)) {
+            return { error: `Column "${column}" (mapped to ${field}) is not in the file` };
+        }
+        mapping[field] = String(column);
+    }
+
+    if (!mapping.transaction_date) {
+        return { error: 'Map a column to transaction_date' };
+    }
+    if (!mapping.amount && !mapping.debit && !mapping.credit) {
+        return { error: 'Map a column to amount, or debit / credit columns' };
+    }
+    if (mapping.amount && (mapping.debit || mapping.credit)) {
+        return { error: 'Use either an amount column or debit / credit columns, not both' };
+    }
+
+    const signConvention = input.sign_convention || 'unsigned';
+    if (!SIGN_CONVENTIONS.includes(signConvention)) {
+        return { error: `sign_convention must be one of: ${SIGN_CONVENTIONS.join(', ')}` };
+    }
+    const dateFormat = input.date_format || 'auto';
+    if (!DATE_FORMATS.includes(dateFormat)) {
+        return { error: `date_format must be one of: ${DATE_FORMATS.join(', ')}` };
+    }
+
+    return { config: { mapping, sign_convention: signConvention, date_format: dateFormat } };
+}
+
+
+/**
+ * Number from a cell: "1,234.50", "₹ 99", "(12.00)" (negative), "-5"
+ * @param {*} value - Cell value
+ * @returns {number|null} Amount, or null when the cell is empty / not a number
+ */
+function parseAmountCell(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) {
+        return null;
+    }
+
+    const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+    const digits = text.replace(/[^0-9.]/g, '');
+    const amount = parseFloat(digits);
+    if (isNaN(amount)) {
+        return null;
+    }
+    return negative ? -amount : amount;
+}
+
+
+/**
+ * Date cell in an explicit format (2-digit years are taken as 20xx);
+ * numbers (Excel serial dates) and 'auto' are left to the import route
+ * @param {*} value - Cell value
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {*} YYYY-MM-DD, or the value unchanged
+ */
+function applyDateFormat(value, format) {
+    if (format === 'auto' || typeof value === 'number' || !value) {
+        return value;
+    }
+
+    const parts = String(value).trim().split(/[^0-9]+/).filter(Boolean);
+    if (parts.length < 3) {
+        return value;
+    }
+
+    let [year, month, day] = format === 'YYYY-MM-DD'
+        ? parts
+        : format === 'DD/MM/YYYY' ? [parts[2], parts[1], parts[0]] : [parts[2], parts[0], parts[1]];
+    if (year.length === 2) year = `20${year}`;
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+
+/**
+ * Turn one sheet row into the fields the import works with.
+ * The amount comes out positive; when no mode / type is mapped (or the
+ * cell is empty) it is derived from the sign or from the debit / credit
+ * column the amount was in.
+ * @param {Object} rawRow - Row from XLSX.utils.sheet_to_json
+ * @param {Object} config - From parseMappingInput(), plus optional
+ *                          default_account_name / default_currency
+ * @returns {Object} { account_name, category_name, mode, payment_method,
+ *                     currency, amount, transaction_date, description }
+ */
+function applyMapping(rawRow, config) {
+    const { mapping } = config;
+    const cell = (field) => (mapping[field] ? rawRow[mapping[field]] : undefined);
+
+    let amount = null;
+    let derivedMode = null;
+
+    if (mapping.amount) {
+        amount = parseAmountCell(cell('amount'));
+        if (amount !== null && config.sign_convention !== 'unsigned') {
+            const isExpense = config.sign_convention === 'negative_is_expense' ? amount < 0 : amount > 0;
+            derivedMode = isExpense ? 'Expense' : 'Income';
+            amount = Math.abs(amount);
+        }
+    } else {
+        const debit = parseAmountCell(cell('debit'));
+        const credit = parseAmountCell(cell('credit'));
+        if (debit) {
+            amount = Math.abs(debit);
+            derivedMode = 'Expense';
+        } else if (credit) {
+            amount = Math.abs(credit);
+            derivedMode = 'Income';
+        }
+    }
+
+    // A "Dr / Cr" column says the direction, not the mode
+    let mappedMode = cell('mode');
+    const direction = String(mappedMode === undefined || mappedMode === null ? '' : mappedMode).trim().toLowerCase();
+    if (['dr', 'debit'].includes(direction)) mappedMode = 'Expense';
+    if (['cr', 'credit'].includes(direction)) mappedMode = 'Income';
+    const hasMode = direction !== '';
+
+    return {
+        account_name: cell('account_name') || config.default_account_name,
+        category_name: cell('category_name'),
+        mode: hasMode ? mappedMode : derivedMode,
+        payment_method: cell('payment_method'),
+        currency: cell('currency') || config.default_currency,
+        amount: amount === null ? cell('amount') : amount,
+        transaction_date: applyDateFormat(cell('transaction_date'), config.date_format || 'auto'),
+        description: cell('description')
+    };
+}
+
+
+module.exports = {
+    IMPORT_FIELDS,
+    SIGN_CONVENTIONS,
+    DATE_FORMATS,
+    normalizeHeader,
+    suggestMapping,
+    parseMappingInput,
+    parseAmountCell,
+    applyMapping
+};
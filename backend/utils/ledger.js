@@ -0,0 +1,114 @@
+// ============================================
+// LEDGER HELPERS
+// File: utils/ledger.js
+// Purpose: How transactions move balances, and computed account balances
+// ============================================
+
+// Transfer legs move money between accounts; never income or expense
+const TRANSFER_MODE = 'Transfer';
+
+
+/**
+ * Signed effect of a transaction on a balance
+ * @param {string} transactionType - income / expense / transfer
+ * @param {number} amount - Positive amount
+ * @param {string|null} transferDirection - 'in' / 'out' for transfer legs
+ * @returns {number} +amount for income and incoming legs, -amount for
+ *                   expenses and outgoing legs
+ */
+function signedAmount(transactionType, amount, transferDirection = null) {
+    if (transactionType === 'income') {
+        return amount;
+    }
+    if (transactionType === 'transfer') {
+        return transferDirection === 'in' ? amount : -amount;
+    }
+    return transactionType === 'expense' ? -amount : 0;
+}
+
+
+/**
+ * SQL expression for signedAmount() over a transactions alias
+ * @param {string} alias - Table alias of transactions (default 't')
+ * @returns {string} SQL CASE expression
+ */
+function signedAmountSql(alias = 't') {
+    return `CASE WHEN ${alias}.transaction_type = 'income' THEN ${alias}.amount
+                 WHEN ${alias}.transaction_type = 'transfer' AND ${alias}.transfer_direction = 'in' THEN ${alias}.amount
+                 WHEN ${alias}.transaction_type = 'transfer' THEN -${alias}.amount
+                 WHEN ${alias}.transaction_type = 'expense' THEN -${alias}.amount
+                 ELSE 0 END`;
+}
+
+
+/**
+ * SQL condition: transaction counts towards its account's balance.
+ * The opening balance is the balance AT opening_balance_date, so
+ * transactions dated before it are already included in it.
+ * @param {string} txAlias - transactions alias
+ * @param {string} accountAlias - accounts alias
+ * @returns {string} SQL condition
+ */
+function countsTowardsBalanceSql(txAlias = 't', accountAlias = 'a') {
+    return `(${accountAlias}.opening_balance_date IS NULL OR ${txAlias}.transaction_date >= ${accountAlias}.opening_balance_date)`;
+}
+
+
+/**
+ * Accounts of a user with their computed current balance
+ * balance = opening_balance + income - expenses (since opening_balance_date)
+ * Credit card accounts carry a negative balance while money is owed.
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {Object} filters - { accountId, currency, asOf (YYYY-MM-DD, inclusive) }
+ * @returns {Promise<Array>} accounts rows + transaction_count, balance
+ */
+async function getAccountBalances(queryable, userId, { accountId = null, currency = null, asOf = null } = {}) {
+    const params = [userId];
+    let asOfCondition = '';
+
+    if (asOf) {
+        params.push(asOf);
+        asOfCondition = `AND t.transaction_date <= $${params.length}`;
+    }
+
+    let query = `
+        SELECT a.*,
+               COUNT(t.id)::int as transaction_count,
+               COALESCE(a.opening_balance, 0) + COALESCE(SUM(${signedAmountSql('t')}), 0) as balance
+        FROM accounts a
+        LEFT JOIN transactions t ON t.account_id = a.id
+            AND t.user_id = a.user_id
+            AND ${countsTowardsBalanceSql('t', 'a')}
+            ${asOfCondition}
+        WHERE a.user_id = $1
+    `;
+
+    if (accountId) {
+        params.push(accountId);
+        query += ` AND a.id = $${params.length}`;
+    }
+    if (currency) {
+        params.push(currency);
+        query += ` AND a.currency = $${params.length}`;
+    }
+
+    query += ' GROUP BY a.id ORDER BY a.created_at DESC';
+
+    const result = await queryable.query(query, params);
+
+    return result.rows.map(row => ({
+        ...row,
+        opening_balance: parseFloat(row.opening_balance) || 0,
+        balance: parseFloat(parseFloat(row.balance).toFixed(2))
+    }));
+}
+
+
+module.exports = {
+    TRANSFER_MODE,
+    signedAmount,
+    signedAmountSql,
+    countsTowardsBalanceSql,
+    getAccountBalances
+};
@@ -0,0 +1,490 @@
+// ============================================
+// RECURRENCE HELPERS
+// File: utils/recurrence.js
+// Purpose: Date math shared by recurring routes and the generator
+// ============================================
+
+
+/**
+ * Parse a YYYY-MM-DD string or Date into a local-midnight Date
+ * @param {string|Date} value - Date input
+ * @returns {Date|null} Parsed date, or null when invalid
+ */
+function parseDate(value) {
+    let date;
+
+    if (value instanceof Date) {
+        date = new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    } else if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+        const [year, month, day] = value.substring(0, 10).split('-');
+        date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+    } else if (value) {
+        date = new Date(value);
+    } else {
+        return null;
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+}
+
+
+/**
+ * Format a Date as YYYY-MM-DD using local date parts
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
+}
+
+
+/**
+ * Normalize any date input (pg DATE, string, Date) to YYYY-MM-DD
+ * @param {string|Date} value - Date input
+ * @returns {string|null} Formatted date, or null when invalid
+ */
+function toDateString(value) {
+    const date = parseDate(value);
+    return date ? formatDate(date) : null;
+}
+
+
+/**
+ * Today's date as YYYY-MM-DD in server local time
+ * @returns {string} Formatted date
+ */
+function today() {
+    return formatDate(new Date());
+}
+
+
+// ============================================
+// RECURRENCE RULES (RRULE SUBSET)
+// Supported parts: FREQ (DAILY|WEEKLY|MONTHLY|YEARLY), INTERVAL,
+// BYDAY (MO..SU, ordinals like 2FR / -1FR for MONTHLY/YEARLY),
+// BYMONTHDAY (1..31, -1..-31), BYMONTH (1..12), BYSETPOS
+//
+// Examples:
+//   Last business day of month : FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1
+//   Every other Friday         : FREQ=WEEKLY;INTERVAL=2;BYDAY=FR
+//   2nd Friday of the month    : FREQ=MONTHLY;BYDAY=2FR
+//   15th and last day          : FREQ=MONTHLY;BYMONTHDAY=15,-1
+//   Every 10 days              : FREQ=DAILY;INTERVAL=10
+//
+// Schedules are anchored on the template's start date, and month days
+// past the end of a short month clamp to its last day (31st -> 28th/30th)
+// instead of drifting into the next month.
+// ============================================
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RULE_PERIODS = 1000;
+
+// Legacy frequency names mapped onto equivalent rules
+const FREQUENCY_RULES = {
+    'Daily': 'FREQ=DAILY',
+    'Weekly': 'FREQ=WEEKLY',
+    'Bi-weekly': 'FREQ=WEEKLY;INTERVAL=2',
+    'Monthly': 'FREQ=MONTHLY',
+    'Quarterly': 'FREQ=MONTHLY;INTERVAL=3',
+    'Semi-annual': 'FREQ=MONTHLY;INTERVAL=6',
+    'Annual': 'FREQ=YEARLY'
+};
+
+
+// Parse a comma separated list of non-zero integers within [min, max]
+function parseIntegerList(key, value, min, max) {
+    return value.split(',').map(token => {
+        const number = parseInt(token, 10);
+        if (!/^[+-]?\d+$/.test(token) || number === 0 || number < min || number > max) {
+            throw new Error(`Invalid ${key} value: "${token}"`);
+        }
+        return number;
+    });
+}
+
+
+/**
+ * Parse an RRULE-style string (with or without "RRULE:" prefix)
+ * @param {string} ruleString - e.g. "FREQ=MONTHLY;BYMONTHDAY=15,-1"
+ * @returns {Object} Parsed rule
+ * @throws {Error} When the rule is malformed or uses unsupported parts
+ */
+function parseRule(ruleString) {
+    if (!ruleString || typeof ruleString !== 'string') {
+        throw new Error('Recurrence rule is required');
+    }
+
+    const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, byMonth: null, bySetPos: null };
+    const body = ruleString.trim().replace(/^RRULE:/i, '');
+
+    for (const part of body.split(';').filter(p => p.trim() !== '')) {
+        const [rawKey, rawValue] = part.split('=');
+        const key = (rawKey || '').trim().toUpperCase();
+        const value = (rawValue || '').trim().toUpperCase();
+
+        if (!value) {
+            throw new Error(`Missing value for ${key || 'rule part'}`);
+        }
+
+        switch (key) {
+            case 'FREQ':
+                if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(value)) {
+                    throw new Error(`Unsupported FREQ: "${value}". Use DAILY, WEEKLY, MONTHLY or YEARLY.`);
+                }
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                [rule.interval] = parseIntegerList(key, value, 1, 999);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(token => {
+                    const match = token.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+                    const ordinal = match && match[1] ? parseInt(match[1], 10) : null;
+                    if (!match || ordinal === 0 || Math.abs(ordinal) > 5) {
+                        throw new Error(`Invalid BYDAY value: "${token}"`);
+                    }
+                    return { ordinal, weekday: WEEKDAYS.indexOf(match[2]) };
+                });
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = parseIntegerList(key, value, -31, 31);
+                break;
+            case 'BYMONTH':
+                rule.byMonth = parseIntegerList(key, value, 1, 12);
+                break;
+            case 'BYSETPOS':
+                rule.bySetPos = parseIntegerList(key, value, -366, 366);
+                break;
+            default:
+                throw new Error(`Unsupported rule part: ${key}`);
+        }
+    }
+
+    if (!rule.freq) {
+        throw new Error('Recurrence rule must include FREQ');
+    }
+
+    if (rule.byDay && rule.byDay.some(d => d.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        throw new Error('Ordinal BYDAY (e.g. 2FR) requires FREQ=MONTHLY or FREQ=YEARLY');
+    }
+
+    return rule;
+}
+
+
+/**
+ * Resolve the rule for a template: explicit rule first, else its frequency
+ * @param {string} frequency - Legacy frequency name
+ * @param {string|null} ruleString - RRULE-style string
+ * @returns {Object} Parsed rule
+ */
+function resolveRule(frequency, ruleString) {
+    return parseRule(ruleString || FREQUENCY_RULES[frequency] || FREQUENCY_RULES.Daily);
+}
+
+
+// ---- UTC day helpers (no DST surprises in day arithmetic) ----
+
+function toUtc(value) {
+    const date = parseDate(value);
+    return date ? new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())) : null;
+}
+
+function formatUtc(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysBetween(from, to) {
+    return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Weeks start on Monday (RRULE default WKST=MO)
+function startOfWeek(date) {
+    return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+// Clamp a BYMONTHDAY value to a real day of the given month
+function resolveMonthDay(day, lastDay) {
+    return day > 0 ? Math.min(day, lastDay) : Math.max(lastDay + day + 1, 1);
+}
+
+
+// Candidate days inside one month, before BYSETPOS
+function monthCandidates(rule, year, month, anchorDay) {
+    const lastDay = daysInMonth(year, month);
+    let days;
+
+    if (rule.byMonthDay) {
+        days = rule.byMonthDay.map(day => resolveMonthDay(day, lastDay));
+        if (rule.byDay) {
+            const weekdays = rule.byDay.map(d => d.weekday);
+            days = days.filter(day => weekdays.includes(new Date(Date.UTC(year, month, day)).getUTCDay()));
+        }
+    } else if (rule.byDay) {
+        days = [];
+        rule.byDay.forEach(({ ordinal, weekday }) => {
+            const matching = [];
+            for (let day = 1; day <= lastDay; day++) {
+                if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+                    matching.push(day);
+                }
+            }
+            if (ordinal === null) {
+                days.push(...matching);
+            } else {
+                const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+                if (picked) days.push(picked);
+            }
+        });
+    } else {
+        // ✅ Month-end clamping: anchored on the 31st -> last day of short months
+        days = [Math.min(anchorDay, lastDay)];
+    }
+
+    return [...new Set(days)]
+        .sort((a, b) => a - b)
+        .map(day => new Date(Date.UTC(year, month, day)));
+}
+
+
+// Does a single day pass the BY* filters (used by DAILY/WEEKLY rules)?
+function matchesFilters(rule, date) {
+    if (rule.byMonth && !rule.byMonth.includes(date.getUTCMonth() + 1)) {
+        return false;
+    }
+    if (rule.byDay && !rule.byDay.some(d => d.weekday === date.getUTCDay())) {
+        return false;
+    }
+    if (rule.byMonthDay) {
+        const lastDay = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+        if (!rule.byMonthDay.some(day => resolveMonthDay(day, lastDay) === date.getUTCDate())) {
+            return false;
+        }
+    }
+    return true;
+}
+
+
+// Index of the interval-aligned period that contains `date`
+function periodIndex(rule, anchor, date) {
+    let periods;
+
+    switch (rule.freq) {
+        case 'DAILY':
+            periods = daysBetween(anchor, date);
+            break;
+        case 'WEEKLY':
+            periods = daysBetween(startOfWeek(anchor), startOfWeek(date)) / 7;
+            break;
+        case 'MONTHLY':
+            periods = (date.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + (date.getUTCMonth() - anchor.getUTCMonth());
+            break;
+        default:
+            periods = date.getUTCFullYear() - anchor.getUTCFullYear();
+    }
+
+    return Math.max(0, Math.floor(periods / rule.interval));
+}
+
+
+// All occurrences inside the index-th period, sorted, BYSETPOS applied
+function periodCandidates(rule, anchor, index) {
+    const step = index * rule.interval;
+    let candidates;
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            const day = addDays(anchor, step);
+            candidates = matchesFilters(rule, day) ? [day] : [];
+            break;
+        }
+        case 'WEEKLY': {
+            const weekStart = addDays(startOfWeek(anchor), step * 7);
+            const weekdays = rule.byDay ? rule.byDay.map(d => d.weekday) : [anchor.getUTCDay()];
+            candidates = [...new Set(weekdays)]
+                .map(weekday => addDays(weekStart, (weekday + 6) % 7))
+                .filter(day => !rule.byMonth || rule.byMonth.includes(day.getUTCMonth() + 1))
+                .sort((a, b) => a - b);
+            break;
+        }
+        case 'MONTHLY': {
+            const total = anchor.getUTCMonth() + step;
+            const year = anchor.getUTCFullYear() + Math.floor(total / 12);
+            const month = total % 12;
+            candidates = rule.byMonth && !rule.byMonth.includes(month + 1)
+                ? []
+                : monthCandidates(rule, year, month, anchor.getUTCDate());
+            break;
+        }
+        default: {
+            const year = anchor.getUTCFullYear() + step;
+            const months = rule.byMonth || [anchor.getUTCMonth() + 1];
+            candidates = months
+                .slice()
+                .sort((a, b) => a - b)
+                .flatMap(month => monthCandidates(rule, year, month - 1, anchor.getUTCDate()));
+        }
+    }
+
+    if (rule.bySetPos && candidates.length > 0) {
+        candidates = rule.bySetPos
+            .map(pos => (pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos]))
+            .filter(Boolean)
+            .sort((a, b) => a - b);
+    }
+
+    return candidates;
+}
+
+
+/**
+ * First occurrence of a rule after (or on, when inclusive) a date
+ * @param {Object} rule - Parsed rule (see parseRule)
+ * @param {string|Date} anchor - Schedule start (DTSTART)
+ * @param {string|Date} after - Reference date
+ * @param {boolean} inclusive - Allow the reference date itself
+ * @returns {string|null} YYYY-MM-DD, or null when the rule never matches
+ */
+function nextOccurrence(rule, anchor, after, inclusive = false) {
+    const anchorDate = toUtc(anchor);
+    const afterDate = toUtc(after);
+
+    if (!anchorDate || !afterDate) {
+        return null;
+    }
+
+    let index = periodIndex(rule, anchorDate, afterDate > anchorDate ? afterDate : anchorDate);
+
+    for (let i = 0; i < MAX_RULE_PERIODS; i++, index++) {
+        const match = periodCandidates(rule, anchorDate, index).find(day =>
+            day >= anchorDate && (inclusive ? day >= afterDate : day > afterDate)
+        );
+        if (match) {
+            return formatUtc(match);
+        }
+    }
+
+    return null;
+}
+
+
+/**
+ * Calculate the due date following baseDate
+ * @param {string|Date} baseDate - Current due date
+ * @param {string} frequency - Daily, Weekly, Bi-weekly, Monthly, Quarterly, Semi-annual, Annual
+ * @param {Object} options
+ * @param {string} options.rule - RRULE-style string (overrides frequency)
+ * @param {string|Date} options.anchor - Schedule start date (defaults to baseDate)
+ * @returns {string} Next due date as YYYY-MM-DD
+ */
+function calculateNextDueDate(baseDate, frequency, { rule = null, anchor = null } = {}) {
+    try {
+        const base = toDateString(baseDate);
+
+        // ✅ Validate date
+        if (!base) {
+            console.error('❌ Invalid date:', baseDate);
+            return today();
+        }
+
+        const next = nextOccurrence(resolveRule(frequency, rule), anchor || base, base);
+
+        if (!next) {
+            console.error('❌ Recurrence rule has no occurrence after', base);
+            return today();
+        }
+
+        return next;
+    } catch (error) {
+        console.error('❌ Error calculating next due date:', error.message);
+        return today();
+    }
+}
+
+
+/**
+ * Next due date of a recurring template after a given date, using its
+ * rule/frequency anchored on its start date
+ * @param {Object} recurring - recurring_transactions row
+ * @param {string|Date} afterDate - Reference date
+ * @returns {string} YYYY-MM-DD
+ */
+function nextDueDateFor(recurring, afterDate) {
+    return calculateNextDueDate(afterDate, recurring.frequency, {
+        rule: recurring.recurrence_rule,
+        anchor: recurring.start_date || afterDate
+    });
+}
+
+
+/**
+ * First due date for a new (or rescheduled) template.
+ * Legacy frequencies keep the original behaviour (one period after the
+ * start date); explicit rules include the start date when it matches.
+ * @param {Object} options
+ * @param {string} options.startDate - Schedule start (YYYY-MM-DD)
+ * @param {string} options.frequency - Legacy frequency name
+ * @param {string|null} options.rule - RRULE-style string
+ * @param {string|null} options.onOrAfter - Earliest allowed date (defaults to startDate)
+ * @returns {string|null} YYYY-MM-DD
+ */
+function initialDueDate({ startDate, frequency, rule = null, onOrAfter = null }) {
+    if (!rule && !onOrAfter) {
+        return calculateNextDueDate(startDate, frequency);
+    }
+    return nextOccurrence(resolveRule(frequency, rule), startDate, onOrAfter || startDate, true);
+}
+
+
+/**
+ * List the next `count` occurrences of a rule (for previews)
+ * @param {Object} options
+ * @param {string|null} options.rule - RRULE-style string
+ * @param {string} options.frequency - Legacy frequency name (when no rule)
+ * @param {string} options.startDate - Schedule start (YYYY-MM-DD)
+ * @param {string} options.from - First date to consider (inclusive)
+ * @param {string|null} options.endDate - Stop after this date
+ * @param {number} options.count - Number of dates to return
+ * @returns {string[]} YYYY-MM-DD dates
+ */
+function previewOccurrences({ rule = null, frequency = null, startDate, from = null, endDate = null, count = 10 }) {
+    const parsed = resolveRule(frequency, rule);
+    const dates = [];
+    let next = nextOccurrence(parsed, startDate, from || startDate, true);
+
+    while (next && dates.length < count && (!endDate || next <= endDate)) {
+        dates.push(next);
+        next = nextOccurrence(parsed, startDate, next);
+    }
+
+    return dates;
+}
+
+
+module.exports = {
+    FREQUENCY_RULES,
+    parseDate,
+    formatDate,
+    toDateString,
+    today,
+    parseRule,
+    resolveRule,
+    nextOccurrence,
+    calculateNextDueDate,
+    nextDueDateFor,
+    initialDueDate,
+    previewOccurrences
+};
@@ -0,0 +1,402 @@
+// ============================================
+// RECURRING TRANSACTION GENERATOR
+// File: utils/recurringEngine.js
+// Purpose: Posts due occurrences of recurring templates
+// Used by: nightly cron + /api/recurring/process/* routes
+// ============================================
+
+const db = require('../config/db');
+const { nextDueDateFor, toDateString, today: currentDate } = require('./recurrence');
+
+// Upper bound on occurrences posted for one template in one run.
+// Protects against runaway loops (e.g. Daily template years overdue).
+const MAX_CATCH_UP_OCCURRENCES = 400;
+
+
+/**
+ * Load the ledger rows that can still affect scheduling for a template:
+ * everything on/after next_due_date plus open exceptions from before it.
+ * @param {Object} queryable - pg pool or client
+ * @param {Object} recurring - recurring_transactions row
+ * @returns {Promise<Array>} recurring_occurrences rows
+ */
+async function loadOpenLedger(queryable, recurring) {
+    const result = await queryable.query(
+        `SELECT * FROM recurring_occurrences
+         WHERE recurring_id = $1
+         AND (due_date >= $2 OR status IN ('pending', 'postponed'))
+         ORDER BY due_date ASC`,
+        [recurring.id, toDateString(recurring.next_due_date)]
+    );
+    return result.rows;
+}
+
+
+/**
+ * Resolve a template's schedule up to `until` against its ledger.
+ * Pure function (no DB access) shared by the generator, /due-today and
+ * the occurrences listing so all three honour skip/postpone/override.
+ *
+ * Each occurrence: { due_date, post_date, amount, status, is_due, ... }
+ *   status: 'scheduled' (no ledger row), 'pending' (override set),
+ *           'postponed', 'posted' or 'skipped'
+ *   is_due: true when it still has to be posted and post_date <= until
+ *
+ * @param {Object} recurring - recurring_transactions row
+ * @param {Array} ledgerRows - recurring_occurrences rows (see loadOpenLedger)
+ * @param {string} until - Last date to resolve (YYYY-MM-DD)
+ * @returns {Object} { occurrences, nextDueDate, truncated }
+ */
+function planOccurrences(recurring, ledgerRows, until) {
+    const ledger = new Map(ledgerRows.map(row => [toDateString(row.due_date), row]));
+    const endDate = recurring.end_date ? toDateString(recurring.end_date) : null;
+    const templateAmount = parseFloat(recurring.amount);
+    const occurrences = [];
+
+    const resolve = (dueDate, row) => {
+        const postDate = row && row.postponed_to ? toDateString(row.postponed_to) : dueDate;
+        const status = row ? row.status : 'scheduled';
+        const open = status !== 'posted' && status !== 'skipped';
+        const amount = row && row.override_amount !== null && row.override_amount !== undefined
+            ? parseFloat(row.override_amount)
+            : (row && !open && row.amount !== null ? parseFloat(row.amount) : templateAmount);
+
+        return {
+            occurrence_id: row ? row.id : null,
+            due_date: dueDate,
+            post_date: postDate,
+            amount,
+            status,
+            is_due: open && postDate <= until,
+            overridden: Boolean(row && row.override_amount !== null && row.override_amount !== undefined),
+            transaction_id: row ? row.transaction_id : null,
+            note: row ? row.note : null
+        };
+    };
+
+    let dueDate = toDateString(recurring.next_due_date);
+
+    // ✅ Exceptions left behind the schedule (e.g. postponed last month)
+    ledgerRows
+        .filter(row => toDateString(row.due_date) < dueDate)
+        .forEach(row => occurrences.push(resolve(toDateString(row.due_date), row)));
+
+    let visited = 0;
+    while (
+        dueDate &&
+        dueDate <= until &&
+        (!endDate || dueDate <= endDate) &&
+        visited < MAX_CATCH_UP_OCCURRENCES
+    ) {
+        occurrences.push(resolve(dueDate, ledger.get(dueDate)));
+        visited++;
+
+        const nextDueDate = nextDueDateFor(recurring, dueDate);
+        if (nextDueDate <= dueDate) {
+            throw new Error(`Schedule did not advance past ${dueDate}`);
+        }
+        dueDate = nextDueDate;
+    }
+
+    return {
+        occurrences,
+        nextDueDate: dueDate,
+        truncated: visited >= MAX_CATCH_UP_OCCURRENCES
+    };
+}
+
+
+/**
+ * Check whether a date is an occurrence the user can act on:
+ * either already in the ledger or reachable from next_due_date.
+ * @param {Object} queryable - pg pool or client
+ * @param {Object} recurring - recurring_transactions row
+ * @param {string} dueDate - Date to check (YYYY-MM-DD)
+ * @returns {Promise<boolean>}
+ */
+async function isScheduledDate(queryable, recurring, dueDate) {
+    const recordedResult = await queryable.query(
+        'SELECT 1 FROM recurring_occurrences WHERE recurring_id = $1 AND due_date = $2',
+        [recurring.id, dueDate]
+    );
+
+    if (recordedResult.rows.length > 0) {
+        return true;
+    }
+
+    const plan = planOccurrences(recurring, await loadOpenLedger(queryable, recurring), dueDate);
+    return plan.occurrences.some(o => o.due_date === dueDate);
+}
+
+
+/**
+ * Post one occurrence of a template through the occurrence ledger.
+ * Honours a stored override amount / postponed date unless explicit
+ * options are passed. A posted or skipped ledger row is never posted
+ * again (UNIQUE recurring_id + due_date), so retries are safe.
+ * Must run on a client inside an open DB transaction that holds the
+ * template row lock.
+ * @param {Object} client - pg client with an open transaction
+ * @param {Object} recurring - recurring_transactions row
+ * @param {string} dueDate - Scheduled date (YYYY-MM-DD)
+ * @param {Object} options
+ * @param {number} options.amount - Amount for this occurrence only
+ * @returns {Promise<Object>} { created, occurrence }
+ */
+async function postOccurrence(client, recurring, dueDate, { amount = null } = {}) {
+    const existingResult = await client.query(
+        'SELECT * FROM recurring_occurrences WHERE recurring_id = $1 AND due_date = $2 FOR UPDATE',
+        [recurring.id, dueDate]
+    );
+    const existing = existingResult.rows[0];
+
+    if (existing && (existing.status === 'posted' || existing.status === 'skipped')) {
+        return { created: false, occurrence: existing };
+    }
+
+    const overrideAmount = amount !== null ? amount : (existing ? existing.override_amount : null);
+    const postAmount = overrideAmount !== null && overrideAmount !== undefined ? overrideAmount : recurring.amount;
+    const postDate = existing && existing.postponed_to ? toDateString(existing.postponed_to) : dueDate;
+
+    const claimResult = await client.query(
+        `INSERT INTO recurring_occurrences (recurring_id, user_id, due_date, status, amount, override_amount, created_at)
+         VALUES ($1, $2, $3, 'posted', $4, $5, NOW())
+         ON CONFLICT (recurring_id, due_date) DO UPDATE
+            SET status = 'posted', amount = EXCLUDED.amount, override_amount = EXCLUDED.override_amount
+            WHERE recurring_occurrences.status IN ('pending', 'postponed')
+         RETURNING *`,
+        [recurring.id, recurring.user_id, dueDate, postAmount, overrideAmount]
+    );
+
+    if (claimResult.rows.length === 0) {
+        const recordedResult = await client.query(
+            'SELECT * FROM recurring_occurrences WHERE recurring_id = $1 AND due_date = $2',
+            [recurring.id, dueDate]
+        );
+        return { created: false, occurrence: recordedResult.rows[0] };
+    }
+
+    const transactionResult = await client.query(
+        `INSERT INTO transactions
+         (user_id, account_id, category_id, description, amount, mode, transaction_type, payment_method, currency, transaction_date, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+         RETURNING id`,
+        [
+            recurring.user_id,
+            recurring.account_id,
+            recurring.category_id,
+            recurring.description,
+            postAmount,
+            recurring.mode,
+            recurring.transaction_type,
+            recurring.payment_method,
+            recurring.currency,
+            postDate
+        ]
+    );
+
+    const occurrenceResult = await client.query(
+        `UPDATE recurring_occurrences
+         SET transaction_id = $1, posted_at = NOW()
+         WHERE id = $2
+         RETURNING *`,
+        [transactionResult.rows[0].id, claimResult.rows[0].id]
+    );
+
+    return { created: true, occurrence: occurrenceResult.rows[0] };
+}
+
+
+/**
+ * Post every missed occurrence of a single template up to `today`,
+ * including postponed occurrences whose new date has arrived.
+ * Runs inside its own DB transaction and locks the template row, so a
+ * concurrent cron run or manual execute cannot post the same dates twice.
+ * @param {number} recurringId - recurring_transactions.id
+ * @param {string} today - Cut-off date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Per-template result
+ */
+async function generateForTemplate(recurringId, today) {
+    const client = await db.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const lockResult = await client.query(
+            'SELECT * FROM recurring_transactions WHERE id = $1 FOR UPDATE',
+            [recurringId]
+        );
+        const recurring = lockResult.rows[0];
+
+        if (!recurring) {
+            await client.query('ROLLBACK');
+            return { recurring_id: recurringId, created: 0, dates: [], skipped: 'Template no longer exists' };
+        }
+
+        const ledgerRows = await loadOpenLedger(client, recurring);
+        const plan = planOccurrences(recurring, ledgerRows, today);
+        const dates = [];
+        const transactionIds = [];
+        const alreadyRecorded = [];
+        const deferred = [];
+
+        for (const occurrence of plan.occurrences) {
+            if (occurrence.status === 'posted' || occurrence.status === 'skipped') {
+                alreadyRecorded.push(occurrence.due_date);
+                continue;
+            }
+            if (!occurrence.is_due) {
+                deferred.push({ due_date: occurrence.due_date, post_date: occurrence.post_date });
+                continue;
+            }
+
+            const { created, occurrence: posted } = await postOccurrence(client, recurring, occurrence.due_date);
+
+            if (created) {
+                dates.push(occurrence.post_date);
+                transactionIds.push(posted.transaction_id);
+            } else {
+                alreadyRecorded.push(occurrence.due_date);
+            }
+        }
+
+        if (plan.nextDueDate !== toDateString(recurring.next_due_date)) {
+            await client.query(
+                `UPDATE recurring_transactions
+                 SET next_due_date = $1, last_executed_at = NOW()
+                 WHERE id = $2`,
+                [plan.nextDueDate, recurring.id]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        const endDate = recurring.end_date ? toDateString(recurring.end_date) : null;
+
+        return {
+            recurring_id: recurring.id,
+            user_id: recurring.user_id,
+            description: recurring.description,
+            created: dates.length,
+            dates,
+            transaction_ids: transactionIds,
+            already_recorded: alreadyRecorded,
+            postponed: deferred,
+            next_due_date: plan.nextDueDate,
+            ended: Boolean(endDate && plan.nextDueDate > endDate),
+            truncated: plan.truncated
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+
+/**
+ * Generate all due recurring transactions and record a run summary.
+ * @param {Object} options
+ * @param {number|null} options.userId - Limit to one user (null = everyone)
+ * @param {string} options.trigger - 'cron' or 'manual'
+ * @param {string} options.today - Cut-off date, defaults to today
+ * @returns {Promise<Object>} Run summary (matches the recurring_runs row)
+ */
+async function runRecurringGeneration({ userId = null, trigger = 'cron', today = currentDate() } = {}) {
+    const runResult = await db.query(
+        `INSERT INTO recurring_runs (user_id, triggered_by, run_date, status, started_at)
+         VALUES ($1, $2, $3, 'running', NOW())
+         RETURNING id`,
+        [userId, trigger, today]
+    );
+    const runId = runResult.rows[0].id;
+
+    console.log(`⏰ Recurring run #${runId} started (${trigger}) for ${userId ? 'user ' + userId : 'all users'} up to ${today}`);
+
+    const details = [];
+    let transactionsCreated = 0;
+    let failed = 0;
+
+    try {
+        // ✅ Templates on schedule, plus templates with a postponed
+        //    occurrence whose new date has arrived
+        let dueQuery = `
+            SELECT rt.id FROM recurring_transactions rt
+            WHERE (
+                (rt.next_due_date <= $1 AND (rt.end_date IS NULL OR rt.next_due_date <= rt.end_date))
+                OR EXISTS (
+                    SELECT 1 FROM recurring_occurrences ro
+                    WHERE ro.recurring_id = rt.id
+                    AND ro.status = 'postponed'
+                    AND ro.postponed_to <= $1
+                )
+            )
+        `;
+        const params = [today];
+
+        if (userId) {
+            dueQuery += ' AND rt.user_id = $2';
+            params.push(userId);
+        }
+
+        dueQuery += ' ORDER BY rt.next_due_date ASC, rt.id ASC';
+
+        const dueResult = await db.query(dueQuery, params);
+
+        for (const row of dueResult.rows) {
+            try {
+                const result = await generateForTemplate(row.id, today);
+                transactionsCreated += result.created;
+                details.push(result);
+            } catch (error) {
+                failed++;
+                details.push({ recurring_id: row.id, created: 0, dates: [], error: error.message });
+                console.error(`❌ Recurring template ${row.id} failed:`, error.message);
+            }
+        }
+
+        const status = failed > 0 ? 'completed_with_errors' : 'completed';
+
+        await db.query(
+            `UPDATE recurring_runs
+             SET status = $1, templates_processed = $2, transactions_created = $3,
+                 failed_count = $4, details = $5, finished_at = NOW()
+             WHERE id = $6`,
+            [status, details.length, transactionsCreated, failed, JSON.stringify(details), runId]
+        );
+
+        console.log(`✅ Recurring run #${runId} ${status}: ${transactionsCreated} transactions from ${details.length} templates`);
+
+        return {
+            id: runId,
+            user_id: userId,
+            triggered_by: trigger,
+            run_date: today,
+            status,
+            templates_processed: details.length,
+            transactions_created: transactionsCreated,
+            failed_count: failed,
+            details
+        };
+    } catch (error) {
+        await db.query(
+            `UPDATE recurring_runs
+             SET status = 'failed', failed_count = $1, details = $2, finished_at = NOW()
+             WHERE id = $3`,
+            [failed, JSON.stringify({ error: error.message, details }), runId]
+        );
+        throw error;
+    }
+}
+
+
+module.exports = {
+    MAX_CATCH_UP_OCCURRENCES,
+    loadOpenLedger,
+    planOccurrences,
+    isScheduledDate,
+    postOccurrence,
+    generateForTemplate,
+    runRecurringGeneration
+};
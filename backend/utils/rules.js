@@ -0,0 +1,321 @@
+// ============================================
+// AUTO-CATEGORIZATION RULES
+// File: utils/rules.js
+// Purpose: Validate user-defined rules and work out what they set
+//          (category, tags, type / payment method) for a transaction
+// ============================================
+
+const { normalizeTagName } = require('./tags');
+const { resolveTransactionType, normalizePaymentMethod } = require('./transactionTypes');
+
+const MATCH_TYPES = ['contains', 'regex'];
+const MAX_PATTERN_LENGTH = 200;
+
+// Regex rules only look at this much of a description
+const MAX_MATCH_LENGTH = 300;
+
+// Rough backtracking cost of a pattern: the choices of each repeat
+// multiplied (a? counts 2, a{2,5} counts 4, .* and long ranges count
+// OPEN_REPEAT_COST). Two .* in a row is the most allowed; three already
+// take seconds on a long description.
+const OPEN_REPEAT_COST = 100;
+const MAX_REPEAT_COST = OPEN_REPEAT_COST ** 2;
+
+
+/**
+ * Why a regex could take too long to run (catastrophic backtracking),
+ * e.g. ^(a+)+$ - checked when a rule is saved, since rules run on every
+ * new transaction and import on the main thread.
+ * Rejected: a repeated group that itself repeats or has alternatives
+ * ((a+)+, (a|ab)*), backreferences, and repeats that together cost more
+ * than MAX_REPEAT_COST (.*.*.*, or many a{0,9} in a row).
+ * @param {string} pattern - Regex source
+ * @returns {string|null} Reason, or null when the pattern is safe
+ */
+function unsafeRegexReason(pattern) {
+    const frames = [{ quantified: false, alternation: false }];
+    let lastGroup = null;  // frame of a group that just closed
+    let cost = 1;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const frame = frames[frames.length - 1];
+        let atomGroup = null;
+
+        if (char === '\\') {
+            const next = pattern[i + 1] || '';
+            if (/[1-9k]/.test(next)) {
+                return 'backreferences are not allowed';
+            }
+            i++;
+        } else if (char === '[') {
+            // Skip the character class
+            i++;
+            if (pattern[i] === '^') i++;
+            if (pattern[i] === ']') i++;
+            while (i < pattern.length && pattern[i] !== ']') {
+                if (pattern[i] === '\\') i++;
+                i++;
+            }
+        } else if (char === '(') {
+            frames.push({ quantified: false, alternation: false });
+            if (pattern[i + 1] === '?') {
+                // (?:  (?=  (?!  (?<=  (?<!  (?<name>
+                const named = pattern.slice(i).match(/^\(\?(?::|=|!|<=|<!|<[A-Za-z_][A-Za-z0-9_]*>)/);
+                if (named) i += named[0].length - 1;
+            }
+            continue;
+        } else if (char === ')') {
+            if (frames.length > 1) {
+                const closed = frames.pop();
+                const parent = frames[frames.length - 1];
+                parent.quantified = parent.quantified || closed.quantified;
+                parent.alternation = parent.alternation || closed.alternation;
+                atomGroup = closed;
+            }
+        } else if (char === '|') {
+            frame.alternation = true;
+        } else if (char === '*' || char === '+' || char === '?' || char === '{') {
+            let min = char === '+' ? 1 : 0;
+            let max = char === '?' ? 1 : Infinity;
+            if (char === '{') {
+                const bounds = pattern.slice(i).match(/^\{(\d+)(,?)(\d*)\}/);
+                if (!bounds) {
+                    lastGroup = null;
+                    continue;
+                }
+                i += bounds[0].length - 1;
+                min = parseInt(bounds[1]);
+                max = bounds[2] ? (bounds[3] === '' ? Infinity : parseInt(bounds[3])) : min;
+            }
+
+            if (max > 1) {
+                if (lastGroup && (lastGroup.quantified || lastGroup.alternation)) {
+                    return 'a repeated group cannot contain repeats or alternatives, e.g. (a+)+ or (a|ab)*';
+                }
+                frame.quantified = true;
+            }
+
+            cost *= Math.min(max - min + 1, OPEN_REPEAT_COST);
+            if (cost > MAX_REPEAT_COST) {
+                return 'too many repeats in a row: at most two open-ended repeats (*, +, {n,}) or a few short ones';
+            }
+            if (pattern[i + 1] === '?') i++;  // lazy
+        }
+
+        lastGroup = atomGroup;
+    }
+
+    return null;
+}
+
+
+// Compiled regex rules, null for patterns that fail the safety check
+// (rules saved before it existed)
+const compiledPatterns = new Map();
+
+function compilePattern(pattern) {
+    if (!compiledPatterns.has(pattern)) {
+        if (compiledPatterns.size >= 1000) compiledPatterns.clear();
+        let regex = null;
+        if (!unsafeRegexReason(pattern)) {
+            try {
+                regex = new RegExp(pattern, 'i');
+            } catch (error) {
+                regex = null;
+            }
+        }
+        compiledPatterns.set(pattern, regex);
+    }
+    return compiledPatterns.get(pattern);
+}
+
+
+/**
+ * Validate a rule from a request body
+ * @param {Object} body - { name, priority, is_active, match_type, pattern,
+ *                        amount_min, amount_max, account_id, category_id,
+ *                        tags, transaction_type | mode, payment_method }
+ * @returns {Object} { rule } (column values) or { error }
+ */
+function parseRuleInput(body) {
+    const input = body || {};
+    const name = input.name ? String(input.name).trim() : '';
+    if (!name || name.length > 100) {
+        return { error: 'Rule name required (max 100 characters)' };
+    }
+
+    const matchType = input.match_type ? String(input.match_type).toLowerCase() : 'contains';
+    if (!MATCH_TYPES.includes(matchType)) {
+        return { error: `match_type must be one of: ${MATCH_TYPES.join(', ')}` };
+    }
+
+    const pattern = input.pattern ? String(input.pattern).trim() : null;
+    if (pattern && pattern.length > MAX_PATTERN_LENGTH) {
+        return { error: `pattern must be at most ${MAX_PATTERN_LENGTH} characters` };
+    }
+    if (pattern && matchType === 'regex') {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            return { error: `Invalid regex: ${error.message}` };
+        }
+        const unsafe = unsafeRegexReason(pattern);
+        if (unsafe) {
+            return { error: `Regex could be too slow to run: ${unsafe}` };
+        }
+    }
+
+    const parseAmount = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+    const amountMin = parseAmount(input.amount_min);
+    const amountMax = parseAmount(input.amount_max);
+    if ((amountMin !== null && (isNaN(amountMin) || amountMin < 0)) || (amountMax !== null && (isNaN(amountMax) || amountMax < 0))) {
+        return { error: 'amount_min / amount_max must be numbers >= 0' };
+    }
+    if (amountMin !== null && amountMax !== null && amountMin > amountMax) {
+        return { error: 'amount_min cannot be greater than amount_max' };
+    }
+
+    const accountId = input.account_id ? parseInt(input.account_id) : null;
+    if (!pattern && amountMin === null && amountMax === null && !accountId) {
+        return { error: 'A rule needs at least one condition: pattern, amount range or account' };
+    }
+
+    const categoryId = input.category_id ? parseInt(input.category_id) : null;
+
+    const tagList = Array.isArray(input.tags) ? input.tags : String(input.tags || '').split(',');
+    const tags = [...new Set(tagList.map(normalizeTagName).filter(Boolean))];
+
+    // The type is optional on a rule; a payment method can be set on its own
+    let transactionType = null;
+    let paymentMethod = null;
+    if (input.transaction_type || input.mode) {
+        const type = resolveTransactionType(input);
+        if (type.error) {
+            return { error: type.error };
+        }
+        if (type.transactionType === 'transfer') {
+            return { error: 'Rules cannot turn a transaction into a transfer' };
+        }
+        transactionType = type.transactionType;
+        paymentMethod = type.paymentMethod;
+    } else if (input.payment_method) {
+        paymentMethod = normalizePaymentMethod(input.payment_method);
+        if (!paymentMethod) {
+            return { error: `Invalid payment_method: ${input.payment_method}` };
+        }
+    }
+
+    if (!categoryId && tags.length === 0 && !transactionType && !paymentMethod) {
+        return { error: 'A rule needs at least one action: category, tags, transaction_type or payment_method' };
+    }
+
+    const priority = input.priority !== undefined && input.priority !== '' ? parseInt(input.priority) : 100;
+    if (isNaN(priority)) {
+        return { error: 'priority must be a whole number' };
+    }
+
+    return {
+        rule: {
+            name,
+            priority,
+            is_active: input.is_active !== false && input.is_active !== 'false',
+            match_type: matchType,
+            pattern,
+            amount_min: amountMin,
+            amount_max: amountMax,
+            account_id: accountId,
+            set_category_id: categoryId,
+            set_tags: tags,
+            set_transaction_type: transactionType,
+            set_payment_method: paymentMethod
+        }
+    };
+}
+
+
+/**
+ * Does a rule match a transaction? Every condition that is set must hold.
+ * @param {Object} rule - categorization_rules row (or parseRuleInput().rule)
+ * @param {Object} transaction - { description, amount, account_id }
+ * @returns {boolean}
+ */
+function ruleMatches(rule, transaction) {
+    const description = String(transaction.description || '');
+    const amount = parseFloat(transaction.amount);
+
+    if (rule.pattern) {
+        if (rule.match_type === 'regex') {
+            const regex = compilePattern(rule.pattern);
+            if (!regex || !regex.test(description.slice(0, MAX_MATCH_LENGTH))) return false;
+        } else if (!description.toLowerCase().includes(rule.pattern.toLowerCase())) {
+            return false;
+        }
+    }
+    if (rule.amount_min !== null && rule.amount_min !== undefined && !(amount >= parseFloat(rule.amount_min))) {
+        return false;
+    }
+    if (rule.amount_max !== null && rule.amount_max !== undefined && !(amount <= parseFloat(rule.amount_max))) {
+        return false;
+    }
+    if (rule.account_id && parseInt(rule.account_id) !== parseInt(transaction.account_id)) {
+        return false;
+    }
+
+    return true;
+}
+
+
+/**
+ * Combine the actions of every matching rule (rules in priority order).
+ * Category, type and payment method come from the first rule that sets
+ * them; tags are collected from all matching rules.
+ * @param {Array} rules - Rules ordered by priority
+ * @param {Object} transaction - { description, amount, account_id }
+ * @returns {Object|null} { ruleIds, categoryId, tags, transactionType, paymentMethod },
+ *                        or null when no rule matches
+ */
+function evaluateRules(rules, transaction) {
+    const result = { ruleIds: [], categoryId: null, tags: [], transactionType: null, paymentMethod: null };
+
+    rules.filter(rule => ruleMatches(rule, transaction)).forEach(rule => {
+        result.ruleIds.push(rule.id);
+        if (!result.categoryId && rule.set_category_id) result.categoryId = rule.set_category_id;
+        if (!result.transactionType && rule.set_transaction_type) result.transactionType = rule.set_transaction_type;
+        if (!result.paymentMethod && rule.set_payment_method) result.paymentMethod = rule.set_payment_method;
+        (rule.set_tags || []).forEach(tag => {
+            if (!result.tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                result.tags.push(tag);
+            }
+        });
+    });
+
+    return result.ruleIds.length > 0 ? result : null;
+}
+
+
+/**
+ * Active rules of a user in the order they are applied
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @returns {Promise<Array>} categorization_rules rows
+ */
+async function loadActiveRules(queryable, userId) {
+    const result = await queryable.query(
+        `SELECT * FROM categorization_rules
+         WHERE user_id = $1 AND is_active = TRUE
+         ORDER BY priority ASC, id ASC`,
+        [userId]
+    );
+    return result.rows;
+}
+
+
+module.exports = {
+    MATCH_TYPES,
+    unsafeRegexReason,
+    parseRuleInput,
+    ruleMatches,
+    evaluateRules,
+    loadActiveRules
+};
@@ -0,0 +1,251 @@
+// ============================================
+// S3-COMPATIBLE CLIENT
+// File: utils/s3.js
+// Purpose: The few object calls the upload storage needs (put, get as a
+//          stream, head, delete, list), signed with AWS Signature V4 so they
+//          work against AWS S3, Cloudflare R2, Backblaze B2 or MinIO
+// ============================================
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// encodeURIComponent plus the characters it leaves alone but S3 encodes
+function strictEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+
+/**
+ * URI-encode an object key the way S3 signs it: every byte except
+ * unreserved characters, with "/" kept between path segments
+ * @param {string} path - Path starting with "/"
+ * @returns {string} Encoded path
+ */
+function encodePath(path) {
+    return path
+        .split('/')
+        .map(strictEncode)
+        .join('/');
+}
+
+
+/**
+ * Query string in canonical form (sorted, strictly encoded); also what
+ * is sent, so the signed and the requested query are the same
+ * @param {Object} query - { name: value }
+ * @returns {string} Query string without "?"
+ */
+function canonicalQueryString(query = {}) {
+    return Object.keys(query)
+        .sort()
+        .map(name => `${strictEncode(name)}=${strictEncode(query[name])}`)
+        .join('&');
+}
+
+
+/**
+ * Sign a request (AWS Signature V4, header based)
+ * @param {Object} request - { method, host, path (encoded), query, headers, payloadHash }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} now - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+function signRequest(request, credentials, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${credentials.region}/s3/aws4_request`;
+
+    const headers = {
+        ...request.headers,
+        host: request.host,
+        'x-amz-content-sha256': request.payloadHash,
+        'x-amz-date': amzDate
+    };
+
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lowerCased[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+        request.method,
+        request.path,
+        canonicalQueryString(request.query),
+        canonicalHeaders,
+        signedHeaders,
+        request.payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${credentials.secretAccessKey}`, dateStamp), credentials.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+        ...lowerCased,
+        authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+}
+
+
+/**
+ * Client for one bucket
+ * @param {Object} config - { endpoint (e.g. http://localhost:9000; default AWS),
+ *                            region, bucket, accessKeyId, secretAccessKey,
+ *                            forcePathStyle (MinIO and most stand-ins need it) }
+ * @returns {Object} { putObject, getObject, headObject, deleteObject, listObjects }
+ */
+function createS3Client(config) {
+    const region = config.region || 'us-east-1';
+    const endpoint = new URL(config.endpoint || `https://s3.${region}.amazonaws.com`);
+    const transport = endpoint.protocol === 'http:' ? http : https;
+    const credentials = { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey, region };
+
+    const basePath = endpoint.pathname.replace(/\/$/, '');
+    const host = config.forcePathStyle ? endpoint.host : `${config.bucket}.${endpoint.host}`;
+    const objectPath = (key) => encodePath(config.forcePathStyle
+        ? `${basePath}/${config.bucket}/${key}`
+        : `${basePath}/${key}`);
+
+    // Resolves with the response (a readable stream); non-2xx responses
+    // are drained and rejected with an Error carrying statusCode.
+    // An empty key addresses the bucket itself (listing).
+    function send(method, key, { body = null, headers = {}, query = {}, stream = false } = {}) {
+        const path = objectPath(key);
+        const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+        const signed = signRequest({ method, host, path, query, headers, payloadHash }, credentials);
+        const queryString = canonicalQueryString(query);
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request({
+                method,
+                protocol: endpoint.protocol,
+                hostname: config.forcePathStyle ? endpoint.hostname : `${config.bucket}.${endpoint.hostname}`,
+                port: endpoint.port || undefined,
+                path: queryString ? `${path}?${queryString}` : path,
+                headers: body ? { ...signed, 'content-length': body.length } : signed
+            }, (res) => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    if (stream) return resolve(res);
+                    res.resume();
+                    return res.on('end', () => resolve(res));
+                }
+
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+                    const error = new Error(`S3 ${method} ${key} failed: ${res.statusCode}${code ? ` ${code}` : ''}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
+                });
+            });
+
+            req.on('error', reject);
+            if (body) req.write(body);
+            req.end();
+        });
+    }
+
+    return {
+        /**
+         * @param {string} key - Object key
+         * @param {Buffer} body - Content
+         * @param {Object} options - { contentType }
+         */
+        async putObject(key, body, { contentType } = {}) {
+            await send('PUT', key, { body, headers: contentType ? { 'content-type': contentType } : {} });
+        },
+
+        /**
+         * @returns {Promise<stream.Readable>} Object content
+         */
+        getObject(key) {
+            return send('GET', key, { stream: true });
+        },
+
+        /**
+         * @returns {Promise<Object|null>} { size, contentType }, or null when missing
+         */
+        async headObject(key) {
+            try {
+                const res = await send('HEAD', key);
+                return { size: parseInt(res.headers['content-length']), contentType: res.headers['content-type'] };
+            } catch (error) {
+                if (error.statusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        async deleteObject(key) {
+            await send('DELETE', key);
+        },
+
+        /**
+         * Every object under a prefix (follows continuation tokens)
+         * @param {string} prefix - Key prefix ('' for the whole bucket)
+         * @returns {Promise<Array>} [{ key, size, modified (Date) }]
+         */
+        async listObjects(prefix = '') {
+            const objects = [];
+            let continuationToken = null;
+
+            do {
+                const query = { 'list-type': '2' };
+                if (prefix) query.prefix = prefix;
+                if (continuationToken) query['continuation-token'] = continuationToken;
+
+                const res = await send('GET', '', { query, stream: true });
+                const chunks = [];
+                for await (const chunk of res) chunks.push(chunk);
+                const xml = Buffer.concat(chunks).toString('utf8');
+
+                for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                    const field = (name) => (entry.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`)) || [])[1];
+                    objects.push({
+                        key: decodeXml(field('Key')),
+                        size: parseInt(field('Size')) || 0,
+                        modified: new Date(field('LastModified'))
+                    });
+                }
+
+                const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+                continuationToken = truncated ? decodeXml((xml.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/) || [])[1] || '') : null;
+            } while (continuationToken);
+
+            return objects;
+        }
+    };
+}
+
+
+function decodeXml(text) {
+    return String(text || '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+
+module.exports = {
+    signRequest,
+    createS3Client
+};
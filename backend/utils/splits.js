@@ -0,0 +1,125 @@
+// ============================================
+// SPLIT TRANSACTIONS
+// File: utils/splits.js
+// Purpose: Validate and store split lines, and attribute spend per
+//          category line in aggregate queries
+// ============================================
+
+const MIN_SPLIT_LINES = 2;
+
+
+/**
+ * SQL join that expands each transaction into its category lines:
+ * the split lines when it has any, otherwise one line carrying the
+ * transaction's own category and amount.
+ * Exposes `<lineAlias>.category_id`, `<lineAlias>.amount`, `<lineAlias>.note`.
+ * @param {string} alias - transactions alias (default 't')
+ * @param {string} lineAlias - Alias of the line rows (default 'line')
+ * @returns {string} SQL LEFT JOIN LATERAL clause
+ */
+function categoryLinesSql(alias = 't', lineAlias = 'line') {
+    return `LEFT JOIN LATERAL (
+                SELECT s.category_id, s.amount, s.note
+                FROM transaction_splits s
+                WHERE s.transaction_id = ${alias}.id
+                UNION ALL
+                SELECT ${alias}.category_id, ${alias}.amount, NULL
+                WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = ${alias}.id)
+            ) ${lineAlias} ON TRUE`;
+}
+
+
+/**
+ * Validate split lines against a transaction total
+ * @param {Array} lines - [{ categoryId | category_id, amount, note }]
+ * @param {number} total - Transaction amount
+ * @returns {Object} { splits: [{ categoryId, amount, note }] } or { error }
+ */
+function parseSplits(lines, total) {
+    if (!Array.isArray(lines)) {
+        return { error: 'splits must be an array' };
+    }
+    if (lines.length === 0) {
+        return { splits: [] };
+    }
+    if (lines.length < MIN_SPLIT_LINES) {
+        return { error: `A split needs at least ${MIN_SPLIT_LINES} lines` };
+    }
+
+    const splits = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i] || {};
+        const categoryId = parseInt(line.categoryId !== undefined ? line.categoryId : line.category_id);
+        const amount = Math.round(parseFloat(line.amount) * 100) / 100;
+
+        if (!categoryId) {
+            return { error: `Split line ${i + 1}: category is required` };
+        }
+        if (isNaN(amount) || amount <= 0) {
+            return { error: `Split line ${i + 1}: amount must be > 0` };
+        }
+
+        splits.push({ categoryId, amount, note: line.note ? String(line.note).trim() : null });
+    }
+
+    // Compare in cents so 0.1 + 0.2 style rounding never rejects a valid split
+    const linesCents = splits.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+    const totalCents = Math.round(parseFloat(total) * 100);
+    if (linesCents !== totalCents) {
+        return {
+            error: `Split lines add up to ${(linesCents / 100).toFixed(2)} but the transaction total is ${(totalCents / 100).toFixed(2)}`
+        };
+    }
+
+    return { splits };
+}
+
+
+/**
+ * Check that every split category belongs to the user
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {Array} splits - Parsed split lines
+ * @returns {Promise<boolean>} true when all categories are the user's
+ */
+async function splitCategoriesOwned(queryable, userId, splits) {
+    const ids = [...new Set(splits.map(line => line.categoryId))];
+    if (ids.length === 0) {
+        return true;
+    }
+
+    const result = await queryable.query(
+        'SELECT COUNT(*)::int as owned FROM categories WHERE user_id = $1 AND id = ANY($2::int[])',
+        [userId, ids]
+    );
+
+    return result.rows[0].owned === ids.length;
+}
+
+
+/**
+ * Replace the split lines of a transaction (an empty list removes the split)
+ * @param {Object} client - pg client inside a transaction
+ * @param {number} transactionId - transactions.id
+ * @param {number} userId - Owner
+ * @param {Array} splits - Parsed split lines
+ */
+async function saveSplits(client, transactionId, userId, splits) {
+    await client.query('DELETE FROM transaction_splits WHERE transaction_id = $1', [transactionId]);
+
+    for (let i = 0; i < splits.length; i++) {
+        await client.query(
+            `INSERT INTO transaction_splits (transaction_id, user_id, category_id, amount, note, position)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [transactionId, userId, splits[i].categoryId, splits[i].amount, splits[i].note, i]
+        );
+    }
+}
+
+
+module.exports = {
+    categoryLinesSql,
+    parseSplits,
+    splitCategoriesOwned,
+    saveSplits
+};
@@ -0,0 +1,433 @@
+// ============================================
+// BANK STATEMENT IMPORT
+// File: utils/statements.js
+// Purpose: Read OFX / QFX, QIF and ISO 20022 CAMT.053 statements into
+//          the rows the import works with, and remember which PFMS
+//          account each statement account goes to
+// ============================================
+
+const path = require('path');
+
+const STATEMENT_FORMATS = ['ofx', 'qif', 'camt053'];
+const STATEMENT_EXTENSIONS = ['.ofx', '.qfx', '.qif', '.xml'];
+
+
+// ============================================
+// PARSING HELPERS
+// ============================================
+
+function decodeEntities(text) {
+    return String(text)
+        .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (m, dec) => String.fromCharCode(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Contents of every <tag>...</tag> (any namespace prefix)
+function xmlBlocks(xml, tag) {
+    const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'g');
+    return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+// Text of the first element along a path ("BookgDt/Dt"), or null
+function xmlText(xml, tagPath) {
+    let current = xml;
+    for (const tag of tagPath.split('/')) {
+        const [block] = xmlBlocks(current, tag);
+        if (block === undefined) return null;
+        current = block;
+    }
+    const text = decodeEntities(current.replace(/<[^>]+>/g, '')).trim();
+    return text || null;
+}
+
+// OFX 1.x is SGML: leaf elements have no closing tag (<TRNAMT>-12.50)
+function ofxValue(sgml, tag) {
+    const match = sgml.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? decodeEntities(match[1]).trim() || null : null;
+}
+
+function ofxBlocks(sgml, tag) {
+    const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+    return [...sgml.matchAll(pattern)].map(match => match[1]);
+}
+
+function parseNumber(value) {
+    const amount = parseFloat(String(value || '').replace(/,/g, ''));
+    return isNaN(amount) ? null : amount;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+
+// ============================================
+// OFX / QFX
+// ============================================
+
+/**
+ * OFX / QFX (1.x SGML or 2.x XML), bank and credit card statements
+ * @param {string} text - File contents
+ * @returns {Object} { format, accounts, transactions }
+ */
+function parseOfx(text) {
+    const accounts = [];
+    const transactions = [];
+
+    const statements = [
+        ...ofxBlocks(text, 'STMTRS').map(block => ({ block, from: 'BANKACCTFROM', kind: 'bank' })),
+        ...ofxBlocks(text, 'CCSTMTRS').map(block => ({ block, from: 'CCACCTFROM', kind: 'credit_card' }))
+    ];
+
+    statements.forEach(({ block, from, kind }) => {
+        const [accountBlock = ''] = ofxBlocks(block, from);
+        const accountNumber = ofxValue(accountBlock, 'ACCTID') || 'unknown';
+        const bankId = ofxValue(accountBlock, 'BANKID');
+        const key = `ofx:${bankId ? `${bankId}:` : ''}${accountNumber}`;
+        const currency = ofxValue(block, 'CURDEF');
+
+        accounts.push({
+            key,
+            label: `${kind === 'credit_card' ? 'Card' : 'Account'} ••${accountNumber.slice(-4)}`,
+            currency,
+            kind
+        });
+
+        ofxBlocks(block, 'STMTTRN').forEach(trn => {
+            const [trnCurrency] = ofxBlocks(trn, 'CURRENCY');
+            const posted = ofxValue(trn, 'DTPOSTED') || '';
+            const name = ofxValue(trn, 'NAME') || ofxValue(trn, 'PAYEE');
+            const memo = ofxValue(trn, 'MEMO');
+
+            transactions.push({
+                account_key: key,
+                bank_transaction_id: ofxValue(trn, 'FITID'),
+                transaction_date: /^\d{8}/.test(posted) ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}` : null,
+                amount: parseNumber(ofxValue(trn, 'TRNAMT')),
+                currency: (trnCurrency && ofxValue(trnCurrency, 'CURSYM')) || currency,
+                description: [name, memo && memo !== name ? memo : null].filter(Boolean).join(' - ')
+            });
+        });
+    });
+
+    return { format: 'ofx', accounts, transactions };
+}
+
+
+// ============================================
+// QIF
+// ============================================
+
+/**
+ * QIF date ("01/15/2026", "1/15'26", "15.01.2026") as YYYY-MM-DD
+ * @param {string} value - D field
+ * @param {string} dateFormat - 'DD/MM/YYYY' or 'MM/DD/YYYY' (QIF default)
+ * @returns {string|null}
+ */
+function parseQifDate(value, dateFormat) {
+    const parts = String(value || '').replace(/'/g, '/').split(/[^0-9]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+
+    if (parts[0].length === 4) {
+        return `${parts[0]}-${pad(parts[1])}-${pad(parts[2])}`;
+    }
+
+    const [month, day] = dateFormat === 'DD/MM/YYYY' ? [parts[1], parts[0]] : [parts[0], parts[1]];
+    let year = parts[2];
+    if (year.length === 2) year = `20${year}`;
+    if (year.length === 1) year = `200${year}`;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * QIF (Quicken Interchange Format); investment sections are ignored.
+ * QIF has no transaction ids and no currency.
+ * @param {string} text - File contents
+ * @param {Object} options - { date_format }
+ * @returns {Object} { format, accounts, transactions }
+ */
+function parseQif(text, options = {}) {
+    const accounts = [];
+    const transactions = [];
+    const dateFormat = options.date_format === 'DD/MM/YYYY' ? 'DD/MM/YYYY' : 'MM/DD/YYYY';
+
+    let account = null;
+    let section = null;
+    let inAccountHeader = false;
+    let record = {};
+
+    const useAccount = (name) => {
+        const key = `qif:${name}`;
+        account = accounts.find(a => a.key === key);
+        if (!account) {
+            account = { key, label: name, currency: null, kind: 'bank' };
+            accounts.push(account);
+        }
+    };
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith('!')) {
+            const header = line.toLowerCase();
+            inAccountHeader = header === '!account';
+            if (header.startsWith('!type:')) {
+                section = header.slice(6).trim();
+                if (!account) useAccount('QIF');
+                if (section === 'ccard') account.kind = 'credit_card';
+            }
+            return;
+        }
+
+        const code = line[0];
+        const value = line.slice(1).trim();
+
+        if (inAccountHeader) {
+            if (code === 'N') useAccount(value);
+            if (code === '^') inAccountHeader = false;
+            return;
+        }
+
+        if (!['bank', 'cash', 'ccard', 'oth a', 'oth l'].includes(section)) return;
+
+        if (code === '^') {
+            if (record.date || record.amount !== undefined) {
+                transactions.push({
+                    account_key: account.key,
+                    bank_transaction_id: null,
+                    transaction_date: parseQifDate(record.date, dateFormat),
+                    amount: parseNumber(record.amount),
+                    currency: null,
+                    description: [record.payee, record.memo && record.memo !== record.payee ? record.memo : null].filter(Boolean).join(' - ')
+                });
+            }
+            record = {};
+            return;
+        }
+
+        if (code === 'D') record.date = value;
+        if (code === 'T' || (code === 'U' && record.amount === undefined)) record.amount = value;
+        if (code === 'P') record.payee = value;
+        if (code === 'M') record.memo = value;
+    });
+
+    return { format: 'qif', accounts, transactions };
+}
+
+
+// ============================================
+// CAMT.053
+// ============================================
+
+/**
+ * ISO 20022 bank-to-customer statement (camt.053). Only booked entries
+ * are read; reversals flip the sign.
+ * @param {string} xml - File contents
+ * @returns {Object} { format, accounts, transactions }
+ */
+function parseCamt053(xml) {
+    const accounts = [];
+    const transactions = [];
+
+    xmlBlocks(xml, 'Stmt').forEach(statement => {
+        const [acct = ''] = xmlBlocks(statement, 'Acct');
+        const iban = xmlText(acct, 'Id/IBAN');
+        const otherId = xmlText(acct, 'Id/Othr/Id');
+        const accountNumber = iban || otherId || 'unknown';
+        const key = `camt:${accountNumber}`;
+        const currency = xmlText(acct, 'Ccy');
+
+        if (!accounts.some(a => a.key === key)) {
+            accounts.push({
+                key,
+                label: xmlText(acct, 'Nm') || `Account ••${accountNumber.slice(-4)}`,
+                currency,
+                kind: 'bank'
+            });
+        }
+
+        xmlBlocks(statement, 'Ntry').forEach(entry => {
+            const status = xmlText(entry, 'Sts/Cd') || xmlText(entry, 'Sts');
+            if (status && status.toUpperCase() !== 'BOOK') return;
+
+            const amountMatch = entry.match(/<(?:[\w-]+:)?Amt(?:\s+Ccy="([A-Z]{3})")?[^>]*>([^<]+)</);
+            let amount = amountMatch ? parseNumber(amountMatch[2]) : null;
+            const debit = (xmlText(entry, 'CdtDbtInd') || '').toUpperCase() === 'DBIT';
+            const reversal = (xmlText(entry, 'RvslInd') || '').toLowerCase() === 'true';
+            if (amount !== null && debit !== reversal) amount = -amount;
+
+            const date = xmlText(entry, 'BookgDt/Dt') || xmlText(entry, 'BookgDt/DtTm') || xmlText(entry, 'ValDt/Dt');
+            const endToEnd = xmlText(entry, 'EndToEndId');
+            const remittance = xmlBlocks(entry, 'Ustrd').map(text => decodeEntities(text).trim()).filter(Boolean);
+            const counterparty = xmlText(entry, debit ? 'Cdtr/Nm' : 'Dbtr/Nm');
+
+            transactions.push({
+                account_key: key,
+                bank_transaction_id: xmlText(entry, 'AcctSvcrRef') || xmlText(entry, 'NtryRef') ||
+                    (endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : null),
+                transaction_date: date ? date.slice(0, 10) : null,
+                amount,
+                currency: amountMatch && amountMatch[1] ? amountMatch[1] : currency,
+                description: [counterparty, remittance.join(' ') || xmlText(entry, 'AddtlNtryInf')].filter(Boolean).join(' - ')
+            });
+        });
+    });
+
+    return { format: 'camt053', accounts, transactions };
+}
+
+
+// ============================================
+// DETECTION / ROWS
+// ============================================
+
+/**
+ * Which statement format a file is, from its name and first bytes
+ * @param {string} filename - Original file name
+ * @param {string} text - Start of the file
+ * @returns {string|null} One of STATEMENT_FORMATS, or null for spreadsheets
+ */
+function detectStatementFormat(filename, text) {
+    const extension = path.extname(filename || '').toLowerCase();
+    const head = String(text || '').slice(0, 4096);
+
+    if (extension === '.ofx' || extension === '.qfx' || /OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (extension === '.qif' || /^\s*!(Type|Account|Option)/i.test(head)) return 'qif';
+    if (/camt\.053|<(?:[\w-]+:)?BkToCstmrStmt/.test(head)) return 'camt053';
+    return null;
+}
+
+/**
+ * Parse a statement file
+ * @param {string} text - File contents
+ * @param {string} format - One of STATEMENT_FORMATS
+ * @param {Object} options - { date_format } (QIF)
+ * @returns {Object} { format, accounts: [{ key, label, currency, kind }],
+ *                     transactions: [{ account_key, bank_transaction_id,
+ *                     transaction_date, amount (signed), currency, description }] }
+ */
+function parseStatement(text, format, options = {}) {
+    if (format === 'ofx') return parseOfx(text);
+    if (format === 'qif') return parseQif(text, options);
+    return parseCamt053(text);
+}
+
+/**
+ * Statement transactions as import rows (same shape as applyMapping() rows).
+ * Linked accounts give the PFMS account; unlinked ones are imported into an
+ * account named after the statement account, like spreadsheet imports do.
+ * @param {Object} statement - From parseStatement()
+ * @param {Object} links - { [statement account key]: { id, name, currency } }
+ * @returns {Array} Rows
+ */
+function statementRows(statement, links) {
+    return statement.transactions.map(trn => {
+        const account = statement.accounts.find(a => a.key === trn.account_key);
+        const linked = links[trn.account_key];
+        const amount = trn.amount === null ? null : Math.abs(trn.amount);
+
+        return {
+            account_id: linked ? linked.id : null,
+            account_name: linked ? linked.name : account.label,
+            statement_account: trn.account_key,
+            bank_transaction_id: trn.bank_transaction_id,
+            category_name: null,
+            // Money out of a card account is still an expense paid by card
+            mode: trn.amount === null ? null : (trn.amount < 0 ? (account.kind === 'credit_card' ? 'Credit Card' : 'Expense') : 'Income'),
+            payment_method: undefined,
+            currency: linked ? linked.currency : (trn.currency || account.currency),
+            amount: amount === null ? '' : amount,
+            transaction_date: trn.transaction_date,
+            description: trn.description
+        };
+    });
+}
+
+
+// ============================================
+// STATEMENT ACCOUNTS / BANK IDS
+// ============================================
+
+/**
+ * PFMS accounts the user linked to statement accounts
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {string[]} keys - Statement account keys
+ * @returns {Promise<Object>} { [key]: { id, name, currency } }
+ */
+async function loadStatementLinks(queryable, userId, keys) {
+    const links = {};
+    if (keys.length === 0) {
+        return links;
+    }
+
+    const result = await queryable.query(
+        `SELECT s.external_ref, a.id, a.name, a.currency
+         FROM statement_accounts s
+         JOIN accounts a ON s.account_id = a.id
+         WHERE s.user_id = $1 AND s.external_ref = ANY($2)`,
+        [userId, keys]
+    );
+    result.rows.forEach(row => {
+        links[row.external_ref] = { id: row.id, name: row.name, currency: row.currency };
+    });
+
+    return links;
+}
+
+/**
+ * Link (or re-link) a statement account to a PFMS account
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {string} key - Statement account key
+ * @param {number} accountId - PFMS account (ownership checked by the caller)
+ */
+async function saveStatementLink(queryable, userId, key, accountId) {
+    await queryable.query(
+        `INSERT INTO statement_accounts (user_id, external_ref, account_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, external_ref) DO UPDATE SET account_id = EXCLUDED.account_id, updated_at = NOW()`,
+        [userId, key, accountId]
+    );
+}
+
+/**
+ * Bank transaction ids already imported into the given accounts
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {number[]} accountIds - PFMS accounts
+ * @returns {Promise<Map>} "accountId|bankId" -> transaction id
+ */
+async function loadExistingBankIds(queryable, userId, accountIds) {
+    const ids = new Map();
+    if (accountIds.length === 0) {
+        return ids;
+    }
+
+    const result = await queryable.query(
+        `SELECT id, account_id, external_id FROM transactions
+         WHERE user_id = $1 AND account_id = ANY($2::int[]) AND external_id IS NOT NULL`,
+        [userId, accountIds]
+    );
+    result.rows.forEach(row => ids.set(`${row.account_id}|${row.external_id}`, row.id));
+
+    return ids;
+}
+
+
+module.exports = {
+    STATEMENT_FORMATS,
+    STATEMENT_EXTENSIONS,
+    detectStatementFormat,
+    parseStatement,
+    statementRows,
+    loadStatementLinks,
+    saveStatementLink,
+    loadExistingBankIds
+};
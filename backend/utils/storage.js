@@ -0,0 +1,346 @@
+// ============================================
+// UPLOAD STORAGE
+// File: utils/storage.js
+// Purpose: Where uploaded file content lives. Drivers: 'local' (a
+//          directory on disk) and 's3' (any S3-compatible bucket).
+//          Content is stored once per SHA-256 hash; uploads rows point
+//          at it with storage_driver + storage_key.
+// ============================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createS3Client } = require('./s3');
+
+// STORAGE_DRIVER=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY;
+// S3_ENDPOINT / S3_REGION / S3_FORCE_PATH_STYLE=true for non-AWS stores
+const STORAGE_DRIVERS = ['local', 's3'];
+const DEFAULT_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const LOCAL_ROOT = process.env.UPLOADS_DIR || path.join(__dirname, '../uploads');
+
+
+/**
+ * Error for content that is not in the store
+ * @param {string} key - Storage key
+ * @returns {Error} Error with code 'NOT_FOUND'
+ */
+function notFound(key) {
+    const error = new Error(`Stored file not found: ${key}`);
+    error.code = 'NOT_FOUND';
+    return error;
+}
+
+
+/**
+ * Driver keeping files under a local directory
+ * @param {string} root - Directory
+ * @returns {Object} Storage driver
+ */
+function createLocalDriver(root = LOCAL_ROOT) {
+    const fullPath = (key) => path.join(root, ...key.split('/'));
+
+    return {
+        name: 'local',
+
+        async put(key, content) {
+            const target = fullPath(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            // Write then rename, so a half-written file is never served
+            const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+            await fs.promises.writeFile(temp, content);
+            await fs.promises.rename(temp, target);
+        },
+
+        async exists(key) {
+            return fs.existsSync(fullPath(key));
+        },
+
+        async createReadStream(key) {
+            const target = fullPath(key);
+            if (!fs.existsSync(target)) {
+                throw notFound(key);
+            }
+            return fs.createReadStream(target);
+        },
+
+        async remove(key) {
+            await fs.promises.rm(fullPath(key), { force: true });
+        },
+
+        // Every file under the directory, keys relative to it
+        async list() {
+            const files = [];
+            const walk = async (dir, prefix) => {
+                const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+                for (const entry of entries) {
+                    const full = path.join(dir, entry.name);
+                    if (entry.isDirectory()) {
+                        await walk(full, `${prefix}${entry.name}/`);
+                    } else if (entry.isFile()) {
+                        const stat = await fs.promises.stat(full);
+                        files.push({ key: `${prefix}${entry.name}`, size: stat.size, modified: stat.mtime });
+                    }
+                }
+            };
+            await walk(root, '');
+            return files;
+        },
+
+        // Key of a pre-storage-key upload (absolute file_path), or null when
+        // the file is outside this directory
+        keyForPath(filePath) {
+            const relative = path.relative(root, filePath);
+            return relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+                ? relative.split(path.sep).join('/')
+                : null;
+        }
+    };
+}
+
+
+/**
+ * Driver keeping files in an S3-compatible bucket
+ * @param {Object} config - See createS3Client() in utils/s3.js
+ * @returns {Object} Storage driver
+ */
+function createS3Driver(config) {
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+        throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    const prefix = config.prefix ? `${config.prefix.replace(/\/$/, '')}/` : '';
+    const client = createS3Client(config);
+
+    return {
+        name: 's3',
+
+        async put(key, content, { contentType } = {}) {
+            await client.putObject(prefix + key, content, { contentType });
+        },
+
+        async exists(key) {
+            return (await client.headObject(prefix + key)) !== null;
+        },
+
+        async createReadStream(key) {
+            try {
+                return await client.getObject(prefix + key);
+            } catch (error) {
+                throw error.statusCode === 404 ? notFound(key) : error;
+            }
+        },
+
+        async remove(key) {
+            await client.deleteObject(prefix + key);
+        },
+
+        async list() {
+            const objects = await client.listObjects(prefix);
+            return objects.map(object => ({ ...object, key: object.key.slice(prefix.length) }));
+        },
+
+        keyForPath() {
+            return null;
+        }
+    };
+}
+
+
+const drivers = new Map();
+
+/**
+ * Driver by name, created on first use from the environment
+ * @param {string} name - One of STORAGE_DRIVERS (default: STORAGE_DRIVER)
+ * @returns {Object} { name, put, exists, createReadStream, remove, list, keyForPath }
+ */
+function getStorage(name = DEFAULT_DRIVER) {
+    if (!STORAGE_DRIVERS.includes(name)) {
+        throw new Error(`Unknown storage driver: ${name}. Use: ${STORAGE_DRIVERS.join(', ')}`);
+    }
+
+    if (!drivers.has(name)) {
+        drivers.set(name, name === 's3'
+            ? createS3Driver({
+                endpoint: process.env.S3_ENDPOINT,
+                region: process.env.S3_REGION,
+                bucket: process.env.S3_BUCKET,
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+                prefix: process.env.S3_PREFIX
+            })
+            : createLocalDriver());
+    }
+    return drivers.get(name);
+}
+
+
+/**
+ * @param {Buffer} content - File content
+ * @returns {string} SHA-256, hex
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+
+/**
+ * Storage key for a content hash ("ab/abcdef..."), spread over 256 folders
+ * @param {string} hash - From hashContent()
+ * @returns {string} Key
+ */
+function storageKeyFor(hash) {
+    return `${hash.slice(0, 2)}/${hash}`;
+}
+
+
+/**
+ * Store content under its hash; identical content is written only once
+ * @param {Buffer} content - File content
+ * @param {Object} options - { contentType, driver }
+ * @returns {Promise<Object>} { hash, key, driver, stored (false when it was already there) }
+ */
+async function storeContent(content, { contentType, driver = DEFAULT_DRIVER } = {}) {
+    const storage = getStorage(driver);
+    const hash = hashContent(content);
+    const key = storageKeyFor(hash);
+
+    if (await storage.exists(key)) {
+        return { hash, key, driver: storage.name, stored: false };
+    }
+
+    await storage.put(key, content, { contentType });
+    return { hash, key, driver: storage.name, stored: true };
+}
+
+
+/**
+ * Open an uploads row for reading. Rows from before storage keys
+ * (storage_key NULL) are read from their local file_path.
+ * @param {Object} upload - { storage_driver, storage_key, file_path }
+ * @returns {Promise<stream.Readable>} Content
+ */
+async function openUpload(upload) {
+    if (upload.storage_key) {
+        return getStorage(upload.storage_driver || 'local').createReadStream(upload.storage_key);
+    }
+    if (!upload.file_path || !fs.existsSync(upload.file_path)) {
+        throw notFound(upload.file_path);
+    }
+    return fs.createReadStream(upload.file_path);
+}
+
+
+/**
+ * Stream an uploads row to the response as a download
+ * (404 JSON when the content is gone)
+ * @param {Object} res - Express response
+ * @param {Object} upload - { original_name, mime_type, file_size, storage_driver, storage_key, file_path }
+ */
+async function sendUpload(res, upload) {
+    let stream;
+    try {
+        stream = await openUpload(upload);
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({ success: false, message: 'File not found in storage' });
+        }
+        throw error;
+    }
+
+    res.setHeader('Content-Type', upload.mime_type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(upload.original_name)}`);
+    if (upload.file_size) res.setHeader('Content-Length', upload.file_size);
+
+    stream.on('error', (error) => {
+        console.error('❌ Storage stream error:', error.message);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+}
+
+
+/**
+ * Transaction-scoped lock on one stored key. Content is shared by hash
+ * across users, so storing it (and inserting the row) and releasing it
+ * (deleting the last row, then the file) must not overlap: without the
+ * lock, an upload that found the file already there could commit its row
+ * just after a delete removed the file. Released at COMMIT / ROLLBACK.
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} driver - Storage driver name
+ * @param {string} key - Storage key
+ */
+async function lockStorageKey(client, driver, key) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${driver}:${key}`]);
+}
+
+
+/**
+ * Delete stored content once no uploads row uses it any more
+ * (call after deleting the row, holding lockStorageKey() for its key)
+ * @param {Object} queryable - pg pool or client
+ * @param {Object} upload - The deleted row: { storage_driver, storage_key, file_path }
+ * @returns {Promise<boolean>} True when the content was deleted
+ */
+async function releaseUpload(queryable, upload) {
+    if (!upload.storage_key) {
+        if (upload.file_path && fs.existsSync(upload.file_path)) {
+            fs.unlinkSync(upload.file_path);
+            return true;
+        }
+        return false;
+    }
+
+    const others = await queryable.query(
+        'SELECT 1 FROM uploads WHERE storage_driver = $1 AND storage_key = $2 LIMIT 1',
+        [upload.storage_driver, upload.storage_key]
+    );
+    if (others.rows.length > 0) {
+        return false;
+    }
+
+    await getStorage(upload.storage_driver).remove(upload.storage_key);
+    return true;
+}
+
+
+/**
+ * releaseUpload() in a transaction of its own that holds the key lock
+ * (cleanup after a failed upload, orphan files)
+ * @param {Object} pool - pg pool
+ * @param {Object} upload - { storage_driver, storage_key, file_path }
+ * @returns {Promise<boolean>} True when the content was deleted
+ */
+async function releaseUploadLocked(pool, upload) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        if (upload.storage_key) {
+            await lockStorageKey(client, upload.storage_driver, upload.storage_key);
+        }
+        const released = await releaseUpload(client, upload);
+        await client.query('COMMIT');
+        return released;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+
+module.exports = {
+    STORAGE_DRIVERS,
+    DEFAULT_DRIVER,
+    createLocalDriver,
+    createS3Driver,
+    getStorage,
+    hashContent,
+    storageKeyFor,
+    storeContent,
+    openUpload,
+    sendUpload,
+    lockStorageKey,
+    releaseUpload,
+    releaseUploadLocked
+};
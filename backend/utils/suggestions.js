@@ -0,0 +1,221 @@
+// ============================================
+// CATEGORY SUGGESTIONS
+// File: utils/suggestions.js
+// Purpose: Suggest a category for a description from the user's own
+//          history (token-frequency model, no outside service)
+// ============================================
+
+const { categoryPathsCte } = require('./categories');
+
+// Below this the add form does not prefill and import preview flags the row
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+
+// How much history the model learns from (newest first)
+const MAX_HISTORY = 5000;
+
+// Words that say nothing about the category
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'to', 'from', 'of', 'at', 'in', 'on', 'by', 'with',
+    'pos', 'upi', 'imps', 'neft', 'rtgs', 'ach', 'ref', 'txn', 'trf', 'payment', 'purchase'
+]);
+
+
+/**
+ * Split a description into lower-case words; numbers-only tokens
+ * (card numbers, references, dates) are dropped
+ * @param {string} description - Transaction description
+ * @returns {string[]} Tokens
+ */
+function tokenize(description) {
+    return String(description || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length >= 2 && !/^\d+$/.test(token) && !STOP_WORDS.has(token));
+}
+
+
+/**
+ * Build the model from categorised history
+ * @param {Array} rows - [{ category_id, description }]
+ * @returns {Object} Model for suggestCategories()
+ */
+function buildModel(rows) {
+    const model = {
+        total: 0,
+        vocabulary: new Set(),
+        categories: new Map(),  // category_id -> { count, tokenTotal, tokens: Map }
+        exact: new Map()        // normalized description -> Map(category_id -> count)
+    };
+
+    rows.forEach(row => {
+        const tokens = tokenize(row.description);
+        if (tokens.length === 0) return;
+
+        let category = model.categories.get(row.category_id);
+        if (!category) {
+            category = { count: 0, tokenTotal: 0, tokens: new Map() };
+            model.categories.set(row.category_id, category);
+        }
+        category.count++;
+        model.total++;
+
+        tokens.forEach(token => {
+            category.tokens.set(token, (category.tokens.get(token) || 0) + 1);
+            category.tokenTotal++;
+            model.vocabulary.add(token);
+        });
+
+        const key = tokens.join(' ');
+        if (!model.exact.has(key)) model.exact.set(key, new Map());
+        const seen = model.exact.get(key);
+        seen.set(row.category_id, (seen.get(row.category_id) || 0) + 1);
+    });
+
+    return model;
+}
+
+
+/**
+ * Ranked category suggestions for a description.
+ * A description seen before ("nearest match") is answered from what it was
+ * categorised as; anything else by naive Bayes over its words, with the
+ * confidence scaled down by the share of words the model has never seen.
+ * @param {Object} model - From buildModel()
+ * @param {string} description - New transaction description
+ * @param {number} limit - Max suggestions
+ * @returns {Array} [{ category_id, confidence (0-1), source: 'exact' | 'tokens' }]
+ */
+function suggestCategories(model, description, limit = 3) {
+    const tokens = tokenize(description);
+    if (tokens.length === 0 || model.total === 0) {
+        return [];
+    }
+
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    const seen = model.exact.get(tokens.join(' '));
+    if (seen) {
+        const total = [...seen.values()].reduce((sum, count) => sum + count, 0);
+        return [...seen.entries()]
+            .map(([categoryId, count]) => ({ category_id: categoryId, confidence: round(count / total), source: 'exact' }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, limit);
+    }
+
+    const known = tokens.filter(token => model.vocabulary.has(token));
+    if (known.length === 0) {
+        return [];
+    }
+    const coverage = known.length / tokens.length;
+    const vocabularySize = model.vocabulary.size;
+
+    // log P(category) + sum log P(token | category), Laplace-smoothed
+    const scores = [...model.categories.entries()].map(([categoryId, category]) => {
+        let score = Math.log(category.count / model.total);
+        known.forEach(token => {
+            score += Math.log(((category.tokens.get(token) || 0) + 1) / (category.tokenTotal + vocabularySize));
+        });
+        return { categoryId, score };
+    });
+
+    const best = Math.max(...scores.map(s => s.score));
+    const weights = scores.map(s => ({ categoryId: s.categoryId, weight: Math.exp(s.score - best) }));
+    const weightTotal = weights.reduce((sum, w) => sum + w.weight, 0);
+
+    return weights
+        .map(w => ({ category_id: w.categoryId, confidence: round((w.weight / weightTotal) * coverage), source: 'tokens' }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, limit);
+}
+
+
+/**
+ * Load the user's categorised history and build the model
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {string|null} transactionType - Only learn from income / expense
+ * @returns {Promise<Object>} Model
+ */
+async function loadSuggestionModel(queryable, userId, transactionType = null) {
+    const params = [userId, MAX_HISTORY];
+    let typeCondition = '';
+    if (transactionType) {
+        params.push(transactionType);
+        typeCondition = 'AND t.transaction_type = $3';
+    }
+
+    const result = await queryable.query(
+        `SELECT t.category_id, t.description
+         FROM transactions t
+         JOIN categories c ON c.id = t.category_id
+         WHERE t.user_id = $1
+         AND t.transaction_type <> 'transfer'
+         AND COALESCE(t.description, '') <> ''
+         ${typeCondition}
+         ORDER BY t.transaction_date DESC, t.id DESC
+         LIMIT $2`,
+        params
+    );
+
+    return buildModel(result.rows);
+}
+
+
+/**
+ * Lazily built models per transaction type, for flows that suggest
+ * for many rows (import) without reloading history for each one
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @returns {Function} async (transactionType|null) => model
+ */
+function createModelCache(queryable, userId) {
+    const models = new Map();
+    return async (transactionType = null) => {
+        const key = transactionType || 'all';
+        if (!models.has(key)) {
+            models.set(key, await loadSuggestionModel(queryable, userId, transactionType));
+        }
+        return models.get(key);
+    };
+}
+
+
+/**
+ * Add name / full_name ("Food > Groceries") to suggestions
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {Array} suggestions - From suggestCategories() (may be several lists flattened)
+ * @returns {Promise<Map>} category_id -> { name, full_name, transaction_type }
+ */
+async function loadCategoryNames(queryable, userId, suggestions) {
+    const ids = [...new Set(suggestions.map(s => s.category_id))];
+    const names = new Map();
+    if (ids.length === 0) {
+        return names;
+    }
+
+    const result = await queryable.query(
+        `WITH RECURSIVE ${categoryPathsCte('$1')}
+         SELECT c.id, c.name, c.transaction_type, cp.full_name
+         FROM categories c
+         LEFT JOIN category_paths cp ON cp.id = c.id
+         WHERE c.user_id = $1 AND c.id = ANY($2::int[])`,
+        [userId, ids]
+    );
+    result.rows.forEach(row => {
+        names.set(row.id, { name: row.name, full_name: row.full_name || row.name, transaction_type: row.transaction_type });
+    });
+
+    return names;
+}
+
+
+module.exports = {
+    LOW_CONFIDENCE_THRESHOLD,
+    tokenize,
+    buildModel,
+    suggestCategories,
+    loadSuggestionModel,
+    createModelCache,
+    loadCategoryNames
+};
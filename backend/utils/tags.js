@@ -0,0 +1,155 @@
+// ============================================
+// TRANSACTION TAGS
+// File: utils/tags.js
+// Purpose: Tag names, resolving tag ids/names and linking tags to
+//          transactions (many-to-many via transaction_tags)
+// ============================================
+
+const MAX_TAG_LENGTH = 50;
+
+
+/**
+ * Clean up a tag name ("  Trip  Dubai " -> "Trip Dubai")
+ * @param {string} name - Tag name from user input
+ * @returns {string|null} Normalized name, or null when empty / too long
+ */
+function normalizeTagName(name) {
+    if (name === null || name === undefined) {
+        return null;
+    }
+
+    const normalized = String(name).trim().replace(/\s+/g, ' ');
+    if (!normalized || normalized.length > MAX_TAG_LENGTH) {
+        return null;
+    }
+
+    return normalized;
+}
+
+
+/**
+ * Split a list of tags into ids and names.
+ * Accepts an array or a comma-separated string; numbers are tag ids,
+ * anything else a tag name.
+ * @param {Array|string} tags - Tags from a body or query string
+ * @returns {Object} { ids: number[], names: string[] }
+ */
+function splitTagList(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const ids = [];
+    const names = [];
+
+    list.forEach(tag => {
+        if (typeof tag === 'number' || /^\d+$/.test(String(tag).trim())) {
+            ids.push(parseInt(tag));
+        } else {
+            const name = normalizeTagName(tag);
+            if (name) {
+                names.push(name);
+            }
+        }
+    });
+
+    return { ids: [...new Set(ids)], names: [...new Set(names)] };
+}
+
+
+/**
+ * Resolve tags to ids, creating tags given by a name that does not exist yet
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @param {Array|string} tags - Tag ids and/or names
+ * @returns {Promise<Object>} { tagIds } or { error }
+ */
+async function resolveTagIds(queryable, userId, tags) {
+    const { ids, names } = splitTagList(tags);
+    const tagIds = new Set();
+
+    if (ids.length > 0) {
+        const owned = await queryable.query(
+            'SELECT id FROM tags WHERE user_id = $1 AND id = ANY($2::int[])',
+            [userId, ids]
+        );
+        if (owned.rows.length !== ids.length) {
+            return { error: 'Tag not found' };
+        }
+        owned.rows.forEach(row => tagIds.add(row.id));
+    }
+
+    for (const name of names) {
+        const result = await queryable.query(
+            `INSERT INTO tags (user_id, name)
+             VALUES ($1, $2)
+             ON CONFLICT (user_id, LOWER(name)) DO UPDATE SET name = tags.name
+             RETURNING id`,
+            [userId, name]
+        );
+        tagIds.add(result.rows[0].id);
+    }
+
+    return { tagIds: [...tagIds] };
+}
+
+
+/**
+ * Replace the tags of a transaction
+ * @param {Object} queryable - pg pool or client
+ * @param {number} transactionId - transactions.id
+ * @param {number[]} tagIds - Resolved tag ids (empty removes all tags)
+ */
+async function setTransactionTags(queryable, transactionId, tagIds) {
+    await queryable.query('DELETE FROM transaction_tags WHERE transaction_id = $1', [transactionId]);
+
+    if (tagIds.length > 0) {
+        await queryable.query(
+            `INSERT INTO transaction_tags (transaction_id, tag_id)
+             SELECT $1, UNNEST($2::int[])
+             ON CONFLICT DO NOTHING`,
+            [transactionId, tagIds]
+        );
+    }
+}
+
+
+/**
+ * Add tags to a transaction, keeping the ones it already has
+ * @param {Object} queryable - pg pool or client
+ * @param {number} transactionId - transactions.id
+ * @param {number[]} tagIds - Resolved tag ids
+ */
+async function addTransactionTags(queryable, transactionId, tagIds) {
+    if (tagIds.length === 0) {
+        return;
+    }
+
+    await queryable.query(
+        `INSERT INTO transaction_tags (transaction_id, tag_id)
+         SELECT $1, UNNEST($2::int[])
+         ON CONFLICT DO NOTHING`,
+        [transactionId, tagIds]
+    );
+}
+
+
+/**
+ * SQL subquery: tags of a transaction as a JSON array (null when untagged)
+ * @param {string} alias - transactions alias (default 't')
+ * @returns {string} SQL expression
+ */
+function transactionTagsSql(alias = 't') {
+    return `(SELECT json_agg(json_build_object('id', tg.id, 'name', tg.name, 'color', tg.color) ORDER BY tg.name)
+             FROM transaction_tags tt
+             JOIN tags tg ON tt.tag_id = tg.id
+             WHERE tt.transaction_id = ${alias}.id)`;
+}
+
+
+module.exports = {
+    MAX_TAG_LENGTH,
+    normalizeTagName,
+    splitTagList,
+    resolveTagIds,
+    setTransactionTags,
+    addTransactionTags,
+    transactionTagsSql
+};
@@ -0,0 +1,132 @@
+// ============================================
+// TRANSACTION TYPES & PAYMENT METHODS
+// File: utils/transactionTypes.js
+// Purpose: Direction of money (income / expense / transfer) kept apart
+//          from the instrument it moved with (cash, credit card, ...)
+// ============================================
+
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+
+const PAYMENT_METHODS = ['cash', 'debit_card', 'credit_card', 'bank_transfer', 'upi', 'cheque', 'other'];
+
+// Legacy `mode` values and what they mean in type + payment method terms
+const LEGACY_MODES = {
+    'Income': { transactionType: 'income', paymentMethod: null },
+    'Expense': { transactionType: 'expense', paymentMethod: null },
+    'Credit Card': { transactionType: 'expense', paymentMethod: 'credit_card' },
+    'Debit Card': { transactionType: 'expense', paymentMethod: 'debit_card' },
+    'Cash Payment': { transactionType: 'expense', paymentMethod: 'cash' },
+    'Transfer': { transactionType: 'transfer', paymentMethod: null }
+};
+
+
+/**
+ * Map a legacy mode ("Credit Card", "income", "cc") to type + payment method
+ * @param {string} mode - Mode label
+ * @returns {Object|null} { transactionType, paymentMethod }, or null when unknown
+ */
+function classifyMode(mode) {
+    if (!mode) {
+        return null;
+    }
+
+    const lower = String(mode).trim().toLowerCase();
+    if (lower === 'cc') {
+        return LEGACY_MODES['Credit Card'];
+    }
+    if (lower === 'cash') {
+        return LEGACY_MODES['Cash Payment'];
+    }
+
+    const match = Object.keys(LEGACY_MODES).find(label => label.toLowerCase() === lower);
+    return match ? LEGACY_MODES[match] : null;
+}
+
+
+/**
+ * Legacy mode label for a type + payment method (kept in the `mode`
+ * column so older clients and exports keep their labels)
+ * @param {string} transactionType - income / expense / transfer
+ * @param {string|null} paymentMethod - One of PAYMENT_METHODS
+ * @returns {string} Mode label
+ */
+function legacyMode(transactionType, paymentMethod = null) {
+    if (transactionType === 'income') return 'Income';
+    if (transactionType === 'transfer') return 'Transfer';
+    if (paymentMethod === 'credit_card') return 'Credit Card';
+    if (paymentMethod === 'debit_card') return 'Debit Card';
+    if (paymentMethod === 'cash') return 'Cash Payment';
+    return 'Expense';
+}
+
+
+/**
+ * Normalize a payment method ("Credit Card" -> "credit_card")
+ * @param {string} value - Payment method from user input
+ * @returns {string|null|undefined} Method, null when empty, undefined when invalid
+ */
+function normalizePaymentMethod(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+
+    const method = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return PAYMENT_METHODS.includes(method) ? method : undefined;
+}
+
+
+/**
+ * Read type + payment method from a request body or import row.
+ * `transaction_type` (+ optional `payment_method`) wins; otherwise the
+ * legacy `mode` is mapped. An explicit payment_method overrides the one
+ * implied by the mode.
+ * @param {Object} body - { transaction_type, payment_method, mode }
+ * @returns {Object|null} { transactionType, paymentMethod, mode }, { error },
+ *                        or null when neither a type nor a mode was given
+ */
+function resolveTransactionType(body) {
+    const { transaction_type, payment_method, mode } = body || {};
+    let resolved;
+
+    if (transaction_type) {
+        const transactionType = String(transaction_type).trim().toLowerCase();
+        if (!TRANSACTION_TYPES.includes(transactionType)) {
+            return { error: `Invalid transaction_type: ${transaction_type}. Use: ${TRANSACTION_TYPES.join(', ')}` };
+        }
+        resolved = { transactionType, paymentMethod: null };
+    } else if (mode) {
+        resolved = classifyMode(mode);
+        if (!resolved) {
+            return { error: `Invalid mode: ${mode}. Use: ${Object.keys(LEGACY_MODES).join(', ')}` };
+        }
+        resolved = { ...resolved };
+    } else {
+        return null;
+    }
+
+    if (payment_method !== undefined && payment_method !== '') {
+        const paymentMethod = normalizePaymentMethod(payment_method);
+        if (paymentMethod === undefined) {
+            return { error: `Invalid payment_method: ${payment_method}. Use: ${PAYMENT_METHODS.join(', ')}` };
+        }
+        resolved.paymentMethod = paymentMethod;
+    }
+
+    // Transfer legs carry no payment instrument
+    if (resolved.transactionType === 'transfer') {
+        resolved.paymentMethod = null;
+    }
+
+    return { ...resolved, mode: legacyMode(resolved.transactionType, resolved.paymentMethod) };
+}
+
+
+module.exports = {
+    TRANSACTION_TYPES,
+    PAYMENT_METHODS,
+    LEGACY_MODES,
+    classifyMode,
+    legacyMode,
+    normalizePaymentMethod,
+    resolveTransactionType
+};
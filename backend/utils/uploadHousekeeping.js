@@ -0,0 +1,111 @@
+// ============================================
+// UPLOAD HOUSEKEEPING
+// File: utils/uploadHousekeeping.js
+// Purpose: Reconcile the uploads table against storage: delete stored
+//          files no row points at (e.g. the insert failed after the file
+//          was written) and rows whose file is gone
+// Used by: nightly cron in server.js
+// ============================================
+
+const fs = require('fs');
+const db = require('../config/db');
+const { STORAGE_DRIVERS, DEFAULT_DRIVER, getStorage, releaseUploadLocked } = require('./storage');
+
+// Files younger than this may belong to an upload still being saved
+const DEFAULT_GRACE_MINUTES = 60;
+
+
+/**
+ * Reconcile one storage driver
+ * @param {Object} storage - From getStorage()
+ * @param {Object} options - { dryRun, cutoff (Date) }
+ * @returns {Promise<Object>} { driver, stored_files, orphan_files, orphan_rows, skipped_rows }
+ */
+async function reconcileDriver(storage, { dryRun, cutoff }) {
+    const stored = await storage.list();
+    const storedKeys = new Set(stored.map(file => file.key));
+
+    // Rows on this driver, plus old local rows that only have a file_path
+    const rows = await db.query(
+        `SELECT id, user_id, storage_key, file_path, created_at
+         FROM uploads
+         WHERE storage_driver = $1 OR ($2 AND storage_key IS NULL)`,
+        [storage.name, storage.name === 'local']
+    );
+    const rowKey = (row) => row.storage_key || (row.file_path ? storage.keyForPath(row.file_path) : null);
+    const referenced = new Set(rows.rows.map(rowKey).filter(Boolean));
+
+    // Old rows (no storage_key) are checked at their own file_path, which
+    // need not be under the storage root (UPLOADS_DIR moved, migration not
+    // run); without a file_path there is nothing to check, so they stay
+    const rowMissing = (row) => {
+        if (row.storage_key) {
+            return !storedKeys.has(row.storage_key);
+        }
+        return Boolean(row.file_path) && !fs.existsSync(row.file_path);
+    };
+
+    // ✅ Files without a row; removed under the key lock after checking
+    // again, since an upload may be reusing an old file right now
+    const orphanFiles = stored.filter(file => !referenced.has(file.key) && file.modified < cutoff);
+    for (const file of orphanFiles) {
+        console.log(`🧹 ${dryRun ? 'Would remove' : 'Removing'} orphan file ${storage.name}:${file.key}`);
+        if (!dryRun) await releaseUploadLocked(db, { storage_driver: storage.name, storage_key: file.key });
+    }
+
+    // ✅ Rows without a file; an empty listing next to existing rows looks
+    // like a misconfigured bucket / directory, so rows are then left alone
+    const orphanRows = rows.rows.filter(row => new Date(row.created_at) < cutoff && rowMissing(row));
+    const skipRows = stored.length === 0 && rows.rows.length > 0;
+    if (skipRows) {
+        console.warn(`⚠️ ${storage.name} storage is empty but ${rows.rows.length} upload(s) point at it; not removing rows`);
+    } else if (orphanRows.length > 0) {
+        console.log(`🧹 ${dryRun ? 'Would remove' : 'Removing'} ${orphanRows.length} upload row(s) without a file on ${storage.name}`);
+        if (!dryRun) {
+            await db.query('DELETE FROM uploads WHERE id = ANY($1::int[])', [orphanRows.map(row => row.id)]);
+        }
+    }
+
+    return {
+        driver: storage.name,
+        stored_files: stored.length,
+        orphan_files: orphanFiles.map(file => file.key),
+        orphan_rows: skipRows ? [] : orphanRows.map(row => ({ id: row.id, user_id: row.user_id })),
+        skipped_rows: skipRows
+    };
+}
+
+
+/**
+ * Reconcile every driver in use (the configured one and any that rows
+ * still point at); a driver that is not configured here is skipped
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would be removed
+ * @param {number} options.graceMinutes - Leave anything younger alone
+ * @returns {Promise<Object>} { drivers: [per driver summary], errors }
+ */
+async function reconcileUploads({ dryRun = false, graceMinutes = DEFAULT_GRACE_MINUTES } = {}) {
+    const cutoff = new Date(Date.now() - graceMinutes * 60 * 1000);
+
+    const used = await db.query('SELECT DISTINCT storage_driver FROM uploads WHERE storage_driver IS NOT NULL');
+    const names = [...new Set([DEFAULT_DRIVER, ...used.rows.map(row => row.storage_driver)])]
+        .filter(name => STORAGE_DRIVERS.includes(name));
+
+    const summary = { drivers: [], errors: [] };
+    for (const name of names) {
+        try {
+            summary.drivers.push(await reconcileDriver(getStorage(name), { dryRun, cutoff }));
+        } catch (error) {
+            console.error(`❌ Upload reconcile failed for ${name} storage:`, error.message);
+            summary.errors.push(`${name}: ${error.message}`);
+        }
+    }
+
+    return summary;
+}
+
+
+module.exports = {
+    DEFAULT_GRACE_MINUTES,
+    reconcileUploads
+};
@@ -0,0 +1,83 @@
+// ============================================
+// UPLOAD QUOTA
+// File: utils/uploadQuota.js
+// Purpose: How much each user may upload (users.storage_quota_bytes, or
+//          UPLOAD_QUOTA_MB for everyone without one) and how much they use
+// ============================================
+
+const DEFAULT_QUOTA_BYTES = (parseInt(process.env.UPLOAD_QUOTA_MB) || 100) * 1024 * 1024;
+
+
+/**
+ * Human-readable size ("1.5 MB")
+ * @param {number} bytes - Size
+ * @returns {string} Size with unit
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+
+/**
+ * A user's quota and usage. A file uploaded twice is stored once (see
+ * utils/storage.js), so it counts once.
+ * @param {Object} queryable - pg pool or client
+ * @param {number} userId - Owner
+ * @returns {Promise<Object>} { used_bytes, quota_bytes, remaining_bytes, file_count, percent_used }
+ */
+async function getStorageUsage(queryable, userId) {
+    const result = await queryable.query(
+        `SELECT u.storage_quota_bytes,
+                COALESCE(SUM(up.file_size), 0) as used_bytes,
+                COUNT(up.id)::int as file_count
+         FROM users u
+         LEFT JOIN uploads up ON up.user_id = u.id
+         WHERE u.id = $1
+         GROUP BY u.id`,
+        [userId]
+    );
+
+    const row = result.rows[0] || {};
+    const quotaBytes = row.storage_quota_bytes !== null && row.storage_quota_bytes !== undefined
+        ? parseInt(row.storage_quota_bytes)
+        : DEFAULT_QUOTA_BYTES;
+    const usedBytes = parseInt(row.used_bytes) || 0;
+
+    return {
+        used_bytes: usedBytes,
+        quota_bytes: quotaBytes,
+        remaining_bytes: Math.max(quotaBytes - usedBytes, 0),
+        file_count: row.file_count || 0,
+        percent_used: quotaBytes > 0 ? Math.round((usedBytes / quotaBytes) * 1000) / 10 : 100
+    };
+}
+
+
+/**
+ * Why a new file does not fit, if it does not
+ * @param {Object} usage - From getStorageUsage()
+ * @param {number} size - Size of the new file in bytes
+ * @returns {string|null} Error message, or null when it fits
+ */
+function quotaError(usage, size) {
+    if (usage.used_bytes + size <= usage.quota_bytes) {
+        return null;
+    }
+    return `Storage quota exceeded: ${formatBytes(usage.used_bytes)} of ${formatBytes(usage.quota_bytes)} used, ` +
+        `this file needs ${formatBytes(size)} (${formatBytes(usage.remaining_bytes)} left). Delete some files to make room.`;
+}
+
+
+module.exports = {
+    DEFAULT_QUOTA_BYTES,
+    formatBytes,
+    getStorageUsage,
+    quotaError
+};
@@ -6,6 +6,8 @@ const API_URL = 'https://api.fairox.co.in/api/pfms';
 const PFMS_API_URL = 'https://api.fairox.co.in/api/pfms';
 const RECURRING_API_URL = 'https://api.fairox.co.in/api/recurring';
 const BUDGET_API_URL = 'https://api.fairox.co.in/api/budget';
+const EXCHANGE_API_URL = 'https://api.fairox.co.in/api/exchange-rates';
+const UPLOAD_API_URL = 'https://api.fairox.co.in/api/upload';
 
 // ✅ Checks multiple keys like admin page does
 function getAuthToken() {
@@ -24,6 +26,88 @@ let allCategories = [];
 let currentPage = 1;
 let privacyMode = localStorage.getItem('pfmsPrivacyMode') === 'true';
 let statsData = {};
+let statsCurrencies = [];
+let statsConverted = null;
+let baseCurrency = null;
+
+// Labels for transactions.payment_method (transaction_type says income / expense / transfer)
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Cash',
+    debit_card: 'Debit Card',
+    credit_card: 'Credit Card',
+    bank_transfer: 'Bank Transfer',
+    upi: 'UPI',
+    cheque: 'Cheque',
+    other: 'Other'
+};
+
+const TYPE_COLORS = { income: '#4CAF50', expense: '#FF9800', transfer: '#2196F3' };
+
+// ✅ Preferred symbols; any other ISO 4217 code falls back to Intl
+const CURRENCY_SYMBOLS = {
+    'INR': '₹',
+    'SAR': '﷼',
+    'USD': '$',
+    'EUR': '€',
+    'GBP': '£',
+    'AED': 'د.إ'
+};
+
+function getCurrencySymbol(code) {
+    if (!code) return '';
+    if (CURRENCY_SYMBOLS[code]) return CURRENCY_SYMBOLS[code];
+    try {
+        const part = new Intl.NumberFormat('en', { style: 'currency', currency: code, currencyDisplay: 'narrowSymbol' })
+            .formatToParts(0)
+            .find(p => p.type === 'currency');
+        return part ? part.value : code;
+    } catch (error) {
+        return code;
+    }
+}
+
+function isValidCurrencyCode(code) {
+    if (!/^[A-Z]{3}$/.test(code || '')) return false;
+    return typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('currency').includes(code)
+        : true;
+}
+
+// ✅ Currencies the user works with (accounts + stats), INR/SAR when empty
+function getUserCurrencies() {
+    const codes = new Set([
+        ...allAccounts.map(a => a.currency),
+        ...statsCurrencies.map(c => c.currency)
+    ].filter(Boolean));
+    return codes.size > 0 ? [...codes].sort() : ['INR', 'SAR'];
+}
+
+// ✅ Fill every currency dropdown from getUserCurrencies(), keeping the selection
+function populateCurrencySelects() {
+    const selects = {
+        currency: 'Select Currency',
+        filterCurrency: 'All Currencies',
+        recurringCurrency: null,
+        budgetCurrency: null,
+        overviewCurrencyFilter: 'Select Currency',
+        editCurrency: null
+    };
+
+    Object.entries(selects).forEach(([id, placeholder]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+
+        const current = select.value;
+        const options = getUserCurrencies().map(code =>
+            `<option value="${code}">${code} (${getCurrencySymbol(code)})</option>`
+        ).join('');
+
+        select.innerHTML = (placeholder !== null ? `<option value="">${placeholder}</option>` : '') + options;
+        if (current && [...select.options].some(o => o.value === current)) {
+            select.value = current;
+        }
+    });
+}
 
 let selectedMonth = new Date().getMonth() + 1;
 let selectedYear = new Date().getFullYear();
@@ -47,8 +131,16 @@ document.addEventListener('DOMContentLoaded', () => {
         loadAccounts();
         updateAmountLabel();
     });
-    document.getElementById('mode').addEventListener('change', loadCategories);
+    document.getElementById('mode').addEventListener('change', async () => {
+        await loadCategories();
+        suggestCategory();
+    });
     document.getElementById('transactionForm').addEventListener('submit', addTransaction);
+    document.getElementById('description').addEventListener('input', scheduleCategorySuggestion);
+    document.getElementById('categorySelect').addEventListener('change', () => {
+        categoryPrefilled = false;
+        setCategoryHint('');
+    });
     
     setTimeout(() => {
         console.log('⏳ Initializing recurring transactions...');
@@ -67,6 +159,7 @@ document.addEventListener('DOMContentLoaded', () => {
     setTimeout(() => {
         console.log('⏳ Initializing budget...');
         loadBudgetCategories();      // Load unique categories (no duplicates, no undefined)
+        loadBudgetSettings();        // Month start day (e.g. 25 for salary on the 25th)
         loadBudgetStatus();          // Load combined budget status (all payment modes combined)
         console.log('✅ Budget initialized');
     }, 600);
@@ -153,18 +246,27 @@ function closeModal(modalId) {
 // ============================================
 
 async function loadInitialData() {
+    await loadBaseCurrency();
     await loadStats();
     await loadAccounts();
     await loadCategories();
+    await loadRules();
     await loadTransactions();
 }
 
 async function loadStats() {
     try {
-        const data = await apiCall('/stats');
+        // Totals in the base currency too, once one is set
+        const data = await apiCall(baseCurrency ? '/stats?convert_to=base' : '/stats');
         if (data && data.success) {
             statsData = data.summary;
+            statsConverted = data.converted || null;
+            statsCurrencies = data.currencies || Object.keys(data.summary || {}).map(code => ({
+                currency: code.toUpperCase(),
+                ...data.summary[code]
+            }));
             updateStatsDisplay();
+            populateCurrencySelects();
         }
     } catch (error) {
         console.error('Error loading stats:', error);
@@ -227,53 +329,148 @@ function initPrivacyMode() {
     }
 }
 
+// ✅ One row of four cards per currency returned by /stats
+const STAT_CARDS = [
+    { key: 'income', label: 'Income', icon: '📈', color: '#2180A1', rgb: '33, 128, 141' },
+    { key: 'expense', label: 'Expense', icon: '📉', color: '#E68161', rgb: '230, 129, 97' },
+    { key: 'balance', label: 'Balance', icon: '⚖️', color: '#4CAF50', rgb: '76, 175, 80' },
+    { key: 'creditCard', label: 'Credit Card', icon: '💳', color: '#2196F3', rgb: '33, 150, 243' }
+];
+
 function updateStatsDisplay() {
     try {
-        if (privacyMode) {
-            let inrIncome = 0, inrExpense = 0, inrCreditCard = 0;
-            if (statsData.inr) {
-                inrIncome = statsData.inr.income || 0;
-                inrExpense = statsData.inr.expense || 0;
-                inrCreditCard = statsData.inr.creditCard || 0;
-            }
-            
-            let sarIncome = 0, sarExpense = 0, sarCreditCard = 0;
-            if (statsData.sar) {
-                sarIncome = statsData.sar.income || 0;
-                sarExpense = statsData.sar.expense || 0;
-                sarCreditCard = statsData.sar.creditCard || 0;
-            }
-            
-            document.getElementById('totalIncomeINR').textContent = '₹' + inrIncome.toFixed(2);
-            document.getElementById('totalExpenseINR').textContent = '₹' + inrExpense.toFixed(2);
-            document.getElementById('totalCreditCardINR').textContent = '₹' + inrCreditCard.toFixed(2);
-            document.getElementById('totalBalanceINR').textContent = '₹' + (inrIncome - inrExpense).toFixed(2);
-            
-            document.getElementById('totalIncomeSAR').textContent = '﷼' + sarIncome.toFixed(2);
-            document.getElementById('totalExpenseSAR').textContent = '﷼' + sarExpense.toFixed(2);
-            document.getElementById('totalCreditCardSAR').textContent = '﷼' + sarCreditCard.toFixed(2);
-            document.getElementById('totalBalanceSAR').textContent = '﷼' + (sarIncome - sarExpense).toFixed(2);
-            
-        } else {
-            const lockedHTML = '<div style="text-align: center; padding: 20px; font-size: 14px; color: #999;">🔒 Click Show to reveal</div>';
-            
-            document.getElementById('totalIncomeINR').innerHTML = lockedHTML;
-            document.getElementById('totalExpenseINR').innerHTML = lockedHTML;
-            document.getElementById('totalCreditCardINR').innerHTML = lockedHTML;
-            document.getElementById('totalBalanceINR').innerHTML = lockedHTML;
-            
-            document.getElementById('totalIncomeSAR').innerHTML = lockedHTML;
-            document.getElementById('totalExpenseSAR').innerHTML = lockedHTML;
-            document.getElementById('totalCreditCardSAR').innerHTML = lockedHTML;
-            document.getElementById('totalBalanceSAR').innerHTML = lockedHTML;
-        }
-        
+        const container = document.getElementById('statsCards');
+        if (!container) return;
+
+        const lockedHTML = '<div style="text-align: center; padding: 20px; font-size: 14px; color: #999;">🔒 Click Show to reveal</div>';
+        const currencies = statsCurrencies.length > 0
+            ? statsCurrencies
+            : getUserCurrencies().map(code => ({ currency: code }));
+
+        container.innerHTML = currencies.map(c => STAT_CARDS.map(card => `
+            <div data-private style="display: ${privacyMode ? 'block' : 'none'}; background: linear-gradient(135deg, rgba(${card.rgb}, 0.15) 0%, rgba(${card.rgb}, 0.05) 100%); border: 2px solid rgba(${card.rgb}, 0.3); border-radius: 12px; padding: 20px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+                <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 15px;">
+                    <span style="font-size: 24px;">${card.icon}</span>
+                    <div style="color: ${card.color}; font-weight: 600; font-size: 14px;">${c.currency} - ${card.label}</div>
+                </div>
+                <div style="font-size: 28px; font-weight: bold; color: ${card.color};">
+                    ${privacyMode ? getCurrencySymbol(c.currency) + (parseFloat(c[card.key]) || 0).toFixed(2) : lockedHTML}
+                </div>
+            </div>
+        `).join('')).join('') + (statsConverted ? renderConvertedStats(statsConverted, lockedHTML) : '');
+
         console.log('✅ Stats display updated');
     } catch (error) {
         console.error('❌ Error updating stats display:', error);
     }
 }
 
+// ✅ All currencies converted to the base currency (+ net worth)
+function renderConvertedStats(c, lockedHTML) {
+    const cards = [
+        ...STAT_CARDS.filter(card => card.key !== 'creditCard'),
+        { key: 'netWorth', label: 'Net Worth', icon: '🏦', color: '#9C27B0', rgb: '156, 39, 176' }
+    ];
+    const missing = c.missingRates > 0 || c.unconvertedAccounts.length > 0
+        ? `<div style="font-size: 12px; color: #E68161; margin-top: 8px;">⚠️ Missing rates: ${c.missingRates} transactions${c.unconvertedAccounts.length ? ', ' + c.unconvertedAccounts.join(', ') : ''}</div>`
+        : '';
+
+    return cards.map(card => `
+        <div data-private style="display: ${privacyMode ? 'block' : 'none'}; background: linear-gradient(135deg, rgba(${card.rgb}, 0.15) 0%, rgba(${card.rgb}, 0.05) 100%); border: 2px dashed rgba(${card.rgb}, 0.4); border-radius: 12px; padding: 20px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 15px;">
+                <span style="font-size: 24px;">${card.icon}</span>
+                <div style="color: ${card.color}; font-weight: 600; font-size: 14px;">All in ${c.currency} - ${card.label}</div>
+            </div>
+            <div style="font-size: 28px; font-weight: bold; color: ${card.color};">
+                ${privacyMode ? c.symbol + (parseFloat(c[card.key]) || 0).toFixed(2) : lockedHTML}
+            </div>
+            ${card.key === 'netWorth' ? missing : ''}
+        </div>
+    `).join('');
+}
+
+// ============================================
+// EXCHANGE RATES & BASE CURRENCY
+// ============================================
+
+async function exchangeApiCall(path, options = {}) {
+    const token = getAuthToken();
+    if (!token) return null;
+
+    try {
+        const response = await fetch(`${EXCHANGE_API_URL}${path}`, {
+            ...options,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showMessage(`❌ ${data.message}`, 'error');
+            return null;
+        }
+        return data;
+    } catch (error) {
+        console.error('❌ Exchange rate API error:', error);
+        return null;
+    }
+}
+
+async function loadBaseCurrency() {
+    const data = await exchangeApiCall('/base-currency');
+    baseCurrency = data && data.success ? data.baseCurrency : null;
+}
+
+async function setBaseCurrency() {
+    const input = prompt('Base currency for converted totals (ISO code, empty to turn off):', baseCurrency || '');
+    if (input === null) return;
+
+    const code = input.trim().toUpperCase();
+    if (code && !isValidCurrencyCode(code)) {
+        showMessage(`❌ Unknown currency code: ${code}`, 'error');
+        return;
+    }
+
+    const data = await exchangeApiCall('/base-currency', {
+        method: 'PUT',
+        body: JSON.stringify({ baseCurrency: code || null })
+    });
+
+    if (data && data.success) {
+        baseCurrency = data.baseCurrency;
+        showMessage(`✅ ${data.message}`, 'success');
+        await loadStats();
+    }
+}
+
+async function addExchangeRate() {
+    const from = (prompt('From currency (e.g. SAR):') || '').trim().toUpperCase();
+    if (!from) return;
+    const to = (prompt('To currency:', baseCurrency || 'INR') || '').trim().toUpperCase();
+    if (!to) return;
+
+    if (!isValidCurrencyCode(from) || !isValidCurrencyCode(to)) {
+        showMessage('❌ Unknown currency code', 'error');
+        return;
+    }
+
+    const rate = prompt(`1 ${from} = ? ${to}`);
+    if (!rate) return;
+    const rateDate = prompt('Valid from (YYYY-MM-DD):', new Date().toISOString().split('T')[0]);
+    if (!rateDate) return;
+
+    const data = await exchangeApiCall('', {
+        method: 'POST',
+        body: JSON.stringify({ fromCurrency: from, toCurrency: to, rate, rateDate })
+    });
+
+    if (data && data.success) {
+        showMessage(`✅ ${data.message}`, 'success');
+        await loadStats();
+    }
+}
+
 // ============================================
 // ACCOUNTS & CATEGORIES LOADING
 // ============================================
@@ -297,13 +494,14 @@ async function loadAccounts() {
         });
 
         updateAccountsTable();
+        populateCurrencySelects();
     }
 }
 
 async function loadCategories() {
-    const mode = document.getElementById('mode').value;
+    const type = document.getElementById('mode').value;
     let url = '/categories';
-    if (mode) url += `?mode=${mode}`;
+    if (type) url += `?transaction_type=${type}`;
 
     const data = await apiCall(url);
     if (data && data.success) {
@@ -314,7 +512,7 @@ async function loadCategories() {
         allCategories.forEach(c => {
             const option = document.createElement('option');
             option.value = c.id;
-            option.textContent = c.name;
+            option.textContent = c.full_name || c.name;
             select.appendChild(option);
         });
 
@@ -324,17 +522,21 @@ async function loadCategories() {
 
 async function loadTransactions(page = 1) {
     const currency = document.getElementById('filterCurrency').value;
-    const mode = document.getElementById('filterMode').value;
+    const type = document.getElementById('filterMode').value;
+    const paymentMethod = document.getElementById('filterPaymentMethod') ? document.getElementById('filterPaymentMethod').value : '';
     const fromDate = document.getElementById('filterFromDate').value;
     const toDate = document.getElementById('filterToDate').value;
     const search = document.getElementById('searchInput').value;
+    const tagsFilter = document.getElementById('filterTags') ? document.getElementById('filterTags').value.trim() : '';
 
     let url = `/transactions?page=${page}&limit=10`;
     if (currency) url += `&currency=${currency}`;
-    if (mode) url += `&mode=${mode}`;
+    if (type) url += `&transaction_type=${type}`;
+    if (paymentMethod) url += `&payment_method=${paymentMethod}`;
     if (fromDate) url += `&from_date=${fromDate}`;
     if (toDate) url += `&to_date=${toDate}`;
     if (search) url += `&search=${search}`;
+    if (tagsFilter) url += `&tags=${encodeURIComponent(tagsFilter)}`;
 
     const data = await apiCall(url);
     if (data && data.success) {
@@ -358,19 +560,240 @@ function displayTransactions() {
         <tr>
             <td>${new Date(t.transaction_date).toLocaleDateString()}</td>
             <td>${t.account_name}</td>
-            <td>${t.category_name}</td>
-            <td>${t.description || '-'}</td>
+            <td>${t.transaction_type === 'transfer' ? `${t.transfer_direction === 'out' ? '→' : '←'} ${t.transfer_account_name || ''}` : formatTransactionCategory(t)}</td>
+            <td>${t.description || '-'}${formatTransactionTags(t)}</td>
             <td>${parseFloat(t.amount).toFixed(2)}</td>
             <td>${t.currency}</td>
-            <td><span class="badge" style="background: ${t.mode === 'Income' ? '#4CAF50' : t.mode === 'Expense' ? '#FF9800' : '#2196F3'}; color: white; padding: 4px 8px; border-radius: 3px;">${t.mode}</span></td>
+            <td>${formatTransactionType(t)}</td>
             <td>
                 <button class="btn-icon" onclick="editTransaction(${t.id})" title="Edit">✎</button>
+                <button class="btn-icon" onclick="editTransactionTags(${t.id})" title="Tags">🏷️</button>
+                <button class="btn-icon" onclick="showTransactionAttachments(${t.id})" title="Receipts">📎${t.attachment_count ? ` ${t.attachment_count}` : ''}</button>
+                ${t.transfer_id ? '' : `<button class="btn-icon" onclick="splitTransaction(${t.id})" title="Split across categories">✂️</button>`}
                 <button class="btn-icon btn-danger" onclick="deleteTransaction(${t.id})" title="Delete">✕</button>
             </td>
         </tr>
     `).join('');
 }
 
+// ✅ Type badge plus the payment method, e.g. "Expense · Credit Card"
+function formatTransactionType(t) {
+    const type = t.transaction_type || 'expense';
+    const label = type.charAt(0).toUpperCase() + type.slice(1);
+    const method = t.payment_method ? ` · ${PAYMENT_METHOD_LABELS[t.payment_method] || t.payment_method}` : '';
+    return `<span class="badge" style="background: ${TYPE_COLORS[type] || '#2196F3'}; color: white; padding: 4px 8px; border-radius: 3px;">${label}${method}</span>`;
+}
+
+// ✅ Split transactions list every line: "Groceries 40.00, Household 12.50"
+function formatTransactionCategory(t) {
+    if (!t.splits || t.splits.length === 0) return t.category_name;
+    return '✂️ ' + t.splits
+        .map(line => `${line.category_name || 'Uncategorized'} ${parseFloat(line.amount).toFixed(2)}`)
+        .join(', ');
+}
+
+// ✅ Tag chips under the description
+function formatTransactionTags(t) {
+    if (!t.tags || t.tags.length === 0) return '';
+    return '<div style="margin-top: 4px;">' + t.tags.map(tag => `
+        <span style="display: inline-block; background: ${tag.color || '#607D8B'}; color: white; padding: 1px 6px; border-radius: 10px; font-size: 11px; margin: 1px;">#${tag.name}</span>
+    `).join('') + '</div>';
+}
+
+async function editTransactionTags(id) {
+    const t = allTransactions.find(x => x.id === id);
+    if (!t) return;
+
+    const current = (t.tags || []).map(tag => tag.name).join(', ');
+    const input = prompt('Tags (comma-separated, e.g. Trip-Dubai-2026, Reimbursable). New names create tags:', current);
+    if (input === null) return;
+
+    const tags = input.split(',').map(tag => tag.trim()).filter(Boolean);
+    const data = await apiCall(`/transactions/${id}/tags`, {
+        method: 'PUT',
+        body: JSON.stringify({ tags })
+    });
+
+    if (data && data.success) {
+        showMessage('✅ Tags updated!', 'success');
+        await loadTransactions();
+    }
+}
+
+// ✅ Receipts attached to a transaction: upload, download, detach
+let transactionAttachments = [];
+
+async function showTransactionAttachments(id) {
+    const data = await apiCall(`/transactions/${id}/attachments`);
+    if (!data || !data.success) return;
+    transactionAttachments = data.attachments;
+
+    let modal = document.getElementById('attachmentsModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'attachmentsModal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    const rows = data.attachments.map(a => `
+        <li style="margin: 6px 0;">
+            ${a.mime_type === 'application/pdf' ? '📄' : '🖼️'} ${a.original_name}
+            <small style="color: #888;">(${(a.file_size / 1024).toFixed(0)} KB${a.transaction_count > 1 ? `, on ${a.transaction_count} transactions` : ''})</small>
+            <button class="btn-icon" onclick="downloadAttachment(${id}, ${a.id})" title="Download">⬇️</button>
+            <button class="btn-icon btn-danger" onclick="detachAttachment(${id}, ${a.id})" title="Detach">✕</button>
+        </li>
+    `).join('');
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <span class="modal-close" onclick="closeModal('attachmentsModal')">&times;</span>
+            <h2>📎 Receipts</h2>
+            ${data.attachments.length === 0 ? '<p style="color: #666;">No receipts attached.</p>' : `<ul style="padding-left: 10px; list-style: none;">${rows}</ul>`}
+            <div style="margin-top: 15px;">
+                <input type="file" id="receiptFile" accept="image/*,.pdf">
+                <button class="btn btn--primary" onclick="uploadReceipt(${id})">📤 Attach</button>
+            </div>
+        </div>
+    `;
+    openModal('attachmentsModal');
+}
+
+async function uploadReceipt(id) {
+    const file = document.getElementById('receiptFile').files[0];
+    if (!file) {
+        showMessage('❌ Choose an image or PDF first', 'error');
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('transaction_ids', String(id));
+
+    try {
+        const response = await fetch(`${UPLOAD_API_URL}/upload`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${getAuthToken()}` },
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            showMessage(`❌ ${data.message}`, 'error');
+            return;
+        }
+        showMessage('✅ Receipt attached', 'success');
+        await showTransactionAttachments(id);
+        await loadTransactions();
+    } catch (err) {
+        console.error('Receipt upload error:', err);
+        showMessage('❌ Upload failed. Check console for details.', 'error');
+    }
+}
+
+async function downloadAttachment(id, uploadId) {
+    const attachment = transactionAttachments.find(a => a.id === uploadId);
+    const fileName = attachment ? attachment.original_name : `receipt-${uploadId}`;
+
+    try {
+        const response = await fetch(`${API_URL}/transactions/${id}/attachments/${uploadId}/download`, {
+            headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+        });
+        if (!response.ok) {
+            throw new Error(response.statusText);
+        }
+
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(link);
+    } catch (error) {
+        console.error('❌ Receipt download error:', error);
+        showMessage('❌ Download failed: ' + error.message, 'error');
+    }
+}
+
+async function detachAttachment(id, uploadId) {
+    if (!confirm('Detach this receipt? The file stays in your uploads.')) return;
+
+    const data = await apiCall(`/transactions/${id}/attachments/${uploadId}`, { method: 'DELETE' });
+    if (data && data.success) {
+        showMessage('✅ Receipt detached', 'success');
+        await showTransactionAttachments(id);
+        await loadTransactions();
+    }
+}
+
+// ✅ Spread one transaction over several categories; lines must add up to the total
+async function splitTransaction(id) {
+    const t = allTransactions.find(x => x.id === id);
+    if (!t) return;
+
+    const data = await apiCall(`/categories?transaction_type=${t.transaction_type}`);
+    if (!data || !data.success) return;
+
+    const categories = data.categories || [];
+    const total = parseFloat(t.amount);
+    const symbol = getCurrencySymbol(t.currency);
+    const splits = [];
+    let remaining = total;
+
+    while (remaining > 0.004) {
+        const name = prompt(
+            `Split ${symbol}${total.toFixed(2)} (${symbol}${remaining.toFixed(2)} left)\n` +
+            `Category: ${categories.map(c => c.name).join(', ')}\n` +
+            (splits.length === 0 && t.splits ? '(leave empty to remove the split)' : '(leave empty to cancel)')
+        );
+        if (name === null) return;
+        if (name.trim() === '') {
+            // Empty first answer on a split transaction = back to one category
+            if (splits.length === 0 && t.splits) break;
+            return;
+        }
+
+        const category = categories.find(c => c.name.toLowerCase() === name.trim().toLowerCase());
+        if (!category) {
+            showMessage(`❌ Unknown category: ${name}`, 'error');
+            continue;
+        }
+
+        const amount = parseFloat(prompt(`Amount for ${category.name}:`, remaining.toFixed(2)));
+        if (isNaN(amount) || amount <= 0 || amount > remaining + 0.004) {
+            showMessage('❌ Amount must be > 0 and not more than what is left', 'error');
+            continue;
+        }
+
+        const note = prompt(`Note for ${category.name} (optional):`) || '';
+        splits.push({ categoryId: category.id, amount, note });
+        remaining = Math.round((remaining - amount) * 100) / 100;
+    }
+
+    const result = await apiCall(`/transactions/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+            currency: t.currency,
+            account_id: t.account_id,
+            transaction_type: t.transaction_type,
+            payment_method: t.payment_method,
+            category_id: splits.length > 0 ? splits[0].categoryId : t.category_id,
+            transaction_date: t.transaction_date,
+            description: t.description,
+            amount: total,
+            splits
+        })
+    });
+
+    if (result && result.success) {
+        showMessage(splits.length > 0 ? '✅ Transaction split!' : '✅ Split removed', 'success');
+        await loadTransactions();
+    }
+}
+
 function displayPagination(pagination) {
     let html = `
         <div style="margin-top: 20px; display: flex; justify-content: center; gap: 10px; flex-wrap: wrap; align-items: center;">
@@ -408,7 +831,7 @@ function updateAccountsTable() {
     if (!tbody) return;
 
     if (allAccounts.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="3" style="text-align: center;">No accounts</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">No accounts</td></tr>';
         return;
     }
 
@@ -416,7 +839,11 @@ function updateAccountsTable() {
         <tr>
             <td>${a.name}</td>
             <td>${a.currency}</td>
+            <td>${parseFloat(a.balance || 0).toFixed(2)}</td>
             <td>
+                ${a.account_type === 'credit_card' ? `
+                <button class="btn-icon" onclick="showCardStatement(${a.id})" title="Statement">🧾</button>
+                <button class="btn-icon" onclick="openCardPaymentModal(${a.id})" title="Pay card">💳</button>` : ''}
                 <button class="btn-icon" onclick="editAccount(${a.id})">✎</button>
                 <button class="btn-icon btn-danger" onclick="deleteAccount(${a.id})">✕</button>
             </td>
@@ -435,8 +862,8 @@ function updateCategoriesTable() {
 
     tbody.innerHTML = allCategories.map(c => `
         <tr>
-            <td>${c.name}</td>
-            <td><span class="badge" style="background: ${c.mode === 'Income' ? '#4CAF50' : c.mode === 'Expense' ? '#FF9800' : '#2196F3'}; color: white; padding: 4px 8px;">${c.mode}</span></td>
+            <td>${c.full_name || c.name}</td>
+            <td><span class="badge" style="background: ${TYPE_COLORS[c.transaction_type] || '#2196F3'}; color: white; padding: 4px 8px;">${c.transaction_type === 'income' ? 'Income' : 'Expense'}</span></td>
             <td>
                 <button class="btn-icon" onclick="editCategory(${c.id})">✎</button>
                 <button class="btn-icon btn-danger" onclick="deleteCategory(${c.id})">✕</button>
@@ -445,6 +872,67 @@ function updateCategoriesTable() {
     `).join('');
 }
 
+// ============================================
+// CATEGORY SUGGESTION FUNCTIONS
+// ============================================
+
+let categorySuggestionTimer = null;
+let categoryPrefilled = false;
+
+function setCategoryHint(text) {
+    const hint = document.getElementById('categorySuggestionHint');
+    if (hint) hint.textContent = text;
+}
+
+function scheduleCategorySuggestion() {
+    clearTimeout(categorySuggestionTimer);
+    categorySuggestionTimer = setTimeout(suggestCategory, 400);
+}
+
+// Prefill the category from the user's history, unless they picked one themselves
+async function suggestCategory() {
+    const select = document.getElementById('categorySelect');
+    const description = document.getElementById('description').value.trim();
+    const type = document.getElementById('mode').value;
+
+    if (select.value && !categoryPrefilled) return;
+
+    if (description.length < 3) {
+        if (categoryPrefilled) select.value = '';
+        categoryPrefilled = false;
+        setCategoryHint('');
+        return;
+    }
+
+    let url = `/categories/suggest?description=${encodeURIComponent(description)}`;
+    if (type) url += `&transaction_type=${type}`;
+
+    const data = await apiCall(url);
+    if (!data || !data.success) return;
+
+    // The user may have chosen a category while the request was running
+    if (select.value && !categoryPrefilled) return;
+
+    const best = (data.suggestions || []).find(s => select.querySelector(`option[value="${s.category_id}"]`));
+    if (!best) {
+        if (categoryPrefilled) select.value = '';
+        categoryPrefilled = false;
+        setCategoryHint('');
+        return;
+    }
+
+    const percent = Math.round(best.confidence * 100);
+    if (best.confidence >= data.threshold) {
+        select.value = best.category_id;
+        categoryPrefilled = true;
+        setCategoryHint(`💡 Suggested from your history (${percent}% confident)`);
+    } else {
+        if (categoryPrefilled) select.value = '';
+        categoryPrefilled = false;
+        setCategoryHint(`💡 Maybe ${best.full_name || best.name}? (${percent}% confident)`);
+    }
+}
+
 // ============================================
 // TRANSACTION FUNCTIONS
 // ============================================
@@ -454,13 +942,15 @@ async function addTransaction(e) {
 
     const currency = document.getElementById('currency').value;
     const accountId = document.getElementById('accountSelect').value;
-    const mode = document.getElementById('mode').value;
+    const type = document.getElementById('mode').value;
+    const paymentMethod = document.getElementById('paymentMethod').value;
     const categoryId = document.getElementById('categorySelect').value;
     const date = document.getElementById('transactionDate').value;
     const description = document.getElementById('description').value;
     const amount = document.getElementById('amount').value;
 
-    if (!currency || !accountId || !mode || !categoryId || !amount) {
+    // Type and category may be left empty when a rule fills them in
+    if (!currency || !accountId || !amount) {
         showMessage('❌ Please fill all required fields', 'error');
         return;
     }
@@ -470,8 +960,9 @@ async function addTransaction(e) {
         body: JSON.stringify({
             currency,
             account_id: parseInt(accountId),
-            mode,
-            category_id: parseInt(categoryId),
+            transaction_type: type || undefined,
+            payment_method: paymentMethod || undefined,
+            category_id: categoryId ? parseInt(categoryId) : undefined,
             transaction_date: date,
             description,
             amount: parseFloat(amount)
@@ -479,16 +970,23 @@ async function addTransaction(e) {
     });
 
     if (data && data.success) {
-        showMessage('✅ Transaction added successfully!', 'success');
+        const ruleCount = (data.applied_rules || []).length;
+        showMessage(ruleCount > 0 ? `✅ Transaction added (${ruleCount} rule(s) applied)` : '✅ Transaction added successfully!', 'success');
         document.getElementById('transactionForm').reset();
         document.getElementById('transactionDate').valueAsDate = new Date();
+        categoryPrefilled = false;
+        setCategoryHint('');
         await loadTransactions();
         await loadStats();
     }
 }
 
 async function deleteTransaction(id) {
-    if (!confirm('Delete this transaction?')) return;
+    const t = allTransactions.find(x => x.id === id);
+    const message = t && t.transfer_id
+        ? 'Delete this transfer? Both sides of the transfer will be removed.'
+        : 'Delete this transaction?';
+    if (!confirm(message)) return;
 
     const data = await apiCall(`/transactions/${id}`, { method: 'DELETE' });
     if (data && data.success) {
@@ -505,6 +1003,11 @@ function editTransaction(id) {
         return;
     }
 
+    if (t.transfer_id) {
+        editTransfer(t.transfer_id);
+        return;
+    }
+
     let modal = document.getElementById('editTransactionModal');
     if (!modal) {
         modal = document.createElement('div');
@@ -530,15 +1033,22 @@ function editTransaction(id) {
                         </div>
 
                         <div class="form-group">
-                            <label class="form-label">Mode *</label>
+                            <label class="form-label">Type *</label>
                             <select id="editMode" onchange="onEditModeChange()" required style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; font-size: 14px;">
-                                <option value="Income">Income</option>
-                                <option value="Expense">Expense</option>
-                                <option value="Credit Card">Credit Card</option>
+                                <option value="income">Income</option>
+                                <option value="expense">Expense</option>
                             </select>
                         </div>
                     </div>
 
+                    <div class="form-group">
+                        <label class="form-label">Payment Method</label>
+                        <select id="editPaymentMethod" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; font-size: 14px;">
+                            <option value="">Not specified</option>
+                            ${Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+
                     <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
                         <div class="form-group">
                             <label class="form-label">Account *</label>
@@ -587,14 +1097,16 @@ function editTransaction(id) {
     }
 
     document.getElementById('editTransactionId').value = t.id;
+    populateCurrencySelects();
     document.getElementById('editCurrency').value = t.currency;
-    document.getElementById('editMode').value = t.mode;
+    document.getElementById('editMode').value = t.transaction_type;
+    document.getElementById('editPaymentMethod').value = t.payment_method || '';
     document.getElementById('editTransactionDate').value = t.transaction_date;
     document.getElementById('editDescription').value = t.description || '';
     document.getElementById('editAmount').value = t.amount;
 
     loadEditAccounts(t.currency, t.account_id);
-    loadEditCategories(t.mode, t.category_id);
+    loadEditCategories(t.transaction_type, t.category_id);
 
     openModal('editTransactionModal');
 }
@@ -620,9 +1132,9 @@ async function loadEditAccounts(currency, selectedId) {
     }
 }
 
-async function loadEditCategories(mode, selectedId) {
+async function loadEditCategories(type, selectedId) {
     try {
-        const data = await apiCall(`/categories?mode=${mode}`);
+        const data = await apiCall(`/categories?transaction_type=${type}`);
         if (data && data.success) {
             const select = document.getElementById('editCategorySelect');
             if (select) {
@@ -649,9 +1161,9 @@ function onEditCurrencyChange() {
 }
 
 function onEditModeChange() {
-    const mode = document.getElementById('editMode').value;
-    if (mode) {
-        loadEditCategories(mode, null);
+    const type = document.getElementById('editMode').value;
+    if (type) {
+        loadEditCategories(type, null);
     }
 }
 
@@ -661,13 +1173,14 @@ async function saveEditTransaction(e) {
     const id = parseInt(document.getElementById('editTransactionId').value);
     const currency = document.getElementById('editCurrency').value;
     const accountId = document.getElementById('editAccountSelect').value;
-    const mode = document.getElementById('editMode').value;
+    const type = document.getElementById('editMode').value;
+    const paymentMethod = document.getElementById('editPaymentMethod').value;
     const categoryId = document.getElementById('editCategorySelect').value;
     const date = document.getElementById('editTransactionDate').value;
     const description = document.getElementById('editDescription').value;
     const amount = document.getElementById('editAmount').value;
 
-    if (!currency || !accountId || !mode || !categoryId || !amount) {
+    if (!currency || !accountId || !type || !categoryId || !amount) {
         showMessage('❌ Please fill all required fields', 'error');
         return;
     }
@@ -678,7 +1191,8 @@ async function saveEditTransaction(e) {
             body: JSON.stringify({
                 currency,
                 account_id: parseInt(accountId),
-                mode,
+                transaction_type: type,
+                payment_method: paymentMethod || null,
                 category_id: parseInt(categoryId),
                 transaction_date: date,
                 description,
@@ -713,15 +1227,34 @@ async function addAccount() {
     const name = prompt('Account Name:');
     if (!name) return;
 
-    const currency = prompt('Currency (INR/SAR):');
-    if (!currency || !['INR', 'SAR'].includes(currency)) {
+    const currency = (prompt('Currency (ISO code, e.g. INR, SAR, USD):', getUserCurrencies()[0]) || '').trim().toUpperCase();
+    if (!isValidCurrencyCode(currency)) {
         showMessage('❌ Invalid currency', 'error');
         return;
     }
 
+    const account_type = (prompt('Account type (bank/cash/credit_card):', 'bank') || 'bank').trim();
+    if (!['bank', 'cash', 'credit_card'].includes(account_type)) {
+        showMessage('❌ Invalid account type', 'error');
+        return;
+    }
+
+    const body = { name, currency, account_type };
+
+    if (account_type === 'credit_card') {
+        body.credit_limit = parseFloat(prompt('Credit limit:', '0')) || 0;
+        body.statement_day = parseInt(prompt('Statement closing day (1-31):', '20'));
+        body.payment_due_day = parseInt(prompt('Payment due day (1-31):', '10'));
+        // Card balances are negative while money is owed
+        body.opening_balance = -(parseFloat(prompt('Amount currently owed (optional):', '0')) || 0);
+    } else {
+        const openingInput = prompt('Opening Balance (optional):', '0');
+        body.opening_balance = parseFloat(openingInput) || 0;
+    }
+
     const data = await apiCall('/accounts', {
         method: 'POST',
-        body: JSON.stringify({ name, currency })
+        body: JSON.stringify(body)
     });
 
     if (data && data.success) {
@@ -748,6 +1281,251 @@ async function editAccount(id) {
     }
 }
 
+async function showCardStatement(id) {
+    const data = await apiCall(`/accounts/${id}/statement`);
+    if (!data || !data.success) return;
+
+    const st = data.statement;
+    alert(
+        `${st.account_name} - statement closed ${st.closing_date}\n\n` +
+        `Statement balance: ${st.currency} ${st.statement_balance.toFixed(2)}\n` +
+        `Minimum due: ${st.currency} ${st.minimum_due.toFixed(2)}\n` +
+        `Due date: ${st.due_date}\n` +
+        `Paid since statement: ${st.currency} ${st.paid_since_closing.toFixed(2)}\n` +
+        `Remaining due: ${st.currency} ${st.remaining_due.toFixed(2)} (${st.status.replace('_', ' ')})\n\n` +
+        `Unbilled charges: ${st.currency} ${st.unbilled_charges.toFixed(2)}\n` +
+        (st.available_credit !== null ? `Available credit: ${st.currency} ${st.available_credit.toFixed(2)}` : '')
+    );
+}
+
+// Card payments come from a bank or cash account in the card's currency
+function openCardPaymentModal(id) {
+    const card = allAccounts.find(a => a.id === id);
+    const payers = allAccounts.filter(a =>
+        a.id !== id && ['bank', 'cash'].includes(a.account_type) && card && a.currency === card.currency
+    );
+    if (!card || payers.length === 0) {
+        showMessage(`❌ Add a bank or cash account in ${card ? card.currency : 'the card currency'} to pay from`, 'error');
+        return;
+    }
+
+    let modal = document.getElementById('cardPaymentModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'cardPaymentModal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    const fieldStyle = 'width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; font-size: 14px;';
+
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 480px;">
+            <span class="modal-close" onclick="closeModal('cardPaymentModal')">&times;</span>
+            <h2>💳 Pay ${card.name}</h2>
+            <form onsubmit="payCard(event, ${card.id})" style="display: grid; gap: 15px;">
+                <div class="form-group">
+                    <label class="form-label" for="cardPaymentFrom">Pay from *</label>
+                    <select id="cardPaymentFrom" required style="${fieldStyle}">
+                        ${accountOptions(payers, payers[0].id)}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="cardPaymentAmount">Amount (${card.currency})</label>
+                    <input type="number" id="cardPaymentAmount" step="0.01" min="0.01" placeholder="Remaining statement balance" style="${fieldStyle}">
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <button type="submit" class="btn btn--primary">✅ Pay</button>
+                    <button type="button" class="btn btn--secondary" onclick="closeModal('cardPaymentModal')">❌ Cancel</button>
+                </div>
+            </form>
+        </div>
+    `;
+    openModal('cardPaymentModal');
+}
+
+async function payCard(event, id) {
+    event.preventDefault();
+    const card = allAccounts.find(a => a.id === id);
+
+    const amountInput = document.getElementById('cardPaymentAmount').value;
+    const body = { from_account_id: parseInt(document.getElementById('cardPaymentFrom').value) };
+    if (amountInput) body.amount = parseFloat(amountInput);
+
+    const data = await apiCall(`/accounts/${id}/payments`, {
+        method: 'POST',
+        body: JSON.stringify(body)
+    });
+
+    if (data && data.success) {
+        closeModal('cardPaymentModal');
+        showMessage(`✅ Paid ${card.currency} ${data.card_amount.toFixed(2)} to ${card.name}`, 'success');
+        await loadAccounts();
+        await loadTransactions();
+    }
+}
+
+// ============================================
+// TRANSFER FUNCTIONS
+// ============================================
+
+// Transfer being edited in the transfer modal (null = new transfer)
+let editingTransferId = null;
+
+function accountOptions(accounts, selectedId) {
+    return accounts.map(a => `<option value="${a.id}" ${String(a.id) === String(selectedId) ? 'selected' : ''}>${a.name} (${a.currency})</option>`).join('');
+}
+
+// Create / edit form: both accounts picked from the account list, the
+// exchange rate only asked for between currencies
+function openTransferModal(existing = {}, transferId = null) {
+    editingTransferId = transferId;
+
+    let modal = document.getElementById('transferModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'transferModal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    const fieldStyle = 'width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; font-size: 14px;';
+    const transferDate = existing.transfer_date
+        ? String(existing.transfer_date).split('T')[0]
+        : new Date().toISOString().split('T')[0];
+
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 560px;">
+            <span class="modal-close" onclick="closeModal('transferModal')">&times;</span>
+            <h2>${transferId ? '✏️ Edit Transfer' : '🔁 New Transfer'}</h2>
+            <form onsubmit="saveTransfer(event)" style="display: grid; gap: 15px;">
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
+                    <div class="form-group">
+                        <label class="form-label" for="transferFromAccount">From *</label>
+                        <select id="transferFromAccount" onchange="updateTransferForm()" required style="${fieldStyle}">
+                            <option value="">Select Account</option>
+                            ${accountOptions(allAccounts, existing.from_account_id)}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="transferToAccount">To *</label>
+                        <select id="transferToAccount" onchange="updateTransferForm()" required style="${fieldStyle}">
+                            <option value="">Select Account</option>
+                            ${accountOptions(allAccounts, existing.to_account_id)}
+                        </select>
+                    </div>
+                </div>
+
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
+                    <div class="form-group">
+                        <label class="form-label" for="transferAmount" id="transferAmountLabel">Amount *</label>
+                        <input type="number" id="transferAmount" step="0.01" min="0.01" required value="${existing.from_amount || ''}" style="${fieldStyle}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="transferDate">Date *</label>
+                        <input type="date" id="transferDate" required value="${transferDate}" style="${fieldStyle}">
+                    </div>
+                </div>
+
+                <div class="form-group" id="transferRateGroup" style="display: none;">
+                    <label class="form-label" for="transferExchangeRate" id="transferRateLabel">Exchange rate *</label>
+                    <input type="number" id="transferExchangeRate" step="any" min="0" value="${existing.exchange_rate || ''}" style="${fieldStyle}">
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label" for="transferDescription">Description</label>
+                    <input type="text" id="transferDescription" placeholder="Optional" style="${fieldStyle}">
+                </div>
+
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <button type="submit" class="btn btn--primary">✅ ${transferId ? 'Save Changes' : 'Save Transfer'}</button>
+                    <button type="button" class="btn btn--secondary" onclick="closeModal('transferModal')">❌ Cancel</button>
+                </div>
+            </form>
+        </div>
+    `;
+
+    // Set as a property so quotes in the description need no escaping
+    document.getElementById('transferDescription').value = existing.description || '';
+    updateTransferForm();
+    openModal('transferModal');
+}
+
+// Amount label follows the source account; rate field only across currencies
+function updateTransferForm() {
+    const fromAccount = allAccounts.find(a => String(a.id) === document.getElementById('transferFromAccount').value);
+    const toAccount = allAccounts.find(a => String(a.id) === document.getElementById('transferToAccount').value);
+    const crossCurrency = Boolean(fromAccount && toAccount && fromAccount.currency !== toAccount.currency);
+
+    document.getElementById('transferAmountLabel').textContent = fromAccount ? `Amount (${fromAccount.currency}) *` : 'Amount *';
+    document.getElementById('transferRateGroup').style.display = crossCurrency ? '' : 'none';
+    document.getElementById('transferExchangeRate').required = crossCurrency;
+    if (crossCurrency) {
+        document.getElementById('transferRateLabel').textContent = `Exchange rate (1 ${fromAccount.currency} = ? ${toAccount.currency}) *`;
+    }
+}
+
+async function saveTransfer(event) {
+    event.preventDefault();
+
+    const fromId = parseInt(document.getElementById('transferFromAccount').value);
+    const toId = parseInt(document.getElementById('transferToAccount').value);
+    const fromAccount = allAccounts.find(a => a.id === fromId);
+    const toAccount = allAccounts.find(a => a.id === toId);
+
+    if (!fromAccount || !toAccount || fromId === toId) {
+        showMessage('❌ Choose two different accounts', 'error');
+        return;
+    }
+
+    const amount = parseFloat(document.getElementById('transferAmount').value);
+    if (!amount || amount <= 0) {
+        showMessage('❌ Invalid amount', 'error');
+        return;
+    }
+
+    const body = {
+        from_account_id: fromId,
+        to_account_id: toId,
+        amount,
+        transfer_date: document.getElementById('transferDate').value,
+        description: document.getElementById('transferDescription').value.trim() || undefined
+    };
+
+    if (fromAccount.currency !== toAccount.currency) {
+        body.exchange_rate = parseFloat(document.getElementById('transferExchangeRate').value);
+    }
+
+    const data = await apiCall(editingTransferId ? `/transfers/${editingTransferId}` : '/transfers', {
+        method: editingTransferId ? 'PUT' : 'POST',
+        body: JSON.stringify(body)
+    });
+
+    if (data && data.success) {
+        closeModal('transferModal');
+        showMessage(editingTransferId ? '✅ Transfer updated!' : '✅ Transfer saved!', 'success');
+        editingTransferId = null;
+        await loadAccounts();
+        await loadTransactions();
+    }
+}
+
+function addTransfer() {
+    if (allAccounts.length < 2) {
+        showMessage('❌ Add at least two accounts first', 'error');
+        return;
+    }
+
+    openTransferModal();
+}
+
+async function editTransfer(transferId) {
+    const current = await apiCall(`/transfers/${transferId}`);
+    if (!current || !current.success) return;
+
+    openTransferModal(current.transfer, transferId);
+}
+
 async function deleteAccount(id) {
     if (!confirm('Delete this account?')) return;
 
@@ -766,48 +1544,252 @@ async function addCategory() {
     const name = prompt('Category Name:');
     if (!name) return;
 
-    const mode = prompt('Mode (Income/Expense/Credit Card):');
-    if (!mode || !['Income', 'Expense', 'Credit Card'].includes(mode)) {
-        showMessage('❌ Invalid mode', 'error');
+    const type = (prompt('Type (income/expense):', 'expense') || '').trim().toLowerCase();
+    if (!['income', 'expense'].includes(type)) {
+        showMessage('❌ Invalid type', 'error');
+        return;
+    }
+
+    const parent = promptParentCategory(null, null);
+    if (parent === undefined) return;
+
+    const data = await apiCall('/categories', {
+        method: 'POST',
+        body: JSON.stringify({ name, transaction_type: type, parent_id: parent })
+    });
+
+    if (data && data.success) {
+        showMessage('✅ Category created!', 'success');
+        await loadCategories();
+    }
+}
+
+async function editCategory(id) {
+    const category = allCategories.find(c => c.id === id);
+    if (!category) return;
+
+    const name = prompt('Category Name:', category.name);
+    if (!name) return;
+
+    const parent = promptParentCategory(category.parent_id, category.id);
+    if (parent === undefined) return;
+
+    const data = await apiCall(`/categories/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name, transaction_type: category.transaction_type, parent_id: parent })
+    });
+
+    if (data && data.success) {
+        showMessage('✅ Category updated!', 'success');
+        await loadCategories();
+    }
+}
+
+// ✅ Parent for Food > Groceries style nesting
+// Returns the parent id, null for top level, undefined when cancelled
+function promptParentCategory(currentParentId, categoryId) {
+    // A category cannot sit under itself or its own subcategories
+    const candidates = allCategories.filter(c => !categoryId || !(c.path || [c.id]).map(Number).includes(Number(categoryId)));
+    const current = allCategories.find(c => c.id === currentParentId);
+    const input = prompt(
+        `Parent category (empty = top level):\n${candidates.map(c => c.full_name || c.name).join('\n')}`,
+        current ? (current.full_name || current.name) : ''
+    );
+    if (input === null) return undefined;
+    if (input.trim() === '') return null;
+
+    const wanted = input.trim().toLowerCase();
+    const parent = candidates.find(c => (c.full_name || c.name).toLowerCase() === wanted)
+        || candidates.find(c => c.name.toLowerCase() === wanted);
+    if (!parent) {
+        showMessage(`❌ Unknown parent category: ${input}`, 'error');
+        return undefined;
+    }
+    return parent.id;
+}
+
+async function deleteCategory(id) {
+    if (!confirm('Delete this category? Its subcategories move up one level.')) return;
+
+    const data = await apiCall(`/categories/${id}`, { method: 'DELETE' });
+    if (data && data.success) {
+        showMessage('✅ Category deleted!', 'success');
+        await loadCategories();
+    }
+}
+
+// ============================================
+// AUTO-CATEGORIZATION RULES
+// ============================================
+
+let allRules = [];
+
+async function loadRules() {
+    const data = await apiCall('/rules');
+    if (data && data.success) {
+        allRules = data.rules || [];
+        updateRulesTable();
+    }
+}
+
+// "contains UBER · 10–500 · HDFC" → "Transport, #Taxi, Credit Card"
+function describeRule(r) {
+    const conditions = [];
+    if (r.pattern) conditions.push(`${r.match_type === 'regex' ? 'regex' : 'contains'} "${r.pattern}"`);
+    if (r.amount_min !== null || r.amount_max !== null) conditions.push(`${r.amount_min ?? '0'}–${r.amount_max ?? '∞'}`);
+    if (r.account_name) conditions.push(r.account_name);
+
+    const actions = [];
+    if (r.category_name) actions.push(r.category_name);
+    (r.set_tags || []).forEach(tag => actions.push(`#${tag}`));
+    if (r.set_transaction_type) actions.push(r.set_transaction_type);
+    if (r.set_payment_method) actions.push(PAYMENT_METHOD_LABELS[r.set_payment_method] || r.set_payment_method);
+
+    return { conditions: conditions.join(' · '), actions: actions.join(', ') };
+}
+
+function updateRulesTable() {
+    const tbody = document.getElementById('rulesTableBody');
+    if (!tbody) return;
+
+    if (allRules.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">No rules yet</td></tr>';
         return;
     }
 
-    const data = await apiCall('/categories', {
-        method: 'POST',
-        body: JSON.stringify({ name, mode })
-    });
+    tbody.innerHTML = allRules.map(r => {
+        const { conditions, actions } = describeRule(r);
+        return `
+        <tr style="${r.is_active ? '' : 'opacity: 0.5;'}">
+            <td>${r.name}</td>
+            <td>${conditions}</td>
+            <td>${actions}</td>
+            <td>
+                <button class="btn-icon" onclick="testRule(${r.id})" title="Test against past transactions">🔍</button>
+                <button class="btn-icon" onclick="toggleRule(${r.id})" title="${r.is_active ? 'Disable' : 'Enable'}">${r.is_active ? '⏸' : '▶'}</button>
+                <button class="btn-icon btn-danger" onclick="deleteRule(${r.id})" title="Delete">✕</button>
+            </td>
+        </tr>`;
+    }).join('');
+}
+
+async function addRule() {
+    const pattern = prompt('Description contains (e.g. UBER).\nStart with re: for a regular expression, e.g. re:^NETFLIX|SPOTIFY');
+    if (pattern === null) return;
+
+    const name = prompt('Rule name:', pattern.replace(/^re:/, '') || 'New rule');
+    if (!name) return;
+
+    const amountRange = prompt('Amount range (optional, e.g. 10-500):', '');
+    if (amountRange === null) return;
+    const [amountMin, amountMax] = amountRange.split('-').map(part => part.trim());
+
+    const categoryInput = prompt(`Set category (optional):\n${allCategories.map(c => c.full_name || c.name).join('\n')}`, '');
+    if (categoryInput === null) return;
+    let category = null;
+    if (categoryInput.trim()) {
+        const wanted = categoryInput.trim().toLowerCase();
+        category = allCategories.find(c => (c.full_name || c.name).toLowerCase() === wanted)
+            || allCategories.find(c => c.name.toLowerCase() === wanted);
+        if (!category) {
+            showMessage(`❌ Unknown category: ${categoryInput}`, 'error');
+            return;
+        }
+    }
+
+    const tags = prompt('Add tags (optional, comma-separated):', '');
+    if (tags === null) return;
+
+    const paymentMethod = prompt(`Set payment method (optional):\n${Object.keys(PAYMENT_METHOD_LABELS).join(', ')}`, '');
+    if (paymentMethod === null) return;
+
+    const isRegex = pattern.startsWith('re:');
+    const data = await apiCall('/rules', {
+        method: 'POST',
+        body: JSON.stringify({
+            name,
+            match_type: isRegex ? 'regex' : 'contains',
+            pattern: isRegex ? pattern.slice(3) : pattern,
+            amount_min: amountMin || null,
+            amount_max: amountMax || null,
+            category_id: category ? category.id : null,
+            tags,
+            payment_method: paymentMethod.trim() || null
+        })
+    });
+
+    if (data && data.success) {
+        showMessage('✅ Rule created!', 'success');
+        await loadRules();
+    }
+}
+
+async function testRule(id) {
+    const data = await apiCall('/rules/test', {
+        method: 'POST',
+        body: JSON.stringify({ rule_id: id, limit: 15 })
+    });
+    if (!data || !data.success) return;
+
+    const lines = data.matches.map(m =>
+        `${new Date(m.transaction_date).toLocaleDateString()}  ${m.description || '-'}  ${getCurrencySymbol(m.currency)}${m.amount.toFixed(2)}` +
+        (Object.keys(m.changes).length > 0 ? '  ✎' : '')
+    );
+    alert(
+        `Matches ${data.matched} of ${data.scanned} transactions (${data.would_change} would change)\n\n` +
+        (lines.join('\n') || 'No matching transactions')
+    );
+}
+
+async function toggleRule(id) {
+    const rule = allRules.find(r => r.id === id);
+    if (!rule) return;
+
+    const data = await apiCall(`/rules/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ is_active: !rule.is_active })
+    });
+    if (data && data.success) {
+        await loadRules();
+    }
+}
+
+async function deleteRule(id) {
+    if (!confirm('Delete this rule?')) return;
 
+    const data = await apiCall(`/rules/${id}`, { method: 'DELETE' });
     if (data && data.success) {
-        showMessage('✅ Category created!', 'success');
-        await loadCategories();
+        showMessage('✅ Rule deleted!', 'success');
+        await loadRules();
     }
 }
 
-async function editCategory(id) {
-    const category = allCategories.find(c => c.id === id);
-    if (!category) return;
-
-    const name = prompt('Category Name:', category.name);
-    if (!name) return;
+// ✅ Preview first, then run every active rule over past transactions
+async function applyRulesToPast() {
+    const fromDate = prompt('Apply rules to transactions from (YYYY-MM-DD, empty = all):', '');
+    if (fromDate === null) return;
 
-    const data = await apiCall(`/categories/${id}`, {
-        method: 'PUT',
-        body: JSON.stringify({ name, mode: category.mode })
+    const body = { from_date: fromDate.trim() || undefined };
+    const preview = await apiCall('/rules/apply', {
+        method: 'POST',
+        body: JSON.stringify({ ...body, dry_run: true })
     });
+    if (!preview || !preview.success) return;
 
-    if (data && data.success) {
-        showMessage('✅ Category updated!', 'success');
-        await loadCategories();
+    if (preview.updated === 0) {
+        showMessage('ℹ️ Rules would not change any transaction', 'info');
+        return;
     }
-}
-
-async function deleteCategory(id) {
-    if (!confirm('Delete this category?')) return;
+    if (!confirm(`${preview.updated} of ${preview.scanned} transactions will be updated. Continue?`)) return;
 
-    const data = await apiCall(`/categories/${id}`, { method: 'DELETE' });
+    const data = await apiCall('/rules/apply', {
+        method: 'POST',
+        body: JSON.stringify(body)
+    });
     if (data && data.success) {
-        showMessage('✅ Category deleted!', 'success');
-        await loadCategories();
+        showMessage(`✅ ${data.message}`, 'success');
+        await loadTransactions();
+        await loadStats();
     }
 }
 
@@ -866,10 +1848,10 @@ function downloadTemplate() {
         const workbook = XLSX.utils.book_new();
         
         const templateData = [
-            ['Date', 'Account', 'Category', 'Description', 'Amount', 'Currency', 'Mode'],
-            ['2025-01-15', 'HDFC', 'Salary', 'Monthly Salary', '50000', 'INR', 'Income'],
-            ['2025-01-16', 'Cash', 'Groceries', 'Supermarket', '2500', 'INR', 'Expense'],
-            ['2025-01-17', 'ADCB', 'Bills', 'Electricity', '500', 'SAR', 'Expense']
+            ['Date', 'Account', 'Category', 'Description', 'Amount', 'Currency', 'Mode', 'Payment Method'],
+            ['2025-01-15', 'HDFC', 'Salary', 'Monthly Salary', '50000', 'INR', 'Income', 'bank_transfer'],
+            ['2025-01-16', 'Cash', 'Groceries', 'Supermarket', '2500', 'INR', 'Expense', 'cash'],
+            ['2025-01-17', 'ADCB', 'Bills', 'Electricity', '500', 'SAR', 'Expense', 'credit_card']
         ];
 
         const templateSheet = XLSX.utils.aoa_to_sheet(templateData);
@@ -880,7 +1862,8 @@ function downloadTemplate() {
             { wch: 20 },
             { wch: 12 },
             { wch: 12 },
-            { wch: 15 }
+            { wch: 15 },
+            { wch: 16 }
         ];
 
         XLSX.utils.book_append_sheet(workbook, templateSheet, 'Template');
@@ -894,8 +1877,26 @@ function downloadTemplate() {
     }
 }
 
+// Column mapping confirmed in the preview (empty = let the server suggest one)
+let importMappingState = {};
+
+// Mapping fields sent with preview and import requests
+function appendImportMapping(formData) {
+    if (importMappingState.profile_id) formData.append('profile_id', importMappingState.profile_id);
+    if (importMappingState.mapping) formData.append('mapping', JSON.stringify(importMappingState.mapping));
+    if (importMappingState.sign_convention) formData.append('sign_convention', importMappingState.sign_convention);
+    if (importMappingState.date_format) formData.append('date_format', importMappingState.date_format);
+    if (importMappingState.account_id) formData.append('account_id', importMappingState.account_id);
+    if (importMappingState.statement_accounts) formData.append('statement_accounts', JSON.stringify(importMappingState.statement_accounts));
+}
+
 // ✅ FIXED: handleImportFile - Use getAuthToken()
 async function handleImportFile() {
+    importMappingState = {};
+    await requestImportPreview();
+}
+
+async function requestImportPreview() {
     try {
         const file = document.getElementById('importFile').files[0];
         if (!file) {
@@ -907,6 +1908,7 @@ async function handleImportFile() {
         
         const formData = new FormData();
         formData.append('file', file);
+        appendImportMapping(formData);
 
         const token = getAuthToken(); // ✅ FIXED: Use getAuthToken()
         if (!token) {
@@ -941,7 +1943,203 @@ async function handleImportFile() {
     }
 }
 
+// Bank statements: which PFMS account each statement account goes to
+function renderStatementAccounts(previewData) {
+    const statement = previewData.statement;
+    const formatLabels = { ofx: 'OFX / QFX', qif: 'QIF', camt053: 'CAMT.053' };
+
+    return `
+        <div style="margin: 20px 0; padding: 15px; background: #f7f9fc; border-radius: 5px; border-left: 4px solid #2180A1;">
+            <h3 style="margin-top: 0;">🏦 ${formatLabels[statement.format] || statement.format} Statement Accounts</h3>
+            ${statement.accounts.map(a => `
+                <div style="margin: 6px 0;">
+                    <strong>${a.label}</strong> ${a.currency ? `(${a.currency})` : ''} - ${a.transactions} transaction(s) →
+                    <select class="statement-account-link" data-key="${a.key.replace(/"/g, '&quot;')}">
+                        <option value="">➕ New account "${a.label}"</option>
+                        ${allAccounts.map(acc => `<option value="${acc.id}" ${String(a.account_id) === String(acc.id) ? 'selected' : ''}>${acc.name} (${acc.currency})</option>`).join('')}
+                    </select>
+                </div>
+            `).join('')}
+            ${statement.format === 'qif' ? `
+                <div style="margin-top: 10px;">
+                    <label for="importDateFormat">QIF dates:</label>
+                    <select id="importDateFormat">
+                        <option value="MM/DD/YYYY" ${importMappingState.date_format !== 'DD/MM/YYYY' ? 'selected' : ''}>MM/DD/YYYY</option>
+                        <option value="DD/MM/YYYY" ${importMappingState.date_format === 'DD/MM/YYYY' ? 'selected' : ''}>DD/MM/YYYY</option>
+                    </select>
+                    <small style="color: #888;">QIF has no currency: pick an existing account for it.</small>
+                </div>
+            ` : ''}
+            <div style="margin-top: 10px;">
+                <button class="btn btn--secondary" onclick="applyStatementAccounts()">🔄 Apply</button>
+                <small style="color: #888; margin-left: 8px;">Transactions with a bank id that was imported before are always skipped.</small>
+            </div>
+        </div>
+    `;
+}
+
+async function applyStatementAccounts() {
+    const statementAccounts = {};
+    document.querySelectorAll('#importPreviewModal .statement-account-link').forEach(select => {
+        statementAccounts[select.dataset.key] = select.value ? parseInt(select.value) : null;
+    });
+    const dateFormat = document.getElementById('importDateFormat');
+
+    importMappingState = { statement_accounts: statementAccounts, date_format: dateFormat ? dateFormat.value : undefined };
+    await requestImportPreview();
+}
+
+// Column mapping editor: one field select per column of the file
+function renderImportMapping(previewData) {
+    if (previewData.statement) {
+        return renderStatementAccounts(previewData);
+    }
+
+    const mapped = previewData.mapping ? previewData.mapping.mapping : {};
+    const fieldFor = (column) => {
+        const field = Object.keys(mapped).find(f => mapped[f] === column);
+        if (field) return field;
+        if (previewData.mapping) return '';
+        const entry = previewData.detected.find(d => d.column === column);
+        return entry && entry.field ? entry.field : '';
+    };
+    const current = previewData.mapping || {};
+    const profileId = previewData.profile ? previewData.profile.id : '';
+
+    return `
+        <div style="margin: 20px 0; padding: 15px; background: #f7f9fc; border-radius: 5px; border-left: 4px solid #2180A1;">
+            <h3 style="margin-top: 0;">🧭 Column Mapping</h3>
+            ${previewData.mappingError ? `<p style="color: #f44336;"><strong>❌ ${previewData.mappingError}</strong></p>` : ''}
+            ${previewData.matchingProfiles.length > 0 ? `
+                <label for="importProfileSelect">Saved profile:</label>
+                <select id="importProfileSelect" onchange="useImportProfile(this.value)">
+                    <option value="">(none)</option>
+                    ${previewData.matchingProfiles.map(p => `<option value="${p.id}" ${String(p.id) === String(profileId) ? 'selected' : ''}>${p.name}</option>`).join('')}
+                </select>
+            ` : ''}
+            <div class="table-container" style="max-height: 220px; overflow-y: auto; margin-top: 10px;">
+                <table>
+                    <thead><tr><th>Column</th><th>Sample</th><th>Maps to</th></tr></thead>
+                    <tbody>
+                        ${previewData.detected.map(d => `
+                            <tr>
+                                <td>${d.column}${d.match === 'partial' ? ' <small style="color: #888;">(guessed)</small>' : ''}</td>
+                                <td>${d.sample ?? '-'}</td>
+                                <td>
+                                    <select class="import-column-field" data-column="${d.column.replace(/"/g, '&quot;')}">
+                                        <option value="">(ignore)</option>
+                                        ${previewData.fields.map(f => `<option value="${f}" ${fieldFor(d.column) === f ? 'selected' : ''}>${f}</option>`).join('')}
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 10px; margin-top: 10px;">
+                <div>
+                    <label for="importSignConvention">Amount sign:</label>
+                    <select id="importSignConvention">
+                        <option value="unsigned" ${current.sign_convention === 'unsigned' ? 'selected' : ''}>Positive, type column decides</option>
+                        <option value="negative_is_expense" ${current.sign_convention === 'negative_is_expense' ? 'selected' : ''}>Negative = expense (bank)</option>
+                        <option value="positive_is_expense" ${current.sign_convention === 'positive_is_expense' ? 'selected' : ''}>Positive = expense (card)</option>
+                    </select>
+                </div>
+                <div>
+                    <label for="importDateFormat">Date format:</label>
+                    <select id="importDateFormat">
+                        ${previewData.dateFormats.map(f => `<option value="${f}" ${current.date_format === f ? 'selected' : ''}>${f}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label for="importDefaultAccount">Account (if no column):</label>
+                    <select id="importDefaultAccount">
+                        <option value="">(from file)</option>
+                        ${allAccounts.map(a => `<option value="${a.id}" ${String(current.account_id) === String(a.id) ? 'selected' : ''}>${a.name} (${a.currency})</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            <div style="margin-top: 10px; display: flex; gap: 10px;">
+                <button class="btn btn--secondary" onclick="applyImportMapping()">🔄 Apply Mapping</button>
+                <button class="btn btn--secondary" onclick="saveImportProfile()">💾 Save as Profile</button>
+            </div>
+        </div>
+    `;
+}
+
+// Mapping as currently set in the editor
+function readImportMapping() {
+    const mapping = {};
+    document.querySelectorAll('#importPreviewModal .import-column-field').forEach(select => {
+        if (select.value) mapping[select.value] = select.dataset.column;
+    });
+
+    return {
+        mapping,
+        sign_convention: document.getElementById('importSignConvention').value,
+        date_format: document.getElementById('importDateFormat').value,
+        account_id: document.getElementById('importDefaultAccount').value || undefined
+    };
+}
+
+async function applyImportMapping() {
+    importMappingState = readImportMapping();
+    await requestImportPreview();
+}
+
+async function useImportProfile(profileId) {
+    importMappingState = profileId ? { profile_id: profileId } : {};
+    await requestImportPreview();
+}
+
+async function saveImportProfile() {
+    const name = prompt('Profile name (e.g. "HDFC savings export"):');
+    if (!name) return;
+
+    const data = await apiCall('/import-profiles', {
+        method: 'POST',
+        body: JSON.stringify({ name, ...readImportMapping() })
+    });
+
+    if (data && data.success) {
+        showMessage(`✅ Import profile "${data.profile.name}" saved`, 'success');
+        importMappingState = { profile_id: data.profile.id };
+        await requestImportPreview();
+    }
+}
+
+// What a flagged row duplicates
+function describeDuplicate(duplicate) {
+    if (duplicate.duplicate_of === 'bank_id') {
+        return `bank transaction already imported (transaction #${duplicate.transaction_id}), always skipped`;
+    }
+    return duplicate.duplicate_of === 'existing'
+        ? `already imported (transaction #${duplicate.transaction_id})`
+        : `repeats row ${duplicate.first_row}`;
+}
+
 function displayImportPreview(previewData) {
+    const suggestions = previewData.suggestions || [];
+    const lowConfidenceRows = previewData.lowConfidenceRows || [];
+    const duplicates = previewData.duplicates || [];
+    const duplicateByRow = {};
+    duplicates.forEach(d => { duplicateByRow[d.row] = d; });
+
+    // Sheets count the header as row 1, statements start at 1
+    const firstRow = previewData.firstRow || 2;
+
+    // Once a mapping is in place, show the rows the way they will be imported
+    const mappedRows = previewData.mappedPreview || null;
+    const tableColumns = mappedRows
+        ? ['transaction_date', 'description', 'account_name', 'mode', 'amount', 'currency', 'category_name']
+        : previewData.columns;
+    if (previewData.mapping) {
+        importMappingState = {
+            profile_id: previewData.profile ? previewData.profile.id : undefined,
+            ...(previewData.profile ? {} : previewData.mapping)
+        };
+    }
+
     let modal = document.getElementById('importPreviewModal');
     if (!modal) {
         modal = document.createElement('div');
@@ -958,20 +2156,57 @@ function displayImportPreview(previewData) {
             <div style="margin: 20px 0; padding: 15px; background: #f0f0f0; border-radius: 5px;">
                 <p><strong>Total Rows:</strong> ${previewData.totalRows}</p>
                 <p><strong>Columns Found:</strong> ${previewData.columns.join(', ')}</p>
+                ${lowConfidenceRows.length > 0 ? `
+                    <p style="color: #ff9800;"><strong>⚠️ ${lowConfidenceRows.length} row(s) without a confident category:</strong>
+                        ${lowConfidenceRows.slice(0, 20).join(', ')}${lowConfidenceRows.length > 20 ? ', ...' : ''}
+                        (add a Category column or a rule, otherwise these rows fail)</p>
+                ` : ''}
             </div>
 
-            <h3>Sample Data (First 10 rows):</h3>
+            ${duplicates.length > 0 ? `
+                <div style="margin: 20px 0; padding: 15px; background: #fff3cd; border-radius: 5px; border-left: 4px solid #ff9800;">
+                    <p><strong>🔁 ${duplicates.length} likely duplicate row(s)</strong> (same date, amount, account and description)</p>
+                    <label for="duplicateAction">For duplicates:</label>
+                    <select id="duplicateAction">
+                        <option value="skip">Skip them</option>
+                        <option value="merge">Merge into the existing transaction</option>
+                        <option value="import">Import anyway</option>
+                    </select>
+                    <div style="max-height: 150px; overflow-y: auto; margin-top: 10px;">
+                        ${duplicates.slice(0, 50).map(d => `
+                            <div style="margin: 4px 0;">
+                                Row ${d.row}: ${describeDuplicate(d)}
+                                <select class="duplicate-override" data-row="${d.row}" style="margin-left: 8px;">
+                                    <option value="">(as above)</option>
+                                    <option value="skip">Skip</option>
+                                    <option value="merge">Merge</option>
+                                    <option value="import">Import</option>
+                                </select>
+                            </div>
+                        `).join('')}
+                        ${duplicates.length > 50 ? `<div style="color: #666; font-style: italic;">... and ${duplicates.length - 50} more</div>` : ''}
+                    </div>
+                </div>
+            ` : ''}
+
+            ${renderImportMapping(previewData)}
+
+            <h3>Sample Data (First 10 rows${mappedRows ? ', as they will be imported' : ''}):</h3>
             <div class="table-container" style="max-height: 300px; overflow-y: auto;">
                 <table>
                     <thead>
                         <tr>
-                            ${previewData.columns.map(col => `<th>${col}</th>`).join('')}
+                            ${tableColumns.map(col => `<th>${col}</th>`).join('')}
+                            <th>Suggested Category</th>
+                            <th>Duplicate</th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${previewData.preview.map(row => `
-                            <tr>
-                                ${previewData.columns.map(col => `<td>${row[col] || '-'}</td>`).join('')}
+                        ${(mappedRows || previewData.preview).map((row, i) => `
+                            <tr${suggestions[i] && suggestions[i].low_confidence ? ' style="background: #fff3cd;"' : ''}>
+                                ${tableColumns.map(col => `<td>${row[col] ?? '-'}</td>`).join('')}
+                                <td>${formatCategorySuggestion(suggestions[i])}</td>
+                                <td>${duplicateByRow[i + firstRow] ? `🔁 ${describeDuplicate(duplicateByRow[i + firstRow])}` : '-'}</td>
                             </tr>
                         `).join('')}
                     </tbody>
@@ -979,7 +2214,7 @@ function displayImportPreview(previewData) {
             </div>
 
             <div style="margin-top: 20px; display: flex; gap: 10px;">
-                <button class="btn btn--primary" onclick="confirmImport('${previewData.totalRows}')" style="flex: 1;">
+                <button class="btn btn--primary" onclick="confirmImport('${previewData.totalRows}')" style="flex: 1;" ${previewData.mappingError ? 'disabled' : ''}>
                     ✅ Confirm & Import
                 </button>
                 <button class="btn btn--secondary" onclick="closeModal('importPreviewModal')" style="flex: 1;">
@@ -998,11 +2233,21 @@ async function confirmImport(totalRows) {
     const file = document.getElementById('importFile').files[0];
     if (!file) return;
 
+    // Read the duplicate choices before the preview is closed
+    const duplicateAction = document.getElementById('duplicateAction');
+    const duplicateOverrides = {};
+    document.querySelectorAll('#importPreviewModal .duplicate-override').forEach(select => {
+        if (select.value) duplicateOverrides[select.dataset.row] = select.value;
+    });
+
     closeModal('importPreviewModal');
     showMessage(`📤 Importing ${totalRows} rows... This may take a moment`, 'success');
 
     const formData = new FormData();
     formData.append('file', file);
+    appendImportMapping(formData);
+    if (duplicateAction) formData.append('duplicate_action', duplicateAction.value);
+    formData.append('duplicate_overrides', JSON.stringify(duplicateOverrides));
 
     const token = getAuthToken(); // ✅ FIXED: Use getAuthToken()
     if (!token) {
@@ -1022,7 +2267,7 @@ async function confirmImport(totalRows) {
         const data = await response.json();
 
         if (data.success) {
-            showImportResults(data.results);
+            showImportResults(data.results, data.batch_id);
             setTimeout(() => {
                 loadTransactions();
                 loadStats();
@@ -1040,7 +2285,7 @@ async function confirmImport(totalRows) {
     document.getElementById('importFile').value = '';
 }
 
-function showImportResults(results) {
+function showImportResults(results, batchId) {
     let modal = document.getElementById('importResultsModal');
     if (!modal) {
         modal = document.createElement('div');
@@ -1072,6 +2317,14 @@ function showImportResults(results) {
                 </div>
             </div>
 
+            ${results.skipped || results.merged ? `
+                <p style="color: #666;">🔁 Duplicates: ${results.skipped || 0} skipped, ${results.merged || 0} merged into existing transactions</p>
+            ` : ''}
+
+            ${results.ruleMatches || results.suggested ? `
+                <p style="color: #666;">🤖 ${results.ruleMatches || 0} row(s) matched a rule, 💡 ${results.suggested || 0} categorised from your history</p>
+            ` : ''}
+
             ${results.errors.length > 0 ? `
                 <h3>Errors Found:</h3>
                 <div style="background: #fff3cd; padding: 15px; border-radius: 5px; max-height: 250px; overflow-y: auto; border-left: 4px solid #ff9800;">
@@ -1082,10 +2335,15 @@ function showImportResults(results) {
                 </div>
             ` : ''}
 
-            <div style="margin-top: 20px;">
-                <button class="btn btn--primary" onclick="closeModal('importResultsModal')" style="width: 100%;">
+            <div style="margin-top: 20px; display: flex; gap: 10px;">
+                <button class="btn btn--primary" onclick="closeModal('importResultsModal')" style="flex: 1;">
                     ✅ Done
                 </button>
+                ${batchId && results.success > 0 ? `
+                    <button class="btn btn--secondary" onclick="closeModal('importResultsModal'); rollbackImportBatch(${batchId})" style="flex: 1;">
+                        ↩️ Undo Import
+                    </button>
+                ` : ''}
             </div>
         </div>
     `;
@@ -1094,6 +2352,83 @@ function showImportResults(results) {
     openModal('importResultsModal');
 }
 
+// Past imports, newest first, each with a rollback button
+async function showImportHistory() {
+    const data = await apiCall('/import-batches');
+    if (!data || !data.success) return;
+
+    let modal = document.getElementById('importHistoryModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'importHistoryModal';
+        modal.className = 'modal';
+        document.body.appendChild(modal);
+    }
+
+    const statusLabels = {
+        processing: '⏳ Running',
+        completed: '✅ Completed',
+        failed: '❌ Failed',
+        rolled_back: '↩️ Rolled back'
+    };
+
+    const rows = data.batches.map(b => `
+        <tr>
+            <td>${new Date(b.created_at).toLocaleString()}</td>
+            <td>${b.file_name}${b.imported_by ? `<br><small style="color: #888;">by ${b.imported_by}</small>` : ''}</td>
+            <td>${b.stale ? '⚠️ Interrupted' : statusLabels[b.status] || b.status}</td>
+            <td>${b.total_rows}</td>
+            <td>${b.imported_rows}</td>
+            <td>${b.skipped_rows} / ${b.merged_rows}</td>
+            <td title="${b.error_count} error(s)">${b.failed_rows}</td>
+            <td>
+                ${b.status === 'completed' || b.status === 'failed' || b.stale
+                    ? `<button class="btn btn-sm btn--secondary" onclick="rollbackImportBatch(${b.id})">↩️ Roll back</button>`
+                    : '-'}
+            </td>
+        </tr>
+    `).join('');
+
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 900px;">
+            <span class="modal-close" onclick="closeModal('importHistoryModal')">&times;</span>
+            <h2>🗂️ Import History</h2>
+            ${data.batches.length === 0 ? '<p style="color: #666;">No imports yet.</p>' : `
+                <div style="max-height: 400px; overflow-y: auto;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+                        <thead>
+                            <tr style="background: #f0f0f0;">
+                                <th>Date</th><th>File</th><th>Status</th><th>Rows</th><th>Imported</th>
+                                <th>Skipped / Merged</th><th>Failed</th><th></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <p style="color: #888; font-size: 0.85rem;">Rolling back deletes the transactions an import created, and the accounts and categories it created that are no longer used. Transactions that rows were merged into get their previous type, category, description and tags back.</p>
+            `}
+        </div>
+    `;
+    openModal('importHistoryModal');
+}
+
+async function rollbackImportBatch(batchId) {
+    if (!confirm('Roll back this import? Every transaction it created will be deleted.')) return;
+
+    const data = await apiCall(`/import-batches/${batchId}/rollback`, { method: 'POST' });
+    if (data && data.success) {
+        const { accounts, categories } = data.deleted;
+        showMessage(`✅ ${data.message}${accounts || categories ? `; unused accounts removed: ${accounts}, categories: ${categories}` : ''}`, 'success');
+        await loadTransactions();
+        await loadStats();
+        await loadAccounts();
+        await loadCategories();
+        if (document.getElementById('importHistoryModal')?.classList.contains('active')) {
+            await showImportHistory();
+        }
+    }
+}
+
 // ============================================
 // RECURRING TRANSACTIONS FUNCTIONS
 // ============================================
@@ -1264,7 +2599,7 @@ function updateAmountLabel() {
     const currency = document.getElementById('currency').value;
     const label = document.getElementById('currencySymbol');
     if (label) {
-        label.textContent = currency === 'SAR' ? '(﷼)' : '(₹)';
+        label.textContent = currency ? `(${getCurrencySymbol(currency)})` : '';
     }
 }
 
@@ -1581,6 +2916,48 @@ async function loadBudgetCategories() {
 }
 
 
+// ============================================
+// BUDGET PERIOD FIELDS
+// Weekly: weekday; monthly: day; quarterly / yearly: day + first month;
+// custom: first period start + days per period
+// ============================================
+
+function updateBudgetPeriodFields() {
+    const periodType = document.getElementById('budgetPeriodType')?.value || 'monthly';
+    const show = (id, visible) => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = visible ? '' : 'none';
+    };
+
+    show('budgetWeekdayGroup', periodType === 'weekly');
+    show('budgetStartDayGroup', ['monthly', 'quarterly', 'yearly'].includes(periodType));
+    show('budgetStartMonthGroup', periodType === 'quarterly' || periodType === 'yearly');
+    show('budgetCustomGroup', periodType === 'custom');
+    show('budgetRolloverMode', document.getElementById('budgetRolloverEnabled')?.checked);
+}
+
+
+function getBudgetPeriodValues() {
+    const periodType = document.getElementById('budgetPeriodType')?.value || 'monthly';
+    const values = { periodType };
+
+    if (periodType === 'weekly') {
+        values.periodStartDay = parseInt(document.getElementById('budgetPeriodWeekday').value);
+    } else if (periodType === 'custom') {
+        values.customAnchorDate = document.getElementById('budgetCustomAnchor').value;
+        values.customPeriodDays = parseInt(document.getElementById('budgetCustomDays').value);
+    } else {
+        const startDay = document.getElementById('budgetPeriodStartDay').value;
+        values.periodStartDay = startDay ? parseInt(startDay) : null;
+        if (periodType !== 'monthly') {
+            values.periodStartMonth = parseInt(document.getElementById('budgetPeriodStartMonth').value);
+        }
+    }
+
+    return values;
+}
+
+
 // ============================================
 // 2️⃣ SET BUDGET LIMIT (FIXED)
 // ============================================
@@ -1614,7 +2991,13 @@ async function setBudgetLimit() {
             return;
         }
         
-        console.log('📝 Budget Data:', { categoryId, currency, monthlyLimit, alertThreshold });
+        const periodValues = getBudgetPeriodValues();
+        if (periodValues.periodType === 'custom' && (!periodValues.customAnchorDate || !periodValues.customPeriodDays)) {
+            showMessage('❌ Custom periods need a start date and the number of days', 'error');
+            return;
+        }
+        
+        console.log('📝 Budget Data:', { categoryId, currency, monthlyLimit, alertThreshold, ...periodValues });
         
         const response = await fetch(`${BUDGET_API_URL}/limits`, {
             method: 'POST',
@@ -1626,7 +3009,10 @@ async function setBudgetLimit() {
                 categoryId: parseInt(categoryId),
                 currency,
                 monthlyLimit: parseFloat(monthlyLimit),
-                alertThreshold: parseInt(alertThreshold)
+                alertThreshold: parseInt(alertThreshold),
+                ...periodValues,
+                rolloverEnabled: document.getElementById('budgetRolloverEnabled')?.checked || false,
+                rolloverMode: document.getElementById('budgetRolloverMode')?.value || 'both'
             })
         });
         
@@ -1636,6 +3022,7 @@ async function setBudgetLimit() {
         if (data.success) {
             showMessage('✅ Budget limit set successfully!', 'success');
             document.getElementById('budgetForm')?.reset();
+            updateBudgetPeriodFields();
             
             // ✅ Reload budget info
             setTimeout(() => {
@@ -1653,13 +3040,49 @@ async function setBudgetLimit() {
 
 // ============================================
 // 3️⃣ LOAD BUDGET STATUS (FIXED)
+// Periods around the date picker (default today); ◀ / ▶ step every
+// budget back or forward by one of its own periods
 // ============================================
 
+let budgetPeriodOffset = 0;
+
+function changeBudgetPeriod(step) {
+    budgetPeriodOffset += step;
+    loadBudgetStatus();
+}
+
+function resetBudgetPeriod() {
+    budgetPeriodOffset = 0;
+    const dateInput = document.getElementById('budgetViewDate');
+    if (dateInput) dateInput.value = '';
+    loadBudgetStatus();
+}
+
+function updateBudgetPeriodLabel() {
+    const label = document.getElementById('budgetPeriodLabel');
+    if (!label) return;
+
+    const date = document.getElementById('budgetViewDate')?.value;
+    const base = date ? `Period of ${date}` : 'Current period';
+    if (budgetPeriodOffset === 0) {
+        label.textContent = base;
+    } else {
+        const count = Math.abs(budgetPeriodOffset);
+        label.textContent = `${base} ${budgetPeriodOffset < 0 ? '−' : '+'} ${count} period${count === 1 ? '' : 's'}`;
+    }
+}
+
 async function loadBudgetStatus() {
     try {
         console.log('📤 Loading budget status...');
         
-        const response = await fetch(`${BUDGET_API_URL}/status`, {
+        const params = new URLSearchParams();
+        const date = document.getElementById('budgetViewDate')?.value;
+        if (date) params.set('date', date);
+        if (budgetPeriodOffset !== 0) params.set('period', budgetPeriodOffset);
+        updateBudgetPeriodLabel();
+        
+        const response = await fetch(`${BUDGET_API_URL}/status${params.toString() ? `?${params}` : ''}`, {
             headers: {
                 'Authorization': `Bearer ${getAuthToken()}`
             }
@@ -1673,6 +3096,8 @@ async function loadBudgetStatus() {
                 data.budget_status || data.budgetstatus || [],
                 data.alerts || []
             );
+        } else {
+            showMessage('❌ ' + (data.message || 'Error loading budget status'), 'error');
         }
     } catch (error) {
         console.error('❌ Error loading budget status:', error);
@@ -1680,6 +3105,59 @@ async function loadBudgetStatus() {
 }
 
 
+// ============================================
+// BUDGET SETTINGS (month start day)
+// ============================================
+
+async function loadBudgetSettings() {
+    try {
+        const response = await fetch(`${BUDGET_API_URL}/settings`, {
+            headers: {
+                'Authorization': `Bearer ${getAuthToken()}`
+            }
+        });
+        const data = await response.json();
+        
+        const input = document.getElementById('budgetMonthStartDay');
+        if (data.success && input) {
+            input.value = data.settings.monthStartDay;
+        }
+    } catch (error) {
+        console.error('❌ Error loading budget settings:', error);
+    }
+}
+
+async function saveBudgetSettings() {
+    const monthStartDay = parseInt(document.getElementById('budgetMonthStartDay')?.value);
+    if (isNaN(monthStartDay) || monthStartDay < 1 || monthStartDay > 28) {
+        showMessage('❌ Month start day must be between 1 and 28', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${BUDGET_API_URL}/settings`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({ monthStartDay })
+        });
+        const data = await response.json();
+        
+        if (data.success) {
+            showMessage(`✅ Budget months now start on day ${monthStartDay}`, 'success');
+            loadBudgetStatus();
+        } else {
+            showMessage('❌ Error: ' + data.message, 'error');
+        }
+    } catch (error) {
+        console.error('❌ Error saving budget settings:', error);
+        showMessage('❌ Error: ' + error.message, 'error');
+    }
+}
+
+
 // ============================================
 // 4️⃣ DISPLAY BUDGET STATUS (FIXED FOR COMBINED)
 // ============================================
@@ -1722,8 +3200,12 @@ function displayBudgetStatus(budgets, alerts) {
             // ✅ Get currency
             const currency = budget.currency || 'INR';
             
+            // ✅ With rollover the period has base limit + rollover in
+            const available = budget.available !== undefined ? parseFloat(budget.available) : monthlyLimit;
+            const rolloverIn = parseFloat(budget.rollover_in || 0);
+            
             // ✅ Calculate remaining
-            const remaining = Math.max(0, monthlyLimit - currentSpending);
+            const remaining = Math.max(0, available - currentSpending);
             
             // ✅ Determine color based on usage
             let barColor = '#66bb6a'; // Green - OK
@@ -1745,11 +3227,25 @@ function displayBudgetStatus(budgets, alerts) {
                                 ${categoryName}
                             </h4>
                             
+                            <!-- Period -->
+                            ${budget.period ? `
+                            <p style="margin: 4px 0 0; color: #00d9ff; font-size: 12px;">
+                                📅 ${budget.period.type.charAt(0).toUpperCase() + budget.period.type.slice(1)}: ${budget.period.start} → ${budget.period.end}
+                            </p>` : ''}
+                            
                             <!-- Spending Info -->
                             <p style="margin: 8px 0; color: #aaa; font-size: 14px;">
-                                ${currency} ${currentSpending.toFixed(2)} / ${monthlyLimit.toFixed(2)}
+                                ${currency} ${currentSpending.toFixed(2)} / ${available.toFixed(2)}
                             </p>
                             
+                            <!-- Rollover ✅ -->
+                            ${budget.rollover_enabled ? `
+                            <p style="margin: 4px 0; color: #aaa; font-size: 12px;">
+                                🔁 Base ${parseFloat(budget.base_limit ?? monthlyLimit).toFixed(2)}
+                                ${rolloverIn < 0 ? '−' : '+'} rollover ${Math.abs(rolloverIn).toFixed(2)}
+                                = available ${available.toFixed(2)}
+                            </p>` : ''}
+                            
                             <!-- Progress Bar -->
                             <div style="background: #444; height: 8px; border-radius: 4px; margin: 8px 0; overflow: hidden;">
                                 <div style="background: ${barColor}; height: 100%; width: ${Math.min(percentUsed, 100)}%; border-radius: 4px; transition: width 0.3s;"></div>
@@ -1780,6 +3276,11 @@ function displayBudgetStatus(budgets, alerts) {
                             </span>
                         </div>
                         
+                        <!-- History Button -->
+                        <button onclick="showBudgetHistory(${budget.id})" style="color: #00d9ff; background: none; border: none; cursor: pointer; font-size: 18px; margin-left: 10px;" title="Past periods">
+                            📜
+                        </button>
+                        
                         <!-- Delete Button -->
                         <button onclick="deleteBudgetLimit(${budget.id})" style="color: #ff5252; background: none; border: none; cursor: pointer; font-weight: bold; font-size: 18px; margin-left: 10px;" title="Delete budget">
                             🗑️
@@ -1831,6 +3332,89 @@ function displayBudgetStatus(budgets, alerts) {
 }
 
 
+// ============================================
+// BUDGET HISTORY (past periods with rollover)
+// ============================================
+
+async function showBudgetHistory(id) {
+    try {
+        // ✅ Twelve periods up to the one being viewed
+        const params = new URLSearchParams({ periods: 12 });
+        const date = document.getElementById('budgetViewDate')?.value;
+        if (date) params.set('date', date);
+        if (budgetPeriodOffset !== 0) params.set('period', budgetPeriodOffset);
+        
+        const response = await fetch(`${BUDGET_API_URL}/${id}/history?${params}`, {
+            headers: {
+                'Authorization': `Bearer ${getAuthToken()}`
+            }
+        });
+        const data = await response.json();
+        
+        if (!data.success) {
+            showMessage('❌ Error: ' + data.message, 'error');
+            return;
+        }
+        
+        let modal = document.getElementById('budgetHistoryModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'budgetHistoryModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+        }
+        
+        const { budget, periods } = data;
+        const money = (value) => parseFloat(value || 0).toFixed(2);
+        
+        const rows = periods.map(p => `
+            <tr>
+                <td>${p.period.start} → ${p.period.end}</td>
+                <td>${money(p.base_limit)}</td>
+                <td>${money(p.rollover_in)}</td>
+                <td>${money(p.available)}</td>
+                <td style="color: ${p.spent > p.available ? '#ff5252' : 'inherit'};">${money(p.spent)}</td>
+                <td>${money(p.remaining)}</td>
+                <td>${budget.rollover_enabled ? money(p.rollover_out) : '-'}</td>
+            </tr>
+        `).join('');
+        
+        const modeLabels = {
+            both: 'unspent and overspent amounts',
+            unspent: 'only unspent amounts',
+            overspent: 'only overspent amounts'
+        };
+        
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 900px;">
+                <span class="modal-close" onclick="closeModal('budgetHistoryModal')">&times;</span>
+                <h2>📜 ${budget.category_name} (${budget.currency}) - ${budget.period_type} budget</h2>
+                <p style="color: #888; font-size: 0.9rem;">
+                    ${budget.rollover_enabled
+                        ? `🔁 Rolls over ${modeLabels[budget.rollover_mode] || budget.rollover_mode} since ${budget.rollover_since}.`
+                        : 'Rollover is off: every period starts from its base limit.'}
+                </p>
+                <div style="max-height: 400px; overflow-y: auto;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+                        <thead>
+                            <tr style="background: #f0f0f0;">
+                                <th>Period</th><th>Base Limit</th><th>Rollover In</th><th>Available</th>
+                                <th>Spent</th><th>Remaining</th><th>Rollover Out</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+        openModal('budgetHistoryModal');
+    } catch (error) {
+        console.error('❌ Error loading budget history:', error);
+        showMessage('❌ Error: ' + error.message, 'error');
+    }
+}
+
+
 // ============================================
 // 5️⃣ DELETE BUDGET LIMIT (FIXED)
 // ============================================
@@ -1987,16 +3571,7 @@ function updateCategoryDetailsTable(categories, total, currency) {
         return;
     }
     
-    const currencySymbolMap = {
-        'INR': '₹',
-        'SAR': '﷼',
-        'USD': '$',
-        'EUR': '€',
-        'GBP': '£',
-        'AED': 'د.إ'
-    };
-    
-    const currencySymbol = currencySymbolMap[currency] || currency;
+    const currencySymbol = getCurrencySymbol(currency);
     
     let html = '';
     
@@ -2042,21 +3617,12 @@ function updateCategoryDetailsTable(categories, total, currency) {
 function updateOverviewStats(total, topCategory, categoryCount, transactionCount, currency) {
     console.log('📊 Updating stats:', { total, topCategory, categoryCount, transactionCount, currency });
     
-    const currencySymbolMap = {
-        'INR': '₹',
-        'SAR': '﷼',
-        'USD': '$',
-        'EUR': '€',
-        'GBP': '£',
-        'AED': 'د.إ'
-    };
-    
-    const currencySymbol = currencySymbolMap[currency] || currency;
+    const currencySymbol = getCurrencySymbol(currency);
     
     // ✅ Update total spending with correct currency symbol
     const totalSpendingEl = document.getElementById('totalSpendingAmount');
     if (totalSpendingEl) {
-        totalSpendingEl.textContent = currency ? `${currencySymbol}${total.toFixed(2)}` : '₹0.00';
+        totalSpendingEl.textContent = currency ? `${currencySymbol}${total.toFixed(2)}` : '0.00';
         console.log('✅ Total spending updated to:', totalSpendingEl.textContent);
     }
     
@@ -2129,17 +3695,7 @@ function displayOverviewCategoryChart(categories, currency = 'INR') {
     
     console.log('💰 Total:', total, 'Currency:', currency);
     
-    // ✅ Currency symbol mapping - FIXED
-    const currencySymbolMap = {
-        'INR': '₹',
-        'SAR': '﷼',
-        'USD': '$',
-        'EUR': '€',
-        'GBP': '£',
-        'AED': 'د.إ'
-    };
-    
-    const currencySymbol = currencySymbolMap[currency] || currency;
+    const currencySymbol = getCurrencySymbol(currency);
     
     // ✅ Calculate total transaction count
     const totalTransactionCount = sortedCategories.reduce((sum, c) => 